@@ -9,10 +9,25 @@
  */
 
 import { fileURLToPath } from 'url';
-import { join, dirname, basename, normalize } from 'path';
-import { existsSync, readdirSync, mkdirSync, readFileSync } from 'fs';
-import { spawn, execFile, exec } from 'child_process';
+import { join, dirname, basename, normalize, resolve, relative, sep, delimiter } from 'path';
+import { homedir, tmpdir } from 'os';
+import {
+  existsSync,
+  readdirSync,
+  mkdirSync,
+  readFileSync,
+  statSync,
+  writeFileSync,
+  symlinkSync,
+  copyFileSync,
+  rmSync,
+  realpathSync,
+} from 'fs';
+import { readFile, writeFile, mkdir, copyFile, rm } from 'fs/promises';
+import { spawn, execFile, ChildProcess } from 'child_process';
+import { createServer, Server as NetServer, Socket } from 'net';
 import { promisify } from 'util';
+import { createHash, randomBytes, timingSafeEqual } from 'crypto';
 
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
@@ -27,7 +42,6 @@ import {
 const DEBUG_MODE: boolean = process.env.DEBUG === 'true';
 const GODOT_DEBUG_MODE: boolean = true; // Always use GODOT DEBUG MODE
 
-const execAsync = promisify(exec);
 const execFileAsync = promisify(execFile);
 
 // Derive __filename and __dirname in ESM
@@ -35,1019 +49,5133 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 /**
- * Interface representing a running Godot process
+ * Time allowed for a persistent worker to load the project and connect back
  */
-interface GodotProcess {
-  process: any;
-  output: string[];
-  errors: string[];
-}
+const WORKER_START_TIMEOUT_MS = 120000;
 
 /**
- * Interface for server configuration
+ * Time allowed for a single operation executed by a persistent worker
  */
-interface GodotServerConfig {
-  godotPath?: string;
-  debugMode?: boolean;
-  godotDebugMode?: boolean;
-  strictPathValidation?: boolean; // New option to control path validation behavior
-  portalSdkPath?: string;
-  portalProjectPath?: string;
-  fbExportDataPath?: string;
-  pythonPath?: string;
+const WORKER_REQUEST_TIMEOUT_MS = 300000;
+
+/**
+ * Idle time after which a persistent worker is shut down to free memory
+ */
+const WORKER_IDLE_TIMEOUT_MS = 600000;
+
+/**
+ * Number of worker failures within WORKER_FAILURE_WINDOW_MS after which a project falls back to one-shot mode
+ */
+const WORKER_MAX_FAILURES = 3;
+const WORKER_FAILURE_WINDOW_MS = 300000;
+
+/**
+ * Operations that never write to the project, and so can be retried one-shot after the worker crashed mid-request
+ */
+const READ_ONLY_OPERATIONS = new Set(['get_uid', 'get_scene_tree']);
+
+/**
+ * Error thrown when a request cannot be handed to a persistent worker
+ * Callers fall back to one-shot execution when they see it
+ */
+class WorkerUnavailableError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'WorkerUnavailableError';
+  }
 }
 
 /**
- * Interface for operation parameters
+ * Interface for a request waiting on a persistent worker response
  */
-interface OperationParams {
-  [key: string]: any;
+interface PendingWorkerRequest {
+  operation: string;
+  resolve: (value: { stdout: string; stderr: string; result: OperationResult }) => void;
+  timer: NodeJS.Timeout;
+  stdout: string[];
+  stderr: string[];
 }
 
 /**
- * Main server class for the Battlefield 6 Portal MCP server
+ * Long-lived headless Godot process that keeps a project loaded and executes
+ * godot_operations.gd operations sent over a local TCP connection.
+ * Requests and responses are newline-delimited JSON; the worker connects back to
+ * a loopback port chosen by this class and must first send the token it was started with,
+ * so no other local process can take its place.
  */
-class GodotServer {
-  private server: Server;
-  private debugMode: boolean = DEBUG_MODE;
-  private activeProcess: GodotProcess | null = null;
-  private godotPath: string | null = null;
-  private operationsScriptPath: string;
-  private validatedPaths: Map<string, boolean> = new Map();
-  private strictPathValidation: boolean = false;
-  private portalSdkPath: string | null = null;
-  private portalProjectPath: string | null = null;
-  private fbExportDataPath: string | null = null;
-  private pythonCommand: string | null = null;
-  private initialConfig?: GodotServerConfig;
+class GodotWorker {
+  private child: ChildProcess | null = null;
+  private listener: NetServer | null = null;
+  private socket: Socket | null = null;
+  private buffer: string = '';
+  private nextRequestId: number = 1;
+  private pending: Map<number, PendingWorkerRequest> = new Map();
+  private queue: Promise<unknown> = Promise.resolve();
+  private idleTimer: NodeJS.Timeout | null = null;
+  private starting: Promise<void> | null = null;
+  private exited: boolean = false;
+  private failed: boolean = false; // Set when the worker is stopped because a request timed out
+  private exitHandled: boolean = false;
+  private token: string = randomBytes(24).toString('hex');
+
+  constructor(
+    private godotPath: string,
+    private projectPath: string,
+    private scriptPath: string,
+    private extraArgs: string[],
+    private logDebug: (message: string) => void,
+    private onExit: (worker: GodotWorker, unexpected: boolean) => void
+  ) {}
 
   /**
-   * Parameter name mappings between snake_case and camelCase
-   * This allows the server to accept both formats
+   * Whether the worker is connected and able to accept requests
    */
-  private parameterMappings: Record<string, string> = {
-    'project_path': 'projectPath',
-    'scene_path': 'scenePath',
-    'root_node_type': 'rootNodeType',
-    'parent_node_path': 'parentNodePath',
-    'node_type': 'nodeType',
-    'node_name': 'nodeName',
-    'texture_path': 'texturePath',
-    'node_path': 'nodePath',
-    'output_path': 'outputPath',
-    'mesh_item_names': 'meshItemNames',
-    'new_path': 'newPath',
-    'file_path': 'filePath',
-    'directory': 'directory',
-    'recursive': 'recursive',
-    'scene': 'scene',
-  };
+  get alive(): boolean {
+    return !this.exited && this.socket !== null && !this.socket.destroyed;
+  }
 
   /**
-   * Reverse mapping from camelCase to snake_case
-   * Generated from parameterMappings for quick lookups
+   * Start the worker process and wait for it to connect back
    */
-  private reverseParameterMappings: Record<string, string> = {};
-
-  constructor(config?: GodotServerConfig) {
-    this.initialConfig = config;
-    // Initialize reverse parameter mappings
-    for (const [snakeCase, camelCase] of Object.entries(this.parameterMappings)) {
-      this.reverseParameterMappings[camelCase] = snakeCase;
+  start(): Promise<void> {
+    if (!this.starting) {
+      this.starting = this.spawnWorker();
     }
-    // Apply configuration if provided
-    let debugMode = DEBUG_MODE;
-    let godotDebugMode = GODOT_DEBUG_MODE;
+    return this.starting;
+  }
 
-    if (config) {
-      if (config.debugMode !== undefined) {
-        debugMode = config.debugMode;
-      }
-      if (config.godotDebugMode !== undefined) {
-        godotDebugMode = config.godotDebugMode;
-      }
-      if (config.strictPathValidation !== undefined) {
-        this.strictPathValidation = config.strictPathValidation;
-      }
+  /**
+   * Execute an operation on the worker
+   * Requests are serialized so stdout/stderr can be attributed to the request that produced them
+   * @param operation Operation name understood by godot_operations.gd
+   * @param params Snake_case operation parameters
+   * @throws WorkerUnavailableError when the worker is not connected
+   */
+  execute(operation: string, params: OperationParams): Promise<{ stdout: string; stderr: string; result: OperationResult }> {
+    const run = this.queue.then(() => this.send(operation, params));
+    this.queue = run.catch(() => undefined);
+    return run;
+  }
 
-      // Store and validate custom Godot path if provided
-      if (config.godotPath) {
-        const normalizedPath = normalize(config.godotPath);
-        this.godotPath = normalizedPath;
-        this.logDebug(`Custom Godot path provided: ${this.godotPath}`);
+  /**
+   * Stop the worker process
+   */
+  stop(): void {
+    this.exited = true;
+    this.clearIdleTimer();
+    this.failPending('WORKER_STOPPED', 'The persistent Godot worker was stopped');
+    this.socket?.destroy();
+    this.listener?.close();
+    if (this.child && this.child.exitCode === null) {
+      this.child.kill();
+    }
+  }
 
-        // Validate immediately with sync check
-        if (!this.isValidGodotPathSync(this.godotPath)) {
-          console.warn(`[SERVER] Invalid custom Godot path provided: ${this.godotPath}`);
-          this.godotPath = null; // Reset to trigger auto-detection later
+  private spawnWorker(): Promise<void> {
+    return new Promise<void>((resolve, reject) => {
+      let settled = false;
+      const settle = (error?: Error) => {
+        if (settled) {
+          return;
         }
-      }
-      if (config.portalSdkPath) {
-        this.portalSdkPath = normalize(config.portalSdkPath);
-        this.logDebug(`Custom Portal SDK path provided: ${this.portalSdkPath}`);
-      }
-      if (config.portalProjectPath) {
-        this.portalProjectPath = normalize(config.portalProjectPath);
-        this.logDebug(`Custom Portal project path provided: ${this.portalProjectPath}`);
-      }
-      if (config.fbExportDataPath) {
-        this.fbExportDataPath = normalize(config.fbExportDataPath);
-        this.logDebug(`Custom Portal FbExportData path provided: ${this.fbExportDataPath}`);
-      }
-      if (config.pythonPath) {
-        this.pythonCommand = config.pythonPath;
-        this.logDebug(`Custom Python command provided: ${this.pythonCommand}`);
-      }
-    }
+        settled = true;
+        clearTimeout(startTimer);
+        if (error) {
+          this.stop();
+          reject(error);
+        } else {
+          resolve();
+        }
+      };
 
-    // Persist the effective debug mode for other helpers
-    this.debugMode = debugMode;
+      const startTimer = setTimeout(
+        () => settle(new WorkerUnavailableError('Timed out waiting for the Godot worker to connect')),
+        WORKER_START_TIMEOUT_MS
+      );
 
-    // Attempt to resolve Portal SDK paths immediately so defaults are available
-    this.detectPortalPaths();
+      this.listener = createServer((socket: Socket) => {
+        if (this.socket) {
+          socket.destroy();
+          return;
+        }
+        socket.setEncoding('utf8');
+        socket.on('error', (error: Error) => this.logDebug(`[Worker ${this.projectPath}] Socket error: ${error.message}`));
+
+        // The first line must be the token; anything else is a connection from some other process
+        let greeting = '';
+        const onGreeting = (chunk: string) => {
+          greeting += chunk;
+          const newline = greeting.indexOf('\n');
+          if (newline === -1) {
+            if (greeting.length > this.token.length + 2) {
+              socket.destroy();
+            }
+            return;
+          }
+          socket.off('data', onGreeting);
+          if (this.socket || !this.isToken(greeting.slice(0, newline).trim())) {
+            this.logDebug(`[Worker ${this.projectPath}] Rejected a connection that did not present the worker token`);
+            socket.destroy();
+            return;
+          }
 
-    // Set the path to the operations script
-    this.operationsScriptPath = join(__dirname, 'scripts', 'godot_operations.gd');
-    this.logDebug(`Operations script path: ${this.operationsScriptPath}`);
+          this.socket = socket;
+          socket.on('data', (data: string) => this.handleData(data));
+          socket.on('close', () => this.handleExit());
+          this.logDebug(`[Worker ${this.projectPath}] Connected`);
+          this.resetIdleTimer();
+          settle();
+          this.handleData(greeting.slice(newline + 1));
+        };
+        socket.on('data', onGreeting);
+      });
 
-    // Initialize the MCP server
-    this.server = new Server(
-      {
-        name: 'bf6-portal-mcp-server',
-        version: '0.2.0',
-      },
-      {
-        capabilities: {
-          tools: {},
-        },
-      }
-    );
+      this.listener.on('error', (error: Error) => settle(new WorkerUnavailableError(error.message)));
+
+      this.listener.listen(0, '127.0.0.1', () => {
+        const address = this.listener!.address();
+        const port = typeof address === 'object' && address ? address.port : 0;
+        const args = [
+          '--headless',
+          '--path',
+          this.projectPath,
+          '--script',
+          this.scriptPath,
+          'worker',
+          JSON.stringify({ port, token: this.token }),
+          ...this.extraArgs,
+        ];
+        this.logDebug(`[Worker ${this.projectPath}] Starting on port ${port}`);
+
+        this.child = spawn(this.godotPath, args, { stdio: 'pipe' });
+        this.child.stdout?.on('data', (data: Buffer) => this.captureOutput('stdout', data.toString()));
+        this.child.stderr?.on('data', (data: Buffer) => this.captureOutput('stderr', data.toString()));
+        this.child.on('error', (error: Error) => settle(new WorkerUnavailableError(error.message)));
+        this.child.on('exit', (code: number | null) => {
+          this.logDebug(`[Worker ${this.projectPath}] Exited with code ${code}`);
+          settle(new WorkerUnavailableError(`Godot worker exited with code ${code} before connecting`));
+          this.handleExit();
+        });
+      });
+    });
+  }
 
-    // Set up tool handlers
-    this.setupToolHandlers();
+  private isToken(candidate: string): boolean {
+    const expected = Buffer.from(this.token);
+    const actual = Buffer.from(candidate);
+    return actual.length === expected.length && timingSafeEqual(actual, expected);
+  }
 
-    // Error handling
-    this.server.onerror = (error) => console.error('[MCP Error]', error);
+  private send(operation: string, params: OperationParams): Promise<{ stdout: string; stderr: string; result: OperationResult }> {
+    if (!this.alive) {
+      return Promise.reject(new WorkerUnavailableError('The Godot worker is not connected'));
+    }
 
-    // Cleanup on exit
-    process.on('SIGINT', async () => {
-      await this.cleanup();
-      process.exit(0);
+    this.clearIdleTimer();
+    const id = this.nextRequestId++;
+
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        this.logDebug(`[Worker ${this.projectPath}] Request ${id} (${operation}) timed out`);
+        this.failPending('WORKER_TIMEOUT', `Operation ${operation} timed out after ${WORKER_REQUEST_TIMEOUT_MS}ms`);
+        this.failed = true;
+        this.stop();
+      }, WORKER_REQUEST_TIMEOUT_MS);
+
+      this.pending.set(id, { operation, resolve, timer, stdout: [], stderr: [] });
+      this.socket!.write(JSON.stringify({ id, operation, params }) + '\n');
     });
   }
 
-  /**
-   * Log debug messages if debug mode is enabled
-   */
-  private logDebug(message: string): void {
-    if (this.debugMode) {
-      console.error(`[DEBUG] ${message}`);
+  private handleData(chunk: string): void {
+    this.buffer += chunk;
+    let newline = this.buffer.indexOf('\n');
+    while (newline !== -1) {
+      const line = this.buffer.slice(0, newline).trim();
+      this.buffer = this.buffer.slice(newline + 1);
+      if (line) {
+        this.handleResponse(line);
+      }
+      newline = this.buffer.indexOf('\n');
     }
   }
 
-  /**
-   * Create a standardized error response with possible solutions
-   */
-  private createErrorResponse(message: string, possibleSolutions: string[] = []): any {
-    // Log the error
-    console.error(`[SERVER] Error response: ${message}`);
-    if (possibleSolutions.length > 0) {
-      console.error(`[SERVER] Possible solutions: ${possibleSolutions.join(', ')}`);
+  private handleResponse(line: string): void {
+    let envelope: any;
+    try {
+      envelope = JSON.parse(line);
+    } catch (error) {
+      this.logDebug(`[Worker ${this.projectPath}] Ignoring malformed response: ${line}`);
+      return;
     }
 
-    const response: any = {
-      content: [
-        {
-          type: 'text',
-          text: message,
-        },
-      ],
-      isError: true,
-    };
-
-    if (possibleSolutions.length > 0) {
-      response.content.push({
-        type: 'text',
-        text: 'Possible solutions:\n- ' + possibleSolutions.join('\n- '),
-      });
+    const request = this.pending.get(envelope.id);
+    if (!request) {
+      this.logDebug(`[Worker ${this.projectPath}] Response for unknown request ${envelope.id}`);
+      return;
     }
 
-    return response;
-  }
+    clearTimeout(request.timer);
+    this.pending.delete(envelope.id);
+    request.resolve({
+      stdout: request.stdout.join(''),
+      stderr: request.stderr.join(''),
+      result: {
+        status: envelope.status === 'ok' ? 'ok' : 'error',
+        operation: envelope.operation ?? request.operation,
+        data: envelope.data ?? {},
+        errors: Array.isArray(envelope.errors) ? envelope.errors : [],
+        warnings: Array.isArray(envelope.warnings) ? envelope.warnings : [],
+      },
+    });
 
-  /**
-   * Validate a path to prevent path traversal attacks
-   */
-  private validatePath(path: string): boolean {
-    // Basic validation to prevent path traversal
-    if (!path || path.includes('..')) {
-      return false;
+    if (this.pending.size === 0) {
+      this.resetIdleTimer();
     }
-
-    // Add more validation as needed
-    return true;
   }
 
-  /**
-   * Determine if a path is absolute, supporting both POSIX and Windows formats
-   */
-  private isAbsolutePath(path: string): boolean {
-    if (!path) {
-      return false;
+  private captureOutput(stream: 'stdout' | 'stderr', text: string): void {
+    for (const request of this.pending.values()) {
+      request[stream].push(text);
     }
-
-    return path.startsWith('/') || path.startsWith('res://') || /^[A-Za-z]:[\\/]/.test(path);
-  }
-
-  /**
-   * Convert a path to an absolute path using a base directory
-   */
-  private toAbsolutePath(basePath: string, targetPath: string): string {
-    if (!targetPath) {
-      return targetPath;
+    if (text.trim()) {
+      this.logDebug(`[Worker ${this.projectPath} ${stream}] ${text.trim()}`);
     }
+  }
 
-    if (targetPath.startsWith('res://')) {
-      const relativePath = targetPath.replace('res://', '');
-      return normalize(join(basePath, relativePath));
+  private handleExit(): void {
+    // Both the socket closing and the process exiting end up here; only the first is reported
+    if (this.exitHandled) {
+      return;
     }
+    this.exitHandled = true;
+    // Crashes and timeouts after a successful connection count as unexpected; start failures are reported by start()
+    const unexpected = this.failed || (!this.exited && this.socket !== null);
+    this.exited = true;
+    this.clearIdleTimer();
+    this.failPending(
+      'WORKER_CRASHED',
+      'The persistent Godot worker exited while executing the operation; it may already have saved, so check the file before retrying'
+    );
+    this.socket?.destroy();
+    this.listener?.close();
+    this.onExit(this, unexpected);
+  }
 
-    if (this.isAbsolutePath(targetPath)) {
-      return normalize(targetPath);
+  private failPending(code: string, message: string): void {
+    for (const [id, request] of this.pending) {
+      clearTimeout(request.timer);
+      this.pending.delete(id);
+      request.resolve({
+        stdout: request.stdout.join(''),
+        stderr: request.stderr.join(''),
+        result: { status: 'error', operation: request.operation, data: {}, errors: [{ code, message }], warnings: [] },
+      });
     }
+  }
 
-    return normalize(join(basePath, targetPath));
+  private resetIdleTimer(): void {
+    this.clearIdleTimer();
+    this.idleTimer = setTimeout(() => {
+      this.logDebug(`[Worker ${this.projectPath}] Idle, shutting down`);
+      this.stop();
+    }, WORKER_IDLE_TIMEOUT_MS);
+    this.idleTimer.unref();
   }
 
-  /**
-   * Synchronous validation for constructor use
-   * This is a quick check that only verifies file existence, not executable validity
-   * Full validation will be performed later in detectGodotPath
-   * @param path Path to check
-   * @returns True if the path exists or is 'godot' (which might be in PATH)
-   */
-  private isValidGodotPathSync(path: string): boolean {
-    try {
-      this.logDebug(`Quick-validating Godot path: ${path}`);
-      return path === 'godot' || existsSync(path);
-    } catch (error) {
-      this.logDebug(`Invalid Godot path: ${path}, error: ${error}`);
-      return false;
+  private clearIdleTimer(): void {
+    if (this.idleTimer) {
+      clearTimeout(this.idleTimer);
+      this.idleTimer = null;
     }
   }
+}
 
-  /**
-   * Validate if a Godot path is valid and executable
-   */
-  private async isValidGodotPath(path: string): Promise<boolean> {
-    // Check cache first
-    if (this.validatedPaths.has(path)) {
-      return this.validatedPaths.get(path)!;
-    }
+/**
+ * Maximum number of exited sessions kept around for output inspection
+ */
+const MAX_RETAINED_SESSIONS = 20;
 
-    try {
-      this.logDebug(`Validating Godot path: ${path}`);
+/**
+ * Time stop_project waits for a killed Godot process to close its output before reporting the final lines
+ */
+const SESSION_STOP_TIMEOUT_MS = 2000;
 
-      // Check if the file exists (skip for 'godot' which might be in PATH)
-      if (path !== 'godot' && !existsSync(path)) {
-        this.logDebug(`Path does not exist: ${path}`);
-        this.validatedPaths.set(path, false);
-        return false;
-      }
+/**
+ * Default number of output lines retained per session before the oldest are dropped
+ */
+const DEFAULT_LOG_BUFFER_LINES = 5000;
 
-      // Try to execute Godot with --version flag
-      const command = path === 'godot' ? 'godot --version' : `"${path}" --version`;
-      await execAsync(command);
+/**
+ * Default number of lines returned by a single get_debug_output call
+ */
+const DEFAULT_DEBUG_OUTPUT_MAX_LINES = 200;
 
-      this.logDebug(`Valid Godot path: ${path}`);
-      this.validatedPaths.set(path, true);
-      return true;
-    } catch (error) {
-      this.logDebug(`Invalid Godot path: ${path}, error: ${error}`);
-      this.validatedPaths.set(path, false);
-      return false;
-    }
+/**
+ * Output stream a log line was captured from
+ */
+type LogStream = 'stdout' | 'stderr';
+
+/**
+ * Interface for a single captured output line
+ */
+interface LogEntry {
+  seq: number;
+  stream: LogStream;
+  text: string;
+  timestamp: string;
+}
+
+/**
+ * Interface for log buffer read options
+ */
+interface LogReadOptions {
+  sinceCursor?: number;
+  maxLines?: number;
+  stream?: LogStream | 'both';
+  filter?: RegExp | null;
+}
+
+/**
+ * Interface for the result of a log buffer read
+ */
+interface LogReadResult {
+  lines: LogEntry[];
+  cursor: number;
+  hasMore: boolean;
+  droppedLines: number;
+}
+
+/**
+ * Fixed-size ring buffer of process output lines
+ * Every line receives a monotonically increasing sequence number that callers use as a cursor
+ */
+class LogBuffer {
+  private entries: Array<LogEntry | undefined>;
+  private head: number = 0;
+  private size: number = 0;
+  private nextSeq: number = 1;
+  private partialLines: Record<LogStream, string> = { stdout: '', stderr: '' };
+
+  constructor(private capacity: number = DEFAULT_LOG_BUFFER_LINES) {
+    this.capacity = Math.max(1, Math.floor(capacity));
+    this.entries = new Array(this.capacity);
   }
 
   /**
-   * Attempt to detect the Portal SDK root and related directories
+   * Sequence number of the most recent line, or 0 when nothing was captured yet
    */
-  private detectPortalPaths(config: GodotServerConfig | undefined = this.initialConfig): void {
-    const candidateRoots: string[] = [];
-    const addCandidate = (candidate?: string | null) => {
-      if (candidate) {
-        const normalized = normalize(candidate);
-        if (!candidateRoots.includes(normalized)) {
-          candidateRoots.push(normalized);
-        }
-      }
-    };
-
-    if (!this.portalSdkPath && config?.portalSdkPath) {
-      addCandidate(config.portalSdkPath);
-    } else if (this.portalSdkPath) {
-      addCandidate(this.portalSdkPath);
-    }
+  get lastSeq(): number {
+    return this.nextSeq - 1;
+  }
 
-    if (process.env.PORTAL_SDK_PATH) {
-      addCandidate(process.env.PORTAL_SDK_PATH);
-    }
+  /**
+   * Sequence number of the oldest line still retained
+   */
+  get firstSeq(): number {
+    return this.nextSeq - this.size;
+  }
 
-    if (!this.portalProjectPath && config?.portalProjectPath) {
-      this.portalProjectPath = normalize(config.portalProjectPath);
-    }
-    if (!this.portalProjectPath && process.env.PORTAL_PROJECT_PATH) {
-      this.portalProjectPath = normalize(process.env.PORTAL_PROJECT_PATH);
-    }
-    if (!this.fbExportDataPath && config?.fbExportDataPath) {
-      this.fbExportDataPath = normalize(config.fbExportDataPath);
-    }
-    if (!this.fbExportDataPath && process.env.PORTAL_FB_EXPORT_PATH) {
-      this.fbExportDataPath = normalize(process.env.PORTAL_FB_EXPORT_PATH);
-    }
+  /**
+   * Append a raw chunk of process output, keeping incomplete trailing lines until the next chunk
+   * @param stream Stream the chunk was read from
+   * @param chunk Raw output text
+   * @returns The complete lines that were appended
+   */
+  write(stream: LogStream, chunk: string): LogEntry[] {
+    const lines = (this.partialLines[stream] + chunk).split(/\r?\n/);
+    this.partialLines[stream] = lines.pop() ?? '';
+    return lines.map((line) => this.push(stream, line));
+  }
 
-    const searchDirs = [process.cwd(), __dirname, dirname(__dirname)];
-    for (const dir of searchDirs) {
-      const resolved = this.resolvePortalSdkRootFrom(dir);
-      if (resolved) {
-        addCandidate(resolved);
+  /**
+   * Append incomplete trailing lines, used once the process has exited
+   * @returns The lines that were appended
+   */
+  flush(): LogEntry[] {
+    const flushed: LogEntry[] = [];
+    for (const stream of ['stdout', 'stderr'] as LogStream[]) {
+      if (this.partialLines[stream]) {
+        flushed.push(this.push(stream, this.partialLines[stream]));
+        this.partialLines[stream] = '';
       }
     }
+    return flushed;
+  }
 
-    for (const candidate of candidateRoots) {
-      if (this.isValidPortalSdkRoot(candidate)) {
-        if (!this.portalSdkPath || this.portalSdkPath !== candidate) {
-          this.logDebug(`Detected Portal SDK path: ${candidate}`);
-        }
-        this.portalSdkPath = candidate;
-        break;
-      }
+  /**
+   * Append a single complete line
+   * @param stream Stream the line belongs to
+   * @param text Line content without the trailing newline
+   */
+  push(stream: LogStream, text: string): LogEntry {
+    const entry: LogEntry = {
+      seq: this.nextSeq++,
+      stream,
+      text,
+      timestamp: new Date().toISOString(),
+    };
+
+    this.entries[(this.head + this.size) % this.capacity] = entry;
+    if (this.size < this.capacity) {
+      this.size++;
+    } else {
+      this.head = (this.head + 1) % this.capacity;
     }
 
-    if (this.portalSdkPath) {
-      const projectCandidate = normalize(join(this.portalSdkPath, 'GodotProject'));
-      if (!this.portalProjectPath && existsSync(join(projectCandidate, 'project.godot'))) {
-        this.portalProjectPath = projectCandidate;
-        this.logDebug(`Detected Portal project path: ${this.portalProjectPath}`);
+    return entry;
+  }
+
+  /**
+   * Read lines newer than a cursor
+   * @param options Cursor, page size, stream and filter options
+   * @returns Matching lines and the cursor to pass on the next call
+   */
+  read(options: LogReadOptions = {}): LogReadResult {
+    const sinceCursor = Math.max(0, Math.floor(options.sinceCursor ?? 0));
+    const maxLines = Math.max(1, Math.floor(options.maxLines ?? DEFAULT_DEBUG_OUTPUT_MAX_LINES));
+    const stream = options.stream ?? 'both';
+
+    const lines: LogEntry[] = [];
+    let cursor = Math.min(sinceCursor, this.lastSeq);
+    let hasMore = false;
+
+    for (let i = 0; i < this.size; i++) {
+      const entry = this.entries[(this.head + i) % this.capacity]!;
+      if (entry.seq <= sinceCursor) {
+        continue;
       }
 
-      const fbCandidate = normalize(join(this.portalSdkPath, 'SDK', 'deps', 'FbExportData'));
-      if (!this.fbExportDataPath && existsSync(fbCandidate)) {
-        this.fbExportDataPath = fbCandidate;
-        this.logDebug(`Detected Portal FbExportData path: ${this.fbExportDataPath}`);
+      const matches =
+        (stream === 'both' || entry.stream === stream) && (!options.filter || options.filter.test(entry.text));
+      if (matches) {
+        if (lines.length >= maxLines) {
+          hasMore = true;
+          break;
+        }
+        lines.push(entry);
       }
+      cursor = entry.seq;
     }
 
-    if (this.portalProjectPath) {
-      this.portalProjectPath = normalize(this.portalProjectPath);
-    }
-    if (this.fbExportDataPath) {
-      this.fbExportDataPath = normalize(this.fbExportDataPath);
-    }
+    return {
+      lines,
+      cursor,
+      hasMore,
+      droppedLines: Math.max(0, this.firstSeq - sinceCursor - 1),
+    };
   }
 
   /**
-   * Resolve a Portal SDK root directory by searching upwards from a starting point
+   * Read the most recent lines
+   * @param count Number of lines to return
    */
-  private resolvePortalSdkRootFrom(startDir: string): string | null {
-    if (!startDir) {
-      return null;
-    }
+  tail(count: number): LogReadResult {
+    return this.read({ sinceCursor: Math.max(this.firstSeq - 1, this.lastSeq - count), maxLines: count });
+  }
+}
 
-    let current = normalize(startDir);
-    const visited = new Set<string>();
+/**
+ * Maximum number of distinct diagnostics tracked per session
+ */
+const MAX_SESSION_DIAGNOSTICS = 1000;
 
-    while (!visited.has(current)) {
-      if (this.isValidPortalSdkRoot(current)) {
-        return current;
-      }
+/**
+ * Interface for a single frame of a Godot error location or script backtrace
+ */
+interface DiagnosticFrame {
+  function: string | null;
+  file: string;
+  line: number;
+}
 
-      const candidate = join(current, 'PortalSDK');
-      if (this.isValidPortalSdkRoot(candidate)) {
-        return candidate;
-      }
+/**
+ * Interface for a deduplicated Godot error or warning
+ */
+interface GodotDiagnostic {
+  severity: 'error' | 'warning';
+  kind: 'script' | 'user' | 'engine';
+  message: string;
+  file: string | null;
+  line: number | null;
+  function: string | null;
+  stack: DiagnosticFrame[];
+  count: number;
+  firstSeq: number;
+  lastSeq: number;
+}
 
-      visited.add(current);
-      const parent = dirname(current);
-      if (parent === current) {
-        break;
+/**
+ * Incremental parser that groups Godot SCRIPT ERROR/ERROR/WARNING headers with their
+ * "at:" locations and GDScript backtrace frames into deduplicated diagnostics
+ */
+class GodotDiagnosticParser {
+  private static readonly HEADER_PATTERN =
+    /^\s*(SCRIPT ERROR|SCRIPT WARNING|USER SCRIPT ERROR|USER SCRIPT WARNING|USER ERROR|USER WARNING|ERROR|WARNING):\s*(.*)$/;
+  private static readonly AT_PATTERN = /^\s*at:\s*(?:(.*?)\s*)?\((.+):(\d+)\)\s*$/;
+  private static readonly BACKTRACE_FRAME_PATTERN = /^\s*\[\d+\]\s*(?:(.*?)\s*)?\((.+):(\d+)\)\s*$/;
+  private static readonly BACKTRACE_HEADER_PATTERN = /^\s*GDScript backtrace/;
+  private static readonly MESSAGE_LOCATION_PATTERN = /(res:\/\/[^\s:()"']+):(\d+)/;
+
+  private diagnostics: Map<string, GodotDiagnostic> = new Map();
+  private pending: Partial<Record<LogStream, GodotDiagnostic>> = {};
+  private overflowCount: number = 0;
+
+  /**
+   * Feed a captured output line into the parser
+   * @param entry The log line
+   */
+  feed(entry: LogEntry): void {
+    const header = entry.text.match(GodotDiagnosticParser.HEADER_PATTERN);
+    if (header) {
+      this.finalize(entry.stream);
+      const label = header[1];
+      this.pending[entry.stream] = {
+        severity: label.includes('WARNING') ? 'warning' : 'error',
+        kind: label.startsWith('SCRIPT') ? 'script' : label.startsWith('USER') ? 'user' : 'engine',
+        message: header[2].trim(),
+        file: null,
+        line: null,
+        function: null,
+        stack: [],
+        count: 1,
+        firstSeq: entry.seq,
+        lastSeq: entry.seq,
+      };
+      return;
+    }
+
+    const pending = this.pending[entry.stream];
+    if (!pending) {
+      return;
+    }
+
+    const frame =
+      entry.text.match(GodotDiagnosticParser.AT_PATTERN) ??
+      entry.text.match(GodotDiagnosticParser.BACKTRACE_FRAME_PATTERN);
+    if (frame) {
+      const parsed: DiagnosticFrame = {
+        function: frame[1] ? frame[1] : null,
+        file: frame[2],
+        line: parseInt(frame[3], 10),
+      };
+      const duplicate = pending.stack.some(
+        (existing) =>
+          existing.file === parsed.file && existing.line === parsed.line && existing.function === parsed.function
+      );
+      if (!duplicate) {
+        pending.stack.push(parsed);
       }
-      current = parent;
+      return;
     }
 
-    return null;
+    if (GodotDiagnosticParser.BACKTRACE_HEADER_PATTERN.test(entry.text)) {
+      return;
+    }
+
+    this.finalize(entry.stream);
   }
 
   /**
-   * Determine if a path looks like a Portal SDK root
+   * Finalize diagnostics that are still waiting for more stack frames
    */
-  private isValidPortalSdkRoot(pathToCheck: string): boolean {
-    if (!pathToCheck) {
-      return false;
-    }
-
-    const sdkDir = join(pathToCheck, 'SDK');
-    const projectDir = join(pathToCheck, 'GodotProject');
-    const fbExportDir = join(pathToCheck, 'SDK', 'deps', 'FbExportData');
+  flush(): void {
+    this.finalize('stdout');
+    this.finalize('stderr');
+  }
 
-    return (
-      existsSync(sdkDir) &&
-      existsSync(projectDir) &&
-      existsSync(join(projectDir, 'project.godot')) &&
-      existsSync(fbExportDir)
-    );
+  /**
+   * Number of distinct diagnostics that were discarded after MAX_SESSION_DIAGNOSTICS was reached
+   */
+  get overflow(): number {
+    return this.overflowCount;
   }
 
   /**
-   * Resolve the project path, defaulting to the detected Portal project when available
+   * Get all diagnostics seen so far, including ones that may still receive stack frames
+   * @returns Diagnostics ordered by first occurrence
    */
-  private resolveProjectPath(providedPath?: string): string | null {
-    if (providedPath) {
-      return normalize(providedPath);
+  snapshot(): GodotDiagnostic[] {
+    const merged = new Map<string, GodotDiagnostic>();
+    for (const [key, diagnostic] of this.diagnostics) {
+      merged.set(key, { ...diagnostic, stack: [...diagnostic.stack] });
     }
 
-    this.detectPortalPaths();
-
-    if (this.portalProjectPath) {
-      return this.portalProjectPath;
+    for (const pending of Object.values(this.pending)) {
+      if (!pending) {
+        continue;
+      }
+      const resolved = this.resolveLocation(pending);
+      const key = this.keyFor(resolved);
+      const existing = merged.get(key);
+      if (existing) {
+        existing.count += 1;
+        existing.lastSeq = Math.max(existing.lastSeq, resolved.lastSeq);
+      } else {
+        merged.set(key, resolved);
+      }
     }
 
-    return null;
+    return Array.from(merged.values()).sort((a, b) => a.firstSeq - b.firstSeq);
   }
 
   /**
-   * Load JSON from disk with logging on parse failures
+   * Commit the pending diagnostic for a stream into the deduplicated set
+   * @param stream Stream whose pending diagnostic is complete
    */
-  private readJsonFile(filePath: string): any | null {
-    try {
-      if (!existsSync(filePath)) {
-        return null;
-      }
-      const content = readFileSync(filePath, 'utf-8');
-      return JSON.parse(content);
-    } catch (error) {
-      this.logDebug(`Failed to read JSON file ${filePath}: ${error}`);
-      return null;
+  private finalize(stream: LogStream): void {
+    const pending = this.pending[stream];
+    if (!pending) {
+      return;
     }
+    delete this.pending[stream];
+
+    const resolved = this.resolveLocation(pending);
+    const key = this.keyFor(resolved);
+    const existing = this.diagnostics.get(key);
+    if (existing) {
+      existing.count += 1;
+      existing.lastSeq = resolved.lastSeq;
+      return;
+    }
+
+    if (this.diagnostics.size >= MAX_SESSION_DIAGNOSTICS) {
+      this.overflowCount++;
+      return;
+    }
+
+    this.diagnostics.set(key, resolved);
   }
 
   /**
-   * Find Portal script directories for a specific level
+   * Pick the primary location, preferring project scripts over engine sources
+   * @param diagnostic Diagnostic with its collected frames
    */
-  private findPortalScriptDirectories(levelName: string): string[] {
-    if (!this.portalProjectPath) {
-      return [];
+  private resolveLocation(diagnostic: GodotDiagnostic): GodotDiagnostic {
+    const scriptFrame = diagnostic.stack.find((frame) => frame.file.startsWith('res://'));
+    if (scriptFrame) {
+      return { ...diagnostic, file: scriptFrame.file, line: scriptFrame.line, function: scriptFrame.function };
     }
 
-    const scriptsDir = join(this.portalProjectPath, 'scripts');
-    if (!existsSync(scriptsDir)) {
-      return [];
+    const messageLocation = diagnostic.message.match(GodotDiagnosticParser.MESSAGE_LOCATION_PATTERN);
+    if (messageLocation) {
+      return { ...diagnostic, file: messageLocation[1], line: parseInt(messageLocation[2], 10) };
     }
 
-    const result: string[] = [];
-
-    try {
-      const theaters = readdirSync(scriptsDir, { withFileTypes: true });
-      for (const theater of theaters) {
-        if (!theater.isDirectory()) {
-          continue;
-        }
-        const levelDir = join(scriptsDir, theater.name, levelName);
-        if (existsSync(levelDir)) {
-          result.push(normalize(levelDir));
-        }
-      }
-    } catch (error) {
-      this.logDebug(`Failed to scan Portal script directories: ${error}`);
+    const firstFrame = diagnostic.stack[0];
+    if (firstFrame) {
+      return { ...diagnostic, file: firstFrame.file, line: firstFrame.line, function: firstFrame.function };
     }
 
-    return result;
+    return diagnostic;
   }
 
   /**
-   * Get a helper script path from the Portal gdconverter utilities
+   * Build the deduplication key for a diagnostic
    */
-  private getGdConverterScriptPath(scriptName: string): string | null {
-    this.detectPortalPaths();
+  private keyFor(diagnostic: GodotDiagnostic): string {
+    return `${diagnostic.severity}|${diagnostic.message}|${diagnostic.file ?? ''}|${diagnostic.line ?? ''}`;
+  }
+}
 
-    if (!this.portalSdkPath) {
-      return null;
-    }
+/**
+ * Interface representing a Godot process started by run_project
+ */
+interface GodotSession {
+  id: string;
+  process: any;
+  projectPath: string;
+  scene: string | null;
+  startedAt: Date;
+  exitedAt: Date | null;
+  exitCode: number | null;
+  logs: LogBuffer;
+  diagnostics: GodotDiagnosticParser;
+}
 
-    const scriptPath = join(
-      this.portalSdkPath,
-      'SDK',
-      'deps',
-      'gdconverter',
-      'src',
-      'gdconverter',
-      scriptName
-    );
+/**
+ * Maximum number of finished background jobs kept for get_job_status and in the persisted job history
+ */
+const MAX_RETAINED_JOBS = 50;
 
-    if (existsSync(scriptPath)) {
-      return normalize(scriptPath);
+/**
+ * Default number of background jobs that run at the same time; further jobs wait in the queue
+ */
+const DEFAULT_MAX_CONCURRENT_JOBS = 2;
+
+/**
+ * Default time a background job may run before it is stopped
+ */
+const DEFAULT_JOB_TIMEOUT_MS = 3600000;
+
+/**
+ * Number of output lines stored with each job in the persisted job history
+ */
+const JOB_HISTORY_OUTPUT_LINES = 50;
+
+/**
+ * Input schema properties of tools that run through the job queue
+ */
+const BACKGROUND_JOB_PROPERTIES = {
+  async: {
+    type: 'boolean',
+    description: 'Optional: Return a jobId immediately and run in the background; poll get_job_status for the result',
+  },
+  timeoutMs: {
+    type: 'number',
+    description: `Optional: Stop the job this many milliseconds after it was queued, including time spent waiting for a slot (defaults to ${DEFAULT_JOB_TIMEOUT_MS})`,
+  },
+};
+
+/**
+ * Schema fragment for tools that can preview their changes without writing anything
+ */
+const DRY_RUN_PROPERTY = {
+  dryRun: {
+    type: 'boolean',
+    description:
+      'Optional: Compute the result without writing anything; scene edits return the .tscn diff, generators the files they would create or overwrite',
+  },
+};
+
+/**
+ * Longest listing of files a dry run reports per action
+ */
+const MAX_DRY_RUN_FILES = 200;
+
+/**
+ * Characters of scene diff a dry run returns in total; later diffs are listed by path only
+ */
+const MAX_DRY_RUN_DIFF_LENGTH = 100_000;
+
+/**
+ * Interface for a file an operation would write, as reported by a dry run
+ */
+interface DryRunFile {
+  path: string;
+  exists: boolean;
+  size?: number;
+  text?: string; // Text the file would contain, for .tscn scenes
+  current_text?: string;
+  unchanged?: boolean; // Set when the content is known to match the existing file
+}
+
+/**
+ * Files in FbExportData/levels that belong to a level, as suffixes after the level name
+ */
+const PORTAL_LEVEL_FILE_SUFFIXES = ['.spatial.json'];
+
+/**
+ * Default candidate scenes and parallelism for export_all_portal_levels
+ */
+const DEFAULT_BATCH_EXPORT_GLOB = 'static/**/*.tscn';
+const DEFAULT_BATCH_EXPORT_CONCURRENCY = 2;
+const MAX_BATCH_EXPORT_CONCURRENCY = 8;
+
+/**
+ * Interface for one row of the export_all_portal_levels report
+ */
+interface BatchExportResult {
+  scene: string;
+  status: 'exported' | 'failed' | 'skipped';
+  exitCode: number | null;
+  outputFile: string | null;
+  sizeBytes: number | null;
+  durationMs: number;
+  error: string | null;
+}
+
+/**
+ * Virtual environment setup_portal_python creates inside the Portal SDK root
+ */
+const PORTAL_VENV_DIR = '.venv';
+
+/**
+ * Python run with a JSON list of [name, requirement line] pairs; prints the install state of each
+ */
+const PYTHON_REQUIREMENT_CHECK = `
+import json, sys
+from importlib import metadata
+try:
+    from packaging.requirements import Requirement
+except ImportError:
+    try:
+        from pip._vendor.packaging.requirements import Requirement
+    except ImportError:
+        Requirement = None
+report = []
+for name, line in json.loads(sys.argv[1]):
+    applicable = True
+    parsed = None
+    if Requirement is not None:
+        try:
+            parsed = Requirement(line)
+            applicable = parsed.marker is None or parsed.marker.evaluate()
+        except Exception:
+            parsed = None
+    try:
+        installed = metadata.version(name)
+    except metadata.PackageNotFoundError:
+        installed = None
+    satisfied = installed is not None or not applicable
+    if installed is not None and parsed is not None:
+        satisfied = parsed.specifier.contains(installed, prereleases=True)
+    report.append({"name": name, "requirement": line, "installed": installed, "applicable": applicable, "satisfied": satisfied})
+print(json.dumps(report))
+`;
+
+/**
+ * Interface for one requirements.txt entry as seen by a Python interpreter
+ */
+interface PythonRequirementStatus {
+  name: string;
+  requirement: string;
+  installed: string | null;
+  applicable: boolean;
+  satisfied: boolean;
+}
+
+/**
+ * Lifecycle state of a background job
+ */
+type JobStatus = 'queued' | 'running' | 'succeeded' | 'failed' | 'cancelled' | 'timed_out';
+
+/**
+ * Interface for the progress reported by a background job
+ */
+interface JobProgress {
+  current: number | null;
+  total: number | null;
+  percent: number | null;
+  message: string | null;
+}
+
+/**
+ * Interface representing a long-running tool call executed in the background
+ */
+interface BackgroundJob {
+  id: string;
+  kind: string;
+  status: JobStatus;
+  pid: number | null;
+  queuedAt: Date;
+  startedAt: Date | null;
+  finishedAt: Date | null;
+  timeoutMs: number;
+  exitCode: number | null;
+  progress: JobProgress;
+  logs: LogBuffer;
+  response: any | null; // Tool response produced by the job
+  error: string | null;
+  restored: boolean; // Loaded from the job history of an earlier server run
+}
+
+/**
+ * Context handed to the function that performs a background job
+ */
+interface JobContext {
+  job: BackgroundJob;
+  signal: AbortSignal; // Aborted when the job is cancelled or times out
+  reportProgress: () => void;
+}
+
+/**
+ * Function performing a background job; resolves with the tool response to report
+ */
+type JobRunner = (context: JobContext) => Promise<any>;
+
+/**
+ * Queue for long-running tool calls.
+ *
+ * Runs at most `concurrency` jobs at once, aborts jobs that exceed their timeout, and persists finished
+ * jobs (status, result and the tail of their output) so get_job_status still knows them after a restart.
+ */
+class JobManager {
+  private readonly jobs = new Map<string, BackgroundJob>();
+  private readonly queue: Array<{ job: BackgroundJob; runner: JobRunner }> = [];
+  private readonly controllers = new Map<string, AbortController>();
+  private readonly timers = new Map<string, NodeJS.Timeout>();
+  private readonly waiters = new Map<string, Array<() => void>>();
+  private active: number = 0;
+  private counter: number = 0;
+
+  constructor(
+    readonly concurrency: number,
+    private readonly historyPath: string | null,
+    private readonly logBufferLines: number,
+    private readonly logDebug: (message: string) => void,
+    private readonly onProgress: (job: BackgroundJob) => void
+  ) {
+    this.loadHistory();
+  }
+
+  get(id: string): BackgroundJob | undefined {
+    return this.jobs.get(id);
+  }
+
+  list(): BackgroundJob[] {
+    return Array.from(this.jobs.values());
+  }
+
+  /**
+   * Queue a job; it starts as soon as a slot is free
+   * The timeout runs from now, so a job stuck behind long-running ones still ends on time
+   */
+  submit(kind: string, runner: JobRunner, timeoutMs: number): BackgroundJob {
+    const job: BackgroundJob = {
+      id: `job-${++this.counter}`,
+      kind,
+      status: 'queued',
+      pid: null,
+      queuedAt: new Date(),
+      startedAt: null,
+      finishedAt: null,
+      timeoutMs,
+      exitCode: null,
+      progress: { current: null, total: null, percent: null, message: null },
+      logs: new LogBuffer(this.logBufferLines),
+      response: null,
+      error: null,
+      restored: false,
+    };
+    this.jobs.set(job.id, job);
+    this.queue.push({ job, runner });
+    this.timers.set(job.id, setTimeout(() => this.timeOut(job), timeoutMs));
+    this.prune();
+    this.pump();
+    this.persist();
+    return job;
+  }
+
+  /**
+   * Resolve once the job has finished, whatever its outcome
+   */
+  wait(job: BackgroundJob): Promise<void> {
+    if (JobManager.isFinished(job)) {
+      return Promise.resolve();
     }
+    return new Promise((resolve) => {
+      this.waiters.set(job.id, [...(this.waiters.get(job.id) ?? []), resolve]);
+    });
+  }
 
-    return null;
+  /**
+   * Cancel a queued or running job
+   * @returns False when the job had already finished
+   */
+  cancel(job: BackgroundJob): boolean {
+    if (JobManager.isFinished(job)) {
+      return false;
+    }
+    const queued = this.queue.findIndex((entry) => entry.job === job);
+    if (queued !== -1) {
+      this.queue.splice(queued, 1);
+    }
+    this.finish(job, 'cancelled', 'Cancelled by request');
+    this.controllers.get(job.id)?.abort();
+    return true;
   }
 
   /**
-   * Ensure a Python interpreter is available for Portal SDK scripts
+   * Abort every queued and running job, used on shutdown
    */
-  private async ensurePythonCommand(): Promise<string> {
-    if (this.pythonCommand && (await this.validatePythonCommand(this.pythonCommand))) {
-      return this.pythonCommand;
+  cancelAll(): void {
+    for (const job of this.jobs.values()) {
+      this.cancel(job);
     }
+  }
 
-    const tested = new Set<string>();
-    const candidates: Array<string | undefined> = [];
+  static isFinished(job: BackgroundJob): boolean {
+    return job.status !== 'queued' && job.status !== 'running';
+  }
 
-    if (this.initialConfig?.pythonPath) {
-      candidates.push(this.initialConfig.pythonPath);
+  /**
+   * Structured view of a job; the tool response is unpacked into result (success) or error details (failure)
+   */
+  describe(job: BackgroundJob) {
+    const texts: string[] = (job.response?.content ?? [])
+      .filter((item: any) => item?.type === 'text')
+      .map((item: any) => String(item.text));
+    let result: unknown = null;
+    if (job.status === 'succeeded' && texts.length > 0) {
+      try {
+        result = JSON.parse(texts[0]);
+      } catch {
+        result = texts.join('\n');
+      }
     }
-    if (process.env.PYTHON_PATH) {
-      candidates.push(process.env.PYTHON_PATH);
+    const end = job.finishedAt ?? new Date();
+    return {
+      jobId: job.id,
+      kind: job.kind,
+      status: job.status,
+      pid: job.pid,
+      queuedAt: job.queuedAt.toISOString(),
+      startedAt: job.startedAt ? job.startedAt.toISOString() : null,
+      finishedAt: job.finishedAt ? job.finishedAt.toISOString() : null,
+      durationMs: job.startedAt ? end.getTime() - job.startedAt.getTime() : 0,
+      timeoutMs: job.timeoutMs,
+      exitCode: job.exitCode,
+      progress: job.progress,
+      result,
+      error: job.error,
+      errorDetails: job.status === 'failed' && texts.length > 1 ? texts.slice(1) : undefined,
+      fromHistory: job.restored || undefined,
+    };
+  }
+
+  private pump(): void {
+    while (this.active < this.concurrency && this.queue.length > 0) {
+      const { job, runner } = this.queue.shift()!;
+      void this.execute(job, runner);
     }
-    candidates.push('python3', 'python');
+  }
 
-    for (const candidate of candidates) {
-      if (!candidate) {
-        continue;
-      }
-      if (tested.has(candidate)) {
-        continue;
+  private async execute(job: BackgroundJob, runner: JobRunner): Promise<void> {
+    this.active++;
+    job.status = 'running';
+    job.startedAt = new Date();
+    this.logDebug(`Starting background job ${job.id} (${job.kind})`);
+    this.onProgress(job);
+
+    const controller = new AbortController();
+    this.controllers.set(job.id, controller);
+
+    try {
+      const response = await runner({ job, signal: controller.signal, reportProgress: () => this.onProgress(job) });
+      if (job.status === 'running') {
+        job.response = response;
+        const failed = response?.isError === true;
+        this.finish(job, failed ? 'failed' : 'succeeded', failed ? String(response.content?.[0]?.text ?? 'Job failed') : null);
       }
-      tested.add(candidate);
-      if (await this.validatePythonCommand(candidate)) {
-        this.pythonCommand = candidate;
-        this.logDebug(`Using Python command: ${candidate}`);
-        return candidate;
+    } catch (error) {
+      if (job.status === 'running') {
+        this.finish(job, 'failed', error instanceof Error ? error.message : String(error));
       }
+    } finally {
+      this.controllers.delete(job.id);
+      job.logs.flush();
+      this.active--;
+      this.persist();
+      this.pump();
     }
+  }
 
-    throw new Error(
-      'Unable to locate a Python interpreter. Set PYTHON_PATH or pythonPath in the server configuration.'
-    );
+  private timeOut(job: BackgroundJob): void {
+    const queued = this.queue.findIndex((entry) => entry.job === job);
+    if (queued !== -1) {
+      this.queue.splice(queued, 1);
+      this.finish(job, 'timed_out', `Job waited for a free slot longer than its timeout of ${job.timeoutMs} ms`);
+      return;
+    }
+    this.finish(job, 'timed_out', `Job exceeded its timeout of ${job.timeoutMs} ms and was stopped`);
+    this.controllers.get(job.id)?.abort();
+  }
+
+  private finish(job: BackgroundJob, status: JobStatus, error: string | null): void {
+    if (JobManager.isFinished(job)) {
+      return;
+    }
+    clearTimeout(this.timers.get(job.id));
+    this.timers.delete(job.id);
+    job.status = status;
+    job.error = error;
+    job.finishedAt = new Date();
+    if (status === 'succeeded') {
+      job.progress.percent = 100;
+    }
+    this.logDebug(`Background job ${job.id} finished with status ${status}`);
+    this.onProgress(job);
+    for (const resolve of this.waiters.get(job.id) ?? []) {
+      resolve();
+    }
+    this.waiters.delete(job.id);
+    this.persist();
   }
 
   /**
-   * Validate a python command by checking it can report its version
+   * Drop the oldest finished jobs once more than MAX_RETAINED_JOBS have finished
    */
-  private async validatePythonCommand(command: string): Promise<boolean> {
+  private prune(): void {
+    const finished = this.list().filter((job) => JobManager.isFinished(job));
+    for (const job of finished.slice(0, Math.max(0, finished.length - MAX_RETAINED_JOBS))) {
+      this.jobs.delete(job.id);
+    }
+  }
+
+  private persist(): void {
+    if (!this.historyPath) {
+      return;
+    }
     try {
-      await execFileAsync(command, ['--version']);
-      return true;
+      const jobs = this.list().map((job) => ({
+        ...this.describe(job),
+        response: job.response,
+        output: job.logs.tail(JOB_HISTORY_OUTPUT_LINES).lines.map(({ stream, text }) => ({ stream, text })),
+      }));
+      mkdirSync(dirname(this.historyPath), { recursive: true });
+      writeFileSync(this.historyPath, JSON.stringify({ jobs }, null, 2), 'utf-8');
     } catch (error) {
-      this.logDebug(`Python validation failed for ${command}: ${error}`);
-      return false;
+      this.logDebug(`Failed to persist job history to ${this.historyPath}: ${error}`);
+    }
+  }
+
+  private loadHistory(): void {
+    if (!this.historyPath || !existsSync(this.historyPath)) {
+      return;
+    }
+    try {
+      const data = JSON.parse(readFileSync(this.historyPath, 'utf-8'));
+      for (const entry of Array.isArray(data?.jobs) ? data.jobs : []) {
+        const number = Number(String(entry.jobId).replace(/^job-/, ''));
+        if (!Number.isInteger(number)) {
+          continue;
+        }
+        this.counter = Math.max(this.counter, number);
+        const interrupted = entry.status === 'queued' || entry.status === 'running';
+        const logs = new LogBuffer(JOB_HISTORY_OUTPUT_LINES);
+        for (const line of Array.isArray(entry.output) ? entry.output : []) {
+          logs.push(line.stream === 'stderr' ? 'stderr' : 'stdout', String(line.text));
+        }
+        this.jobs.set(entry.jobId, {
+          id: entry.jobId,
+          kind: String(entry.kind),
+          status: interrupted ? 'failed' : entry.status,
+          pid: null,
+          queuedAt: new Date(entry.queuedAt),
+          startedAt: entry.startedAt ? new Date(entry.startedAt) : null,
+          finishedAt: entry.finishedAt ? new Date(entry.finishedAt) : interrupted ? new Date() : null,
+          timeoutMs: Number(entry.timeoutMs) || DEFAULT_JOB_TIMEOUT_MS,
+          exitCode: entry.exitCode ?? null,
+          progress: entry.progress ?? { current: null, total: null, percent: null, message: null },
+          logs,
+          response: entry.response ?? null,
+          error: interrupted ? 'The server stopped before the job finished' : entry.error ?? null,
+          restored: true,
+        });
+      }
+    } catch (error) {
+      this.logDebug(`Failed to load job history from ${this.historyPath}: ${error}`);
+    }
+  }
+}
+
+/**
+ * Derives job progress from script output.
+ *
+ * Understands "[3/20]" or "3 of 20" counters and "45%" percentages; when the job works through a known
+ * list of levels, each level name seen in the output also advances the counter.
+ */
+class JobProgressTracker {
+  private readonly levelsSeen = new Set<string>();
+
+  constructor(private readonly progress: JobProgress, private readonly levels: string[]) {
+    if (levels.length > 0) {
+      progress.current = 0;
+      progress.total = levels.length;
+      progress.percent = 0;
+    }
+  }
+
+  feed(line: string): void {
+    const text = line.trim();
+    if (!text) {
+      return;
+    }
+    this.progress.message = text.length > 200 ? `${text.slice(0, 197)}...` : text;
+
+    const counter = text.match(/\b(\d+)\s*(?:\/|of)\s*(\d+)\b/);
+    const percent = text.match(/(\d+(?:\.\d+)?)\s*%/);
+    if (counter && Number(counter[2]) > 0 && Number(counter[1]) <= Number(counter[2])) {
+      this.progress.current = Number(counter[1]);
+      this.progress.total = Number(counter[2]);
+    } else if (percent) {
+      this.progress.percent = Math.min(100, Number(percent[1]));
+      return;
+    } else {
+      const level = this.levels.find((name) => !this.levelsSeen.has(name) && JobProgressTracker.mentions(text, name));
+      if (!level) {
+        return;
+      }
+      // A level being mentioned means the ones before it are done
+      this.levelsSeen.add(level);
+      this.progress.current = this.levelsSeen.size;
+      this.progress.percent = Math.round(((this.levelsSeen.size - 1) / this.levels.length) * 1000) / 10;
+      return;
+    }
+    if (this.progress.current !== null && this.progress.total) {
+      this.progress.percent = Math.round((this.progress.current / this.progress.total) * 1000) / 10;
     }
   }
 
   /**
-   * Execute a Python script and return stdout/stderr information
+   * Whether text names a level as a whole word, so MP_X is not seen in MP_X_Night
    */
-  private async runPythonScript(
-    scriptPath: string,
-    args: string[],
-    options?: { cwd?: string }
-  ): Promise<{ stdout: string; stderr: string; exitCode: number }> {
-    const pythonCommand = await this.ensurePythonCommand();
+  private static mentions(text: string, name: string): boolean {
+    const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(?<![\\w-])${escaped}(?![\\w-])`).test(text);
+  }
+}
 
-    return await new Promise((resolve, reject) => {
-      const child = spawn(pythonCommand, [scriptPath, ...args], {
-        cwd: options?.cwd,
-        stdio: 'pipe',
-      });
+/**
+ * Tool arguments that name files or directories; checked against the allowed roots before a tool runs.
+ * Relative values resolve against the project, except the Python environment paths which live in the SDK and
+ * the directories that are not tied to a project, which resolve against the server's working directory.
+ */
+const PROJECT_PATH_ARGUMENTS = [
+  'scenePath',
+  'newPath',
+  'texturePath',
+  'outputPath',
+  'filePath',
+  'instancePath',
+  'scene',
+  'outputDir',
+  'spatialPath',
+  'beforePath',
+  'afterPath',
+];
+const SDK_PATH_ARGUMENTS = ['wheelDir', 'requirementsPath', 'venvPath', 'basePython'];
+const WORKING_DIRECTORY_PATH_ARGUMENTS = ['directory', 'fbExportDataPath'];
 
-      let stdout = '';
-      let stderr = '';
+/**
+ * Path arguments that handlers open on the host rather than pass to Godot as project-relative paths.
+ * The dispatcher replaces them with the absolute paths the sandbox checked, so both always agree.
+ */
+const HOST_PATH_ARGUMENTS = new Set([
+  'outputDir',
+  'spatialPath',
+  'beforePath',
+  'afterPath',
+  ...SDK_PATH_ARGUMENTS,
+  ...WORKING_DIRECTORY_PATH_ARGUMENTS,
+]);
 
-      child.stdout.on('data', (data: Buffer) => {
-        stdout += data.toString();
-      });
+/**
+ * Restricts file system access to a set of allowed root directories.
+ *
+ * Paths are compared after resolving symlinks, so a link inside a root cannot reach outside it. Paths that do
+ * not exist yet are resolved through their nearest existing ancestor. With no roots configured every path is allowed.
+ */
+class PathSandbox {
+  readonly roots: string[];
 
-      child.stderr.on('data', (data: Buffer) => {
-        stderr += data.toString();
-      });
+  constructor(roots: string[]) {
+    this.roots = [...new Set(roots.filter((root) => root.trim()).map((root) => PathSandbox.realPath(root)))];
+  }
 
-      child.on('error', (error: Error) => {
-        reject(error);
-      });
+  get enabled(): boolean {
+    return this.roots.length > 0;
+  }
 
-      child.on('close', (code: number | null) => {
-        resolve({
-          stdout,
-          stderr,
-          exitCode: code ?? 0,
-        });
-      });
-    });
+  /**
+   * Resolve a path to its real location, following symlinks in the part of it that exists
+   */
+  static realPath(path: string): string {
+    let existing = resolve(path);
+    const missing: string[] = [];
+    while (!existsSync(existing)) {
+      const parent = dirname(existing);
+      if (parent === existing) {
+        break;
+      }
+      missing.unshift(basename(existing));
+      existing = parent;
+    }
+    try {
+      existing = realpathSync.native(existing);
+    } catch {
+      // Unreadable ancestors are compared as written
+    }
+    return missing.length > 0 ? join(existing, ...missing) : existing;
   }
 
   /**
-   * Detect the Godot executable path based on the operating system
+   * Check a path against the allowed roots
+   * @returns null when allowed, otherwise the resolved path and the directory that would need to be a root
    */
-  private async detectGodotPath() {
-    // If godotPath is already set and valid, use it
-    if (this.godotPath && await this.isValidGodotPath(this.godotPath)) {
-      this.logDebug(`Using existing Godot path: ${this.godotPath}`);
-      return;
+  check(path: string): { resolved: string; neededRoot: string } | null {
+    if (!this.enabled) {
+      return null;
+    }
+    const resolved = PathSandbox.realPath(path);
+    if (this.roots.some((root) => PathSandbox.contains(root, resolved))) {
+      return null;
     }
 
-    // Check environment variable next
-    if (process.env.GODOT_PATH) {
-      const normalizedPath = normalize(process.env.GODOT_PATH);
-      this.logDebug(`Checking GODOT_PATH environment variable: ${normalizedPath}`);
-      if (await this.isValidGodotPath(normalizedPath)) {
-        this.godotPath = normalizedPath;
-        this.logDebug(`Using Godot path from environment: ${this.godotPath}`);
-        return;
-      } else {
-        this.logDebug(`GODOT_PATH environment variable is invalid`);
+    let neededRoot = resolved;
+    while (!existsSync(neededRoot) || !statSync(neededRoot).isDirectory()) {
+      const parent = dirname(neededRoot);
+      if (parent === neededRoot) {
+        break;
       }
+      neededRoot = parent;
     }
+    return { resolved, neededRoot };
+  }
 
-    // Auto-detect based on platform
-    const osPlatform = process.platform;
-    this.logDebug(`Auto-detecting Godot path for platform: ${osPlatform}`);
+  private static contains(root: string, path: string): boolean {
+    const [a, b] = process.platform === 'win32' ? [root.toLowerCase(), path.toLowerCase()] : [root, path];
+    return b === a || b.startsWith(a.endsWith(sep) ? a : a + sep);
+  }
+}
 
-    const possiblePaths: string[] = [
-      'godot', // Check if 'godot' is in PATH first
-    ];
+/**
+ * Interface for server configuration
+ */
+interface GodotServerConfig {
+  godotPath?: string;
+  debugMode?: boolean;
+  godotDebugMode?: boolean;
+  strictPathValidation?: boolean; // New option to control path validation behavior
+  portalSdkPath?: string;
+  portalProjectPath?: string;
+  fbExportDataPath?: string;
+  pythonPath?: string;
+  logBufferLines?: number; // Lines retained per run_project session
+  useWorker?: boolean; // Keep a headless Godot worker per project for scene operations
+  maxConcurrentJobs?: number; // Background jobs allowed to run at the same time
+  jobHistoryPath?: string; // File the background job history is persisted to
+  allowedRoots?: string[]; // Directories tools may read or write; unrestricted when empty
+  historyMaxEntries?: number; // Snapshots kept per project in .mcp_history
+  historyMaxAgeDays?: number; // Snapshots older than this are deleted; 0 keeps them regardless of age
+}
 
-    // Add platform-specific paths
-    if (osPlatform === 'darwin') {
-      possiblePaths.push(
-        '/Applications/Godot.app/Contents/MacOS/Godot',
-        '/Applications/Godot_4.app/Contents/MacOS/Godot',
-        `${process.env.HOME}/Applications/Godot.app/Contents/MacOS/Godot`,
-        `${process.env.HOME}/Applications/Godot_4.app/Contents/MacOS/Godot`,
-        `${process.env.HOME}/Library/Application Support/Steam/steamapps/common/Godot Engine/Godot.app/Contents/MacOS/Godot`
-      );
-    } else if (osPlatform === 'win32') {
-      possiblePaths.push(
-        'C:\\Program Files\\Godot\\Godot.exe',
-        'C:\\Program Files (x86)\\Godot\\Godot.exe',
-        'C:\\Program Files\\Godot_4\\Godot.exe',
-        'C:\\Program Files (x86)\\Godot_4\\Godot.exe',
-        `${process.env.USERPROFILE}\\Godot\\Godot.exe`
-      );
-    } else if (osPlatform === 'linux') {
-      possiblePaths.push(
-        '/usr/bin/godot',
-        '/usr/local/bin/godot',
-        '/snap/bin/godot',
-        `${process.env.HOME}/.local/bin/godot`
-      );
-    }
+/**
+ * Interface for operation parameters
+ */
+interface OperationParams {
+  [key: string]: any;
+}
 
-    // Try each possible path
-    for (const path of possiblePaths) {
-      const normalizedPath = normalize(path);
-      if (await this.isValidGodotPath(normalizedPath)) {
-        this.godotPath = normalizedPath;
-        this.logDebug(`Found Godot at: ${normalizedPath}`);
-        return;
-      }
-    }
+/**
+ * Markers wrapping the JSON result envelope printed by godot_operations.gd
+ */
+const OPERATION_RESULT_BEGIN = '<<<MCP_RESULT_BEGIN>>>';
+const OPERATION_RESULT_END = '<<<MCP_RESULT_END>>>';
 
-    // If we get here, we couldn't find Godot
-    this.logDebug(`Warning: Could not find Godot in common locations for ${osPlatform}`);
-    console.warn(`[SERVER] Could not find Godot in common locations for ${osPlatform}`);
-    console.warn(`[SERVER] Set GODOT_PATH=/path/to/godot environment variable or pass { godotPath: '/path/to/godot' } in the config to specify the correct path.`);
+/**
+ * Interface for an error or warning reported by godot_operations.gd
+ */
+interface OperationIssue {
+  code: string;
+  message: string;
+}
 
-    if (this.strictPathValidation) {
-      // In strict mode, throw an error
-      throw new Error(`Could not find a valid Godot executable. Set GODOT_PATH or provide a valid path in config.`);
-    } else {
-      // Fallback to a default path in non-strict mode; this may not be valid and requires user configuration for reliability
-      if (osPlatform === 'win32') {
-        this.godotPath = normalize('C:\\Program Files\\Godot\\Godot.exe');
-      } else if (osPlatform === 'darwin') {
-        this.godotPath = normalize('/Applications/Godot.app/Contents/MacOS/Godot');
-      } else {
-        this.godotPath = normalize('/usr/bin/godot');
-      }
+/**
+ * Limits for Godot processes started by runProcess; operations run by a job are bounded by the job's timeout instead
+ */
+const GODOT_OPERATION_TIMEOUT_MS = 10 * 60 * 1000;
+const GODOT_VERSION_TIMEOUT_MS = 10000;
+const MAX_PROCESS_OUTPUT_LENGTH = 1024 * 1024; // Characters kept per stream; older output is dropped
+const MAX_INLINE_PARAMS_LENGTH = 8192; // Larger operation parameters are passed through a temp file
 
-      this.logDebug(`Using default path: ${this.godotPath}, but this may not work.`);
-      console.warn(`[SERVER] Using default path: ${this.godotPath}, but this may not work.`);
-      console.warn(`[SERVER] This fallback behavior will be removed in a future version. Set strictPathValidation: true to opt-in to the new behavior.`);
-    }
-  }
+/**
+ * Interface for how executeOperationOnce starts Godot
+ */
+interface GodotLaunchOptions {
+  args: string[]; // Display and renderer arguments, e.g. --headless
+  wrapper?: string[]; // Command that runs Godot, e.g. xvfb-run when there is no display
+  env?: NodeJS.ProcessEnv;
+}
 
-  /**
-   * Set a custom Godot path
-   * @param customPath Path to the Godot executable
-   * @returns True if the path is valid and was set, false otherwise
-   */
-  public async setGodotPath(customPath: string): Promise<boolean> {
-    if (!customPath) {
-      return false;
-    }
+/**
+ * Interface for options accepted by runProcess
+ */
+interface ProcessOptions {
+  cwd?: string;
+  env?: NodeJS.ProcessEnv; // Added to the server's own environment
+  signal?: AbortSignal; // Kills the process when aborted
+  timeoutMs?: number; // Kills the process after this long and reports timedOut
+  maxOutputLength?: number; // Defaults to MAX_PROCESS_OUTPUT_LENGTH
+  onSpawn?: (child: ChildProcess) => void; // Receives the child process, e.g. so a job can record its pid
+  onOutput?: (stream: LogStream, chunk: string) => void; // Receives output chunks as they arrive
+}
 
-    // Normalize the path to ensure consistent format across platforms
-    // (e.g., backslashes to forward slashes on Windows, resolving relative paths)
-    const normalizedPath = normalize(customPath);
-    if (await this.isValidGodotPath(normalizedPath)) {
-      this.godotPath = normalizedPath;
-      this.logDebug(`Godot path set to: ${normalizedPath}`);
-      return true;
-    }
+/**
+ * Interface for the outcome of a process run by runProcess
+ */
+interface ProcessResult {
+  stdout: string;
+  stderr: string;
+  exitCode: number | null; // null when the process was killed by a signal
+  signal: NodeJS.Signals | null;
+  timedOut: boolean;
+  truncated: boolean; // Output beyond maxOutputLength was dropped from the start
+  durationMs: number;
+}
 
-    this.logDebug(`Failed to set invalid Godot path: ${normalizedPath}`);
-    return false;
-  }
+/**
+ * Interface for the result envelope reported by godot_operations.gd
+ */
+interface OperationResult {
+  status: 'ok' | 'error';
+  operation: string;
+  data: Record<string, any>;
+  errors: OperationIssue[];
+  warnings: OperationIssue[];
+}
 
-  /**
-   * Clean up resources when shutting down
-   */
-  private async cleanup() {
-    this.logDebug('Cleaning up resources');
-    if (this.activeProcess) {
-      this.logDebug('Killing active Godot process');
-      this.activeProcess.process.kill();
-      this.activeProcess = null;
-    }
-    await this.server.close();
+/**
+ * Parameters holding Godot property names and values, passed through without key case conversion
+ * (Portal scripts export PascalCase properties such as ObjId)
+ */
+const VERBATIM_PARAMETER_KEYS = new Set(['properties', 'value']);
+
+/**
+ * Step types accepted by the edit_scene operation
+ */
+const EDIT_SCENE_STEP_TYPES = ['add_node', 'remove_node', 'set_property', 'reparent', 'rename', 'instance_scene', 'duplicate'];
+
+/**
+ * How property values are converted by godot_operations.gd, shared by the tool descriptions that set properties
+ */
+const PROPERTY_VALUE_FORMATS =
+  'Values are converted to each property\'s declared type: [x, y, z] arrays or {"type": "Vector3", "x": 0, "y": 0, "z": 0} for vectors, ' +
+  '"#rrggbb", color names or [r, g, b, a] for colors, "res://..." paths for resources, enum option names for enums, and ' +
+  '{"type": "Transform3D", "position": [..], "rotation_degrees": [..], "scale": [..]} for transforms.';
+
+/**
+ * Properties reported by get_scene_tree when the caller does not choose any
+ */
+const DEFAULT_SCENE_TREE_PROPERTIES = ['position', 'rotation_degrees', 'scale', 'visible'];
+
+/**
+ * Default cap on the number of nodes reported by get_scene_tree
+ */
+const DEFAULT_SCENE_TREE_MAX_NODES = 2000;
+
+/**
+ * Image size limits and default output directory (relative to the project) for render_scene_preview
+ */
+const DEFAULT_PREVIEW_SIZE = 1024;
+const MAX_PREVIEW_SIZE = 4096;
+const PREVIEW_DIR = '.mcp_previews';
+
+/**
+ * Default and maximum page sizes for read_spatial_level object listings
+ */
+const DEFAULT_SPATIAL_PAGE_SIZE = 100;
+const MAX_SPATIAL_PAGE_SIZE = 1000;
+
+/**
+ * Unmapped objects import_spatial_level lists individually; the rest are only counted in unmappedTypes
+ */
+const MAX_UNMAPPED_SAMPLE = 50;
+
+/**
+ * Interface for a 3D vector read from a spatial JSON file
+ */
+interface SpatialVector {
+  x: number;
+  y: number;
+  z: number;
+}
+
+/**
+ * Portal gameplay object categories recognised by their asset type
+ */
+type PortalObjectKind = 'hq' | 'spawnPoint' | 'capturePoint' | 'vehicleSpawner' | 'sector' | 'combatArea';
+
+/**
+ * Asset type patterns for each Portal gameplay object category, checked in order
+ */
+const PORTAL_OBJECT_PATTERNS: Array<[PortalObjectKind, RegExp]> = [
+  ['hq', /HQ/],
+  ['vehicleSpawner', /VehicleSpawn/i],
+  ['spawnPoint', /SpawnPoint|PlayerSpawn/i],
+  ['capturePoint', /CapturePoint/i],
+  ['sector', /Sector/i],
+  ['combatArea', /CombatArea/i],
+];
+
+/**
+ * Interface for an object found in a spatial JSON file
+ */
+interface SpatialObject {
+  index: number;
+  section: string;
+  parentIndex: number | null;
+  id: string | null;
+  name: string;
+  type: string;
+  position: SpatialVector | null;
+  right: SpatialVector | null;
+  up: SpatialVector | null;
+  front: SpatialVector | null;
+  scale: SpatialVector | null;
+  team: string | null;
+  portalKind: PortalObjectKind | null;
+  properties: Record<string, unknown>;
+}
+
+/**
+ * Keys that carry an object's identity or transform rather than Portal properties
+ */
+const SPATIAL_TRANSFORM_KEYS = new Set([
+  'id', 'name', 'type', 'position', 'pos', 'origin', 'translation', 'right', 'up', 'front', 'forward',
+  'transform', 'scale',
+]);
+
+/**
+ * Tolerances below which differences between matched spatial objects are ignored
+ */
+interface SpatialDiffTolerances {
+  position: number;
+  rotationDegrees: number;
+  scale: number;
+}
+
+const DEFAULT_SPATIAL_DIFF_TOLERANCES: SpatialDiffTolerances = {
+  position: 0.01,
+  rotationDegrees: 0.1,
+  scale: 0.001,
+};
+
+/**
+ * Default number of entries listed per category by diff_spatial_levels
+ */
+const DEFAULT_SPATIAL_DIFF_MAX_ENTRIES = 200;
+
+/**
+ * Interface for one matched object whose transform, type or properties differ between two levels
+ */
+interface SpatialObjectChange {
+  key: string;
+  before: SpatialObject;
+  after: SpatialObject;
+  typeChanged: boolean;
+  moved: { distance: number; delta: SpatialVector } | null;
+  rotatedDegrees: number | null;
+  rescaled: { before: SpatialVector | null; after: SpatialVector | null } | null;
+  properties: Array<{ key: string; before: unknown; after: unknown }>;
+}
+
+/**
+ * Interface for the result of comparing two spatial levels
+ */
+interface SpatialLevelDiff {
+  added: SpatialObject[];
+  removed: SpatialObject[];
+  changed: SpatialObjectChange[];
+  unchangedCount: number;
+}
+
+/**
+ * Parsed .spatial.json level.
+ *
+ * The exporter's layout varies between SDK versions, so parsing is structural: any JSON object with a
+ * string name or type and a position or orientation is treated as a placed object, wherever it is nested.
+ * The top-level key it was found under is kept as its section (e.g. Portal_Dynamic, Static).
+ */
+class SpatialLevel {
+  readonly objects: SpatialObject[] = [];
+
+  constructor(readonly filePath: string, data: unknown) {
+    this.walk(data, '', null);
   }
 
   /**
-   * Check if the Godot version is 4.4 or later
-   * @param version The Godot version string
-   * @returns True if the version is 4.4 or later
+   * Read and parse a spatial JSON file, throwing on unreadable or malformed JSON
    */
-  private isGodot44OrLater(version: string): boolean {
-    const match = version.match(/^(\d+)\.(\d+)/);
-    if (match) {
-      const major = parseInt(match[1], 10);
-      const minor = parseInt(match[2], 10);
-      return major > 4 || (major === 4 && minor >= 4);
-    }
-    return false;
+  static load(filePath: string): SpatialLevel {
+    const content = readFileSync(filePath, 'utf-8');
+    return new SpatialLevel(filePath, JSON.parse(content));
   }
 
   /**
-   * Normalize parameters to camelCase format
-   * @param params Object with either snake_case or camelCase keys
-   * @returns Object with all keys in camelCase format
+   * Read a vector given as {x, y, z} or [x, y, z]
    */
-  private normalizeParameters(params: OperationParams): OperationParams {
-    if (!params || typeof params !== 'object') {
-      return params;
+  static readVector(value: unknown): SpatialVector | null {
+    if (Array.isArray(value) && value.length === 3 && value.every((v) => typeof v === 'number')) {
+      return { x: value[0], y: value[1], z: value[2] };
     }
-    
-    const result: OperationParams = {};
-    
-    for (const key in params) {
-      if (Object.prototype.hasOwnProperty.call(params, key)) {
-        let normalizedKey = key;
-        
-        // If the key is in snake_case, convert it to camelCase using our mapping
-        if (key.includes('_') && this.parameterMappings[key]) {
-          normalizedKey = this.parameterMappings[key];
-        }
-        
-        // Handle nested objects recursively
-        if (typeof params[key] === 'object' && params[key] !== null && !Array.isArray(params[key])) {
-          result[normalizedKey] = this.normalizeParameters(params[key] as OperationParams);
-        } else {
-          result[normalizedKey] = params[key];
-        }
+    if (value && typeof value === 'object') {
+      const { x, y, z } = value as Record<string, unknown>;
+      if (typeof x === 'number' && typeof y === 'number' && typeof z === 'number') {
+        return { x, y, z };
       }
     }
-    
-    return result;
+    return null;
   }
 
   /**
-   * Convert camelCase keys to snake_case
-   * @param params Object with camelCase keys
-   * @returns Object with snake_case keys
+   * Classify an asset type as a Portal gameplay object
    */
-  private convertCamelToSnakeCase(params: OperationParams): OperationParams {
-    const result: OperationParams = {};
-    
-    for (const key in params) {
-      if (Object.prototype.hasOwnProperty.call(params, key)) {
-        // Convert camelCase to snake_case
-        const snakeKey = this.reverseParameterMappings[key] || key.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
-        
-        // Handle nested objects recursively
-        if (typeof params[key] === 'object' && params[key] !== null && !Array.isArray(params[key])) {
-          result[snakeKey] = this.convertCamelToSnakeCase(params[key] as OperationParams);
-        } else {
-          result[snakeKey] = params[key];
-        }
+  static classify(type: string): PortalObjectKind | null {
+    for (const [kind, pattern] of PORTAL_OBJECT_PATTERNS) {
+      if (pattern.test(type)) {
+        return kind;
       }
     }
-    
-    return result;
+    return null;
   }
 
-  /**
-   * Execute a Godot operation using the operations script
-   * @param operation The operation to execute
-   * @param params The parameters for the operation
-   * @param projectPath The path to the Godot project
-   * @returns The stdout and stderr from the operation
-   */
-  private async executeOperation(
-    operation: string,
-    params: OperationParams,
-    projectPath: string
-  ): Promise<{ stdout: string; stderr: string }> {
-    this.logDebug(`Executing operation: ${operation} in project: ${projectPath}`);
-    this.logDebug(`Original operation params: ${JSON.stringify(params)}`);
-
-    // Convert camelCase parameters to snake_case for Godot script
-    const snakeCaseParams = this.convertCamelToSnakeCase(params);
-    this.logDebug(`Converted snake_case params: ${JSON.stringify(snakeCaseParams)}`);
+  private walk(value: unknown, section: string, parentIndex: number | null): void {
+    if (Array.isArray(value)) {
+      for (const item of value) {
+        this.walk(item, section, parentIndex);
+      }
+      return;
+    }
+    if (!value || typeof value !== 'object') {
+      return;
+    }
 
+    const record = value as Record<string, unknown>;
+    const object = this.toObject(record, section, parentIndex);
+    const nextParent = object ? object.index : parentIndex;
+    if (object) {
+      this.objects.push(object);
+    }
 
-    // Ensure godotPath is set
-    if (!this.godotPath) {
-      await this.detectGodotPath();
-      if (!this.godotPath) {
-        throw new Error('Could not find a valid Godot executable path');
+    for (const [key, child] of Object.entries(record)) {
+      if (object && SPATIAL_TRANSFORM_KEYS.has(key)) {
+        continue;
+      }
+      if (child && typeof child === 'object') {
+        this.walk(child, section || key, nextParent);
       }
     }
+  }
 
-    try {
-      // Serialize the snake_case parameters to a valid JSON string
-      const paramsJson = JSON.stringify(snakeCaseParams);
-      // Escape single quotes in the JSON string to prevent command injection
-      const escapedParams = paramsJson.replace(/'/g, "'\\''");
-      // On Windows, cmd.exe does not strip single quotes, so we use
-      // double quotes and escape them to ensure the JSON is parsed
-      // correctly by Godot.
-      const isWindows = process.platform === 'win32';
-      const quotedParams = isWindows
-        ? `\"${paramsJson.replace(/\"/g, '\\"')}\"`
-        : `'${escapedParams}'`;
-
-
-      // Add debug arguments if debug mode is enabled
-      const debugArgs = GODOT_DEBUG_MODE ? ['--debug-godot'] : [];
+  private toObject(record: Record<string, unknown>, section: string, parentIndex: number | null): SpatialObject | null {
+    const name = typeof record.name === 'string' ? record.name : null;
+    const type = typeof record.type === 'string' ? record.type : null;
+    if (!name && !type) {
+      return null;
+    }
 
-      // Construct the command with the operation and JSON parameters
-      const cmd = [
-        `"${this.godotPath}"`,
-        '--headless',
-        '--path',
-        `"${projectPath}"`,
-        '--script',
-        `"${this.operationsScriptPath}"`,
-        operation,
-        quotedParams, // Pass the JSON string as a single argument
-        ...debugArgs,
-      ].join(' ');
+    const transform = record.transform && typeof record.transform === 'object' && !Array.isArray(record.transform)
+      ? (record.transform as Record<string, unknown>)
+      : {};
+    const pick = (...keys: string[]): SpatialVector | null => {
+      for (const key of keys) {
+        const vector = SpatialLevel.readVector(record[key] ?? transform[key]);
+        if (vector) {
+          return vector;
+        }
+      }
+      return null;
+    };
 
-      this.logDebug(`Command: ${cmd}`);
+    const position = pick('position', 'pos', 'origin', 'translation');
+    const right = pick('right');
+    const up = pick('up');
+    const front = pick('front', 'forward');
+    if (!position && !right && !up && !front) {
+      return null;
+    }
 
-      const { stdout, stderr } = await execAsync(cmd);
+    let scale = pick('scale');
+    if (!scale && right && up && front) {
+      const length = (v: SpatialVector) => Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+      scale = { x: length(right), y: length(up), z: length(front) };
+    }
 
-      return { stdout, stderr };
-    } catch (error: unknown) {
-      // If execAsync throws, it still contains stdout/stderr
-      if (error instanceof Error && 'stdout' in error && 'stderr' in error) {
-        const execError = error as Error & { stdout: string; stderr: string };
-        return {
-          stdout: execError.stdout,
-          stderr: execError.stderr,
-        };
+    // Nested objects are listed on their own with parentIndex, so they are not copied in as properties
+    const properties: Record<string, unknown> = {};
+    for (const [key, value] of Object.entries(record)) {
+      if (!SPATIAL_TRANSFORM_KEYS.has(key) && !SpatialLevel.containsObjects(value)) {
+        properties[key] = value;
       }
+    }
+
+    const rawId = record.id ?? record.ObjId ?? record.objId;
+    const resolvedType = type ?? (name as string);
+    const team = record.Team ?? record.team;
+    return {
+      index: this.objects.length,
+      section: section || 'root',
+      parentIndex,
+      id: typeof rawId === 'string' || typeof rawId === 'number' ? String(rawId) : null,
+      name: name ?? resolvedType,
+      type: resolvedType,
+      position,
+      right,
+      up,
+      front,
+      scale,
+      team: typeof team === 'string' || typeof team === 'number' ? String(team) : null,
+      portalKind: SpatialLevel.classify(resolvedType),
+      properties,
+    };
+  }
 
-      throw error;
+  /**
+   * Key used to match an object across two levels: its ID when it has one, otherwise its section,
+   * name and occurrence number so repeated names pair up in file order
+   */
+  matchKeys(): Map<string, SpatialObject> {
+    const keys = new Map<string, SpatialObject>();
+    const occurrences = new Map<string, number>();
+    for (const object of this.objects) {
+      let key = object.id !== null ? `id:${object.id}` : null;
+      if (key === null || keys.has(key)) {
+        const nameKey = `name:${object.section}/${object.name}`;
+        const occurrence = (occurrences.get(nameKey) ?? 0) + 1;
+        occurrences.set(nameKey, occurrence);
+        key = occurrence > 1 ? `${nameKey}#${occurrence}` : nameKey;
+      }
+      keys.set(key, object);
     }
+    return keys;
   }
 
   /**
-   * Get the structure of a Godot project
-   * @param projectPath Path to the Godot project
-   * @returns Object representing the project structure
+   * Compare two levels, matching objects by ID or name
    */
-  private async getProjectStructure(projectPath: string): Promise<any> {
-    try {
-      // Get top-level directories in the project
-      const entries = readdirSync(projectPath, { withFileTypes: true });
+  static diff(
+    before: SpatialLevel,
+    after: SpatialLevel,
+    tolerances: SpatialDiffTolerances = DEFAULT_SPATIAL_DIFF_TOLERANCES
+  ): SpatialLevelDiff {
+    const beforeKeys = before.matchKeys();
+    const afterKeys = after.matchKeys();
+    const result: SpatialLevelDiff = { added: [], removed: [], changed: [], unchangedCount: 0 };
+
+    for (const [key, previous] of beforeKeys) {
+      const current = afterKeys.get(key);
+      if (!current) {
+        result.removed.push(previous);
+        continue;
+      }
+      const change = SpatialLevel.compareObjects(key, previous, current, tolerances);
+      if (change) {
+        result.changed.push(change);
+      } else {
+        result.unchangedCount++;
+      }
+    }
+    for (const [key, current] of afterKeys) {
+      if (!beforeKeys.has(key)) {
+        result.added.push(current);
+      }
+    }
+    return result;
+  }
 
-      const structure: any = {
-        scenes: [],
-        scripts: [],
-        assets: [],
-        other: [],
+  private static compareObjects(
+    key: string,
+    before: SpatialObject,
+    after: SpatialObject,
+    tolerances: SpatialDiffTolerances
+  ): SpatialObjectChange | null {
+    const change: SpatialObjectChange = {
+      key,
+      before,
+      after,
+      typeChanged: before.type !== after.type,
+      moved: null,
+      rotatedDegrees: null,
+      rescaled: null,
+      properties: [],
+    };
+
+    if (before.position && after.position) {
+      const delta = {
+        x: after.position.x - before.position.x,
+        y: after.position.y - before.position.y,
+        z: after.position.z - before.position.z,
       };
+      const distance = Math.sqrt(delta.x * delta.x + delta.y * delta.y + delta.z * delta.z);
+      if (distance > tolerances.position) {
+        change.moved = { distance, delta };
+      }
+    }
 
-      for (const entry of entries) {
-        if (entry.isDirectory()) {
-          const dirName = entry.name.toLowerCase();
+    // The rotation is the largest angle between corresponding orientation axes
+    let maxAngle = 0;
+    for (const axis of ['right', 'up', 'front'] as const) {
+      const a = before[axis];
+      const b = after[axis];
+      if (!a || !b) {
+        continue;
+      }
+      const lengths = Math.sqrt(a.x * a.x + a.y * a.y + a.z * a.z) * Math.sqrt(b.x * b.x + b.y * b.y + b.z * b.z);
+      if (lengths === 0) {
+        continue;
+      }
+      const cosine = Math.min(1, Math.max(-1, (a.x * b.x + a.y * b.y + a.z * b.z) / lengths));
+      maxAngle = Math.max(maxAngle, (Math.acos(cosine) * 180) / Math.PI);
+    }
+    if (maxAngle > tolerances.rotationDegrees) {
+      change.rotatedDegrees = maxAngle;
+    }
 
-          // Skip hidden directories
-          if (dirName.startsWith('.')) {
-            continue;
-          }
+    const scaleBefore = before.scale ?? { x: 1, y: 1, z: 1 };
+    const scaleAfter = after.scale ?? { x: 1, y: 1, z: 1 };
+    if ((['x', 'y', 'z'] as const).some((axis) => Math.abs(scaleBefore[axis] - scaleAfter[axis]) > tolerances.scale)) {
+      change.rescaled = { before: before.scale, after: after.scale };
+    }
 
-          // Count files in common directories
-          if (dirName === 'scenes' || dirName.includes('scene')) {
-            structure.scenes.push(entry.name);
-          } else if (dirName === 'scripts' || dirName.includes('script')) {
-            structure.scripts.push(entry.name);
-          } else if (
-            dirName === 'assets' ||
-            dirName === 'textures' ||
-            dirName === 'models' ||
-            dirName === 'sounds' ||
-            dirName === 'music'
-          ) {
-            structure.assets.push(entry.name);
-          } else {
-            structure.other.push(entry.name);
-          }
-        }
+    if (before.name !== after.name) {
+      change.properties.push({ key: 'name', before: before.name, after: after.name });
+    }
+
+    // Nested objects are matched on their own, so only compare plain property values
+    const propertyKeys = new Set([...Object.keys(before.properties), ...Object.keys(after.properties)]);
+    for (const propertyKey of propertyKeys) {
+      const previous = before.properties[propertyKey];
+      const current = after.properties[propertyKey];
+      if (SpatialLevel.containsObjects(previous) || SpatialLevel.containsObjects(current)) {
+        continue;
+      }
+      if (SpatialLevel.stableStringify(previous) !== SpatialLevel.stableStringify(current)) {
+        change.properties.push({ key: propertyKey, before: previous, after: current });
       }
+    }
 
-      return structure;
-    } catch (error) {
-      this.logDebug(`Error getting project structure: ${error}`);
-      return { error: 'Failed to get project structure' };
+    const changed =
+      change.typeChanged || change.moved || change.rotatedDegrees !== null || change.rescaled || change.properties.length > 0;
+    return changed ? change : null;
+  }
+
+  private static containsObjects(value: unknown): boolean {
+    if (Array.isArray(value)) {
+      return value.some((item) => SpatialLevel.containsObjects(item));
+    }
+    if (value && typeof value === 'object') {
+      const record = value as Record<string, unknown>;
+      return typeof record.name === 'string' || typeof record.type === 'string';
+    }
+    return false;
+  }
+
+  private static stableStringify(value: unknown): string {
+    if (value === undefined) {
+      return 'undefined';
+    }
+    if (Array.isArray(value)) {
+      return `[${value.map((item) => SpatialLevel.stableStringify(item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+      const record = value as Record<string, unknown>;
+      return `{${Object.keys(record)
+        .sort()
+        .map((key) => `${JSON.stringify(key)}:${SpatialLevel.stableStringify(record[key])}`)
+        .join(',')}}`;
     }
+    return JSON.stringify(value);
   }
 
   /**
-   * Find Godot projects in a directory
-   * @param directory Directory to search
-   * @param recursive Whether to search recursively
-   * @returns Array of Godot projects
+   * Count objects per asset type, most frequent first
    */
-  private findGodotProjects(directory: string, recursive: boolean): Array<{ path: string; name: string }> {
-    const projects: Array<{ path: string; name: string }> = [];
+  countsByType(): Array<{ type: string; count: number }> {
+    const counts = new Map<string, number>();
+    for (const object of this.objects) {
+      counts.set(object.type, (counts.get(object.type) ?? 0) + 1);
+    }
+    return Array.from(counts, ([type, count]) => ({ type, count })).sort(
+      (a, b) => b.count - a.count || a.type.localeCompare(b.type)
+    );
+  }
 
-    try {
-      // Check if the directory itself is a Godot project
-      const projectFile = join(directory, 'project.godot');
-      if (existsSync(projectFile)) {
-        projects.push({
-          path: directory,
-          name: basename(directory),
-        });
+  /**
+   * Count objects per section
+   */
+  countsBySection(): Record<string, number> {
+    const counts: Record<string, number> = {};
+    for (const object of this.objects) {
+      counts[object.section] = (counts[object.section] ?? 0) + 1;
+    }
+    return counts;
+  }
+
+  /**
+   * Axis-aligned bounds of all object positions
+   */
+  boundingBox(): { min: SpatialVector; max: SpatialVector; size: SpatialVector; center: SpatialVector } | null {
+    const positions = this.objects.map((object) => object.position).filter((p): p is SpatialVector => p !== null);
+    if (positions.length === 0) {
+      return null;
+    }
+    const min = { x: Infinity, y: Infinity, z: Infinity };
+    const max = { x: -Infinity, y: -Infinity, z: -Infinity };
+    for (const position of positions) {
+      for (const axis of ['x', 'y', 'z'] as const) {
+        min[axis] = Math.min(min[axis], position[axis]);
+        max[axis] = Math.max(max[axis], position[axis]);
       }
+    }
+    return {
+      min,
+      max,
+      size: { x: max.x - min.x, y: max.y - min.y, z: max.z - min.z },
+      center: { x: (min.x + max.x) / 2, y: (min.y + max.y) / 2, z: (min.z + max.z) / 2 },
+    };
+  }
 
-      // If not recursive, only check immediate subdirectories
-      if (!recursive) {
-        const entries = readdirSync(directory, { withFileTypes: true });
-        for (const entry of entries) {
-          if (entry.isDirectory()) {
-            const subdir = join(directory, entry.name);
-            const projectFile = join(subdir, 'project.godot');
-            if (existsSync(projectFile)) {
-              projects.push({
-                path: subdir,
-                name: entry.name,
-              });
-            }
+  /**
+   * Group Portal gameplay objects by category
+   */
+  portalObjects(): Record<PortalObjectKind, SpatialObject[]> {
+    const groups: Record<PortalObjectKind, SpatialObject[]> = {
+      hq: [],
+      spawnPoint: [],
+      capturePoint: [],
+      vehicleSpawner: [],
+      sector: [],
+      combatArea: [],
+    };
+    for (const object of this.objects) {
+      if (object.portalKind) {
+        groups[object.portalKind].push(object);
+      }
+    }
+    return groups;
+  }
+}
+
+/**
+ * Interface for an ext_resource entry of a .tscn file
+ */
+interface TscnExtResource {
+  id: string;
+  type: string;
+  path: string;
+}
+
+/**
+ * Interface for a [node] section of a .tscn file; property values are kept as raw Godot text
+ */
+interface TscnNode {
+  name: string;
+  type: string | null;
+  parentPath: string | null;
+  path: string;
+  instance: string | null;
+  properties: Record<string, string>;
+  line: number;
+}
+
+/**
+ * Minimal reader for Godot text scenes (.tscn), used where a scene must be inspected without Godot.
+ * Node paths follow the "root/..." convention of the scene tools.
+ */
+class TscnDocument {
+  readonly header: Record<string, string> = {};
+  readonly extResources = new Map<string, TscnExtResource>();
+  readonly nodes: TscnNode[] = [];
+  private readonly nodesByPath = new Map<string, TscnNode>();
+
+  constructor(text: string) {
+    this.parse(text);
+  }
+
+  static load(filePath: string): TscnDocument {
+    return new TscnDocument(readFileSync(filePath, 'utf-8'));
+  }
+
+  /**
+   * Parse the key=value attributes of a section header such as [node name="A" parent="."]
+   */
+  static parseAttributes(header: string): Record<string, string> {
+    const attributes: Record<string, string> = {};
+    const pattern = /(\w+)=("(?:[^"\\]|\\.)*"|\w+\([^)]*\)|\[[^\]]*\]|[^\s\]]+)/g;
+    let match: RegExpExecArray | null;
+    while ((match = pattern.exec(header)) !== null) {
+      attributes[match[1]] = TscnDocument.unquote(match[2]);
+    }
+    return attributes;
+  }
+
+  static unquote(value: string): string {
+    if (value.length >= 2 && value.startsWith('"') && value.endsWith('"')) {
+      return value.slice(1, -1).replace(/\\"/g, '"').replace(/\\\\/g, '\\');
+    }
+    return value;
+  }
+
+  /**
+   * Extract the numeric arguments of a constructor value such as Vector3(1, 2, 3)
+   */
+  static parseNumbers(value: string | undefined, constructorName: string): number[] | null {
+    if (!value) {
+      return null;
+    }
+    const match = value.trim().match(new RegExp(`^${constructorName}\\(([^)]*)\\)$`));
+    if (!match) {
+      return null;
+    }
+    const numbers = match[1].split(',').map((part) => Number(part.trim()));
+    return numbers.every((number) => Number.isFinite(number)) ? numbers : null;
+  }
+
+  private parse(text: string): void {
+    const lines = text.split(/\r?\n/);
+    let current: TscnNode | null = null;
+    let pendingKey: string | null = null;
+    let pendingValue = '';
+    let depth = 0;
+
+    for (let index = 0; index < lines.length; index++) {
+      const line = lines[index];
+
+      // Continue a multi-line value until its brackets balance
+      if (pendingKey !== null) {
+        pendingValue += `\n${line}`;
+        depth += TscnDocument.bracketDelta(line);
+        if (depth <= 0) {
+          if (current) {
+            current.properties[pendingKey] = pendingValue;
           }
+          pendingKey = null;
         }
-      } else {
-        // Recursive search
-        const entries = readdirSync(directory, { withFileTypes: true });
-        for (const entry of entries) {
-          if (entry.isDirectory()) {
-            const subdir = join(directory, entry.name);
-            // Skip hidden directories
-            if (entry.name.startsWith('.')) {
-              continue;
-            }
-            // Check if this directory is a Godot project
-            const projectFile = join(subdir, 'project.godot');
-            if (existsSync(projectFile)) {
-              projects.push({
-                path: subdir,
-                name: entry.name,
-              });
-            } else {
-              // Recursively search this directory
-              const subProjects = this.findGodotProjects(subdir, true);
-              projects.push(...subProjects);
-            }
-          }
+        continue;
+      }
+
+      const trimmed = line.trim();
+      if (!trimmed || trimmed.startsWith(';')) {
+        continue;
+      }
+
+      const section = trimmed.match(/^\[(\w+)(.*)\]$/);
+      if (section) {
+        const attributes = TscnDocument.parseAttributes(section[2]);
+        current = null;
+        if (section[1] === 'gd_scene') {
+          Object.assign(this.header, attributes);
+        } else if (section[1] === 'ext_resource' && attributes.id) {
+          this.extResources.set(attributes.id, {
+            id: attributes.id,
+            type: attributes.type ?? '',
+            path: attributes.path ?? '',
+          });
+        } else if (section[1] === 'node') {
+          current = this.addNode(attributes, index + 1);
+        }
+        continue;
+      }
+
+      const property = line.match(/^([^=\s][^=]*?)\s*=\s*(.*)$/);
+      if (property && current) {
+        const key = property[1].trim();
+        depth = TscnDocument.bracketDelta(property[2]);
+        if (depth > 0) {
+          pendingKey = key;
+          pendingValue = property[2];
+        } else {
+          current.properties[key] = property[2];
         }
       }
-    } catch (error) {
-      this.logDebug(`Error searching directory ${directory}: ${error}`);
     }
+  }
 
-    return projects;
+  private static bracketDelta(text: string): number {
+    let delta = 0;
+    let inString = false;
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (inString) {
+        if (char === '\\') {
+          i++;
+        } else if (char === '"') {
+          inString = false;
+        }
+      } else if (char === '"') {
+        inString = true;
+      } else if ('([{'.includes(char)) {
+        delta++;
+      } else if (')]}'.includes(char)) {
+        delta--;
+      }
+    }
+    return delta;
+  }
+
+  private addNode(attributes: Record<string, string>, line: number): TscnNode {
+    const name = attributes.name ?? '';
+    const parentPath = attributes.parent ?? null;
+    let path = 'root';
+    if (parentPath !== null) {
+      path = parentPath === '.' ? `root/${name}` : `root/${parentPath}/${name}`;
+    }
+
+    let instance: string | null = null;
+    const instanceMatch = attributes.instance?.match(/^ExtResource\(\s*"?([^")]*)"?\s*\)$/);
+    if (instanceMatch) {
+      instance = this.extResources.get(instanceMatch[1])?.path ?? null;
+    }
+
+    const node: TscnNode = {
+      name,
+      type: attributes.type ?? null,
+      parentPath: parentPath === null ? null : parentPath === '.' ? 'root' : `root/${parentPath}`,
+      path,
+      instance,
+      properties: {},
+      line,
+    };
+    this.nodes.push(node);
+    this.nodesByPath.set(path, node);
+    return node;
+  }
+
+  getNode(path: string): TscnNode | undefined {
+    return this.nodesByPath.get(path);
+  }
+
+  parentOf(node: TscnNode): TscnNode | undefined {
+    return node.parentPath === null ? undefined : this.nodesByPath.get(node.parentPath);
   }
 
   /**
-   * Set up the tool handlers for the MCP server
+   * Placed Portal objects: the instanced asset scenes, excluding the level's own static/ scenes (terrain, base assets)
    */
-  private setupToolHandlers() {
-    // Define available tools
-    this.server.setRequestHandler(ListToolsRequestSchema, async () => ({
-      tools: [
-        {
-          name: 'launch_editor',
+  placedObjects(): TscnNode[] {
+    return this.nodes.filter((node) => node.instance !== null && !node.instance.startsWith('res://static/'));
+  }
+
+  /**
+   * Asset type of a node: the file name of its instanced scene, or its class for plain nodes
+   */
+  assetType(node: TscnNode): string | null {
+    if (node.instance) {
+      return basename(node.instance).replace(/\.t?scn$/, '');
+    }
+    return node.type;
+  }
+
+  /**
+   * Read a node's local Transform3D as 12 numbers (row-major basis, then origin), identity if unset
+   */
+  localTransform(node: TscnNode): number[] {
+    const transform = TscnDocument.parseNumbers(node.properties.transform, 'Transform3D');
+    if (transform && transform.length === 12) {
+      return transform;
+    }
+    const position = TscnDocument.parseNumbers(node.properties.position, 'Vector3');
+    return [1, 0, 0, 0, 1, 0, 0, 0, 1, ...(position && position.length === 3 ? position : [0, 0, 0])];
+  }
+
+  /**
+   * Compose transforms up to the scene root to get a node's transform in scene space
+   */
+  globalTransform(node: TscnNode): number[] {
+    let result = this.localTransform(node);
+    for (let parent = this.parentOf(node); parent; parent = this.parentOf(parent)) {
+      result = TscnDocument.multiply(this.localTransform(parent), result);
+    }
+    return result;
+  }
+
+  globalPosition(node: TscnNode): SpatialVector {
+    const transform = this.globalTransform(node);
+    return { x: transform[9], y: transform[10], z: transform[11] };
+  }
+
+  /**
+   * Multiply two row-major Transform3D values: parent * child
+   */
+  static multiply(parent: number[], child: number[]): number[] {
+    const result = new Array<number>(12).fill(0);
+    for (let row = 0; row < 3; row++) {
+      for (let column = 0; column < 3; column++) {
+        for (let k = 0; k < 3; k++) {
+          result[row * 3 + column] += parent[row * 3 + k] * child[k * 3 + column];
+        }
+      }
+      result[9 + row] =
+        parent[row * 3] * child[9] + parent[row * 3 + 1] * child[10] + parent[row * 3 + 2] * child[11] + parent[9 + row];
+    }
+    return result;
+  }
+
+  /**
+   * Whether `node` is `ancestor` or one of its descendants
+   */
+  isWithin(node: TscnNode, ancestor: TscnNode): boolean {
+    return node.path === ancestor.path || node.path.startsWith(`${ancestor.path}/`);
+  }
+}
+
+/**
+ * Interface for an object import_spatial_level could not place as an asset instance
+ */
+interface UnmappedSpatialObject {
+  index: number;
+  name: string;
+  type: string;
+  reason: string;
+}
+
+/**
+ * Builds a Godot text scene that instances an asset scene for every object of a spatial level.
+ *
+ * Transforms are written from the right/up/front axes and position exactly as they appear in the file;
+ * nested objects stay nested under their parent's node so their transforms keep the same reference frame.
+ */
+class SpatialSceneBuilder {
+  readonly unmapped: UnmappedSpatialObject[] = [];
+  readonly skippedProperties = new Set<string>();
+  placedCount = 0;
+  placeholderCount = 0;
+
+  private readonly extResourceIds = new Map<string, string>();
+  private readonly nodeSections: string[] = [];
+  private readonly nodePaths = new Map<number, string>();
+  private readonly usedNames = new Map<string, Set<string>>();
+
+  constructor(
+    private readonly level: SpatialLevel,
+    private readonly sceneIndex: Map<string, string>,
+    private readonly options: { placeholders: boolean; sections: string[] | null }
+  ) {}
+
+  /**
+   * Row-major Transform3D arguments: the basis columns are the object's right, up and front axes
+   */
+  static transformArguments(object: SpatialObject): number[] {
+    const right = object.right ?? { x: object.scale?.x ?? 1, y: 0, z: 0 };
+    const up = object.up ?? { x: 0, y: object.scale?.y ?? 1, z: 0 };
+    const front = object.front ?? { x: 0, y: 0, z: object.scale?.z ?? 1 };
+    const position = object.position ?? { x: 0, y: 0, z: 0 };
+    return [
+      right.x, up.x, front.x,
+      right.y, up.y, front.y,
+      right.z, up.z, front.z,
+      position.x, position.y, position.z,
+    ];
+  }
+
+  /**
+   * Format a JSON value as a Godot text-resource value, or null when it has no direct equivalent
+   */
+  static formatValue(value: unknown): string | null {
+    if (typeof value === 'number') {
+      return Number.isFinite(value) ? String(value) : null;
+    }
+    if (typeof value === 'boolean') {
+      return value ? 'true' : 'false';
+    }
+    if (typeof value === 'string') {
+      return JSON.stringify(value);
+    }
+    if (Array.isArray(value)) {
+      const items = value.map((item) => SpatialSceneBuilder.formatValue(item));
+      return items.every((item) => item !== null) ? `[${items.join(', ')}]` : null;
+    }
+    return null;
+  }
+
+  /**
+   * Make a valid, sibling-unique node name
+   */
+  private nodeName(parentPath: string, name: string): string {
+    const base = name.replace(/[.:@/"%]/g, '_').trim() || 'Object';
+    const used = this.usedNames.get(parentPath) ?? new Set<string>();
+    this.usedNames.set(parentPath, used);
+    let candidate = base;
+    for (let suffix = 2; used.has(candidate); suffix++) {
+      candidate = `${base}${suffix}`;
+    }
+    used.add(candidate);
+    return candidate;
+  }
+
+  private resourceId(resPath: string): string {
+    let id = this.extResourceIds.get(resPath);
+    if (!id) {
+      id = `${this.extResourceIds.size + 1}_asset`;
+      this.extResourceIds.set(resPath, id);
+    }
+    return id;
+  }
+
+  /**
+   * Build the scene text with a Node3D root named after the level
+   */
+  build(rootName: string): string {
+    for (const object of this.level.objects) {
+      if (this.options.sections && !this.options.sections.includes(object.section)) {
+        continue;
+      }
+      this.addObject(object);
+    }
+
+    const lines: string[] = [`[gd_scene load_steps=${this.extResourceIds.size + 1} format=3]`, ''];
+    for (const [resPath, id] of this.extResourceIds) {
+      lines.push(`[ext_resource type="PackedScene" path=${JSON.stringify(resPath)} id="${id}"]`);
+    }
+    if (this.extResourceIds.size > 0) {
+      lines.push('');
+    }
+    lines.push(`[node name=${JSON.stringify(this.nodeName('', rootName))} type="Node3D"]`, '');
+    lines.push(...this.nodeSections);
+    return `${lines.join('\n').trimEnd()}\n`;
+  }
+
+  private addObject(object: SpatialObject): void {
+    // Attach to the nearest ancestor that was placed, or the root
+    let parentPath = '.';
+    for (let parentIndex = object.parentIndex; parentIndex !== null; parentIndex = this.level.objects[parentIndex].parentIndex) {
+      const path = this.nodePaths.get(parentIndex);
+      if (path) {
+        parentPath = path;
+        break;
+      }
+    }
+
+    const scenePath = this.sceneIndex.get(object.type);
+    if (!scenePath && !this.options.placeholders) {
+      this.unmapped.push({ index: object.index, name: object.name, type: object.type, reason: 'No asset scene found for this type' });
+      return;
+    }
+
+    const name = this.nodeName(parentPath, object.name);
+    const header = scenePath
+      ? `[node name=${JSON.stringify(name)} parent=${JSON.stringify(parentPath)} instance=ExtResource("${this.resourceId(scenePath)}")]`
+      : `[node name=${JSON.stringify(name)} type="Node3D" parent=${JSON.stringify(parentPath)}]`;
+    const body = [header, `transform = Transform3D(${SpatialSceneBuilder.transformArguments(object).join(', ')})`];
+
+    if (scenePath) {
+      this.placedCount++;
+      const hasChildren = this.level.objects.some((child) => child.parentIndex === object.index);
+      for (const [key, value] of Object.entries(object.properties)) {
+        // Nested object lists become child nodes rather than properties
+        if (hasChildren && Array.isArray(value) && value.some((item) => item && typeof item === 'object')) {
+          continue;
+        }
+        const formatted = /^[A-Za-z_][A-Za-z0-9_]*$/.test(key) ? SpatialSceneBuilder.formatValue(value) : null;
+        if (formatted === null) {
+          this.skippedProperties.add(key);
+        } else {
+          body.push(`${key} = ${formatted}`);
+        }
+      }
+    } else {
+      // Placeholders keep the layout visible and remember what they stand for
+      this.placeholderCount++;
+      this.unmapped.push({ index: object.index, name: object.name, type: object.type, reason: 'Placed as a Node3D placeholder' });
+      body.push(`metadata/portal_type = ${JSON.stringify(object.type)}`);
+    }
+
+    this.nodeSections.push(...body, '');
+    this.nodePaths.set(object.index, parentPath === '.' ? name : `${parentPath}/${name}`);
+  }
+}
+
+/**
+ * Interface for an asset type listed in FbExportData/asset_types.json
+ */
+interface PortalAssetType {
+  type: string;
+  directory: string | null;
+  category: string;
+  levelRestrictions: string[];
+  properties: string[];
+  bounds: { min: SpatialVector; size: SpatialVector } | null;
+}
+
+/**
+ * Reader for the FbExportData asset catalog (asset_types.json).
+ * Entries are read tolerantly: a top-level array or an AssetTypes array of objects with a type or name.
+ */
+class PortalAssetCatalog {
+  readonly types = new Map<string, PortalAssetType>();
+
+  constructor(readonly filePath: string, data: unknown) {
+    const entries = Array.isArray(data)
+      ? data
+      : data && typeof data === 'object'
+        ? ((data as Record<string, unknown>).AssetTypes ?? (data as Record<string, unknown>).assetTypes)
+        : null;
+    if (!Array.isArray(entries)) {
+      return;
+    }
+    for (const entry of entries) {
+      if (!entry || typeof entry !== 'object') {
+        continue;
+      }
+      const record = entry as Record<string, unknown>;
+      const type = typeof record.type === 'string' ? record.type : typeof record.name === 'string' ? record.name : null;
+      if (!type) {
+        continue;
+      }
+      const restrictions = record.levelRestrictions ?? record.LevelRestrictions;
+      const properties = Array.isArray(record.properties) ? record.properties : [];
+      const directory = typeof record.directory === 'string' ? record.directory.replace(/\\/g, '/') : null;
+      const category = record.category ?? record.Category;
+      this.types.set(type, {
+        type,
+        directory,
+        category: typeof category === 'string' ? category : directory?.split('/')[0] || 'Uncategorized',
+        bounds: PortalAssetCatalog.readBounds(record.bounds ?? record.Bounds ?? record.aabb),
+        levelRestrictions: Array.isArray(restrictions) ? restrictions.map((level) => String(level)) : [],
+        properties: properties
+          .map((property) => (property && typeof property === 'object' ? (property as Record<string, unknown>).name : property))
+          .filter((name): name is string => typeof name === 'string'),
+      });
+    }
+  }
+
+  static catalogPath(fbExportDataPath: string): string {
+    return join(fbExportDataPath, 'asset_types.json');
+  }
+
+  /**
+   * Read bounds given as {min, max}, {min, size} or {position, size}
+   */
+  static readBounds(value: unknown): PortalAssetType['bounds'] {
+    if (!value || typeof value !== 'object') {
+      return null;
+    }
+    const record = value as Record<string, unknown>;
+    const min = SpatialLevel.readVector(record.min ?? record.position);
+    const max = SpatialLevel.readVector(record.max);
+    const size = SpatialLevel.readVector(record.size) ?? (min && max ? { x: max.x - min.x, y: max.y - min.y, z: max.z - min.z } : null);
+    return min && size ? { min, size } : null;
+  }
+
+  /**
+   * Load the catalog from an FbExportData directory, or null when asset_types.json is missing
+   */
+  static load(fbExportDataPath: string): PortalAssetCatalog | null {
+    const filePath = PortalAssetCatalog.catalogPath(fbExportDataPath);
+    if (!existsSync(filePath)) {
+      return null;
+    }
+    return new PortalAssetCatalog(filePath, JSON.parse(readFileSync(filePath, 'utf-8')));
+  }
+
+  has(type: string): boolean {
+    return this.types.has(type);
+  }
+}
+
+/**
+ * Bump when the cached asset index layout changes so old caches are rebuilt
+ */
+const PORTAL_ASSET_INDEX_VERSION = 1;
+
+const DEFAULT_ASSET_SEARCH_LIMIT = 25;
+
+/**
+ * Interface for one entry of the searchable Portal asset index
+ */
+interface PortalAssetEntry {
+  name: string;
+  category: string;
+  directory: string | null;
+  allowedLevels: string[] | 'all';
+  scenePath: string | null;
+  bounds: PortalAssetType['bounds'];
+}
+
+/**
+ * Searchable index of the Portal asset catalog joined with the scenes create_portal_project generates.
+ *
+ * The index is cached under <project>/.mcp_cache and keyed by a fingerprint of asset_types.json and the
+ * project's scene list, so it is rebuilt whenever the catalog or the set of scenes changes, and it is
+ * dropped when the project is regenerated.
+ */
+class PortalAssetIndex {
+  constructor(
+    readonly fingerprint: string,
+    readonly builtAt: string,
+    readonly assets: PortalAssetEntry[]
+  ) {}
+
+  static cachePath(projectPath: string): string {
+    return join(projectPath, '.mcp_cache', 'portal_assets.json');
+  }
+
+  /**
+   * Fingerprint of the inputs the index is built from: asset_types.json and the list of project scenes
+   * Regenerated scenes keep their paths, so create_portal_project invalidates the cache explicitly
+   * @param scenes Project-relative scene paths, as listed by listProjectFiles
+   */
+  static fingerprint(fbExportDataPath: string, scenes: string[]): string {
+    const parts = [`v${PORTAL_ASSET_INDEX_VERSION}`, normalize(fbExportDataPath)];
+    const catalogPath = PortalAssetCatalog.catalogPath(fbExportDataPath);
+    if (existsSync(catalogPath)) {
+      const stats = statSync(catalogPath);
+      parts.push(`${stats.mtimeMs}:${stats.size}`);
+    }
+    parts.push(createHash('sha1').update(scenes.join('\n')).digest('hex'));
+    return parts.join('|');
+  }
+
+  /**
+   * Drop the cached index, e.g. after the project's scenes were regenerated
+   */
+  static invalidate(projectPath: string): void {
+    rmSync(PortalAssetIndex.cachePath(projectPath), { force: true });
+  }
+
+  /**
+   * Load the cached index, or null when it is missing, unreadable or stale
+   */
+  static loadCached(projectPath: string, fingerprint: string): PortalAssetIndex | null {
+    const cachePath = PortalAssetIndex.cachePath(projectPath);
+    if (!existsSync(cachePath)) {
+      return null;
+    }
+    try {
+      const data = JSON.parse(readFileSync(cachePath, 'utf-8'));
+      if (data?.fingerprint !== fingerprint || !Array.isArray(data.assets)) {
+        return null;
+      }
+      return new PortalAssetIndex(data.fingerprint, String(data.builtAt), data.assets);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Build the index from the catalog and the project's scene index
+   */
+  static build(
+    fingerprint: string,
+    catalog: PortalAssetCatalog,
+    projectPath: string,
+    sceneIndex: Map<string, string>
+  ): PortalAssetIndex {
+    const assets: PortalAssetEntry[] = [];
+    for (const type of catalog.types.values()) {
+      const scenePath = sceneIndex.get(type.type) ?? null;
+      assets.push({
+        name: type.type,
+        category: type.category,
+        directory: type.directory,
+        allowedLevels: type.levelRestrictions.length > 0 ? type.levelRestrictions : 'all',
+        scenePath,
+        bounds: type.bounds ?? (scenePath ? PortalAssetIndex.readSceneBounds(projectPath, scenePath) : null),
+      });
+    }
+    assets.sort((a, b) => a.name.localeCompare(b.name));
+    return new PortalAssetIndex(fingerprint, new Date().toISOString(), assets);
+  }
+
+  /**
+   * Take bounds from the first AABB literal in a generated scene (e.g. a custom_aabb or mesh resource)
+   */
+  static readSceneBounds(projectPath: string, scenePath: string): PortalAssetType['bounds'] {
+    try {
+      const text = readFileSync(join(projectPath, scenePath.replace(/^res:\/\//, '')), 'utf-8');
+      const match = text.match(/AABB\(([^)]*)\)/);
+      const values = match ? match[1].split(',').map((value) => Number(value.trim())) : [];
+      if (values.length !== 6 || values.some((value) => !Number.isFinite(value))) {
+        return null;
+      }
+      return {
+        min: { x: values[0], y: values[1], z: values[2] },
+        size: { x: values[3], y: values[4], z: values[5] },
+      };
+    } catch {
+      return null;
+    }
+  }
+
+  save(projectPath: string): void {
+    const cachePath = PortalAssetIndex.cachePath(projectPath);
+    mkdirSync(dirname(cachePath), { recursive: true });
+    writeFileSync(
+      cachePath,
+      JSON.stringify({ fingerprint: this.fingerprint, builtAt: this.builtAt, assets: this.assets }),
+      'utf-8'
+    );
+  }
+
+  /**
+   * Fuzzy match score of a query against an asset name; 0 means no match
+   *
+   * Exact, prefix and substring matches rank first, then matches where every query word appears in the
+   * name or category, then names containing the query's letters in order.
+   */
+  static score(query: string, asset: PortalAssetEntry): number {
+    const name = asset.name.toLowerCase();
+    const compactName = name.replace(/[^a-z0-9]/g, '');
+    const q = query.toLowerCase().trim();
+    const compactQuery = q.replace(/[^a-z0-9]/g, '');
+    if (!compactQuery) {
+      return 1;
+    }
+    if (name === q || compactName === compactQuery) {
+      return 100;
+    }
+    if (compactName.startsWith(compactQuery)) {
+      return 90 - Math.min(20, compactName.length - compactQuery.length);
+    }
+    if (compactName.includes(compactQuery)) {
+      return 70 - Math.min(20, compactName.length - compactQuery.length);
+    }
+    const haystack = `${name} ${asset.category.toLowerCase()} ${(asset.directory ?? '').toLowerCase()}`;
+    const words = q.split(/[\s_\-/]+/).filter(Boolean);
+    if (words.length > 1 && words.every((word) => haystack.includes(word))) {
+      return 50;
+    }
+    // Letters in order, e.g. "vehspn" for VehicleSpawner
+    let position = 0;
+    let gaps = 0;
+    for (const char of compactQuery) {
+      const found = compactName.indexOf(char, position);
+      if (found < 0) {
+        return 0;
+      }
+      gaps += found - position;
+      position = found + 1;
+    }
+    return Math.max(1, 30 - gaps);
+  }
+
+  /**
+   * Search by fuzzy name, category prefix and level availability, best matches first
+   */
+  search(options: { query: string; category: string | null; level: string | null }): Array<PortalAssetEntry & { score: number }> {
+    const category = options.category?.toLowerCase().replace(/\\/g, '/') ?? null;
+    const level = options.level?.toLowerCase() ?? null;
+    const results: Array<PortalAssetEntry & { score: number }> = [];
+    for (const asset of this.assets) {
+      if (
+        category &&
+        !asset.category.toLowerCase().startsWith(category) &&
+        !(asset.directory ?? '').toLowerCase().startsWith(category)
+      ) {
+        continue;
+      }
+      if (level && !PortalAssetIndex.allowedOn(asset, level)) {
+        continue;
+      }
+      const score = PortalAssetIndex.score(options.query, asset);
+      if (score > 0) {
+        results.push({ ...asset, score });
+      }
+    }
+    return results.sort((a, b) => b.score - a.score || a.name.localeCompare(b.name));
+  }
+
+  find(name: string): PortalAssetEntry | undefined {
+    return this.assets.find((asset) => asset.name === name);
+  }
+
+  static allowedOn(asset: PortalAssetEntry, level: string): boolean {
+    return asset.allowedLevels === 'all' || asset.allowedLevels.some((allowed) => allowed.toLowerCase() === level.toLowerCase());
+  }
+
+  private static nameTokens(name: string): Set<string> {
+    return new Set(
+      name
+        .replace(/([a-z])([A-Z])/g, '$1 $2')
+        .toLowerCase()
+        .split(/[^a-z]+/)
+        .filter(Boolean)
+    );
+  }
+
+  /**
+   * Assets from the same category that are allowed on a level, most similar first
+   *
+   * Similarity favours the same directory and shared words in the name (e.g. Barrier_Concrete_Large for
+   * Barrier_Concrete_Small).
+   */
+  substitutes(asset: PortalAssetEntry, level: string, limit: number): PortalAssetEntry[] {
+    const tokens = PortalAssetIndex.nameTokens(asset.name);
+    return this.assets
+      .filter((candidate) => candidate.name !== asset.name && candidate.category === asset.category && PortalAssetIndex.allowedOn(candidate, level))
+      .map((candidate) => {
+        const shared = [...PortalAssetIndex.nameTokens(candidate.name)].filter((token) => tokens.has(token)).length;
+        return { candidate, score: shared + (candidate.directory === asset.directory ? 2 : 0) };
+      })
+      .sort((a, b) => b.score - a.score || a.candidate.name.localeCompare(b.candidate.name))
+      .slice(0, limit)
+      .map(({ candidate }) => candidate);
+  }
+
+  /**
+   * Asset counts per category
+   */
+  categories(): Record<string, number> {
+    const counts: Record<string, number> = {};
+    for (const asset of this.assets) {
+      counts[asset.category] = (counts[asset.category] ?? 0) + 1;
+    }
+    return counts;
+  }
+}
+
+/**
+ * Conservative default object budget for validate_portal_scene, overridable per call
+ */
+const DEFAULT_PORTAL_OBJECT_BUDGET = 10000;
+
+/**
+ * Interface for a problem reported by validate_portal_scene
+ */
+interface PortalFinding {
+  severity: 'error' | 'warning' | 'info';
+  code: string;
+  message: string;
+  nodePath?: string;
+  line?: number;
+}
+
+/**
+ * Interface for the options accepted by PortalSceneValidator
+ */
+interface PortalValidationOptions {
+  playableArea: { min: SpatialVector; max: SpatialVector } | null;
+  objectBudget: number;
+  typeBudgets: Record<string, number>;
+  requiredTeams: number;
+}
+
+/**
+ * Checks a Portal scene against the rules the gdconverter export and the Portal runtime enforce
+ *
+ * Broken references and placement are errors; team coverage, HQ spawn assignment and budgets are only
+ * heuristics, since scripts can assign spawns and the budgets are estimates, so they are warnings.
+ */
+class PortalSceneValidator {
+  readonly findings: PortalFinding[] = [];
+  private readonly objects: TscnNode[];
+  playableAreaSource: string | null = null;
+
+  constructor(
+    private readonly document: TscnDocument,
+    private readonly catalog: PortalAssetCatalog | null,
+    private readonly options: PortalValidationOptions
+  ) {
+    this.objects = document.placedObjects();
+  }
+
+  get objectCount(): number {
+    return this.objects.length;
+  }
+
+  run(): PortalFinding[] {
+    this.checkAssetTypes();
+    this.checkPlayableArea();
+    this.checkObjectIds();
+    this.checkHeadquarters();
+    this.checkBudgets();
+    return this.findings;
+  }
+
+  private add(finding: PortalFinding): void {
+    this.findings.push(finding);
+  }
+
+  private kindOf(node: TscnNode): PortalObjectKind | null {
+    return SpatialLevel.classify(this.document.assetType(node) ?? node.name);
+  }
+
+  private checkAssetTypes(): void {
+    if (!this.catalog) {
+      this.add({
+        severity: 'info',
+        code: 'CATALOG_UNAVAILABLE',
+        message: 'asset_types.json was not found in FbExportData; asset types were not checked',
+      });
+      return;
+    }
+    for (const node of this.objects) {
+      const type = this.document.assetType(node);
+      if (type && !this.catalog.has(type)) {
+        this.add({
+          severity: 'error',
+          code: 'UNKNOWN_ASSET_TYPE',
+          message: `Asset type ${type} (${node.instance}) is not in the FbExportData catalog`,
+          nodePath: node.path,
+          line: node.line,
+        });
+      }
+    }
+  }
+
+  /**
+   * Objects must sit inside the explicit playable bounds, or inside a combat area polygon in the XZ plane
+   */
+  private checkPlayableArea(): void {
+    if (this.options.playableArea) {
+      this.playableAreaSource = 'playableArea parameter';
+      const { min, max } = this.options.playableArea;
+      for (const node of this.objects) {
+        const position = this.document.globalPosition(node);
+        const inside = (['x', 'y', 'z'] as const).every((axis) => position[axis] >= min[axis] && position[axis] <= max[axis]);
+        if (!inside) {
+          this.reportOutside(node, position);
+        }
+      }
+      return;
+    }
+
+    const areas = this.combatAreas();
+    if (areas.length === 0) {
+      this.add({
+        severity: 'info',
+        code: 'PLAYABLE_AREA_UNKNOWN',
+        message: 'No combat area polygon or playableArea bounds found; object placement was not checked',
+      });
+      return;
+    }
+    this.playableAreaSource = areas.map((area) => area.node.path).join(', ');
+
+    for (const node of this.objects) {
+      if (areas.some((area) => this.document.isWithin(node, area.root))) {
+        continue;
+      }
+      const position = this.document.globalPosition(node);
+      if (!areas.some((area) => PortalSceneValidator.insidePolygon(area.polygon, position.x, position.z))) {
+        this.reportOutside(node, position);
+      }
+    }
+  }
+
+  private reportOutside(node: TscnNode, position: SpatialVector): void {
+    this.add({
+      severity: 'error',
+      code: 'OUTSIDE_PLAYABLE_AREA',
+      message: `Object is outside the playable area at (${position.x}, ${position.y}, ${position.z})`,
+      nodePath: node.path,
+      line: node.line,
+    });
+  }
+
+  /**
+   * Collect combat area polygons from PackedVector2Array/PackedVector3Array points on combat areas or their children
+   */
+  private combatAreas(): Array<{ root: TscnNode; node: TscnNode; polygon: Array<[number, number]> }> {
+    const areas: Array<{ root: TscnNode; node: TscnNode; polygon: Array<[number, number]> }> = [];
+    for (const root of this.document.nodes.filter((node) => this.kindOf(node) === 'combatArea')) {
+      for (const node of this.document.nodes.filter((candidate) => this.document.isWithin(candidate, root))) {
+        const raw = node.properties.points?.replace(/\s+/g, ' ');
+        if (!raw) {
+          continue;
+        }
+        const origin = this.document.globalPosition(node);
+        const flat = TscnDocument.parseNumbers(raw, 'PackedVector2Array');
+        const spatial = TscnDocument.parseNumbers(raw, 'PackedVector3Array');
+        const polygon: Array<[number, number]> = [];
+        if (flat && flat.length >= 6 && flat.length % 2 === 0) {
+          for (let i = 0; i < flat.length; i += 2) {
+            polygon.push([origin.x + flat[i], origin.z + flat[i + 1]]);
+          }
+        } else if (spatial && spatial.length >= 9 && spatial.length % 3 === 0) {
+          for (let i = 0; i < spatial.length; i += 3) {
+            polygon.push([origin.x + spatial[i], origin.z + spatial[i + 2]]);
+          }
+        }
+        if (polygon.length >= 3) {
+          areas.push({ root, node, polygon });
+        }
+      }
+    }
+    return areas;
+  }
+
+  static insidePolygon(polygon: Array<[number, number]>, x: number, z: number): boolean {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+      const [xi, zi] = polygon[i];
+      const [xj, zj] = polygon[j];
+      if (zi > z !== zj > z && x < ((xj - xi) * (z - zi)) / (zj - zi) + xi) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  }
+
+  private checkObjectIds(): void {
+    const byId = new Map<string, TscnNode[]>();
+    for (const node of this.document.nodes) {
+      const id = node.properties.ObjId?.trim();
+      if (id === undefined || id === '' || id === '-1') {
+        continue;
+      }
+      byId.set(id, [...(byId.get(id) ?? []), node]);
+    }
+    for (const [id, nodes] of byId) {
+      if (nodes.length < 2) {
+        continue;
+      }
+      for (const node of nodes) {
+        this.add({
+          severity: 'error',
+          code: 'DUPLICATE_OBJECT_ID',
+          message: `ObjId ${id} is shared by ${nodes.length} objects: ${nodes.map((other) => other.path).join(', ')}`,
+          nodePath: node.path,
+          line: node.line,
+        });
+      }
+    }
+  }
+
+  private checkHeadquarters(): void {
+    const hqs = this.document.nodes.filter((node) => this.kindOf(node) === 'hq');
+    const spawnPoints = this.document.nodes.filter((node) => this.kindOf(node) === 'spawnPoint');
+
+    if (hqs.length === 0) {
+      this.add({ severity: 'error', code: 'MISSING_HQ', message: 'The scene has no team HQ' });
+    }
+    if (spawnPoints.length === 0) {
+      this.add({ severity: 'error', code: 'MISSING_SPAWNS', message: 'The scene has no spawn points' });
+    }
+
+    const teams = new Set(hqs.map((hq) => hq.properties.Team?.trim() ?? 'unassigned'));
+    if (hqs.length > 0 && teams.size < this.options.requiredTeams) {
+      this.add({
+        severity: 'warning',
+        code: 'MISSING_TEAM_HQ',
+        message: `HQs cover ${teams.size} team(s) (${Array.from(teams).join(', ')}), expected ${this.options.requiredTeams}`,
+      });
+    }
+
+    for (const hq of hqs) {
+      const spawnList = hq.properties.InfantrySpawns?.trim();
+      const hasListedSpawns = spawnList !== undefined && spawnList !== '[]' && spawnList !== 'Array[NodePath]([])';
+      const hasChildSpawns = spawnPoints.some((spawn) => spawn !== hq && this.document.isWithin(spawn, hq));
+      if (!hasListedSpawns && !hasChildSpawns) {
+        this.add({
+          severity: 'warning',
+          code: 'HQ_WITHOUT_SPAWNS',
+          message: 'HQ has no infantry spawn points assigned',
+          nodePath: hq.path,
+          line: hq.line,
+        });
+      }
+    }
+  }
+
+  private checkBudgets(): void {
+    if (this.objects.length > this.options.objectBudget) {
+      this.add({
+        severity: 'warning',
+        code: 'OBJECT_BUDGET_EXCEEDED',
+        message: `The scene places ${this.objects.length} objects, over the budget of ${this.options.objectBudget}`,
+      });
+    }
+
+    const counts = new Map<string, number>();
+    for (const node of this.objects) {
+      const type = this.document.assetType(node) ?? '';
+      counts.set(type, (counts.get(type) ?? 0) + 1);
+    }
+    for (const [type, budget] of Object.entries(this.options.typeBudgets)) {
+      const count = counts.get(type) ?? 0;
+      if (count > budget) {
+        this.add({
+          severity: 'warning',
+          code: 'TYPE_BUDGET_EXCEEDED',
+          message: `The scene places ${count} ${type} objects, over the budget of ${budget}`,
+        });
+      }
+    }
+  }
+}
+
+/**
+ * Defaults for the .mcp_history retention policy
+ */
+const DEFAULT_HISTORY_MAX_ENTRIES = 100;
+const DEFAULT_HISTORY_MAX_AGE_DAYS = 30;
+
+/**
+ * Interface for one file captured in a history entry
+ */
+interface HistoryFile {
+  path: string; // Relative to the project, using forward slashes
+  hash: string | null; // Content hash of the stored copy; null when the file did not exist yet
+  size: number | null;
+  undone?: boolean; // Set once undo_last_change restored this file
+}
+
+/**
+ * Interface for a snapshot taken before a tool changed project files
+ */
+interface HistoryEntry {
+  id: string;
+  tool: string;
+  createdAt: string;
+  files: HistoryFile[];
+  undone: boolean; // Set once every file of the entry was undone
+}
+
+/**
+ * Per-project store of file snapshots taken before tools modify scenes, kept in <project>/.mcp_history.
+ *
+ * File contents are stored once per content hash under objects/, so repeated snapshots of unchanged
+ * files cost no extra space. history.json lists the entries, oldest first.
+ */
+class SceneHistory {
+  private entries: HistoryEntry[] = [];
+
+  constructor(
+    readonly projectPath: string,
+    private readonly maxEntries: number,
+    private readonly maxAgeDays: number
+  ) {
+    try {
+      const data = JSON.parse(readFileSync(this.indexPath, 'utf-8'));
+      if (Array.isArray(data?.entries)) {
+        this.entries = data.entries;
+      }
+    } catch {
+      // No history yet
+    }
+  }
+
+  static directory(projectPath: string): string {
+    return join(projectPath, '.mcp_history');
+  }
+
+  private get indexPath(): string {
+    return join(SceneHistory.directory(this.projectPath), 'history.json');
+  }
+
+  private objectPath(hash: string): string {
+    return join(SceneHistory.directory(this.projectPath), 'objects', hash);
+  }
+
+  /**
+   * Snapshot files before a tool changes them
+   * @param files Paths relative to the project
+   */
+  async record(tool: string, files: string[]): Promise<HistoryEntry> {
+    const entry = await this.capture(tool, files);
+    this.entries.push(entry);
+    this.prune();
+    this.save();
+    return entry;
+  }
+
+  /**
+   * Drop an entry when the tool left every file as it was, e.g. because it failed
+   */
+  async discardIfUnchanged(entry: HistoryEntry): Promise<boolean> {
+    for (const file of entry.files) {
+      if ((await this.currentHash(file.path)) !== file.hash) {
+        return false;
+      }
+    }
+    this.entries = this.entries.filter((candidate) => candidate !== entry);
+    this.collectGarbage();
+    this.save();
+    return true;
+  }
+
+  /**
+   * Entries, newest first, optionally only those touching one file
+   */
+  list(path?: string): HistoryEntry[] {
+    return this.entries.filter((entry) => !path || entry.files.some((file) => file.path === path)).reverse();
+  }
+
+  find(id: string): HistoryEntry | undefined {
+    return this.entries.find((entry) => entry.id === id);
+  }
+
+  /**
+   * Newest change that has not been undone, skipping the snapshots undo itself takes
+   */
+  lastUndoable(path?: string): HistoryEntry | undefined {
+    return this.list(path).find(
+      (entry) =>
+        !entry.undone &&
+        entry.tool !== 'undo_last_change' &&
+        entry.files.some((file) => !file.undone && (!path || file.path === path))
+    );
+  }
+
+  /**
+   * Put files back the way an entry captured them; files that did not exist then are deleted.
+   * The current state is recorded first, so a restore can itself be reverted.
+   * An undo skips files an earlier undo of the same entry already restored, and marks the ones it restores.
+   */
+  async restore(
+    entry: HistoryEntry,
+    tool: string,
+    path?: string
+  ): Promise<{ backup: HistoryEntry; restored: string[]; deleted: string[] }> {
+    const undo = tool === 'undo_last_change';
+    const files = entry.files.filter((file) => (!path || file.path === path) && !(undo && file.undone));
+    const backup = await this.capture(tool, files.map((file) => file.path));
+    const restored: string[] = [];
+    const deleted: string[] = [];
+
+    for (const file of files) {
+      const target = join(this.projectPath, file.path);
+      if (file.hash === null) {
+        if (existsSync(target)) {
+          await rm(target, { force: true });
+          deleted.push(file.path);
+        }
+        continue;
+      }
+      await mkdir(dirname(target), { recursive: true });
+      await copyFile(this.objectPath(file.hash), target);
+      restored.push(file.path);
+    }
+
+    if (undo) {
+      files.forEach((file) => (file.undone = true));
+      entry.undone = entry.files.every((file) => file.undone);
+    }
+    // Pruning may remove the restored entry, so it only happens once its files are back
+    this.entries.push(backup);
+    this.prune();
+    this.save();
+    return { backup, restored, deleted };
+  }
+
+  private async capture(tool: string, files: string[]): Promise<HistoryEntry> {
+    const stored: HistoryFile[] = [];
+    for (const path of new Set(files)) {
+      stored.push(await this.store(path));
+    }
+    return {
+      id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+      tool,
+      createdAt: new Date().toISOString(),
+      files: stored,
+      undone: false,
+    };
+  }
+
+  private async store(path: string): Promise<HistoryFile> {
+    const source = join(this.projectPath, path);
+    if (!existsSync(source)) {
+      return { path, hash: null, size: null };
+    }
+    const content = await readFile(source);
+    const hash = createHash('sha1').update(content).digest('hex');
+    const objectPath = this.objectPath(hash);
+    if (!existsSync(objectPath)) {
+      await mkdir(dirname(objectPath), { recursive: true });
+      await writeFile(objectPath, content);
+    }
+    return { path, hash, size: content.length };
+  }
+
+  private async currentHash(path: string): Promise<string | null> {
+    const source = join(this.projectPath, path);
+    return existsSync(source) ? createHash('sha1').update(await readFile(source)).digest('hex') : null;
+  }
+
+  /**
+   * Apply the retention policy: keep at most maxEntries entries, none older than maxAgeDays
+   */
+  private prune(): void {
+    const cutoff = Date.now() - this.maxAgeDays * 24 * 60 * 60 * 1000;
+    this.entries = this.entries
+      .filter((entry) => this.maxAgeDays <= 0 || Date.parse(entry.createdAt) >= cutoff)
+      .slice(-Math.max(1, this.maxEntries));
+    this.collectGarbage();
+  }
+
+  private collectGarbage(): void {
+    const referenced = new Set(this.entries.flatMap((entry) => entry.files.map((file) => file.hash)));
+    const objectsDir = join(SceneHistory.directory(this.projectPath), 'objects');
+    if (!existsSync(objectsDir)) {
+      return;
+    }
+    for (const name of readdirSync(objectsDir)) {
+      if (!referenced.has(name)) {
+        rmSync(join(objectsDir, name), { force: true });
+      }
+    }
+  }
+
+  private save(): void {
+    mkdirSync(SceneHistory.directory(this.projectPath), { recursive: true });
+    writeFileSync(this.indexPath, JSON.stringify({ version: 1, entries: this.entries }, null, 2));
+  }
+}
+
+/**
+ * Main server class for the Battlefield 6 Portal MCP server
+ */
+class GodotServer {
+  private server: Server;
+  private debugMode: boolean = DEBUG_MODE;
+  private sessions: Map<string, GodotSession> = new Map();
+  private sessionCounter: number = 0;
+  private jobManager: JobManager;
+  private pathSandbox: PathSandbox;
+  private jobProgressTokens: Map<string, { token: string | number; lastSent: string }> = new Map();
+  private logBufferLines: number = DEFAULT_LOG_BUFFER_LINES;
+  private useWorker: boolean = process.env.GODOT_MCP_WORKER !== 'false';
+  private workers: Map<string, GodotWorker> = new Map();
+  private workerFailures: Map<string, number[]> = new Map();
+  private histories: Map<string, SceneHistory> = new Map();
+  private historyMaxEntries: number = Number(process.env.GODOT_MCP_HISTORY_LIMIT) || DEFAULT_HISTORY_MAX_ENTRIES;
+  private historyMaxAgeDays: number = process.env.GODOT_MCP_HISTORY_DAYS
+    ? Number(process.env.GODOT_MCP_HISTORY_DAYS)
+    : DEFAULT_HISTORY_MAX_AGE_DAYS;
+  private godotPath: string | null = null;
+  private operationsScriptPath: string;
+  private validatedPaths: Map<string, boolean> = new Map();
+  private strictPathValidation: boolean = false;
+  private portalSdkPath: string | null = null;
+  private portalProjectPath: string | null = null;
+  private fbExportDataPath: string | null = null;
+  private pythonCommand: string | null = null;
+  private initialConfig?: GodotServerConfig;
+
+  /**
+   * Parameter name mappings between snake_case and camelCase
+   * This allows the server to accept both formats
+   */
+  private parameterMappings: Record<string, string> = {
+    'project_path': 'projectPath',
+    'scene_path': 'scenePath',
+    'root_node_type': 'rootNodeType',
+    'parent_node_path': 'parentNodePath',
+    'node_type': 'nodeType',
+    'node_name': 'nodeName',
+    'texture_path': 'texturePath',
+    'node_path': 'nodePath',
+    'output_path': 'outputPath',
+    'mesh_item_names': 'meshItemNames',
+    'new_path': 'newPath',
+    'file_path': 'filePath',
+    'directory': 'directory',
+    'recursive': 'recursive',
+    'scene': 'scene',
+    'session_id': 'sessionId',
+    'since_cursor': 'sinceCursor',
+    'max_lines': 'maxLines',
+    'include_engine': 'includeEngine',
+    'job_id': 'jobId',
+    'timeout_ms': 'timeoutMs',
+    'output_dir': 'outputDir',
+    'overwrite_levels': 'overwriteLevels',
+    'root_path': 'rootPath',
+    'max_depth': 'maxDepth',
+    'max_nodes': 'maxNodes',
+    'node_types': 'nodeTypes',
+    'include_instance_children': 'includeInstanceChildren',
+    'new_parent_path': 'newParentPath',
+    'keep_global_transform': 'keepGlobalTransform',
+    'new_name': 'newName',
+    'instance_path': 'instancePath',
+    'spatial_path': 'spatialPath',
+    'level_name': 'levelName',
+    'fb_export_data_path': 'fbExportDataPath',
+    'include_objects': 'includeObjects',
+    'portal_kind': 'portalKind',
+    'before_path': 'beforePath',
+    'after_path': 'afterPath',
+    'position_tolerance': 'positionTolerance',
+    'rotation_tolerance': 'rotationTolerance',
+    'scale_tolerance': 'scaleTolerance',
+    'max_entries': 'maxEntries',
+    'playable_area': 'playableArea',
+    'object_budget': 'objectBudget',
+    'type_budgets': 'typeBudgets',
+    'required_teams': 'requiredTeams',
+    'max_substitutes': 'maxSubstitutes',
+    'version_id': 'versionId',
+    'dry_run': 'dryRun',
+    'camera_position': 'cameraPosition',
+    'look_at': 'lookAt',
+    'orthographic_size': 'orthographicSize',
+    'add_lighting': 'addLighting',
+    'check_only': 'checkOnly',
+    'wheel_dir': 'wheelDir',
+    'requirements_path': 'requirementsPath',
+    'venv_path': 'venvPath',
+    'base_python': 'basePython',
+    'allow_network': 'allowNetwork',
+  };
+
+  /**
+   * Reverse mapping from camelCase to snake_case
+   * Generated from parameterMappings for quick lookups
+   */
+  private reverseParameterMappings: Record<string, string> = {};
+
+  constructor(config?: GodotServerConfig) {
+    this.initialConfig = config;
+    // Initialize reverse parameter mappings
+    for (const [snakeCase, camelCase] of Object.entries(this.parameterMappings)) {
+      this.reverseParameterMappings[camelCase] = snakeCase;
+    }
+    // Apply configuration if provided
+    let debugMode = DEBUG_MODE;
+    let godotDebugMode = GODOT_DEBUG_MODE;
+
+    if (config) {
+      if (config.debugMode !== undefined) {
+        debugMode = config.debugMode;
+      }
+      if (config.godotDebugMode !== undefined) {
+        godotDebugMode = config.godotDebugMode;
+      }
+      if (config.strictPathValidation !== undefined) {
+        this.strictPathValidation = config.strictPathValidation;
+      }
+      if (config.logBufferLines !== undefined && config.logBufferLines > 0) {
+        this.logBufferLines = config.logBufferLines;
+      }
+      if (config.useWorker !== undefined) {
+        this.useWorker = config.useWorker;
+      }
+      if (config.historyMaxEntries !== undefined && config.historyMaxEntries > 0) {
+        this.historyMaxEntries = config.historyMaxEntries;
+      }
+      if (config.historyMaxAgeDays !== undefined && config.historyMaxAgeDays >= 0) {
+        this.historyMaxAgeDays = config.historyMaxAgeDays;
+      }
+
+      // Store and validate custom Godot path if provided
+      if (config.godotPath) {
+        const normalizedPath = normalize(config.godotPath);
+        this.godotPath = normalizedPath;
+        this.logDebug(`Custom Godot path provided: ${this.godotPath}`);
+
+        // Validate immediately with sync check
+        if (!this.isValidGodotPathSync(this.godotPath)) {
+          console.warn(`[SERVER] Invalid custom Godot path provided: ${this.godotPath}`);
+          this.godotPath = null; // Reset to trigger auto-detection later
+        }
+      }
+      if (config.portalSdkPath) {
+        this.portalSdkPath = normalize(config.portalSdkPath);
+        this.logDebug(`Custom Portal SDK path provided: ${this.portalSdkPath}`);
+      }
+      if (config.portalProjectPath) {
+        this.portalProjectPath = normalize(config.portalProjectPath);
+        this.logDebug(`Custom Portal project path provided: ${this.portalProjectPath}`);
+      }
+      if (config.fbExportDataPath) {
+        this.fbExportDataPath = normalize(config.fbExportDataPath);
+        this.logDebug(`Custom Portal FbExportData path provided: ${this.fbExportDataPath}`);
+      }
+      if (config.pythonPath) {
+        this.pythonCommand = config.pythonPath;
+        this.logDebug(`Custom Python command provided: ${this.pythonCommand}`);
+      }
+    }
+
+    // Persist the effective debug mode for other helpers
+    this.debugMode = debugMode;
+
+    const maxConcurrentJobs = config?.maxConcurrentJobs ?? Number(process.env.GODOT_MCP_MAX_JOBS);
+    this.jobManager = new JobManager(
+      maxConcurrentJobs > 0 ? Math.floor(maxConcurrentJobs) : DEFAULT_MAX_CONCURRENT_JOBS,
+      config?.jobHistoryPath ?? process.env.GODOT_MCP_JOB_HISTORY ?? join(homedir(), '.bf6portal-mcp', 'job_history.json'),
+      this.logBufferLines,
+      (message: string) => this.logDebug(message),
+      (job: BackgroundJob) => this.notifyJobProgress(job)
+    );
+
+    this.pathSandbox = new PathSandbox(
+      config?.allowedRoots ?? (process.env.GODOT_MCP_ALLOWED_ROOTS ?? '').split(delimiter)
+    );
+    if (this.pathSandbox.enabled) {
+      this.logDebug(`Restricting tool paths to: ${this.pathSandbox.roots.join(', ')}`);
+    }
+
+    // Attempt to resolve Portal SDK paths immediately so defaults are available
+    this.detectPortalPaths();
+
+    // Set the path to the operations script
+    this.operationsScriptPath = join(__dirname, 'scripts', 'godot_operations.gd');
+    this.logDebug(`Operations script path: ${this.operationsScriptPath}`);
+
+    // Initialize the MCP server
+    this.server = new Server(
+      {
+        name: 'bf6-portal-mcp-server',
+        version: '0.2.0',
+      },
+      {
+        capabilities: {
+          tools: {},
+        },
+      }
+    );
+
+    // Set up tool handlers
+    this.setupToolHandlers();
+
+    // Error handling
+    this.server.onerror = (error) => console.error('[MCP Error]', error);
+
+    // Cleanup on exit
+    process.on('SIGINT', async () => {
+      await this.cleanup();
+      process.exit(0);
+    });
+  }
+
+  /**
+   * Log debug messages if debug mode is enabled
+   */
+  private logDebug(message: string): void {
+    if (this.debugMode) {
+      console.error(`[DEBUG] ${message}`);
+    }
+  }
+
+  /**
+   * Create a standardized error response with possible solutions
+   */
+  private createErrorResponse(message: string, possibleSolutions: string[] = []): any {
+    // Log the error
+    console.error(`[SERVER] Error response: ${message}`);
+    if (possibleSolutions.length > 0) {
+      console.error(`[SERVER] Possible solutions: ${possibleSolutions.join(', ')}`);
+    }
+
+    const response: any = {
+      content: [
+        {
+          type: 'text',
+          text: message,
+        },
+      ],
+      isError: true,
+    };
+
+    if (possibleSolutions.length > 0) {
+      response.content.push({
+        type: 'text',
+        text: 'Possible solutions:\n- ' + possibleSolutions.join('\n- '),
+      });
+    }
+
+    return response;
+  }
+
+  /**
+   * Create a success response carrying the structured data of an operation result
+   * @param message Human readable summary
+   * @param result The operation result envelope
+   */
+  private createOperationResponse(message: string, result: OperationResult): any {
+    const { dry_run_files: dryRunFiles, ...data } = result.data;
+    if (Array.isArray(dryRunFiles)) {
+      return this.createDryRunResponse(result.operation, dryRunFiles, { data, warnings: result.warnings });
+    }
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify(
+            {
+              message,
+              status: result.status,
+              operation: result.operation,
+              data: result.data,
+              warnings: result.warnings,
+            },
+            null,
+            2
+          ),
+        },
+      ],
+    };
+  }
+
+  /**
+   * Describe what a dry run would have written: a file list, plus a unified diff for each text file
+   * @param operation Operation or tool that was previewed
+   * @param files Files the operation would create or overwrite
+   * @param details Extra fields for the summary, e.g. the operation result
+   */
+  private createDryRunResponse(operation: string, files: DryRunFile[], details: Record<string, any> = {}): any {
+    const diffs: { path: string; diff: string }[] = [];
+    const listed = files.map((file) => {
+      let action: 'create' | 'overwrite' | 'unchanged' = file.exists ? (file.unchanged ? 'unchanged' : 'overwrite') : 'create';
+      if (typeof file.text === 'string') {
+        const diff = this.unifiedDiff(file.path, file.current_text ?? '', file.text, !file.exists);
+        if (diff) {
+          diffs.push({ path: file.path, diff });
+        } else if (file.exists) {
+          action = 'unchanged';
+        }
+      }
+      return { path: file.path, action, ...(file.size !== undefined ? { size: file.size } : {}) };
+    });
+
+    const count = (action: string) => listed.filter((file) => file.action === action).length;
+    const summary = {
+      message: `Dry run of ${operation}: nothing was written`,
+      dryRun: true,
+      create: count('create'),
+      overwrite: count('overwrite'),
+      unchanged: count('unchanged'),
+      files: listed.slice(0, MAX_DRY_RUN_FILES),
+      ...(listed.length > MAX_DRY_RUN_FILES ? { filesOmitted: listed.length - MAX_DRY_RUN_FILES } : {}),
+      ...details,
+    };
+
+    // Keep whole diffs up to the budget, truncating the one that crosses it
+    const shown: string[] = [];
+    let remaining = MAX_DRY_RUN_DIFF_LENGTH;
+    for (const { diff } of diffs) {
+      if (remaining <= 0) {
+        break;
+      }
+      shown.push(diff.length <= remaining ? diff : `${diff.slice(0, diff.lastIndexOf('\n', remaining) + 1)}... diff truncated\n`);
+      remaining -= diff.length;
+    }
+    const omitted = diffs.slice(shown.length).map((entry) => entry.path);
+
+    return {
+      content: [
+        { type: 'text', text: JSON.stringify(summary, null, 2) },
+        ...shown.map((diff) => ({ type: 'text', text: diff })),
+        ...(omitted.length > 0
+          ? [{ type: 'text', text: `Diff output limited to ${MAX_DRY_RUN_DIFF_LENGTH} characters; not shown: ${omitted.join(', ')}` }]
+          : []),
+      ],
+    };
+  }
+
+  /**
+   * Unified diff between two versions of a text file, or an empty string when they match.
+   * Godot assigns a fresh uid when a scene is rendered elsewhere, so the header uid of an existing file is kept.
+   */
+  private unifiedDiff(path: string, before: string, after: string, created: boolean, context: number = 3): string {
+    const uid = /^(\[gd_(?:scene|resource)[^\n]*?uid=")([^"]*)"/;
+    const beforeUid = before.match(uid);
+    if (beforeUid) {
+      after = after.replace(uid, `$1${beforeUid[2]}"`);
+    }
+    if (before === after) {
+      return '';
+    }
+
+    const a = before === '' ? [] : before.replace(/\n$/, '').split('\n');
+    const b = after.replace(/\n$/, '').split('\n');
+
+    // Only the region between the common prefix and suffix needs an LCS table
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) {
+      start++;
+    }
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+      endA--;
+      endB--;
+    }
+
+    const midA = a.slice(start, endA);
+    const midB = b.slice(start, endB);
+    const ops: Array<[' ' | '-' | '+', string]> = a.slice(0, start).map((line) => [' ', line] as [' ', string]);
+    if (midA.length * midB.length <= 4_000_000) {
+      const lcs: Uint32Array[] = Array.from({ length: midA.length + 1 }, () => new Uint32Array(midB.length + 1));
+      for (let i = midA.length - 1; i >= 0; i--) {
+        for (let j = midB.length - 1; j >= 0; j--) {
+          lcs[i][j] = midA[i] === midB[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+      }
+      let i = 0;
+      let j = 0;
+      while (i < midA.length || j < midB.length) {
+        if (i < midA.length && j < midB.length && midA[i] === midB[j]) {
+          ops.push([' ', midA[i++]]);
+          j++;
+        } else if (i < midA.length && (j === midB.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+          ops.push(['-', midA[i++]]);
+        } else {
+          ops.push(['+', midB[j++]]);
+        }
+      }
+    } else {
+      // Too large to align line by line; show the changed region as replaced
+      ops.push(...midA.map((line) => ['-', line] as ['-', string]), ...midB.map((line) => ['+', line] as ['+', string]));
+    }
+    ops.push(...a.slice(endA).map((line) => [' ', line] as [' ', string]));
+
+    const name = path.replace(/^res:\/\//, '');
+    const lines = [`--- ${created ? '/dev/null' : `a/${name}`}`, `+++ b/${name}`];
+    let index = 0;
+    while (index < ops.length) {
+      if (ops[index][0] === ' ') {
+        index++;
+        continue;
+      }
+      // Grow the hunk while changes are within 2 * context lines of each other
+      let hunkEnd = index;
+      let last = index;
+      while (hunkEnd < ops.length && hunkEnd - last <= context * 2) {
+        if (ops[hunkEnd][0] !== ' ') {
+          last = hunkEnd;
+        }
+        hunkEnd++;
+      }
+      const from = Math.max(0, index - context);
+      const to = Math.min(ops.length, last + context + 1);
+      const hunk = ops.slice(from, to);
+      const lineA = ops.slice(0, from).filter((op) => op[0] !== '+').length;
+      const lineB = ops.slice(0, from).filter((op) => op[0] !== '-').length;
+      const countA = hunk.filter((op) => op[0] !== '+').length;
+      const countB = hunk.filter((op) => op[0] !== '-').length;
+      lines.push(`@@ -${countA ? lineA + 1 : lineA},${countA} +${countB ? lineB + 1 : lineB},${countB} @@`);
+      lines.push(...hunk.map(([mark, line]) => `${mark}${line}`));
+      index = to;
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * Create an error response for a failed operation result, keeping its error codes
+   * @param prefix Message prefix describing what failed
+   * @param result The operation result envelope
+   * @param possibleSolutions Suggestions for the caller
+   */
+  private createOperationErrorResponse(prefix: string, result: OperationResult, possibleSolutions: string[] = []): any {
+    const details = result.errors.map((error) => `[${error.code}] ${error.message}`).join('; ');
+    const response = this.createErrorResponse(`${prefix}: ${details || 'Unknown error'}`, possibleSolutions);
+    response.content.push({
+      type: 'text',
+      text: JSON.stringify(
+        {
+          status: result.status,
+          operation: result.operation,
+          errors: result.errors,
+          warnings: result.warnings,
+          data: result.data,
+        },
+        null,
+        2
+      ),
+    });
+    return response;
+  }
+
+  /**
+   * Validate a path to prevent path traversal attacks
+   */
+  private validatePath(path: string): boolean {
+    // Basic validation to prevent path traversal
+    if (!path || path.includes('..')) {
+      return false;
+    }
+
+    // Add more validation as needed
+    return true;
+  }
+
+  /**
+   * Check every path argument of a tool call against the allowed roots
+   * @param paths Absolute paths from resolvePathArguments
+   * @returns An error response naming the root the first offending path would need, or null when all are allowed
+   */
+  private checkAllowedRoots(paths: Array<[string, string]>): any | null {
+    if (!this.pathSandbox.enabled) {
+      return null;
+    }
+
+    for (const [key, path] of paths) {
+      const violation = this.pathSandbox.check(path);
+      if (violation) {
+        return this.createErrorResponse(
+          `${key} is outside the allowed roots: ${violation.resolved} would need ${violation.neededRoot} (or a parent of it) to be allowed`,
+          [
+            `Allowed roots: ${this.pathSandbox.roots.join(', ')}`,
+            `Add ${violation.neededRoot} to GODOT_MCP_ALLOWED_ROOTS or allowedRoots in the server configuration`,
+            'Use a path inside one of the allowed roots',
+          ]
+        );
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Resolve every path argument of a tool call to the absolute path it refers to
+   * This is the only place relative path arguments are resolved; see PROJECT_PATH_ARGUMENTS for the bases
+   * @param args Normalized tool arguments
+   * @returns [argument name, absolute path] pairs, including the effective projectPath
+   */
+  private resolvePathArguments(args: any): Array<[string, string]> {
+    const projectPath = this.resolveProjectPath(typeof args.projectPath === 'string' ? args.projectPath : undefined);
+    const paths: Array<[string, string]> = [];
+    if (projectPath) {
+      paths.push(['projectPath', resolve(projectPath)]);
+    }
+    const bases: Array<[string[], string]> = [
+      [PROJECT_PATH_ARGUMENTS, projectPath ?? process.cwd()],
+      [SDK_PATH_ARGUMENTS, this.portalSdkPath ?? process.cwd()],
+      [WORKING_DIRECTORY_PATH_ARGUMENTS, process.cwd()],
+    ];
+    for (const [keys, base] of bases) {
+      for (const key of keys) {
+        // basePython may also be a bare command looked up on PATH
+        if (typeof args[key] === 'string' && args[key].trim() && (key !== 'basePython' || /[\\/]/.test(args[key]))) {
+          paths.push([key, resolve(this.toAbsolutePath(base, args[key]))]);
+        }
+      }
+    }
+    return paths;
+  }
+
+  /**
+   * Determine if a path is absolute, supporting both POSIX and Windows formats
+   */
+  private isAbsolutePath(path: string): boolean {
+    if (!path) {
+      return false;
+    }
+
+    return path.startsWith('/') || path.startsWith('res://') || /^[A-Za-z]:[\\/]/.test(path);
+  }
+
+  /**
+   * Convert a path to an absolute path using a base directory
+   */
+  private toAbsolutePath(basePath: string, targetPath: string): string {
+    if (!targetPath) {
+      return targetPath;
+    }
+
+    if (targetPath.startsWith('res://')) {
+      const relativePath = targetPath.replace('res://', '');
+      return normalize(join(basePath, relativePath));
+    }
+
+    if (this.isAbsolutePath(targetPath)) {
+      return normalize(targetPath);
+    }
+
+    return normalize(join(basePath, targetPath));
+  }
+
+  /**
+   * Synchronous validation for constructor use
+   * This is a quick check that only verifies file existence, not executable validity
+   * Full validation will be performed later in detectGodotPath
+   * @param path Path to check
+   * @returns True if the path exists or is 'godot' (which might be in PATH)
+   */
+  private isValidGodotPathSync(path: string): boolean {
+    try {
+      this.logDebug(`Quick-validating Godot path: ${path}`);
+      return path === 'godot' || existsSync(path);
+    } catch (error) {
+      this.logDebug(`Invalid Godot path: ${path}, error: ${error}`);
+      return false;
+    }
+  }
+
+  /**
+   * Validate if a Godot path is valid and executable
+   */
+  private async isValidGodotPath(path: string): Promise<boolean> {
+    // Check cache first
+    if (this.validatedPaths.has(path)) {
+      return this.validatedPaths.get(path)!;
+    }
+
+    try {
+      this.logDebug(`Validating Godot path: ${path}`);
+
+      // Check if the file exists (skip for 'godot' which might be in PATH)
+      if (path !== 'godot' && !existsSync(path)) {
+        this.logDebug(`Path does not exist: ${path}`);
+        this.validatedPaths.set(path, false);
+        return false;
+      }
+
+      // Try to execute Godot with --version flag
+      await this.getGodotVersion(path);
+
+      this.logDebug(`Valid Godot path: ${path}`);
+      this.validatedPaths.set(path, true);
+      return true;
+    } catch (error) {
+      this.logDebug(`Invalid Godot path: ${path}, error: ${error}`);
+      this.validatedPaths.set(path, false);
+      return false;
+    }
+  }
+
+  /**
+   * Attempt to detect the Portal SDK root and related directories
+   */
+  private detectPortalPaths(config: GodotServerConfig | undefined = this.initialConfig): void {
+    const candidateRoots: string[] = [];
+    const addCandidate = (candidate?: string | null) => {
+      if (candidate) {
+        const normalized = normalize(candidate);
+        if (!candidateRoots.includes(normalized)) {
+          candidateRoots.push(normalized);
+        }
+      }
+    };
+
+    if (!this.portalSdkPath && config?.portalSdkPath) {
+      addCandidate(config.portalSdkPath);
+    } else if (this.portalSdkPath) {
+      addCandidate(this.portalSdkPath);
+    }
+
+    if (process.env.PORTAL_SDK_PATH) {
+      addCandidate(process.env.PORTAL_SDK_PATH);
+    }
+
+    if (!this.portalProjectPath && config?.portalProjectPath) {
+      this.portalProjectPath = normalize(config.portalProjectPath);
+    }
+    if (!this.portalProjectPath && process.env.PORTAL_PROJECT_PATH) {
+      this.portalProjectPath = normalize(process.env.PORTAL_PROJECT_PATH);
+    }
+    if (!this.fbExportDataPath && config?.fbExportDataPath) {
+      this.fbExportDataPath = normalize(config.fbExportDataPath);
+    }
+    if (!this.fbExportDataPath && process.env.PORTAL_FB_EXPORT_PATH) {
+      this.fbExportDataPath = normalize(process.env.PORTAL_FB_EXPORT_PATH);
+    }
+
+    const searchDirs = [process.cwd(), __dirname, dirname(__dirname)];
+    for (const dir of searchDirs) {
+      const resolved = this.resolvePortalSdkRootFrom(dir);
+      if (resolved) {
+        addCandidate(resolved);
+      }
+    }
+
+    for (const candidate of candidateRoots) {
+      if (this.isValidPortalSdkRoot(candidate)) {
+        if (!this.portalSdkPath || this.portalSdkPath !== candidate) {
+          this.logDebug(`Detected Portal SDK path: ${candidate}`);
+        }
+        this.portalSdkPath = candidate;
+        break;
+      }
+    }
+
+    if (this.portalSdkPath) {
+      const projectCandidate = normalize(join(this.portalSdkPath, 'GodotProject'));
+      if (!this.portalProjectPath && existsSync(join(projectCandidate, 'project.godot'))) {
+        this.portalProjectPath = projectCandidate;
+        this.logDebug(`Detected Portal project path: ${this.portalProjectPath}`);
+      }
+
+      const fbCandidate = normalize(join(this.portalSdkPath, 'SDK', 'deps', 'FbExportData'));
+      if (!this.fbExportDataPath && existsSync(fbCandidate)) {
+        this.fbExportDataPath = fbCandidate;
+        this.logDebug(`Detected Portal FbExportData path: ${this.fbExportDataPath}`);
+      }
+    }
+
+    if (this.portalProjectPath) {
+      this.portalProjectPath = normalize(this.portalProjectPath);
+    }
+    if (this.fbExportDataPath) {
+      this.fbExportDataPath = normalize(this.fbExportDataPath);
+    }
+  }
+
+  /**
+   * Resolve a Portal SDK root directory by searching upwards from a starting point
+   */
+  private resolvePortalSdkRootFrom(startDir: string): string | null {
+    if (!startDir) {
+      return null;
+    }
+
+    let current = normalize(startDir);
+    const visited = new Set<string>();
+
+    while (!visited.has(current)) {
+      if (this.isValidPortalSdkRoot(current)) {
+        return current;
+      }
+
+      const candidate = join(current, 'PortalSDK');
+      if (this.isValidPortalSdkRoot(candidate)) {
+        return candidate;
+      }
+
+      visited.add(current);
+      const parent = dirname(current);
+      if (parent === current) {
+        break;
+      }
+      current = parent;
+    }
+
+    return null;
+  }
+
+  /**
+   * Determine if a path looks like a Portal SDK root
+   */
+  private isValidPortalSdkRoot(pathToCheck: string): boolean {
+    if (!pathToCheck) {
+      return false;
+    }
+
+    const sdkDir = join(pathToCheck, 'SDK');
+    const projectDir = join(pathToCheck, 'GodotProject');
+    const fbExportDir = join(pathToCheck, 'SDK', 'deps', 'FbExportData');
+
+    return (
+      existsSync(sdkDir) &&
+      existsSync(projectDir) &&
+      existsSync(join(projectDir, 'project.godot')) &&
+      existsSync(fbExportDir)
+    );
+  }
+
+  /**
+   * Resolve the project path, defaulting to the detected Portal project when available
+   */
+  private resolveProjectPath(providedPath?: string): string | null {
+    if (providedPath) {
+      return normalize(providedPath);
+    }
+
+    this.detectPortalPaths();
+
+    if (this.portalProjectPath) {
+      return this.portalProjectPath;
+    }
+
+    return null;
+  }
+
+  /**
+   * Resolve and check the project and scene targeted by a scene tool
+   * @returns The project path, or an error response to return to the caller
+   */
+  private resolveSceneTarget(args: any): { projectPath: string } | { error: any } {
+    if (!args.scenePath) {
+      return {
+        error: this.createErrorResponse('Missing required parameters', ['Provide scenePath']),
+      };
+    }
+
+    if ((args.projectPath && !this.validatePath(args.projectPath)) || !this.validatePath(args.scenePath)) {
+      return {
+        error: this.createErrorResponse(
+          'Invalid path',
+          ['Provide valid paths without ".." or other potentially unsafe characters']
+        ),
+      };
+    }
+
+    const projectPath = this.resolveProjectPath(args.projectPath);
+    if (!projectPath) {
+      return {
+        error: this.createErrorResponse(
+          'Project path is required',
+          [
+            'Provide a valid path to a Godot project directory',
+            'Ensure the Battlefield Portal SDK is installed and detectable',
+          ]
+        ),
+      };
+    }
+
+    if (!existsSync(join(projectPath, 'project.godot'))) {
+      return {
+        error: this.createErrorResponse(
+          `Not a valid Godot project: ${projectPath}`,
+          [
+            'Ensure the path points to a directory containing a project.godot file',
+            'Use list_projects to find valid Godot projects',
+          ]
+        ),
+      };
+    }
+
+    if (!existsSync(join(projectPath, args.scenePath))) {
+      return {
+        error: this.createErrorResponse(
+          `Scene file does not exist: ${args.scenePath}`,
+          [
+            'Ensure the scene path is correct',
+            'Use create_scene to create a new scene first',
+          ]
+        ),
+      };
+    }
+
+    return { projectPath };
+  }
+
+  /**
+   * Load JSON from disk with logging on parse failures
+   */
+  private readJsonFile(filePath: string): any | null {
+    try {
+      if (!existsSync(filePath)) {
+        return null;
+      }
+      const content = readFileSync(filePath, 'utf-8');
+      return JSON.parse(content);
+    } catch (error) {
+      this.logDebug(`Failed to read JSON file ${filePath}: ${error}`);
+      return null;
+    }
+  }
+
+  /**
+   * Find Portal script directories for a specific level
+   */
+  private findPortalScriptDirectories(levelName: string): string[] {
+    if (!this.portalProjectPath) {
+      return [];
+    }
+
+    const scriptsDir = join(this.portalProjectPath, 'scripts');
+    if (!existsSync(scriptsDir)) {
+      return [];
+    }
+
+    const result: string[] = [];
+
+    try {
+      const theaters = readdirSync(scriptsDir, { withFileTypes: true });
+      for (const theater of theaters) {
+        if (!theater.isDirectory()) {
+          continue;
+        }
+        const levelDir = join(scriptsDir, theater.name, levelName);
+        if (existsSync(levelDir)) {
+          result.push(normalize(levelDir));
+        }
+      }
+    } catch (error) {
+      this.logDebug(`Failed to scan Portal script directories: ${error}`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Get a helper script path from the Portal gdconverter utilities
+   */
+  private getGdConverterScriptPath(scriptName: string): string | null {
+    this.detectPortalPaths();
+
+    if (!this.portalSdkPath) {
+      return null;
+    }
+
+    const scriptPath = join(
+      this.portalSdkPath,
+      'SDK',
+      'deps',
+      'gdconverter',
+      'src',
+      'gdconverter',
+      scriptName
+    );
+
+    if (existsSync(scriptPath)) {
+      return normalize(scriptPath);
+    }
+
+    return null;
+  }
+
+  /**
+   * Ensure a Python interpreter is available for Portal SDK scripts
+   */
+  private async ensurePythonCommand(): Promise<string> {
+    if (this.pythonCommand && (await this.validatePythonCommand(this.pythonCommand))) {
+      return this.pythonCommand;
+    }
+
+    const tested = new Set<string>();
+    const candidates: Array<string | undefined> = [];
+
+    if (this.initialConfig?.pythonPath) {
+      candidates.push(this.initialConfig.pythonPath);
+    }
+    if (process.env.PYTHON_PATH) {
+      candidates.push(process.env.PYTHON_PATH);
+    }
+    // A venv made by setup_portal_python has the gdconverter requirements installed
+    this.detectPortalPaths();
+    if (this.portalSdkPath) {
+      const venvPython = this.venvPythonPath(join(this.portalSdkPath, PORTAL_VENV_DIR));
+      if (existsSync(venvPython)) {
+        candidates.push(venvPython);
+      }
+    }
+    candidates.push('python3', 'python');
+
+    for (const candidate of candidates) {
+      if (!candidate) {
+        continue;
+      }
+      if (tested.has(candidate)) {
+        continue;
+      }
+      tested.add(candidate);
+      if (await this.validatePythonCommand(candidate)) {
+        this.pythonCommand = candidate;
+        this.logDebug(`Using Python command: ${candidate}`);
+        return candidate;
+      }
+    }
+
+    throw new Error(
+      'Unable to locate a Python interpreter. Set PYTHON_PATH or pythonPath in the server configuration.'
+    );
+  }
+
+  /**
+   * Path of the interpreter inside a virtual environment
+   */
+  private venvPythonPath(venvPath: string): string {
+    return process.platform === 'win32'
+      ? join(venvPath, 'Scripts', 'python.exe')
+      : join(venvPath, 'bin', 'python');
+  }
+
+  /**
+   * Validate a python command by checking it can report its version
+   */
+  private async validatePythonCommand(command: string): Promise<boolean> {
+    try {
+      await execFileAsync(command, ['--version']);
+      return true;
+    } catch (error) {
+      this.logDebug(`Python validation failed for ${command}: ${error}`);
+      return false;
+    }
+  }
+
+  /**
+   * Execute a Python script and return stdout/stderr information
+   */
+  private async runPythonScript(scriptPath: string, args: string[], options?: ProcessOptions): Promise<ProcessResult> {
+    const pythonCommand = await this.ensurePythonCommand();
+    return await this.runProcess(pythonCommand, [scriptPath, ...args], options);
+  }
+
+  /**
+   * Run a command from an argument vector, without a shell, and collect its output
+   * Arguments reach the process verbatim, so quotes, $ and backticks in paths or values need no escaping
+   * @returns Output (capped to its most recent part), exit code and whether the timeout fired; rejects only if
+   *   the process could not be started or options.signal aborted it
+   */
+  private async runProcess(command: string, args: string[], options?: ProcessOptions): Promise<ProcessResult> {
+    const maxOutputLength = options?.maxOutputLength ?? MAX_PROCESS_OUTPUT_LENGTH;
+    const started = Date.now();
+
+    return await new Promise((resolve, reject) => {
+      const child = spawn(command, args, {
+        cwd: options?.cwd,
+        env: options?.env ? { ...process.env, ...options.env } : undefined,
+        signal: options?.signal,
+        stdio: 'pipe',
+        windowsHide: true,
+      });
+      options?.onSpawn?.(child);
+
+      const output: Record<LogStream, string> = { stdout: '', stderr: '' };
+      let truncated = false;
+      let timedOut = false;
+      const timer =
+        options?.timeoutMs && options.timeoutMs > 0
+          ? setTimeout(() => {
+              timedOut = true;
+              child.kill();
+            }, options.timeoutMs)
+          : null;
+
+      const capture = (stream: LogStream) => (data: Buffer) => {
+        const chunk = data.toString();
+        output[stream] += chunk;
+        if (output[stream].length > maxOutputLength) {
+          output[stream] = output[stream].slice(-maxOutputLength);
+          truncated = true;
+        }
+        options?.onOutput?.(stream, chunk);
+      };
+      child.stdout.on('data', capture('stdout'));
+      child.stderr.on('data', capture('stderr'));
+
+      child.on('error', (error: Error) => {
+        if (timer) clearTimeout(timer);
+        reject(error);
+      });
+
+      child.on('close', (code: number | null, signal: NodeJS.Signals | null) => {
+        if (timer) clearTimeout(timer);
+        resolve({
+          stdout: output.stdout,
+          stderr: output.stderr,
+          exitCode: code,
+          signal,
+          timedOut,
+          truncated,
+          durationMs: Date.now() - started,
+        });
+      });
+    });
+  }
+
+  /**
+   * Read the version string reported by a Godot executable
+   */
+  private async getGodotVersion(godotPath: string): Promise<string> {
+    const { stdout, stderr, exitCode, timedOut } = await this.runProcess(godotPath, ['--version'], {
+      timeoutMs: GODOT_VERSION_TIMEOUT_MS,
+    });
+    if (timedOut) {
+      throw new Error(`${godotPath} --version did not finish within ${GODOT_VERSION_TIMEOUT_MS / 1000} seconds`);
+    }
+    if (exitCode !== 0) {
+      throw new Error(`${godotPath} --version exited with code ${exitCode}: ${stderr.trim() || stdout.trim()}`);
+    }
+    return stdout.trim();
+  }
+
+  /**
+   * Detect the Godot executable path based on the operating system
+   */
+  private async detectGodotPath() {
+    // If godotPath is already set and valid, use it
+    if (this.godotPath && await this.isValidGodotPath(this.godotPath)) {
+      this.logDebug(`Using existing Godot path: ${this.godotPath}`);
+      return;
+    }
+
+    // Check environment variable next
+    if (process.env.GODOT_PATH) {
+      const normalizedPath = normalize(process.env.GODOT_PATH);
+      this.logDebug(`Checking GODOT_PATH environment variable: ${normalizedPath}`);
+      if (await this.isValidGodotPath(normalizedPath)) {
+        this.godotPath = normalizedPath;
+        this.logDebug(`Using Godot path from environment: ${this.godotPath}`);
+        return;
+      } else {
+        this.logDebug(`GODOT_PATH environment variable is invalid`);
+      }
+    }
+
+    // Auto-detect based on platform
+    const osPlatform = process.platform;
+    this.logDebug(`Auto-detecting Godot path for platform: ${osPlatform}`);
+
+    const possiblePaths: string[] = [
+      'godot', // Check if 'godot' is in PATH first
+    ];
+
+    // Add platform-specific paths
+    if (osPlatform === 'darwin') {
+      possiblePaths.push(
+        '/Applications/Godot.app/Contents/MacOS/Godot',
+        '/Applications/Godot_4.app/Contents/MacOS/Godot',
+        `${process.env.HOME}/Applications/Godot.app/Contents/MacOS/Godot`,
+        `${process.env.HOME}/Applications/Godot_4.app/Contents/MacOS/Godot`,
+        `${process.env.HOME}/Library/Application Support/Steam/steamapps/common/Godot Engine/Godot.app/Contents/MacOS/Godot`
+      );
+    } else if (osPlatform === 'win32') {
+      possiblePaths.push(
+        'C:\\Program Files\\Godot\\Godot.exe',
+        'C:\\Program Files (x86)\\Godot\\Godot.exe',
+        'C:\\Program Files\\Godot_4\\Godot.exe',
+        'C:\\Program Files (x86)\\Godot_4\\Godot.exe',
+        `${process.env.USERPROFILE}\\Godot\\Godot.exe`
+      );
+    } else if (osPlatform === 'linux') {
+      possiblePaths.push(
+        '/usr/bin/godot',
+        '/usr/local/bin/godot',
+        '/snap/bin/godot',
+        `${process.env.HOME}/.local/bin/godot`
+      );
+    }
+
+    // Try each possible path
+    for (const path of possiblePaths) {
+      const normalizedPath = normalize(path);
+      if (await this.isValidGodotPath(normalizedPath)) {
+        this.godotPath = normalizedPath;
+        this.logDebug(`Found Godot at: ${normalizedPath}`);
+        return;
+      }
+    }
+
+    // If we get here, we couldn't find Godot
+    this.logDebug(`Warning: Could not find Godot in common locations for ${osPlatform}`);
+    console.warn(`[SERVER] Could not find Godot in common locations for ${osPlatform}`);
+    console.warn(`[SERVER] Set GODOT_PATH=/path/to/godot environment variable or pass { godotPath: '/path/to/godot' } in the config to specify the correct path.`);
+
+    if (this.strictPathValidation) {
+      // In strict mode, throw an error
+      throw new Error(`Could not find a valid Godot executable. Set GODOT_PATH or provide a valid path in config.`);
+    } else {
+      // Fallback to a default path in non-strict mode; this may not be valid and requires user configuration for reliability
+      if (osPlatform === 'win32') {
+        this.godotPath = normalize('C:\\Program Files\\Godot\\Godot.exe');
+      } else if (osPlatform === 'darwin') {
+        this.godotPath = normalize('/Applications/Godot.app/Contents/MacOS/Godot');
+      } else {
+        this.godotPath = normalize('/usr/bin/godot');
+      }
+
+      this.logDebug(`Using default path: ${this.godotPath}, but this may not work.`);
+      console.warn(`[SERVER] Using default path: ${this.godotPath}, but this may not work.`);
+      console.warn(`[SERVER] This fallback behavior will be removed in a future version. Set strictPathValidation: true to opt-in to the new behavior.`);
+    }
+  }
+
+  /**
+   * Set a custom Godot path
+   * @param customPath Path to the Godot executable
+   * @returns True if the path is valid and was set, false otherwise
+   */
+  public async setGodotPath(customPath: string): Promise<boolean> {
+    if (!customPath) {
+      return false;
+    }
+
+    // Normalize the path to ensure consistent format across platforms
+    // (e.g., backslashes to forward slashes on Windows, resolving relative paths)
+    const normalizedPath = normalize(customPath);
+    if (await this.isValidGodotPath(normalizedPath)) {
+      this.godotPath = normalizedPath;
+      this.logDebug(`Godot path set to: ${normalizedPath}`);
+      return true;
+    }
+
+    this.logDebug(`Failed to set invalid Godot path: ${normalizedPath}`);
+    return false;
+  }
+
+  /**
+   * Clean up resources when shutting down
+   */
+  private async cleanup() {
+    this.logDebug('Cleaning up resources');
+    for (const session of this.sessions.values()) {
+      if (session.exitCode === null) {
+        this.logDebug(`Killing Godot process for session ${session.id}`);
+        session.process.kill();
+      }
+    }
+    this.sessions.clear();
+    for (const worker of this.workers.values()) {
+      worker.stop();
+    }
+    this.workers.clear();
+    this.jobManager.cancelAll();
+    await this.server.close();
+  }
+
+  /**
+   * Find a run_project session by ID
+   * Falls back to the only registered session when no ID is provided
+   * @param sessionId Optional session ID
+   * @returns The matching session, or null when it cannot be determined
+   */
+  private resolveSession(sessionId?: string): GodotSession | null {
+    if (sessionId) {
+      return this.sessions.get(sessionId) ?? null;
+    }
+
+    if (this.sessions.size === 1) {
+      return this.sessions.values().next().value ?? null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Create the error response used when a session cannot be resolved
+   * @param sessionId The session ID the caller asked for, if any
+   */
+  private createSessionNotFoundResponse(sessionId?: string): any {
+    if (sessionId) {
+      return this.createErrorResponse(
+        `No Godot session found with ID: ${sessionId}`,
+        [
+          'Use list_sessions to see the available sessions',
+          'The session may have been stopped already',
+        ]
+      );
+    }
+
+    if (this.sessions.size === 0) {
+      return this.createErrorResponse(
+        'No active Godot process.',
+        [
+          'Use run_project to start a Godot project first',
+          'Check if the Godot process crashed unexpectedly',
+        ]
+      );
+    }
+
+    return this.createErrorResponse(
+      `Multiple Godot sessions are registered (${Array.from(this.sessions.keys()).join(', ')})`,
+      ['Provide the sessionId returned by run_project', 'Use list_sessions to see the available sessions']
+    );
+  }
+
+  /**
+   * Build a serializable summary of a session
+   * @param session The session to describe
+   */
+  private describeSession(session: GodotSession) {
+    const end = session.exitedAt ?? new Date();
+    return {
+      sessionId: session.id,
+      pid: session.process?.pid ?? null,
+      projectPath: session.projectPath,
+      scene: session.scene,
+      startedAt: session.startedAt.toISOString(),
+      running: session.exitCode === null,
+      exitCode: session.exitCode,
+      exitedAt: session.exitedAt ? session.exitedAt.toISOString() : null,
+      uptimeMs: end.getTime() - session.startedAt.getTime(),
+    };
+  }
+
+  /**
+   * Drop the oldest exited sessions once more than MAX_RETAINED_SESSIONS have finished
+   */
+  private pruneExitedSessions(): void {
+    const exited = Array.from(this.sessions.values()).filter((session) => session.exitCode !== null);
+    const excess = exited.length - MAX_RETAINED_SESSIONS;
+    for (let i = 0; i < excess; i++) {
+      this.logDebug(`Pruning exited session ${exited[i].id}`);
+      this.sessions.delete(exited[i].id);
+    }
+  }
+
+  /**
+   * Run a long tool call through the job queue.
+   *
+   * With async the caller gets a jobId right away and polls get_job_status; otherwise the call waits for
+   * the job and returns its response, sending MCP progress notifications when the request carries a
+   * progressToken.
+   * @param kind Tool name recorded on the job
+   * @param args Normalized tool arguments (async, timeoutMs)
+   * @param progressToken Progress token from the request metadata, if any
+   * @param runner Performs the work and resolves with the tool response
+   * @param defaultAsync Whether the tool runs in the background when async is not given
+   */
+  private async runAsJob(
+    kind: string,
+    args: any,
+    progressToken: string | number | undefined,
+    runner: JobRunner,
+    defaultAsync: boolean = false
+  ): Promise<any> {
+    const timeoutMs = Number(args.timeoutMs) > 0 ? Math.floor(Number(args.timeoutMs)) : DEFAULT_JOB_TIMEOUT_MS;
+    const job = this.jobManager.submit(kind, runner, timeoutMs);
+
+    if (args.async ?? defaultAsync) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(
+              {
+                message: `${kind} started in the background`,
+                jobId: job.id,
+                status: job.status,
+                timeoutMs,
+                next: 'Poll get_job_status with this jobId; use cancel_job to stop it',
+              },
+              null,
+              2
+            ),
+          },
+        ],
+      };
+    }
+
+    // Progress notifications are only valid while the request is still open
+    if (progressToken !== undefined) {
+      this.jobProgressTokens.set(job.id, { token: progressToken, lastSent: '' });
+    }
+    await this.jobManager.wait(job);
+    this.jobProgressTokens.delete(job.id);
+
+    if (job.response && (job.status === 'succeeded' || job.status === 'failed')) {
+      return job.response;
+    }
+    return this.createErrorResponse(job.error ?? `Job ${job.id} ended with status ${job.status}`, [
+      job.status === 'timed_out'
+        ? 'Pass a larger timeoutMs, or async: true and poll get_job_status'
+        : 'Use get_job_status to inspect the job output',
+    ]);
+  }
+
+  /**
+   * Forward job progress to the client as an MCP progress notification
+   */
+  private notifyJobProgress(job: BackgroundJob): void {
+    const subscription = this.jobProgressTokens.get(job.id);
+    if (!subscription) {
+      return;
+    }
+    const finished = JobManager.isFinished(job);
+    const { current, total, percent } = job.progress;
+    const [progress, progressTotal] =
+      current !== null && total !== null ? [finished ? total : current, total] : [finished ? 100 : percent ?? 0, 100];
+    // Output lines update the progress message often; only send when the numbers move
+    const key = `${progress}/${progressTotal}`;
+    if (key === subscription.lastSent) {
+      return;
+    }
+    subscription.lastSent = key;
+    const params = { progressToken: subscription.token, progress, total: progressTotal };
+    this.server.notification({ method: 'notifications/progress', params }).catch((error: unknown) => {
+      this.logDebug(`Failed to send progress for ${job.id}: ${error}`);
+    });
+  }
+
+  /**
+   * Check if the Godot version is 4.4 or later
+   * @param version The Godot version string
+   * @returns True if the version is 4.4 or later
+   */
+  private isGodot44OrLater(version: string): boolean {
+    const match = version.match(/^(\d+)\.(\d+)/);
+    if (match) {
+      const major = parseInt(match[1], 10);
+      const minor = parseInt(match[2], 10);
+      return major > 4 || (major === 4 && minor >= 4);
+    }
+    return false;
+  }
+
+  /**
+   * Normalize parameters to camelCase format
+   * @param params Object with either snake_case or camelCase keys
+   * @returns Object with all keys in camelCase format
+   */
+  private normalizeParameters(params: OperationParams): OperationParams {
+    if (!params || typeof params !== 'object') {
+      return params;
+    }
+    
+    const result: OperationParams = {};
+    
+    for (const key in params) {
+      if (Object.prototype.hasOwnProperty.call(params, key)) {
+        let normalizedKey = key;
+        
+        // If the key is in snake_case, convert it to camelCase using our mapping
+        if (key.includes('_') && this.parameterMappings[key]) {
+          normalizedKey = this.parameterMappings[key];
+        }
+        
+        // Handle nested objects recursively
+        if (VERBATIM_PARAMETER_KEYS.has(key)) {
+          result[normalizedKey] = params[key];
+        } else if (typeof params[key] === 'object' && params[key] !== null && !Array.isArray(params[key])) {
+          result[normalizedKey] = this.normalizeParameters(params[key] as OperationParams);
+        } else {
+          result[normalizedKey] = params[key];
+        }
+      }
+    }
+    
+    return result;
+  }
+
+  /**
+   * Convert camelCase keys to snake_case
+   * @param params Object with camelCase keys
+   * @returns Object with snake_case keys
+   */
+  private convertCamelToSnakeCase(params: OperationParams): OperationParams {
+    const result: OperationParams = {};
+    
+    for (const key in params) {
+      if (Object.prototype.hasOwnProperty.call(params, key)) {
+        // Convert camelCase to snake_case
+        const snakeKey = this.reverseParameterMappings[key] || key.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+        
+        // Handle nested objects recursively, including objects inside arrays (e.g. edit_scene steps)
+        if (VERBATIM_PARAMETER_KEYS.has(key)) {
+          result[snakeKey] = params[key];
+        } else if (Array.isArray(params[key])) {
+          result[snakeKey] = (params[key] as unknown[]).map(item =>
+            typeof item === 'object' && item !== null && !Array.isArray(item)
+              ? this.convertCamelToSnakeCase(item as OperationParams)
+              : item
+          );
+        } else if (typeof params[key] === 'object' && params[key] !== null) {
+          result[snakeKey] = this.convertCamelToSnakeCase(params[key] as OperationParams);
+        } else {
+          result[snakeKey] = params[key];
+        }
+      }
+    }
+    
+    return result;
+  }
+
+  /**
+   * Execute a Godot operation using the operations script
+   * @param operation The operation to execute
+   * @param params The parameters for the operation
+   * @param projectPath The path to the Godot project
+   * @param signal Optional signal that stops the operation (used by background jobs); operations with one always run one-shot
+   * @returns The stdout and stderr from the operation along with its parsed result envelope
+   */
+  private async executeOperation(
+    operation: string,
+    params: OperationParams,
+    projectPath: string,
+    signal?: AbortSignal
+  ): Promise<{ stdout: string; stderr: string; result: OperationResult }> {
+    this.logDebug(`Executing operation: ${operation} in project: ${projectPath}`);
+    this.logDebug(`Original operation params: ${JSON.stringify(params)}`);
+
+    // Convert camelCase parameters to snake_case for Godot script
+    const snakeCaseParams = this.convertCamelToSnakeCase(params);
+    this.logDebug(`Converted snake_case params: ${JSON.stringify(snakeCaseParams)}`);
+
+
+    // Ensure godotPath is set
+    if (!this.godotPath) {
+      await this.detectGodotPath();
+      if (!this.godotPath) {
+        throw new Error('Could not find a valid Godot executable path');
+      }
+    }
+
+    // The shared worker cannot interrupt a single operation, so cancellable (job) operations run one-shot
+    const worker = signal ? null : await this.getWorker(projectPath);
+    if (worker) {
+      try {
+        const response = await worker.execute(operation, snakeCaseParams);
+        if (!response.result.errors.some((error) => error.code === 'WORKER_CRASHED')) {
+          return response;
+        }
+        // The worker may have saved before it died, so only an operation that writes nothing is safe to run again
+        if (!READ_ONLY_OPERATIONS.has(operation) && snakeCaseParams.dry_run !== true) {
+          return response;
+        }
+        this.logDebug(`Worker crashed during ${operation}, retrying once in one-shot mode`);
+      } catch (error) {
+        if (!(error instanceof WorkerUnavailableError)) {
+          throw error;
+        }
+        this.logDebug(`Worker unavailable for ${operation}, falling back to one-shot mode: ${error.message}`);
+      }
+    }
+
+    signal?.throwIfAborted();
+    return await this.executeOperationOnce(operation, snakeCaseParams, projectPath, signal);
+  }
+
+  /**
+   * Execute a Godot operation in a fresh Godot process, headless unless launch says otherwise
+   * @param operation The operation to execute
+   * @param snakeCaseParams The snake_case parameters for the operation
+   * @param projectPath The path to the Godot project
+   * @param signal Optional signal that kills the Godot process; when given, the caller's timeout replaces the fixed one
+   * @param launch How to start Godot; headless unless the operation needs to render
+   * @returns The stdout and stderr from the operation along with its parsed result envelope
+   */
+  private async executeOperationOnce(
+    operation: string,
+    snakeCaseParams: OperationParams,
+    projectPath: string,
+    signal?: AbortSignal,
+    launch: GodotLaunchOptions = { args: ['--headless'] }
+  ): Promise<{ stdout: string; stderr: string; result: OperationResult }> {
+    const paramsJson = JSON.stringify(snakeCaseParams);
+    // Large payloads would exceed command-line length limits; godot_operations.gd reads "@<file>" instead
+    const paramsFile =
+      paramsJson.length > MAX_INLINE_PARAMS_LENGTH
+        ? join(tmpdir(), `godot-mcp-params-${process.pid}-${Date.now()}-${Math.random().toString(36).slice(2)}.json`)
+        : null;
+
+    // Add debug arguments if debug mode is enabled
+    const debugArgs = GODOT_DEBUG_MODE ? ['--debug-godot'] : [];
+
+    const godotArgs = [
+      ...launch.args,
+      '--path',
+      projectPath,
+      '--script',
+      this.operationsScriptPath,
+      operation,
+      paramsFile ? `@${paramsFile}` : paramsJson,
+      ...debugArgs,
+    ];
+    const [command, ...args] = [...(launch.wrapper ?? []), this.godotPath!, ...godotArgs];
+    this.logDebug(`Command: ${command} ${args.join(' ')}`);
+
+    try {
+      if (paramsFile) {
+        writeFileSync(paramsFile, paramsJson, 'utf8');
+      }
+      const { stdout, stderr, exitCode, timedOut } = await this.runProcess(command, args, {
+        env: launch.env,
+        signal,
+        // Jobs abort the signal when their own timeout runs out, which may be longer than the fixed limit
+        timeoutMs: signal ? undefined : GODOT_OPERATION_TIMEOUT_MS,
+      });
+
+      if (timedOut) {
+        return {
+          stdout,
+          stderr,
+          result: {
+            status: 'error',
+            operation,
+            data: {},
+            errors: [
+              {
+                code: 'TIMEOUT',
+                message: `Godot did not finish ${operation} within ${GODOT_OPERATION_TIMEOUT_MS / 1000} seconds`,
+              },
+            ],
+            warnings: [],
+          },
+        };
+      }
+
+      return { stdout, stderr, result: this.parseOperationResult(operation, stdout, stderr, exitCode) };
+    } finally {
+      if (paramsFile) {
+        rmSync(paramsFile, { force: true });
+      }
+    }
+  }
+
+  /**
+   * Work out how to start a Godot process that can render with the Compatibility renderer
+   * On Linux, Mesa renders OpenGL in software inside xvfb-run, so no window opens even in a desktop session;
+   * the session's own display is only used when Xvfb is not installed. Windows and macOS render on the GPU driver.
+   * @returns Launch options, or an error message when no display can be provided
+   */
+  private resolveRenderLaunch(): { launch: GodotLaunchOptions } | { error: string } {
+    const launch: GodotLaunchOptions = {
+      args: ['--rendering-driver', 'opengl3', '--rendering-method', 'gl_compatibility', '--resolution', '64x64'],
+    };
+    if (process.platform !== 'linux') {
+      return { launch };
+    }
+
+    if (process.env.LIBGL_ALWAYS_SOFTWARE === undefined) {
+      launch.env = { LIBGL_ALWAYS_SOFTWARE: '1' };
+    }
+    const xvfbRun = (process.env.PATH ?? '')
+      .split(delimiter)
+      .filter(Boolean)
+      .map((dir) => join(dir, 'xvfb-run'))
+      .find((candidate) => existsSync(candidate));
+    if (xvfbRun) {
+      launch.wrapper = [xvfbRun, '--auto-servernum', '--server-args=-screen 0 1280x720x24'];
+    } else if (!process.env.DISPLAY && !process.env.WAYLAND_DISPLAY) {
+      return { error: 'No display is available to render with, and xvfb-run was not found on PATH' };
+    }
+    return { launch };
+  }
+
+  /**
+   * Extract the result envelope printed by godot_operations.gd
+   * @param operation The operation that was executed
+   * @param stdout Standard output of the Godot process
+   * @param stderr Standard error of the Godot process, used when no envelope was printed
+   * @param exitCode Exit code of the Godot process, reported when no envelope was printed
+   * @returns The parsed envelope, or an error result when Godot did not report one
+   */
+  private parseOperationResult(
+    operation: string,
+    stdout: string,
+    stderr: string,
+    exitCode: number | null = null
+  ): OperationResult {
+    const end = (stdout ?? '').lastIndexOf(OPERATION_RESULT_END);
+    const begin = end === -1 ? -1 : stdout.lastIndexOf(OPERATION_RESULT_BEGIN, end);
+
+    if (begin !== -1) {
+      try {
+        const envelope = JSON.parse(stdout.slice(begin + OPERATION_RESULT_BEGIN.length, end));
+        return {
+          status: envelope.status === 'ok' ? 'ok' : 'error',
+          operation: envelope.operation ?? operation,
+          data: envelope.data ?? {},
+          errors: Array.isArray(envelope.errors) ? envelope.errors : [],
+          warnings: Array.isArray(envelope.warnings) ? envelope.warnings : [],
+        };
+      } catch (error) {
+        this.logDebug(`Failed to parse result envelope for ${operation}: ${error}`);
+      }
+    }
+
+    const stderrTail = (stderr ?? '').trim().split(/\r?\n/).slice(-5).join('\n');
+    const exited = exitCode !== null && exitCode !== 0 ? ` (exit code ${exitCode})` : '';
+    return {
+      status: 'error',
+      operation,
+      data: {},
+      errors: [
+        {
+          code: 'NO_RESULT',
+          message: stderrTail
+            ? `Godot did not report a result for ${operation}${exited}: ${stderrTail}`
+            : `Godot did not report a result for ${operation}${exited}`,
+        },
+      ],
+      warnings: [],
+    };
+  }
+
+  /**
+   * Get a connected persistent worker for a project, starting one if needed
+   * @param projectPath The path to the Godot project
+   * @returns The worker, or null when workers are disabled or cannot be started
+   */
+  private async getWorker(projectPath: string): Promise<GodotWorker | null> {
+    if (!this.useWorker || !this.godotPath) {
+      return null;
+    }
+
+    const key = normalize(projectPath);
+    const now = Date.now();
+    const failures = (this.workerFailures.get(key) ?? []).filter((time) => now - time < WORKER_FAILURE_WINDOW_MS);
+    this.workerFailures.set(key, failures);
+    if (failures.length >= WORKER_MAX_FAILURES) {
+      this.logDebug(`Worker for ${key} failed ${failures.length} times recently, using one-shot mode`);
+      return null;
+    }
+
+    let worker = this.workers.get(key);
+    if (!worker) {
+      const debugArgs = GODOT_DEBUG_MODE ? ['--debug-godot'] : [];
+      worker = new GodotWorker(
+        this.godotPath,
+        key,
+        this.operationsScriptPath,
+        debugArgs,
+        (message: string) => this.logDebug(message),
+        (exitedWorker: GodotWorker, unexpected: boolean) => {
+          if (this.workers.get(key) === exitedWorker) {
+            this.workers.delete(key);
+          }
+          if (unexpected) {
+            const history = this.workerFailures.get(key) ?? [];
+            history.push(Date.now());
+            this.workerFailures.set(key, history);
+          }
+        }
+      );
+      this.workers.set(key, worker);
+    }
+
+    try {
+      await worker.start();
+      return worker.alive ? worker : null;
+    } catch (error) {
+      this.logDebug(`Failed to start Godot worker for ${key}: ${error}`);
+      if (this.workers.get(key) === worker) {
+        this.workers.delete(key);
+      }
+      failures.push(Date.now());
+      return null;
+    }
+  }
+
+  /**
+   * Get the structure of a Godot project
+   * @param projectPath Path to the Godot project
+   * @returns Object representing the project structure
+   */
+  private async getProjectStructure(projectPath: string): Promise<any> {
+    try {
+      // Get top-level directories in the project
+      const entries = readdirSync(projectPath, { withFileTypes: true });
+
+      const structure: any = {
+        scenes: [],
+        scripts: [],
+        assets: [],
+        other: [],
+      };
+
+      for (const entry of entries) {
+        if (entry.isDirectory()) {
+          const dirName = entry.name.toLowerCase();
+
+          // Skip hidden directories
+          if (dirName.startsWith('.')) {
+            continue;
+          }
+
+          // Count files in common directories
+          if (dirName === 'scenes' || dirName.includes('scene')) {
+            structure.scenes.push(entry.name);
+          } else if (dirName === 'scripts' || dirName.includes('script')) {
+            structure.scripts.push(entry.name);
+          } else if (
+            dirName === 'assets' ||
+            dirName === 'textures' ||
+            dirName === 'models' ||
+            dirName === 'sounds' ||
+            dirName === 'music'
+          ) {
+            structure.assets.push(entry.name);
+          } else {
+            structure.other.push(entry.name);
+          }
+        }
+      }
+
+      return structure;
+    } catch (error) {
+      this.logDebug(`Error getting project structure: ${error}`);
+      return { error: 'Failed to get project structure' };
+    }
+  }
+
+  /**
+   * Find Godot projects in a directory
+   * @param directory Directory to search
+   * @param recursive Whether to search recursively
+   * @returns Array of Godot projects
+   */
+  private findGodotProjects(directory: string, recursive: boolean): Array<{ path: string; name: string }> {
+    const projects: Array<{ path: string; name: string }> = [];
+
+    try {
+      // Check if the directory itself is a Godot project
+      const projectFile = join(directory, 'project.godot');
+      if (existsSync(projectFile)) {
+        projects.push({
+          path: directory,
+          name: basename(directory),
+        });
+      }
+
+      // If not recursive, only check immediate subdirectories
+      if (!recursive) {
+        const entries = readdirSync(directory, { withFileTypes: true });
+        for (const entry of entries) {
+          if (entry.isDirectory()) {
+            const subdir = join(directory, entry.name);
+            const projectFile = join(subdir, 'project.godot');
+            if (existsSync(projectFile)) {
+              projects.push({
+                path: subdir,
+                name: entry.name,
+              });
+            }
+          }
+        }
+      } else {
+        // Recursive search
+        const entries = readdirSync(directory, { withFileTypes: true });
+        for (const entry of entries) {
+          if (entry.isDirectory()) {
+            const subdir = join(directory, entry.name);
+            // Skip hidden directories
+            if (entry.name.startsWith('.')) {
+              continue;
+            }
+            // Check if this directory is a Godot project
+            const projectFile = join(subdir, 'project.godot');
+            if (existsSync(projectFile)) {
+              projects.push({
+                path: subdir,
+                name: entry.name,
+              });
+            } else {
+              // Recursively search this directory
+              const subProjects = this.findGodotProjects(subdir, true);
+              projects.push(...subProjects);
+            }
+          }
+        }
+      }
+    } catch (error) {
+      this.logDebug(`Error searching directory ${directory}: ${error}`);
+    }
+
+    return projects;
+  }
+
+  /**
+   * List the files of a project with the given extension, skipping hidden directories and export output
+   * @returns Paths relative to the project, using forward slashes
+   */
+  private listProjectFiles(projectPath: string, extension: string): string[] {
+    const files: string[] = [];
+    const walk = (directory: string, relative: string) => {
+      let entries;
+      try {
+        entries = readdirSync(directory, { withFileTypes: true });
+      } catch (error) {
+        this.logDebug(`Error listing files in ${directory}: ${error}`);
+        return;
+      }
+      for (const entry of entries) {
+        if (entry.name.startsWith('.') || entry.name === 'portal_exports') {
+          continue;
+        }
+        const entryRelative = relative ? `${relative}/${entry.name}` : entry.name;
+        if (entry.isDirectory()) {
+          walk(join(directory, entry.name), entryRelative);
+        } else if (entry.name.endsWith(extension)) {
+          files.push(entryRelative);
+        }
+      }
+    };
+    walk(projectPath, '');
+    return files.sort();
+  }
+
+  /**
+   * Convert a glob such as "static/**\/*.tscn" to a regular expression over forward-slash paths
+   */
+  private globToRegExp(pattern: string): RegExp {
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+      const char = pattern[i];
+      if (char === '*' && pattern[i + 1] === '*') {
+        // "**/" matches any number of directories, including none
+        source += pattern[i + 2] === '/' ? '(?:.*/)?' : '.*';
+        i += pattern[i + 2] === '/' ? 2 : 1;
+      } else if (char === '*') {
+        source += '[^/]*';
+      } else if (char === '?') {
+        source += '[^/]';
+      } else {
+        source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+      }
+    }
+    return new RegExp(`^${source}$`, 'i');
+  }
+
+  /**
+   * Index the scenes of a project by file name so asset types can be mapped to their generated scenes
+   * @param projectPath Project root to scan
+   * @param catalog Optional asset catalog whose directories break ties between scenes with the same name
+   * @returns Map from scene name (without .tscn) to its res:// path
+   */
+  private indexProjectScenes(projectPath: string, catalog: PortalAssetCatalog | null): Map<string, string> {
+    const candidates = new Map<string, string[]>();
+    for (const relative of this.listProjectFiles(projectPath, '.tscn')) {
+      const name = basename(relative).slice(0, -'.tscn'.length);
+      candidates.set(name, [...(candidates.get(name) ?? []), `res://${relative}`]);
+    }
+
+    const index = new Map<string, string>();
+    for (const [name, paths] of candidates) {
+      const directory = catalog?.types.get(name)?.directory?.replace(/\\/g, '/');
+      const inDirectory = directory ? paths.filter((path) => path.includes(`/${directory}/`)) : [];
+      const pool = inDirectory.length > 0 ? inDirectory : paths;
+      index.set(name, pool.reduce((best, path) => (path.length < best.length ? path : best)));
+    }
+    return index;
+  }
+
+  /**
+   * Set up the tool handlers for the MCP server
+   */
+  private setupToolHandlers() {
+    // Define available tools
+    this.server.setRequestHandler(ListToolsRequestSchema, async () => ({
+      tools: [
+        {
+          name: 'launch_editor',
           description: 'Launch Godot editor for a specific project (defaults to the detected Portal project)',
           inputSchema: {
             type: 'object',
@@ -1061,8 +5189,662 @@ class GodotServer {
           },
         },
         {
-          name: 'run_project',
-          description: 'Run the Godot project and capture output (defaults to the detected Portal project)',
+          name: 'run_project',
+          description: 'Run the Godot project in a new session and capture output (defaults to the detected Portal project). Returns a session ID.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              projectPath: {
+                type: 'string',
+                description: 'Path to the Godot project directory (defaults to Battlefield Portal project when available)',
+              },
+              scene: {
+                type: 'string',
+                description: 'Optional: Specific scene to run',
+              },
+            },
+            required: [],
+          },
+        },
+        {
+          name: 'get_debug_output',
+          description: 'Get debug output lines for a run_project session. Pass the returned cursor as sinceCursor to only fetch new lines.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              sessionId: {
+                type: 'string',
+                description: 'Session ID returned by run_project (optional when only one session exists)',
+              },
+              sinceCursor: {
+                type: 'number',
+                description: 'Only return lines after this cursor (default: 0, from the oldest retained line)',
+              },
+              maxLines: {
+                type: 'number',
+                description: `Maximum number of lines to return (default: ${DEFAULT_DEBUG_OUTPUT_MAX_LINES})`,
+              },
+              stream: {
+                type: 'string',
+                enum: ['stdout', 'stderr', 'both'],
+                description: 'Which output stream to read (default: both)',
+              },
+              filter: {
+                type: 'string',
+                description: 'Optional: Regular expression lines must match',
+              },
+            },
+            required: [],
+          },
+        },
+        {
+          name: 'stop_project',
+          description: 'Stop a running Godot session and return its final output',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              sessionId: {
+                type: 'string',
+                description: 'Session ID returned by run_project (optional when only one session exists)',
+              },
+            },
+            required: [],
+          },
+        },
+        {
+          name: 'get_diagnostics',
+          description: 'Get deduplicated errors and warnings (with file, line, function and stack) parsed from a run_project session',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              sessionId: {
+                type: 'string',
+                description: 'Session ID returned by run_project (optional when only one session exists)',
+              },
+              severity: {
+                type: 'string',
+                enum: ['error', 'warning', 'all'],
+                description: 'Only return diagnostics of this severity (default: all)',
+              },
+              includeEngine: {
+                type: 'boolean',
+                description: 'Whether to include engine errors without a project script location (default: true)',
+              },
+            },
+            required: [],
+          },
+        },
+        {
+          name: 'list_sessions',
+          description: 'List every Godot process started by run_project with its pid, scene, start time, exit code and uptime',
+          inputSchema: {
+            type: 'object',
+            properties: {},
+            required: [],
+          },
+        },
+        {
+          name: 'get_godot_version',
+          description: 'Get the installed Godot version',
+          inputSchema: {
+            type: 'object',
+            properties: {},
+            required: [],
+          },
+        },
+        {
+          name: 'list_projects',
+          description: 'List Godot projects in a directory',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              directory: {
+                type: 'string',
+                description: 'Directory to search for Godot projects',
+              },
+              recursive: {
+                type: 'boolean',
+                description: 'Whether to search recursively (default: false)',
+              },
+            },
+            required: ['directory'],
+          },
+        },
+        {
+          name: 'get_project_info',
+          description: 'Retrieve metadata about a Godot project',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              projectPath: {
+                type: 'string',
+                description: 'Path to the Godot project directory (defaults to Battlefield Portal project when available)',
+              },
+            },
+            required: [],
+          },
+        },
+        {
+          name: 'create_scene',
+          description: 'Create a new Godot scene file',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              projectPath: {
+                type: 'string',
+                description: 'Path to the Godot project directory (defaults to Battlefield Portal project when available)',
+              },
+              scenePath: {
+                type: 'string',
+                description: 'Path where the scene file will be saved (relative to project)',
+              },
+              rootNodeType: {
+                type: 'string',
+                description: 'Type of the root node (e.g., Node2D, Node3D)',
+                default: 'Node2D',
+              },
+              ...DRY_RUN_PROPERTY,
+            },
+            required: ['scenePath'],
+          },
+        },
+        {
+          name: 'add_node',
+          description: 'Add a node to an existing scene',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              projectPath: {
+                type: 'string',
+                description: 'Path to the Godot project directory (defaults to Battlefield Portal project when available)',
+              },
+              scenePath: {
+                type: 'string',
+                description: 'Path to the scene file (relative to project)',
+              },
+              parentNodePath: {
+                type: 'string',
+                description: 'Path to the parent node (e.g., "root" or "root/Player")',
+                default: 'root',
+              },
+              nodeType: {
+                type: 'string',
+                description: 'Type of node to add (e.g., Sprite2D, CollisionShape2D)',
+              },
+              nodeName: {
+                type: 'string',
+                description: 'Name for the new node',
+              },
+              properties: {
+                type: 'object',
+                description: `Optional properties to set on the node. ${PROPERTY_VALUE_FORMATS}`,
+              },
+              ...DRY_RUN_PROPERTY,
+            },
+            required: ['scenePath', 'nodeType', 'nodeName'],
+          },
+        },
+        {
+          name: 'load_sprite',
+          description: 'Load a sprite into a Sprite2D node',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              projectPath: {
+                type: 'string',
+                description: 'Path to the Godot project directory (defaults to Battlefield Portal project when available)',
+              },
+              scenePath: {
+                type: 'string',
+                description: 'Path to the scene file (relative to project)',
+              },
+              nodePath: {
+                type: 'string',
+                description: 'Path to the Sprite2D node (e.g., "root/Player/Sprite2D")',
+              },
+              texturePath: {
+                type: 'string',
+                description: 'Path to the texture file (relative to project)',
+              },
+              ...DRY_RUN_PROPERTY,
+            },
+            required: ['scenePath', 'nodePath', 'texturePath'],
+          },
+        },
+        {
+          name: 'export_mesh_library',
+          description: 'Export a scene as a MeshLibrary resource',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              projectPath: {
+                type: 'string',
+                description: 'Path to the Godot project directory (defaults to Battlefield Portal project when available)',
+              },
+              scenePath: {
+                type: 'string',
+                description: 'Path to the scene file (.tscn) to export',
+              },
+              outputPath: {
+                type: 'string',
+                description: 'Path where the mesh library (.res) will be saved',
+              },
+              meshItemNames: {
+                type: 'array',
+                items: {
+                  type: 'string',
+                },
+                description: 'Optional: Names of specific mesh items to include (defaults to all)',
+              },
+              ...BACKGROUND_JOB_PROPERTIES,
+              ...DRY_RUN_PROPERTY,
+            },
+            required: ['scenePath', 'outputPath'],
+          },
+        },
+        {
+          name: 'save_scene',
+          description: 'Save changes to a scene file',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              projectPath: {
+                type: 'string',
+                description: 'Path to the Godot project directory (defaults to Battlefield Portal project when available)',
+              },
+              scenePath: {
+                type: 'string',
+                description: 'Path to the scene file (relative to project)',
+              },
+              newPath: {
+                type: 'string',
+                description: 'Optional: New path to save the scene to (for creating variants)',
+              },
+              ...DRY_RUN_PROPERTY,
+            },
+            required: ['scenePath'],
+          },
+        },
+        {
+          name: 'edit_scene',
+          description:
+            'Apply an ordered list of edits to a scene in a single Godot pass. The scene is saved only if every step succeeds; the response reports the outcome of each step.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              projectPath: {
+                type: 'string',
+                description: 'Path to the Godot project directory (defaults to Battlefield Portal project when available)',
+              },
+              scenePath: {
+                type: 'string',
+                description: 'Path to the scene file (relative to project)',
+              },
+              operations: {
+                type: 'array',
+                description:
+                  'Steps to apply in order. Node paths use the "root/..." convention. ' +
+                  'add_node: parentNodePath, nodeType, nodeName, properties. ' +
+                  'remove_node: nodePath. ' +
+                  'set_property: nodePath and either property + value or a properties object. ' +
+                  'reparent: nodePath, newParentPath, keepGlobalTransform (default true). ' +
+                  'rename: nodePath, newName. ' +
+                  'instance_scene: instancePath, parentNodePath, nodeName, transform, properties. ' +
+                  'duplicate: nodePath, newName, count, offset ([x, y, z] or [x, y]), parentNodePath, keepGlobalTransform (default true). ' +
+                  PROPERTY_VALUE_FORMATS,
+                items: {
+                  type: 'object',
+                  properties: {
+                    op: {
+                      type: 'string',
+                      enum: EDIT_SCENE_STEP_TYPES,
+                      description: 'Type of edit to apply',
+                    },
+                  },
+                  required: ['op'],
+                },
+              },
+              ...DRY_RUN_PROPERTY,
+            },
+            required: ['scenePath', 'operations'],
+          },
+        },
+        {
+          name: 'get_scene_tree',
+          description:
+            'Read the node hierarchy of a scene: path, type, script, groups, instanced-scene origin and selected properties for each node',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              projectPath: {
+                type: 'string',
+                description: 'Path to the Godot project directory (defaults to Battlefield Portal project when available)',
+              },
+              scenePath: {
+                type: 'string',
+                description: 'Path to the scene file (relative to project)',
+              },
+              rootPath: {
+                type: 'string',
+                description: 'Optional: Node to start from, e.g. "root/Objects" (defaults to the scene root)',
+              },
+              maxDepth: {
+                type: 'number',
+                description: 'Optional: Maximum depth below rootPath to descend (defaults to unlimited)',
+              },
+              nodeTypes: {
+                type: 'array',
+                items: {
+                  type: 'string',
+                },
+                description: 'Optional: Only report nodes of these classes (including subclasses) or script paths; other nodes are still traversed',
+              },
+              properties: {
+                type: 'array',
+                items: {
+                  type: 'string',
+                },
+                description: `Optional: Property names to report for each node (defaults to ${DEFAULT_SCENE_TREE_PROPERTIES.join(', ')})`,
+              },
+              includeInstanceChildren: {
+                type: 'boolean',
+                description: 'Optional: Descend into the nodes of instanced scenes (defaults to false)',
+              },
+              maxNodes: {
+                type: 'number',
+                description: `Optional: Maximum number of nodes to report (defaults to ${DEFAULT_SCENE_TREE_MAX_NODES})`,
+              },
+            },
+            required: ['scenePath'],
+          },
+        },
+        {
+          name: 'render_scene_preview',
+          description:
+            'Render a PNG preview of a 3D scene with the Compatibility renderer and return it as an image. ' +
+            'On Linux it renders in software OpenGL under Xvfb, no GPU needed; on Windows and macOS it needs a working OpenGL 3.3 GPU driver. ' +
+            'Defaults to an orthographic top-down view framing the whole scene; pass cameraPosition for a perspective view',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              projectPath: {
+                type: 'string',
+                description: 'Path to the Godot project directory (defaults to Battlefield Portal project when available)',
+              },
+              scenePath: {
+                type: 'string',
+                description: 'Path to the scene file (relative to project)',
+              },
+              outputPath: {
+                type: 'string',
+                description: `Optional: Where to save the PNG, relative to the project (defaults to ${PREVIEW_DIR}/<scene name>.png)`,
+              },
+              width: {
+                type: 'number',
+                description: `Optional: Image width in pixels (defaults to ${DEFAULT_PREVIEW_SIZE}, at most ${MAX_PREVIEW_SIZE})`,
+              },
+              height: {
+                type: 'number',
+                description: `Optional: Image height in pixels (defaults to ${DEFAULT_PREVIEW_SIZE}, at most ${MAX_PREVIEW_SIZE})`,
+              },
+              cameraPosition: {
+                type: 'array',
+                items: { type: 'number' },
+                description: 'Optional: Perspective camera position [x, y, z]; omit for the top-down orthographic view',
+              },
+              lookAt: {
+                type: 'array',
+                items: { type: 'number' },
+                description: 'Optional: Point [x, y, z] the camera looks at, or the centre of the top-down view (defaults to the centre of the scene bounds)',
+              },
+              fov: {
+                type: 'number',
+                description: 'Optional: Vertical field of view in degrees for the perspective camera (defaults to 60)',
+              },
+              orthographicSize: {
+                type: 'number',
+                description: 'Optional: Height in metres covered by the top-down view (defaults to fitting the scene bounds)',
+              },
+              addLighting: {
+                type: 'boolean',
+                description: 'Optional: Add a sun and, if the scene has no WorldEnvironment, ambient light (defaults to true)',
+              },
+            },
+            required: ['scenePath'],
+          },
+        },
+        {
+          name: 'remove_node',
+          description: 'Remove a node and its children from a scene',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              projectPath: {
+                type: 'string',
+                description: 'Path to the Godot project directory (defaults to Battlefield Portal project when available)',
+              },
+              scenePath: {
+                type: 'string',
+                description: 'Path to the scene file (relative to project)',
+              },
+              nodePath: {
+                type: 'string',
+                description: 'Path to the node, e.g. "root/Props/Crate"',
+              },
+              ...DRY_RUN_PROPERTY,
+            },
+            required: ['scenePath', 'nodePath'],
+          },
+        },
+        {
+          name: 'reparent_node',
+          description: 'Move a node under a different parent in a scene',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              projectPath: {
+                type: 'string',
+                description: 'Path to the Godot project directory (defaults to Battlefield Portal project when available)',
+              },
+              scenePath: {
+                type: 'string',
+                description: 'Path to the scene file (relative to project)',
+              },
+              nodePath: {
+                type: 'string',
+                description: 'Path to the node, e.g. "root/Props/Crate"',
+              },
+              newParentPath: {
+                type: 'string',
+                description: 'Path to the new parent node, e.g. "root/Objects"',
+              },
+              keepGlobalTransform: {
+                type: 'boolean',
+                description: 'Optional: Keep the node in place by adjusting its local transform (defaults to true)',
+              },
+              ...DRY_RUN_PROPERTY,
+            },
+            required: ['scenePath', 'nodePath', 'newParentPath'],
+          },
+        },
+        {
+          name: 'rename_node',
+          description: 'Rename a node in a scene',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              projectPath: {
+                type: 'string',
+                description: 'Path to the Godot project directory (defaults to Battlefield Portal project when available)',
+              },
+              scenePath: {
+                type: 'string',
+                description: 'Path to the scene file (relative to project)',
+              },
+              nodePath: {
+                type: 'string',
+                description: 'Path to the node, e.g. "root/Props/Crate"',
+              },
+              newName: {
+                type: 'string',
+                description: 'New name for the node',
+              },
+              ...DRY_RUN_PROPERTY,
+            },
+            required: ['scenePath', 'nodePath', 'newName'],
+          },
+        },
+        {
+          name: 'duplicate_node',
+          description: 'Duplicate a node (and its children) one or more times, optionally shifting each copy by an offset',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              projectPath: {
+                type: 'string',
+                description: 'Path to the Godot project directory (defaults to Battlefield Portal project when available)',
+              },
+              scenePath: {
+                type: 'string',
+                description: 'Path to the scene file (relative to project)',
+              },
+              nodePath: {
+                type: 'string',
+                description: 'Path to the node, e.g. "root/Props/Crate"',
+              },
+              newName: {
+                type: 'string',
+                description: 'Optional: Name for the copies; numbered automatically when taken (defaults to the original name)',
+              },
+              count: {
+                type: 'number',
+                description: 'Optional: Number of copies to create, at most 1000 (defaults to 1)',
+              },
+              offset: {
+                type: 'array',
+                items: {
+                  type: 'number',
+                },
+                description: 'Optional: Position offset applied cumulatively to each copy, [x, y, z] for 3D nodes or [x, y] for 2D nodes',
+              },
+              parentNodePath: {
+                type: 'string',
+                description: 'Optional: Parent for the copies (defaults to the original node\'s parent)',
+              },
+              keepGlobalTransform: {
+                type: 'boolean',
+                description: 'Optional: Under a different parent, keep the copies where the original is in the scene (defaults to true)',
+              },
+              ...DRY_RUN_PROPERTY,
+            },
+            required: ['scenePath', 'nodePath'],
+          },
+        },
+        {
+          name: 'set_node_properties',
+          description: 'Set properties on a node, converting JSON values to the property types. Nothing is saved unless every property converts.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              projectPath: {
+                type: 'string',
+                description: 'Path to the Godot project directory (defaults to Battlefield Portal project when available)',
+              },
+              scenePath: {
+                type: 'string',
+                description: 'Path to the scene file (relative to project)',
+              },
+              nodePath: {
+                type: 'string',
+                description: 'Path to the node, e.g. "root" or "root/Props/Crate"',
+              },
+              properties: {
+                type: 'object',
+                description: `Property names mapped to values. ${PROPERTY_VALUE_FORMATS}`,
+              },
+              ...DRY_RUN_PROPERTY,
+            },
+            required: ['scenePath', 'nodePath', 'properties'],
+          },
+        },
+        {
+          name: 'instance_scene',
+          description:
+            'Instance an existing scene or Portal prefab (.tscn) as a child node. The node stays linked to its source scene instead of copying its nodes.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              projectPath: {
+                type: 'string',
+                description: 'Path to the Godot project directory (defaults to Battlefield Portal project when available)',
+              },
+              scenePath: {
+                type: 'string',
+                description: 'Path to the scene to add the instance to (relative to project)',
+              },
+              instancePath: {
+                type: 'string',
+                description: 'Path to the scene to instance, such as a prefab from the generated Portal project (relative to project or res://)',
+              },
+              parentNodePath: {
+                type: 'string',
+                description: 'Optional: Parent node path (defaults to "root")',
+              },
+              nodeName: {
+                type: 'string',
+                description: 'Optional: Name for the instance (defaults to the source scene\'s root name, numbered when taken)',
+              },
+              transform: {
+                description:
+                  'Optional: Transform of the instance, e.g. {"type": "Transform3D", "position": [0, 0, 0], "rotation_degrees": [0, 90, 0], "scale": [1, 1, 1]}',
+              },
+              properties: {
+                type: 'object',
+                description: `Optional: Properties to override on the instance root. ${PROPERTY_VALUE_FORMATS}`,
+              },
+              ...DRY_RUN_PROPERTY,
+            },
+            required: ['scenePath', 'instancePath'],
+          },
+        },
+        {
+          name: 'get_uid',
+          description: 'Get the UID for a specific file in a Godot project (for Godot 4.4+)',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              projectPath: {
+                type: 'string',
+                description: 'Path to the Godot project directory (defaults to Battlefield Portal project when available)',
+              },
+              filePath: {
+                type: 'string',
+                description: 'Path to the file (relative to project) for which to get the UID',
+              },
+            },
+            required: ['filePath'],
+          },
+        },
+        {
+          name: 'update_project_uids',
+          description: 'Update UID references in a Godot project by resaving resources (for Godot 4.4+)',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              projectPath: {
+                type: 'string',
+                description: 'Path to the Godot project directory (defaults to Battlefield Portal project when available)',
+              },
+              ...BACKGROUND_JOB_PROPERTIES,
+              ...DRY_RUN_PROPERTY,
+            },
+            required: [],
+          },
+        },
+        {
+          name: 'list_scene_history',
+          description:
+            'List the snapshots taken in .mcp_history before tools changed project files, newest first, optionally only those touching one scene',
           inputSchema: {
             type: 'object',
             properties: {
@@ -1070,35 +5852,63 @@ class GodotServer {
                 type: 'string',
                 description: 'Path to the Godot project directory (defaults to Battlefield Portal project when available)',
               },
-              scene: {
+              scenePath: {
                 type: 'string',
-                description: 'Optional: Specific scene to run',
+                description: 'Optional: Only list snapshots of this file (relative to the project)',
+              },
+              limit: {
+                type: 'number',
+                description: 'Optional: Maximum number of entries to return (defaults to 20)',
               },
             },
             required: [],
           },
         },
         {
-          name: 'get_debug_output',
-          description: 'Get the current debug output and errors',
+          name: 'undo_last_change',
+          description:
+            'Restore the files changed by the most recent tool call that has not been undone yet; calling it again steps further back',
           inputSchema: {
             type: 'object',
-            properties: {},
+            properties: {
+              projectPath: {
+                type: 'string',
+                description: 'Path to the Godot project directory (defaults to Battlefield Portal project when available)',
+              },
+              scenePath: {
+                type: 'string',
+                description: 'Optional: Undo the most recent change to this file only',
+              },
+            },
             required: [],
           },
         },
         {
-          name: 'stop_project',
-          description: 'Stop the currently running Godot project',
+          name: 'restore_scene_version',
+          description:
+            'Restore files to the state captured by a list_scene_history entry, i.e. as they were before that tool call; the current state is snapshotted first',
           inputSchema: {
             type: 'object',
-            properties: {},
-            required: [],
+            properties: {
+              versionId: {
+                type: 'string',
+                description: 'ID of the history entry to restore',
+              },
+              projectPath: {
+                type: 'string',
+                description: 'Path to the Godot project directory (defaults to Battlefield Portal project when available)',
+              },
+              scenePath: {
+                type: 'string',
+                description: 'Optional: Restore only this file from the entry',
+              },
+            },
+            required: ['versionId'],
           },
         },
         {
-          name: 'get_godot_version',
-          description: 'Get the installed Godot version',
+          name: 'get_portal_sdk_info',
+          description: 'Inspect detected Battlefield Portal SDK paths and configuration',
           inputSchema: {
             type: 'object',
             properties: {},
@@ -1106,344 +5916,1783 @@ class GodotServer {
           },
         },
         {
-          name: 'list_projects',
-          description: 'List Godot projects in a directory',
+          name: 'setup_portal_python',
+          description:
+            'Create a Python virtual environment next to the Portal SDK, install the gdconverter requirements offline from a local wheel directory (or from the package index when allowNetwork is set), verify gdconverter imports and switch the server to that interpreter; checkOnly reports missing packages without changing anything',
           inputSchema: {
             type: 'object',
             properties: {
-              directory: {
+              checkOnly: {
+                type: 'boolean',
+                description: 'Optional: Only report which requirements are missing or out of date (defaults to false)',
+              },
+              wheelDir: {
                 type: 'string',
-                description: 'Directory to search for Godot projects',
+                description: 'Local wheel cache or directory of downloaded packages; installs from it without contacting a package index. Required unless allowNetwork is true',
               },
-              recursive: {
+              allowNetwork: {
                 type: 'boolean',
-                description: 'Whether to search recursively (default: false)',
+                description: 'Optional: Without wheelDir, download the requirements from the configured package index (defaults to false)',
+              },
+              requirementsPath: {
+                type: 'string',
+                description: 'Optional: requirements.txt to install (defaults to the one in the Portal SDK)',
+              },
+              venvPath: {
+                type: 'string',
+                description: `Optional: Virtual environment directory (defaults to ${PORTAL_VENV_DIR} in the Portal SDK root)`,
+              },
+              basePython: {
+                type: 'string',
+                description: 'Optional: Interpreter used to create the virtual environment (defaults to the detected Python)',
+              },
+              recreate: {
+                type: 'boolean',
+                description: 'Optional: Delete and recreate an existing virtual environment; only directories containing pyvenv.cfg are deleted (defaults to false)',
               },
+              ...BACKGROUND_JOB_PROPERTIES,
             },
-            required: ['directory'],
+            required: [],
           },
         },
         {
-          name: 'get_project_info',
-          description: 'Retrieve metadata about a Godot project',
+          name: 'list_portal_levels',
+          description: 'List available Battlefield Portal levels and related resources',
           inputSchema: {
             type: 'object',
             properties: {
+              fbExportDataPath: {
+                type: 'string',
+                description: 'Optional: Override path to the FbExportData directory',
+              },
               projectPath: {
                 type: 'string',
-                description: 'Path to the Godot project directory (defaults to Battlefield Portal project when available)',
+                description: 'Optional: Override path to the Battlefield Portal Godot project',
               },
             },
             required: [],
           },
         },
         {
-          name: 'create_scene',
-          description: 'Create a new Godot scene file',
+          name: 'export_portal_level',
+          description: 'Export a Battlefield Portal level to spatial JSON using the gdconverter tooling',
           inputSchema: {
             type: 'object',
             properties: {
-              projectPath: {
+              scenePath: {
                 type: 'string',
-                description: 'Path to the Godot project directory (defaults to Battlefield Portal project when available)',
+                description: 'Path to the scene (.tscn) file to export (relative to the project by default)',
               },
-              scenePath: {
+              outputDir: {
                 type: 'string',
-                description: 'Path where the scene file will be saved (relative to project)',
+                description: 'Optional: Directory where the exported .spatial.json will be written (defaults to a portal_exports folder inside the project)',
               },
-              rootNodeType: {
+              projectPath: {
                 type: 'string',
-                description: 'Type of the root node (e.g., Node2D, Node3D)',
-                default: 'Node2D',
+                description: 'Optional: Override path to the Battlefield Portal Godot project',
               },
+              fbExportDataPath: {
+                type: 'string',
+                description: 'Optional: Override path to the FbExportData directory',
+              },
+              ...BACKGROUND_JOB_PROPERTIES,
             },
             required: ['scenePath'],
           },
         },
         {
-          name: 'add_node',
-          description: 'Add a node to an existing scene',
+          name: 'export_all_portal_levels',
+          description:
+            'Export every matching Portal scene to spatial JSON with bounded parallelism and return a table of successes, failures, output files, sizes and durations; one failing scene does not stop the rest',
           inputSchema: {
             type: 'object',
             properties: {
+              glob: {
+                type: 'string',
+                description: `Optional: Scenes to export, as a glob relative to the project (defaults to "${DEFAULT_BATCH_EXPORT_GLOB}")`,
+              },
+              exclude: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Optional: Globs of scenes to leave out, e.g. ["static/*_Terrain.tscn"]',
+              },
+              concurrency: {
+                type: 'number',
+                description: `Optional: Number of exports run at the same time (defaults to ${DEFAULT_BATCH_EXPORT_CONCURRENCY}, at most ${MAX_BATCH_EXPORT_CONCURRENCY})`,
+              },
+              outputDir: {
+                type: 'string',
+                description: 'Optional: Directory where the exported .spatial.json files will be written (defaults to a portal_exports folder inside the project)',
+              },
               projectPath: {
                 type: 'string',
-                description: 'Path to the Godot project directory (defaults to Battlefield Portal project when available)',
+                description: 'Optional: Override path to the Battlefield Portal Godot project',
               },
-              scenePath: {
+              fbExportDataPath: {
                 type: 'string',
-                description: 'Path to the scene file (relative to project)',
+                description: 'Optional: Override path to the FbExportData directory',
               },
-              parentNodePath: {
+              ...BACKGROUND_JOB_PROPERTIES,
+            },
+            required: [],
+          },
+        },
+        {
+          name: 'create_portal_project',
+          description:
+            'Regenerate the Battlefield Portal Godot project from FbExportData assets as a background job; returns a jobId to poll with get_job_status',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              fbExportDataPath: {
                 type: 'string',
-                description: 'Path to the parent node (e.g., "root" or "root/Player")',
-                default: 'root',
+                description: 'Optional: Override path to the FbExportData directory',
               },
-              nodeType: {
+              outputDir: {
                 type: 'string',
-                description: 'Type of node to add (e.g., Sprite2D, CollisionShape2D)',
+                description: 'Optional: Destination directory for the generated project (defaults to the detected Portal project path)',
               },
-              nodeName: {
+              overwriteLevels: {
+                type: 'boolean',
+                description: 'Whether to overwrite existing level scenes when regenerating',
+                default: false,
+              },
+              levels: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Optional: Only regenerate these levels (names from list_portal_levels) instead of every level in FbExportData',
+              },
+              ...BACKGROUND_JOB_PROPERTIES,
+              async: {
+                type: 'boolean',
+                description: 'Optional: Run in the background and return a jobId (defaults to true); false waits for the generation to finish',
+              },
+              ...DRY_RUN_PROPERTY,
+            },
+            required: [],
+          },
+        },
+        {
+          name: 'get_job_status',
+          description: 'Report the status, progress and new output lines of a background job, or list all jobs when no jobId is given',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              jobId: {
                 type: 'string',
-                description: 'Name for the new node',
+                description: 'Optional: Job ID returned by the tool that started the job',
               },
-              properties: {
-                type: 'object',
-                description: 'Optional properties to set on the node',
+              sinceCursor: {
+                type: 'number',
+                description: 'Optional: Only return output lines after this cursor (from a previous call)',
+              },
+              maxLines: {
+                type: 'number',
+                description: `Optional: Maximum number of output lines to return (defaults to ${DEFAULT_DEBUG_OUTPUT_MAX_LINES})`,
               },
             },
-            required: ['scenePath', 'nodeType', 'nodeName'],
+            required: [],
           },
         },
         {
-          name: 'load_sprite',
-          description: 'Load a sprite into a Sprite2D node',
+          name: 'cancel_job',
+          description: 'Cancel a queued or running background job and stop its process',
           inputSchema: {
             type: 'object',
             properties: {
+              jobId: {
+                type: 'string',
+                description: 'Job ID returned by the tool that started the job',
+              },
+            },
+            required: ['jobId'],
+          },
+        },
+        {
+          name: 'read_spatial_level',
+          description:
+            'Parse a Portal .spatial.json level and summarise it: object counts by type, bounding box, referenced assets and Portal objects (HQs, spawns, capture points, vehicle spawners), with paging through the objects',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              spatialPath: {
+                type: 'string',
+                description: 'Path to the .spatial.json file (absolute, or relative to the project)',
+              },
+              levelName: {
+                type: 'string',
+                description: 'Alternative to spatialPath: name of a level in FbExportData/levels, as returned by list_portal_levels',
+              },
               projectPath: {
                 type: 'string',
-                description: 'Path to the Godot project directory (defaults to Battlefield Portal project when available)',
+                description: 'Optional: Base directory for a relative spatialPath (defaults to the Battlefield Portal project)',
               },
-              scenePath: {
+              fbExportDataPath: {
                 type: 'string',
-                description: 'Path to the scene file (relative to project)',
+                description: 'Optional: Override path to the FbExportData directory when using levelName',
               },
-              nodePath: {
+              includeObjects: {
+                type: 'boolean',
+                description: 'Optional: Include a page of objects in the response (defaults to true)',
+              },
+              offset: {
+                type: 'number',
+                description: 'Optional: Index of the first object to return (defaults to 0)',
+              },
+              limit: {
+                type: 'number',
+                description: `Optional: Number of objects to return (defaults to ${DEFAULT_SPATIAL_PAGE_SIZE}, max ${MAX_SPATIAL_PAGE_SIZE})`,
+              },
+              type: {
                 type: 'string',
-                description: 'Path to the Sprite2D node (e.g., "root/Player/Sprite2D")',
+                description: 'Optional: Only page through objects whose asset type contains this text (case-insensitive)',
               },
-              texturePath: {
+              portalKind: {
                 type: 'string',
-                description: 'Path to the texture file (relative to project)',
+                enum: ['hq', 'spawnPoint', 'capturePoint', 'vehicleSpawner', 'sector', 'combatArea'],
+                description: 'Optional: Only page through Portal objects of this category',
               },
             },
-            required: ['scenePath', 'nodePath', 'texturePath'],
+            required: [],
           },
         },
         {
-          name: 'export_mesh_library',
-          description: 'Export a scene as a MeshLibrary resource',
+          name: 'diff_spatial_levels',
+          description:
+            'Compare two .spatial.json files (e.g. successive exports) and report added, removed, moved, rotated, rescaled and re-typed objects plus changed properties',
           inputSchema: {
             type: 'object',
             properties: {
+              beforePath: {
+                type: 'string',
+                description: 'Path to the earlier .spatial.json file (absolute, or relative to the project)',
+              },
+              afterPath: {
+                type: 'string',
+                description: 'Path to the later .spatial.json file (absolute, or relative to the project)',
+              },
               projectPath: {
                 type: 'string',
-                description: 'Path to the Godot project directory (defaults to Battlefield Portal project when available)',
+                description: 'Optional: Base directory for relative paths (defaults to the Battlefield Portal project)',
+              },
+              positionTolerance: {
+                type: 'number',
+                description: `Optional: Movement in meters below which an object counts as unmoved (defaults to ${DEFAULT_SPATIAL_DIFF_TOLERANCES.position})`,
+              },
+              rotationTolerance: {
+                type: 'number',
+                description: `Optional: Rotation in degrees below which an object counts as unrotated (defaults to ${DEFAULT_SPATIAL_DIFF_TOLERANCES.rotationDegrees})`,
               },
+              scaleTolerance: {
+                type: 'number',
+                description: `Optional: Per-axis scale difference below which an object counts as unscaled (defaults to ${DEFAULT_SPATIAL_DIFF_TOLERANCES.scale})`,
+              },
+              maxEntries: {
+                type: 'number',
+                description: `Optional: Maximum number of entries listed per category (defaults to ${DEFAULT_SPATIAL_DIFF_MAX_ENTRIES})`,
+              },
+            },
+            required: ['beforePath', 'afterPath'],
+          },
+        },
+        {
+          name: 'validate_portal_scene',
+          description:
+            'Check a Portal scene (.tscn) before export: unknown asset types, objects outside the playable area, duplicate ObjIds, missing team HQs/spawns and exceeded object budgets. Heuristic checks (team count, HQ spawn assignment, budgets) are reported as warnings and do not make the scene invalid',
+          inputSchema: {
+            type: 'object',
+            properties: {
               scenePath: {
                 type: 'string',
-                description: 'Path to the scene file (.tscn) to export',
+                description: 'Path to the scene (.tscn) file to validate (relative to the project by default)',
               },
-              outputPath: {
+              projectPath: {
                 type: 'string',
-                description: 'Path where the mesh library (.res) will be saved',
+                description: 'Optional: Override path to the Battlefield Portal Godot project',
               },
-              meshItemNames: {
-                type: 'array',
-                items: {
-                  type: 'string',
+              fbExportDataPath: {
+                type: 'string',
+                description: 'Optional: Override path to the FbExportData directory',
+              },
+              playableArea: {
+                type: 'object',
+                properties: {
+                  min: { type: 'array', items: { type: 'number' } },
+                  max: { type: 'array', items: { type: 'number' } },
                 },
-                description: 'Optional: Names of specific mesh items to include (defaults to all)',
+                description: 'Optional: Playable bounds as {"min": [x, y, z], "max": [x, y, z]} (defaults to the combat area polygon in the scene)',
+              },
+              objectBudget: {
+                type: 'number',
+                description: `Optional: Maximum number of placed objects (defaults to ${DEFAULT_PORTAL_OBJECT_BUDGET})`,
+              },
+              typeBudgets: {
+                type: 'object',
+                description: 'Optional: Maximum count per asset type, e.g. {"VehicleSpawner": 12}',
+              },
+              requiredTeams: {
+                type: 'number',
+                description: 'Optional: Number of teams that need an HQ (defaults to 2)',
+              },
+            },
+            required: ['scenePath'],
+          },
+        },
+        {
+          name: 'import_spatial_level',
+          description:
+            'Convert a .spatial.json level into an editable Godot scene that instances the matching asset scene from the Portal project for every object, reporting objects that could not be mapped',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              spatialPath: {
+                type: 'string',
+                description: 'Path to the .spatial.json file (absolute, or relative to the project)',
+              },
+              levelName: {
+                type: 'string',
+                description: 'Alternative to spatialPath: Level name from list_portal_levels, resolved in FbExportData/levels',
+              },
+              projectPath: {
+                type: 'string',
+                description: 'Optional: Override path to the Battlefield Portal Godot project',
+              },
+              fbExportDataPath: {
+                type: 'string',
+                description: 'Optional: Override path to the FbExportData directory',
+              },
+              scenePath: {
+                type: 'string',
+                description: 'Optional: Scene file to write, relative to the project (defaults to imported/<level>.tscn)',
+              },
+              overwrite: {
+                type: 'boolean',
+                description: 'Optional: Replace the scene if it already exists (defaults to false)',
+              },
+              sections: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Optional: Only import objects from these top-level sections of the spatial file',
+              },
+              placeholders: {
+                type: 'boolean',
+                description: 'Optional: Place unmapped objects as Node3D placeholders instead of leaving them out (defaults to false)',
+              },
+              ...DRY_RUN_PROPERTY,
+            },
+            required: [],
+          },
+        },
+        {
+          name: 'check_level_compatibility',
+          description:
+            'List the assets placed in a Portal scene that are not allowed on a target level, with allowed substitutes from the same category',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              scenePath: {
+                type: 'string',
+                description: 'Path to the scene (.tscn) file to check (relative to the project by default)',
+              },
+              levelName: {
+                type: 'string',
+                description: 'Target base level, as listed by list_portal_levels',
+              },
+              projectPath: {
+                type: 'string',
+                description: 'Optional: Override path to the Battlefield Portal Godot project',
+              },
+              fbExportDataPath: {
+                type: 'string',
+                description: 'Optional: Override path to the FbExportData directory',
+              },
+              maxSubstitutes: {
+                type: 'number',
+                description: 'Optional: Maximum substitutes suggested per asset type (defaults to 3)',
               },
             },
-            required: ['scenePath', 'outputPath'],
+            required: ['scenePath', 'levelName'],
           },
         },
         {
-          name: 'save_scene',
-          description: 'Save changes to a scene file',
+          name: 'search_portal_assets',
+          description:
+            'Search the Battlefield Portal asset catalog by fuzzy name, category and level, returning categories, allowed levels, generated scene paths and bounds',
           inputSchema: {
             type: 'object',
             properties: {
-              projectPath: {
+              query: {
                 type: 'string',
-                description: 'Path to the Godot project directory (defaults to Battlefield Portal project when available)',
+                description: 'Optional: Fuzzy text matched against asset names, e.g. "vehicle spawner" or "capt"',
               },
-              scenePath: {
+              category: {
                 type: 'string',
-                description: 'Path to the scene file (relative to project)',
+                description: 'Optional: Only return assets whose category or directory starts with this value',
               },
-              newPath: {
+              level: {
                 type: 'string',
-                description: 'Optional: New path to save the scene to (for creating variants)',
+                description: 'Optional: Only return assets allowed on this level',
+              },
+              limit: {
+                type: 'number',
+                description: `Optional: Maximum number of results (defaults to ${DEFAULT_ASSET_SEARCH_LIMIT})`,
               },
-            },
-            required: ['scenePath'],
-          },
-        },
-        {
-          name: 'get_uid',
-          description: 'Get the UID for a specific file in a Godot project (for Godot 4.4+)',
-          inputSchema: {
-            type: 'object',
-            properties: {
               projectPath: {
                 type: 'string',
-                description: 'Path to the Godot project directory (defaults to Battlefield Portal project when available)',
+                description: 'Optional: Override path to the Battlefield Portal Godot project (holds the cached index)',
               },
-              filePath: {
+              fbExportDataPath: {
                 type: 'string',
-                description: 'Path to the file (relative to project) for which to get the UID',
+                description: 'Optional: Override path to the FbExportData directory',
+              },
+              rebuild: {
+                type: 'boolean',
+                description: 'Optional: Rebuild the cached index even if FbExportData and the project have not changed',
+              },
+            },
+            required: [],
+          },
+        },
+      ],
+    }));
+
+    // Handle tool calls
+    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
+      this.logDebug(`Handling tool request: ${request.params.name}`);
+      const args = this.normalizeParameters(request.params.arguments ?? {});
+      const paths = this.resolvePathArguments(args);
+      const sandboxViolation = this.checkAllowedRoots(paths);
+      if (sandboxViolation) {
+        return sandboxViolation;
+      }
+      for (const [key, path] of paths) {
+        if (HOST_PATH_ARGUMENTS.has(key)) {
+          args[key] = path;
+        }
+      }
+      const historyEntry = await this.snapshotBeforeTool(request.params.name, args);
+      if (historyEntry && 'error' in historyEntry) {
+        return historyEntry.error;
+      }
+      try {
+        return await this.callTool(request.params.name, args, request.params._meta?.progressToken);
+      } finally {
+        // Background jobs are still running here, so their snapshots are always kept
+        if (historyEntry && !args.async) {
+          await historyEntry.history.discardIfUnchanged(historyEntry.entry);
+        }
+      }
+    });
+  }
+
+  /**
+   * Snapshot the files a mutating tool is about to change into the project's .mcp_history
+   * Tools that rewrite many files (update_project_uids, create_portal_project) snapshot inside their job instead
+   * @returns The recorded entry, an error response when the snapshot could not be taken, or null for other tools
+   */
+  private async snapshotBeforeTool(
+    tool: string,
+    rawArgs: any
+  ): Promise<{ history: SceneHistory; entry: HistoryEntry } | { error: any } | null> {
+    const args = this.normalizeParameters(rawArgs ?? {});
+    if (args.dryRun === true) {
+      return null;
+    }
+    const targets: unknown[] = [];
+    switch (tool) {
+      case 'create_scene':
+      case 'add_node':
+      case 'load_sprite':
+      case 'edit_scene':
+      case 'remove_node':
+      case 'reparent_node':
+      case 'rename_node':
+      case 'duplicate_node':
+      case 'set_node_properties':
+      case 'instance_scene':
+        targets.push(args.scenePath);
+        break;
+      case 'save_scene':
+        targets.push(args.newPath || args.scenePath);
+        break;
+      case 'import_spatial_level': {
+        const source = typeof args.spatialPath === 'string' && args.spatialPath ? args.spatialPath : String(args.levelName ?? '');
+        targets.push(args.scenePath || `imported/${basename(source).replace(/(\.spatial)?\.json$/, '')}.tscn`);
+        break;
+      }
+      case 'export_mesh_library':
+        targets.push(args.outputPath);
+        break;
+      default:
+        return null;
+    }
+
+    const projectPath = this.resolveProjectPath(typeof args.projectPath === 'string' ? args.projectPath : undefined);
+    if (!projectPath || !existsSync(join(projectPath, 'project.godot'))) {
+      return null;
+    }
+
+    const files = targets
+      .filter((target): target is string => typeof target === 'string' && target.trim() !== '' && this.validatePath(target))
+      .map((target) => this.projectRelativePath(projectPath, target))
+      .filter((target): target is string => target !== null);
+    if (files.length === 0) {
+      return null;
+    }
+
+    try {
+      const history = this.getSceneHistory(projectPath);
+      return { history, entry: await history.record(tool, files) };
+    } catch (error) {
+      return {
+        error: this.createErrorResponse(
+          `Could not back up ${files.join(', ')} before ${tool}: ${error instanceof Error ? error.message : String(error)}`,
+          ['Check the project directory is writable', 'Nothing was changed; retry once .mcp_history can be written']
+        ),
+      };
+    }
+  }
+
+  /**
+   * Snapshot files from inside a job, then run it; the snapshot is dropped again if the job changed nothing
+   * Used by tools that rewrite too many files to read them before the tool call returns its job ID
+   * @param files Project-relative paths, listed once the job runs; an empty list skips the snapshot
+   */
+  private async withJobSnapshot(
+    tool: string,
+    projectPath: string,
+    files: () => string[],
+    run: () => Promise<any>
+  ): Promise<any> {
+    const targets = existsSync(join(projectPath, 'project.godot')) ? files() : [];
+    if (targets.length === 0) {
+      return await run();
+    }
+
+    const history = this.getSceneHistory(projectPath);
+    let entry: HistoryEntry;
+    try {
+      entry = await history.record(tool, targets);
+    } catch (error) {
+      return this.createErrorResponse(
+        `Could not back up ${targets.length} file(s) before ${tool}: ${error instanceof Error ? error.message : String(error)}`,
+        ['Check the project directory is writable', 'Nothing was changed; retry once .mcp_history can be written']
+      );
+    }
+    try {
+      return await run();
+    } finally {
+      await history.discardIfUnchanged(entry);
+    }
+  }
+
+  /**
+   * History store of a project, loaded on first use
+   */
+  private getSceneHistory(projectPath: string): SceneHistory {
+    const key = normalize(projectPath);
+    let history = this.histories.get(key);
+    if (!history) {
+      history = new SceneHistory(key, this.historyMaxEntries, this.historyMaxAgeDays);
+      this.histories.set(key, history);
+    }
+    return history;
+  }
+
+  /**
+   * Path of a file relative to the project with forward slashes, or null when it lies outside the project
+   */
+  private projectRelativePath(projectPath: string, target: string): string | null {
+    const path = relative(projectPath, this.toAbsolutePath(projectPath, target));
+    if (!path || path.startsWith('..') || this.isAbsolutePath(path)) {
+      return null;
+    }
+    return path.split(sep).join('/');
+  }
+
+  /**
+   * Dispatch a tool call to its handler
+   */
+  private async callTool(name: string, args: any, progressToken?: string | number): Promise<any> {
+    switch (name) {
+      case 'launch_editor':
+        return await this.handleLaunchEditor(args);
+      case 'run_project':
+        return await this.handleRunProject(args);
+      case 'get_debug_output':
+        return await this.handleGetDebugOutput(args);
+      case 'stop_project':
+        return await this.handleStopProject(args);
+      case 'get_diagnostics':
+        return await this.handleGetDiagnostics(args);
+      case 'list_sessions':
+        return await this.handleListSessions();
+      case 'get_godot_version':
+        return await this.handleGetGodotVersion();
+      case 'list_projects':
+        return await this.handleListProjects(args);
+      case 'get_project_info':
+        return await this.handleGetProjectInfo(args);
+      case 'create_scene':
+        return await this.handleCreateScene(args);
+      case 'add_node':
+        return await this.handleAddNode(args);
+      case 'load_sprite':
+        return await this.handleLoadSprite(args);
+      case 'export_mesh_library':
+        return await this.handleExportMeshLibrary(args, progressToken);
+      case 'save_scene':
+        return await this.handleSaveScene(args);
+      case 'edit_scene':
+        return await this.handleEditScene(args);
+      case 'get_scene_tree':
+        return await this.handleGetSceneTree(args);
+      case 'render_scene_preview':
+        return await this.handleRenderScenePreview(args);
+      case 'remove_node':
+        return await this.handleRemoveNode(args);
+      case 'reparent_node':
+        return await this.handleReparentNode(args);
+      case 'rename_node':
+        return await this.handleRenameNode(args);
+      case 'duplicate_node':
+        return await this.handleDuplicateNode(args);
+      case 'set_node_properties':
+        return await this.handleSetNodeProperties(args);
+      case 'instance_scene':
+        return await this.handleInstanceScene(args);
+      case 'get_uid':
+        return await this.handleGetUid(args);
+      case 'list_scene_history':
+        return await this.handleListSceneHistory(args);
+      case 'undo_last_change':
+        return await this.handleUndoLastChange(args);
+      case 'restore_scene_version':
+        return await this.handleRestoreSceneVersion(args);
+      case 'update_project_uids':
+        return await this.handleUpdateProjectUids(args, progressToken);
+      case 'get_portal_sdk_info':
+        return await this.handleGetPortalSdkInfo();
+      case 'setup_portal_python':
+        return await this.handleSetupPortalPython(args, progressToken);
+      case 'list_portal_levels':
+        return await this.handleListPortalLevels(args);
+      case 'export_portal_level':
+        return await this.handleExportPortalLevel(args, progressToken);
+      case 'export_all_portal_levels':
+        return await this.handleExportAllPortalLevels(args, progressToken);
+      case 'create_portal_project':
+        return await this.handleCreatePortalProject(args, progressToken);
+      case 'get_job_status':
+        return await this.handleGetJobStatus(args);
+      case 'cancel_job':
+        return await this.handleCancelJob(args);
+      case 'read_spatial_level':
+        return await this.handleReadSpatialLevel(args);
+      case 'diff_spatial_levels':
+        return await this.handleDiffSpatialLevels(args);
+      case 'validate_portal_scene':
+        return await this.handleValidatePortalScene(args);
+      case 'import_spatial_level':
+        return await this.handleImportSpatialLevel(args);
+      case 'check_level_compatibility':
+        return await this.handleCheckLevelCompatibility(args);
+      case 'search_portal_assets':
+        return await this.handleSearchPortalAssets(args);
+      default:
+        throw new McpError(
+          ErrorCode.MethodNotFound,
+          `Unknown tool: ${name}`
+        );
+    }
+  }
+
+  /**
+   * Handle the launch_editor tool
+   * @param args Tool arguments
+   */
+  private async handleLaunchEditor(args: any) {
+    // Normalize parameters to camelCase
+    args = this.normalizeParameters(args);
+
+    if (args.projectPath && !this.validatePath(args.projectPath)) {
+      return this.createErrorResponse(
+        'Invalid project path',
+        ['Provide a valid path without ".." or other potentially unsafe characters']
+      );
+    }
+
+    const projectPath = this.resolveProjectPath(args.projectPath);
+    if (!projectPath) {
+      return this.createErrorResponse(
+        'Project path is required',
+        [
+          'Provide a valid path to a Godot project directory',
+          'Ensure the Battlefield Portal SDK is installed and detectable',
+        ]
+      );
+    }
+
+    try {
+      // Ensure godotPath is set
+      if (!this.godotPath) {
+        await this.detectGodotPath();
+        if (!this.godotPath) {
+          return this.createErrorResponse(
+            'Could not find a valid Godot executable path',
+            [
+              'Ensure Godot is installed correctly',
+              'Set GODOT_PATH environment variable to specify the correct path',
+            ]
+          );
+        }
+      }
+
+      // Check if the project directory exists and contains a project.godot file
+      const projectFile = join(projectPath, 'project.godot');
+      if (!existsSync(projectFile)) {
+        return this.createErrorResponse(
+          `Not a valid Godot project: ${projectPath}`,
+          [
+            'Ensure the path points to a directory containing a project.godot file',
+            'Use list_projects to find valid Godot projects',
+          ]
+        );
+      }
+
+      this.logDebug(`Launching Godot editor for project: ${projectPath}`);
+      const process = spawn(this.godotPath, ['-e', '--path', projectPath], {
+        stdio: 'pipe',
+      });
+
+      process.on('error', (err: Error) => {
+        console.error('Failed to start Godot editor:', err);
+      });
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Godot editor launched successfully for project at ${projectPath}.`,
+          },
+        ],
+      };
+    } catch (error: unknown) {
+      const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+      return this.createErrorResponse(
+        `Failed to launch Godot editor: ${errorMessage}`,
+        [
+          'Ensure Godot is installed correctly',
+          'Check if the GODOT_PATH environment variable is set correctly',
+          'Verify the project path is accessible',
+        ]
+      );
+    }
+  }
+
+  /**
+   * Handle the run_project tool
+   * @param args Tool arguments
+   */
+  private async handleRunProject(args: any) {
+    // Normalize parameters to camelCase
+    args = this.normalizeParameters(args);
+
+    if (args.projectPath && !this.validatePath(args.projectPath)) {
+      return this.createErrorResponse(
+        'Invalid project path',
+        ['Provide a valid path without ".." or other potentially unsafe characters']
+      );
+    }
+
+    const projectPath = this.resolveProjectPath(args.projectPath);
+    if (!projectPath) {
+      return this.createErrorResponse(
+        'Project path is required',
+        [
+          'Provide a valid path to a Godot project directory',
+          'Ensure the Battlefield Portal SDK is installed and detectable',
+        ]
+      );
+    }
+
+    try {
+      // Check if the project directory exists and contains a project.godot file
+      const projectFile = join(projectPath, 'project.godot');
+      if (!existsSync(projectFile)) {
+        return this.createErrorResponse(
+          `Not a valid Godot project: ${projectPath}`,
+          [
+            'Ensure the path points to a directory containing a project.godot file',
+            'Use list_projects to find valid Godot projects',
+          ]
+        );
+      }
+
+      const cmdArgs = ['-d', '--path', projectPath];
+      const scene = args.scene && this.validatePath(args.scene) ? args.scene : null;
+      if (scene) {
+        this.logDebug(`Adding scene parameter: ${scene}`);
+        cmdArgs.push(scene);
+      }
+
+      this.logDebug(`Running Godot project: ${projectPath}`);
+      const process = spawn(this.godotPath!, cmdArgs, { stdio: 'pipe' });
+      const session: GodotSession = {
+        id: `session-${++this.sessionCounter}`,
+        process,
+        projectPath,
+        scene,
+        startedAt: new Date(),
+        exitedAt: null,
+        exitCode: null,
+        logs: new LogBuffer(this.logBufferLines),
+        diagnostics: new GodotDiagnosticParser(),
+      };
+
+      process.stdout?.on('data', (data: Buffer) => {
+        const entries = session.logs.write('stdout', data.toString());
+        entries.forEach((entry: LogEntry) => {
+          session.diagnostics.feed(entry);
+          if (entry.text.trim()) this.logDebug(`[Godot stdout ${session.id}] ${entry.text}`);
+        });
+      });
+
+      process.stderr?.on('data', (data: Buffer) => {
+        const entries = session.logs.write('stderr', data.toString());
+        entries.forEach((entry: LogEntry) => {
+          session.diagnostics.feed(entry);
+          if (entry.text.trim()) this.logDebug(`[Godot stderr ${session.id}] ${entry.text}`);
+        });
+      });
+
+      process.on('exit', (code: number | null) => {
+        this.logDebug(`Godot process for ${session.id} exited with code ${code}`);
+        session.exitedAt = new Date();
+        session.exitCode = code ?? -1;
+      });
+
+      // Output can still arrive after 'exit'; 'close' fires once both streams have ended
+      process.on('close', () => this.flushSessionLogs(session));
+
+      process.on('error', (err: Error) => {
+        console.error(`Failed to start Godot process for ${session.id}:`, err);
+        session.exitedAt = session.exitedAt ?? new Date();
+        session.exitCode = session.exitCode ?? -1;
+        session.logs.push('stderr', `Failed to start Godot process: ${err.message}`);
+      });
+
+      this.sessions.set(session.id, session);
+      this.pruneExitedSessions();
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(
+              {
+                message: `Godot project started in debug mode from ${projectPath}. Use get_debug_output with this sessionId to see output.`,
+                ...this.describeSession(session),
               },
-            },
-            required: ['filePath'],
+              null,
+              2
+            ),
           },
-        },
+        ],
+      };
+    } catch (error: unknown) {
+      const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+      return this.createErrorResponse(
+        `Failed to run Godot project: ${errorMessage}`,
+        [
+          'Ensure Godot is installed correctly',
+          'Check if the GODOT_PATH environment variable is set correctly',
+          'Verify the project path is accessible',
+        ]
+      );
+    }
+  }
+
+  /**
+   * Handle the get_debug_output tool
+   * @param args Tool arguments
+   */
+  private async handleGetDebugOutput(args: any) {
+    args = this.normalizeParameters(args ?? {});
+
+    const session = this.resolveSession(args.sessionId);
+    if (!session) {
+      return this.createSessionNotFoundResponse(args.sessionId);
+    }
+
+    const stream = args.stream ?? 'both';
+    if (!['stdout', 'stderr', 'both'].includes(stream)) {
+      return this.createErrorResponse(
+        `Invalid stream: ${stream}`,
+        ['Use one of "stdout", "stderr" or "both"']
+      );
+    }
+
+    let filter: RegExp | null = null;
+    if (typeof args.filter === 'string' && args.filter.length > 0) {
+      try {
+        filter = new RegExp(args.filter);
+      } catch (error: unknown) {
+        const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+        return this.createErrorResponse(
+          `Invalid filter expression: ${errorMessage}`,
+          ['Provide a valid JavaScript regular expression']
+        );
+      }
+    }
+
+    const result = session.logs.read({
+      sinceCursor: typeof args.sinceCursor === 'number' ? args.sinceCursor : 0,
+      maxLines: typeof args.maxLines === 'number' ? args.maxLines : DEFAULT_DEBUG_OUTPUT_MAX_LINES,
+      stream,
+      filter,
+    });
+
+    return {
+      content: [
         {
-          name: 'update_project_uids',
-          description: 'Update UID references in a Godot project by resaving resources (for Godot 4.4+)',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              projectPath: {
-                type: 'string',
-                description: 'Path to the Godot project directory (defaults to Battlefield Portal project when available)',
-              },
+          type: 'text',
+          text: JSON.stringify(
+            {
+              sessionId: session.id,
+              running: session.exitCode === null,
+              exitCode: session.exitCode,
+              cursor: result.cursor,
+              hasMore: result.hasMore,
+              droppedLines: result.droppedLines,
+              lines: result.lines.map(({ seq, stream, text }) => ({ seq, stream, text })),
             },
-            required: [],
-          },
+            null,
+            2
+          ),
         },
+      ],
+    };
+  }
+
+  /**
+   * Append a session's incomplete trailing output lines and pass them to its diagnostics
+   */
+  private flushSessionLogs(session: GodotSession): void {
+    session.logs.flush().forEach((entry: LogEntry) => session.diagnostics.feed(entry));
+    session.diagnostics.flush();
+  }
+
+  /**
+   * Handle the stop_project tool
+   * @param args Tool arguments
+   */
+  private async handleStopProject(args: any) {
+    args = this.normalizeParameters(args ?? {});
+
+    const session = this.resolveSession(args.sessionId);
+    if (!session) {
+      return this.createSessionNotFoundResponse(args.sessionId);
+    }
+
+    if (session.exitCode === null) {
+      this.logDebug(`Stopping Godot process for session ${session.id}`);
+      const closed = new Promise<void>((resolve) => {
+        const timer = setTimeout(resolve, SESSION_STOP_TIMEOUT_MS);
+        session.process.once('close', () => {
+          clearTimeout(timer);
+          resolve();
+        });
+      });
+      session.process.kill();
+      await closed;
+    }
+    this.sessions.delete(session.id);
+    // The last line often has no trailing newline, e.g. the error that ended the game
+    this.flushSessionLogs(session);
+    const finalLines = session.logs.tail(DEFAULT_DEBUG_OUTPUT_MAX_LINES);
+
+    return {
+      content: [
         {
-          name: 'get_portal_sdk_info',
-          description: 'Inspect detected Battlefield Portal SDK paths and configuration',
-          inputSchema: {
-            type: 'object',
-            properties: {},
-            required: [],
-          },
+          type: 'text',
+          text: JSON.stringify(
+            {
+              message: `Godot session ${session.id} stopped`,
+              sessionId: session.id,
+              exitCode: session.exitCode,
+              cursor: finalLines.cursor,
+              finalLines: finalLines.lines.map(({ seq, stream, text }) => ({ seq, stream, text })),
+            },
+            null,
+            2
+          ),
         },
+      ],
+    };
+  }
+
+  /**
+   * Handle the get_diagnostics tool
+   * @param args Tool arguments
+   */
+  private async handleGetDiagnostics(args: any) {
+    args = this.normalizeParameters(args ?? {});
+
+    const session = this.resolveSession(args.sessionId);
+    if (!session) {
+      return this.createSessionNotFoundResponse(args.sessionId);
+    }
+
+    const severity = args.severity ?? 'all';
+    if (!['error', 'warning', 'all'].includes(severity)) {
+      return this.createErrorResponse(
+        `Invalid severity: ${severity}`,
+        ['Use one of "error", "warning" or "all"']
+      );
+    }
+
+    const diagnostics = session.diagnostics
+      .snapshot()
+      .filter((diagnostic) => severity === 'all' || diagnostic.severity === severity)
+      .filter((diagnostic) => args.includeEngine !== false || (diagnostic.file ?? '').startsWith('res://'))
+      .map((diagnostic) => ({
+        ...diagnostic,
+        absolutePath:
+          diagnostic.file && diagnostic.file.startsWith('res://')
+            ? this.toAbsolutePath(session.projectPath, diagnostic.file)
+            : null,
+      }));
+
+    return {
+      content: [
         {
-          name: 'list_portal_levels',
-          description: 'List available Battlefield Portal levels and related resources',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              fbExportDataPath: {
-                type: 'string',
-                description: 'Optional: Override path to the FbExportData directory',
-              },
-              projectPath: {
-                type: 'string',
-                description: 'Optional: Override path to the Battlefield Portal Godot project',
-              },
+          type: 'text',
+          text: JSON.stringify(
+            {
+              sessionId: session.id,
+              running: session.exitCode === null,
+              exitCode: session.exitCode,
+              errorCount: diagnostics.filter((diagnostic) => diagnostic.severity === 'error').length,
+              warningCount: diagnostics.filter((diagnostic) => diagnostic.severity === 'warning').length,
+              totalOccurrences: diagnostics.reduce((total, diagnostic) => total + diagnostic.count, 0),
+              droppedDiagnostics: session.diagnostics.overflow,
+              diagnostics,
             },
-            required: [],
-          },
+            null,
+            2
+          ),
         },
+      ],
+    };
+  }
+
+  /**
+   * Handle the list_sessions tool
+   */
+  private async handleListSessions() {
+    const sessions = Array.from(this.sessions.values()).map((session) => this.describeSession(session));
+
+    return {
+      content: [
         {
-          name: 'export_portal_level',
-          description: 'Export a Battlefield Portal level to spatial JSON using the gdconverter tooling',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              scenePath: {
-                type: 'string',
-                description: 'Path to the scene (.tscn) file to export (relative to the project by default)',
-              },
-              outputDir: {
-                type: 'string',
-                description: 'Optional: Directory where the exported .spatial.json will be written (defaults to a portal_exports folder inside the project)',
-              },
-              projectPath: {
-                type: 'string',
-                description: 'Optional: Override path to the Battlefield Portal Godot project',
-              },
-              fbExportDataPath: {
-                type: 'string',
-                description: 'Optional: Override path to the FbExportData directory',
-              },
+          type: 'text',
+          text: JSON.stringify(
+            {
+              count: sessions.length,
+              running: sessions.filter((session) => session.running).length,
+              sessions,
             },
-            required: ['scenePath'],
-          },
+            null,
+            2
+          ),
         },
-        {
-          name: 'create_portal_project',
-          description: 'Regenerate the Battlefield Portal Godot project from FbExportData assets',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              fbExportDataPath: {
-                type: 'string',
-                description: 'Optional: Override path to the FbExportData directory',
-              },
-              outputDir: {
-                type: 'string',
-                description: 'Optional: Destination directory for the generated project (defaults to the detected Portal project path)',
-              },
-              overwriteLevels: {
-                type: 'boolean',
-                description: 'Whether to overwrite existing level scenes when regenerating',
-                default: false,
+      ],
+    };
+  }
+
+  /**
+   * Handle the get_godot_version tool
+   */
+  private async handleGetGodotVersion() {
+    try {
+      // Ensure godotPath is set
+      if (!this.godotPath) {
+        await this.detectGodotPath();
+        if (!this.godotPath) {
+          return this.createErrorResponse(
+            'Could not find a valid Godot executable path',
+            [
+              'Ensure Godot is installed correctly',
+              'Set GODOT_PATH environment variable to specify the correct path',
+            ]
+          );
+        }
+      }
+
+      this.logDebug('Getting Godot version');
+      const version = await this.getGodotVersion(this.godotPath);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: version,
+          },
+        ],
+      };
+    } catch (error: unknown) {
+      const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+      return this.createErrorResponse(
+        `Failed to get Godot version: ${errorMessage}`,
+        [
+          'Ensure Godot is installed correctly',
+          'Check if the GODOT_PATH environment variable is set correctly',
+        ]
+      );
+    }
+  }
+
+  /**
+   * Handle the list_projects tool
+   */
+  private async handleListProjects(args: any) {
+    // Normalize parameters to camelCase
+    args = this.normalizeParameters(args);
+    
+    if (!args.directory) {
+      return this.createErrorResponse(
+        'Directory is required',
+        ['Provide a valid directory path to search for Godot projects']
+      );
+    }
+
+    if (!this.validatePath(args.directory)) {
+      return this.createErrorResponse(
+        'Invalid directory path',
+        ['Provide a valid path without ".." or other potentially unsafe characters']
+      );
+    }
+
+    try {
+      this.logDebug(`Listing Godot projects in directory: ${args.directory}`);
+      if (!existsSync(args.directory)) {
+        return this.createErrorResponse(
+          `Directory does not exist: ${args.directory}`,
+          ['Provide a valid directory path that exists on the system']
+        );
+      }
+
+      const recursive = args.recursive === true;
+      const projects = this.findGodotProjects(args.directory, recursive);
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(projects, null, 2),
+          },
+        ],
+      };
+    } catch (error: any) {
+      return this.createErrorResponse(
+        `Failed to list projects: ${error?.message || 'Unknown error'}`,
+        [
+          'Ensure the directory exists and is accessible',
+          'Check if you have permission to read the directory',
+        ]
+      );
+    }
+  }
+
+  /**
+   * Get the structure of a Godot project asynchronously by counting files recursively
+   * @param projectPath Path to the Godot project
+   * @returns Promise resolving to an object with counts of scenes, scripts, assets, and other files
+   */
+  private getProjectStructureAsync(projectPath: string): Promise<any> {
+    return new Promise((resolve) => {
+      try {
+        const structure = {
+          scenes: 0,
+          scripts: 0,
+          assets: 0,
+          other: 0,
+        };
+
+        const scanDirectory = (currentPath: string) => {
+          const entries = readdirSync(currentPath, { withFileTypes: true });
+          
+          for (const entry of entries) {
+            const entryPath = join(currentPath, entry.name);
+            
+            // Skip hidden files and directories
+            if (entry.name.startsWith('.')) {
+              continue;
+            }
+            
+            if (entry.isDirectory()) {
+              // Recursively scan subdirectories
+              scanDirectory(entryPath);
+            } else if (entry.isFile()) {
+              // Count file by extension
+              const ext = entry.name.split('.').pop()?.toLowerCase();
+              
+              if (ext === 'tscn') {
+                structure.scenes++;
+              } else if (ext === 'gd' || ext === 'gdscript' || ext === 'cs') {
+                structure.scripts++;
+              } else if (['png', 'jpg', 'jpeg', 'webp', 'svg', 'ttf', 'wav', 'mp3', 'ogg'].includes(ext || '')) {
+                structure.assets++;
+              } else {
+                structure.other++;
+              }
+            }
+          }
+        };
+        
+        // Start scanning from the project root
+        scanDirectory(projectPath);
+        resolve(structure);
+      } catch (error) {
+        this.logDebug(`Error getting project structure asynchronously: ${error}`);
+        resolve({ 
+          error: 'Failed to get project structure',
+          scenes: 0,
+          scripts: 0,
+          assets: 0,
+          other: 0
+        });
+      }
+    });
+  }
+
+  /**
+   * Handle the get_project_info tool
+   */
+  private async handleGetProjectInfo(args: any) {
+    // Normalize parameters to camelCase
+    args = this.normalizeParameters(args);
+
+    if (args.projectPath && !this.validatePath(args.projectPath)) {
+      return this.createErrorResponse(
+        'Invalid project path',
+        ['Provide a valid path without ".." or other potentially unsafe characters']
+      );
+    }
+
+    const projectPath = this.resolveProjectPath(args.projectPath);
+    if (!projectPath) {
+      return this.createErrorResponse(
+        'Project path is required',
+        [
+          'Provide a valid path to a Godot project directory',
+          'Ensure the Battlefield Portal SDK is installed and detectable',
+        ]
+      );
+    }
+
+    try {
+      // Ensure godotPath is set
+      if (!this.godotPath) {
+        await this.detectGodotPath();
+        if (!this.godotPath) {
+          return this.createErrorResponse(
+            'Could not find a valid Godot executable path',
+            [
+              'Ensure Godot is installed correctly',
+              'Set GODOT_PATH environment variable to specify the correct path',
+            ]
+          );
+        }
+      }
+
+      // Check if the project directory exists and contains a project.godot file
+      const projectFile = join(projectPath, 'project.godot');
+      if (!existsSync(projectFile)) {
+        return this.createErrorResponse(
+          `Not a valid Godot project: ${projectPath}`,
+          [
+            'Ensure the path points to a directory containing a project.godot file',
+            'Use list_projects to find valid Godot projects',
+          ]
+        );
+      }
+
+      this.logDebug(`Getting project info for: ${projectPath}`);
+
+      // Get Godot version
+      const godotVersion = await this.getGodotVersion(this.godotPath);
+
+      // Get project structure using the recursive method
+      const projectStructure = await this.getProjectStructureAsync(projectPath);
+
+      // Extract project name from project.godot file
+      let projectName = basename(projectPath);
+      try {
+        const projectFileContent = readFileSync(projectFile, 'utf8');
+        const configNameMatch = projectFileContent.match(/config\/name="([^"]+)"/);
+        if (configNameMatch && configNameMatch[1]) {
+          projectName = configNameMatch[1];
+          this.logDebug(`Found project name in config: ${projectName}`);
+        }
+      } catch (error) {
+        this.logDebug(`Error reading project file: ${error}`);
+        // Continue with default project name if extraction fails
+      }
+  
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(
+              {
+                name: projectName,
+                path: projectPath,
+                godotVersion,
+                structure: projectStructure,
               },
-            },
-            required: [],
+              null,
+              2
+            ),
           },
-        },
-      ],
-    }));
+        ],
+      };
+    } catch (error: any) {
+      return this.createErrorResponse(
+        `Failed to get project info: ${error?.message || 'Unknown error'}`,
+        [
+          'Ensure Godot is installed correctly',
+          'Check if the GODOT_PATH environment variable is set correctly',
+          'Verify the project path is accessible',
+        ]
+      );
+    }
+  }
+
+  /**
+   * Handle the create_scene tool
+   */
+  private async handleCreateScene(args: any) {
+    // Normalize parameters to camelCase
+    args = this.normalizeParameters(args);
+    
+    if (!args.scenePath) {
+      return this.createErrorResponse(
+        'Scene path is required',
+        ['Provide a valid scene path relative to the project']
+      );
+    }
+
+    if ((args.projectPath && !this.validatePath(args.projectPath)) || !this.validatePath(args.scenePath)) {
+      return this.createErrorResponse(
+        'Invalid path',
+        ['Provide valid paths without ".." or other potentially unsafe characters']
+      );
+    }
+
+    const projectPath = this.resolveProjectPath(args.projectPath);
+    if (!projectPath) {
+      return this.createErrorResponse(
+        'Project path is required',
+        [
+          'Provide a valid path to a Godot project directory',
+          'Ensure the Battlefield Portal SDK is installed and detectable',
+        ]
+      );
+    }
+
+    try {
+      // Check if the project directory exists and contains a project.godot file
+      const projectFile = join(projectPath, 'project.godot');
+      if (!existsSync(projectFile)) {
+        return this.createErrorResponse(
+          `Not a valid Godot project: ${projectPath}`,
+          [
+            'Ensure the path points to a directory containing a project.godot file',
+            'Use list_projects to find valid Godot projects',
+          ]
+        );
+      }
+
+      // Prepare parameters for the operation (already in camelCase)
+      const params = {
+        scenePath: args.scenePath,
+        rootNodeType: args.rootNodeType || 'Node2D',
+        dryRun: args.dryRun === true,
+      };
+
+      // Execute the operation
+      const { result } = await this.executeOperation('create_scene', params, projectPath);
+
+      if (result.status !== 'ok') {
+        return this.createOperationErrorResponse(
+          'Failed to create scene',
+          result,
+          [
+            'Check if the root node type is valid',
+            'Ensure you have write permissions to the scene path',
+            'Verify the scene path is valid',
+          ]
+        );
+      }
+
+      return this.createOperationResponse(`Scene created successfully at: ${args.scenePath}`, result);
+    } catch (error: any) {
+      return this.createErrorResponse(
+        `Failed to create scene: ${error?.message || 'Unknown error'}`,
+        [
+          'Ensure Godot is installed correctly',
+          'Check if the GODOT_PATH environment variable is set correctly',
+          'Verify the project path is accessible',
+        ]
+      );
+    }
+  }
+
+  /**
+   * Handle the add_node tool
+   */
+  private async handleAddNode(args: any) {
+    // Normalize parameters to camelCase
+    args = this.normalizeParameters(args);
+    
+    if (!args.scenePath || !args.nodeType || !args.nodeName) {
+      return this.createErrorResponse(
+        'Missing required parameters',
+        ['Provide scenePath, nodeType, and nodeName']
+      );
+    }
+
+    if ((args.projectPath && !this.validatePath(args.projectPath)) || !this.validatePath(args.scenePath)) {
+      return this.createErrorResponse(
+        'Invalid path',
+        ['Provide valid paths without ".." or other potentially unsafe characters']
+      );
+    }
+
+    const projectPath = this.resolveProjectPath(args.projectPath);
+    if (!projectPath) {
+      return this.createErrorResponse(
+        'Project path is required',
+        [
+          'Provide a valid path to a Godot project directory',
+          'Ensure the Battlefield Portal SDK is installed and detectable',
+        ]
+      );
+    }
+
+    try {
+      // Check if the project directory exists and contains a project.godot file
+      const projectFile = join(projectPath, 'project.godot');
+      if (!existsSync(projectFile)) {
+        return this.createErrorResponse(
+          `Not a valid Godot project: ${projectPath}`,
+          [
+            'Ensure the path points to a directory containing a project.godot file',
+            'Use list_projects to find valid Godot projects',
+          ]
+        );
+      }
+
+      // Check if the scene file exists
+      const scenePath = join(projectPath, args.scenePath);
+      if (!existsSync(scenePath)) {
+        return this.createErrorResponse(
+          `Scene file does not exist: ${args.scenePath}`,
+          [
+            'Ensure the scene path is correct',
+            'Use create_scene to create a new scene first',
+          ]
+        );
+      }
+
+      // Prepare parameters for the operation (already in camelCase)
+      const params: any = {
+        scenePath: args.scenePath,
+        nodeType: args.nodeType,
+        nodeName: args.nodeName,
+        dryRun: args.dryRun === true,
+      };
+
+      // Add optional parameters
+      if (args.parentNodePath) {
+        params.parentNodePath = args.parentNodePath;
+      }
+
+      if (args.properties) {
+        params.properties = args.properties;
+      }
+
+      // Execute the operation
+      const { result } = await this.executeOperation('add_node', params, projectPath);
+
+      if (result.status !== 'ok') {
+        return this.createOperationErrorResponse(
+          'Failed to add node',
+          result,
+          [
+            'Check if the node type is valid',
+            'Ensure the parent node path exists',
+            'Verify the scene file is valid',
+          ]
+        );
+      }
+
+      return this.createOperationResponse(
+        `Node '${args.nodeName}' of type '${args.nodeType}' added successfully to '${args.scenePath}'.`,
+        result
+      );
+    } catch (error: any) {
+      return this.createErrorResponse(
+        `Failed to add node: ${error?.message || 'Unknown error'}`,
+        [
+          'Ensure Godot is installed correctly',
+          'Check if the GODOT_PATH environment variable is set correctly',
+          'Verify the project path is accessible',
+        ]
+      );
+    }
+  }
+
+  /**
+   * Handle the load_sprite tool
+   */
+  private async handleLoadSprite(args: any) {
+    // Normalize parameters to camelCase
+    args = this.normalizeParameters(args);
+    
+    if (!args.scenePath || !args.nodePath || !args.texturePath) {
+      return this.createErrorResponse(
+        'Missing required parameters',
+        ['Provide scenePath, nodePath, and texturePath']
+      );
+    }
+
+    if (
+      (args.projectPath && !this.validatePath(args.projectPath)) ||
+      !this.validatePath(args.scenePath) ||
+      !this.validatePath(args.nodePath) ||
+      !this.validatePath(args.texturePath)
+    ) {
+      return this.createErrorResponse(
+        'Invalid path',
+        ['Provide valid paths without ".." or other potentially unsafe characters']
+      );
+    }
+
+    const projectPath = this.resolveProjectPath(args.projectPath);
+    if (!projectPath) {
+      return this.createErrorResponse(
+        'Project path is required',
+        [
+          'Provide a valid path to a Godot project directory',
+          'Ensure the Battlefield Portal SDK is installed and detectable',
+        ]
+      );
+    }
+
+    try {
+      // Check if the project directory exists and contains a project.godot file
+      const projectFile = join(projectPath, 'project.godot');
+      if (!existsSync(projectFile)) {
+        return this.createErrorResponse(
+          `Not a valid Godot project: ${projectPath}`,
+          [
+            'Ensure the path points to a directory containing a project.godot file',
+            'Use list_projects to find valid Godot projects',
+          ]
+        );
+      }
+
+      // Check if the scene file exists
+      const scenePath = join(projectPath, args.scenePath);
+      if (!existsSync(scenePath)) {
+        return this.createErrorResponse(
+          `Scene file does not exist: ${args.scenePath}`,
+          [
+            'Ensure the scene path is correct',
+            'Use create_scene to create a new scene first',
+          ]
+        );
+      }
+
+      // Check if the texture file exists
+      const texturePath = join(projectPath, args.texturePath);
+      if (!existsSync(texturePath)) {
+        return this.createErrorResponse(
+          `Texture file does not exist: ${args.texturePath}`,
+          [
+            'Ensure the texture path is correct',
+            'Upload or create the texture file first',
+          ]
+        );
+      }
+
+      // Prepare parameters for the operation (already in camelCase)
+      const params = {
+        scenePath: args.scenePath,
+        nodePath: args.nodePath,
+        texturePath: args.texturePath,
+        dryRun: args.dryRun === true,
+      };
+
+      // Execute the operation
+      const { result } = await this.executeOperation('load_sprite', params, projectPath);
+
+      if (result.status !== 'ok') {
+        return this.createOperationErrorResponse(
+          'Failed to load sprite',
+          result,
+          [
+            'Check if the node path is correct',
+            'Ensure the node is a Sprite2D, Sprite3D, or TextureRect',
+            'Verify the texture file is a valid image format',
+          ]
+        );
+      }
+
+      return this.createOperationResponse(`Sprite loaded successfully with texture: ${args.texturePath}`, result);
+    } catch (error: any) {
+      return this.createErrorResponse(
+        `Failed to load sprite: ${error?.message || 'Unknown error'}`,
+        [
+          'Ensure Godot is installed correctly',
+          'Check if the GODOT_PATH environment variable is set correctly',
+          'Verify the project path is accessible',
+        ]
+      );
+    }
+  }
+
+  /**
+   * Handle the export_mesh_library tool
+   */
+  private async handleExportMeshLibrary(args: any, progressToken?: string | number) {
+    // Normalize parameters to camelCase
+    args = this.normalizeParameters(args);
+    
+    if (!args.scenePath || !args.outputPath) {
+      return this.createErrorResponse(
+        'Missing required parameters',
+        ['Provide scenePath and outputPath']
+      );
+    }
+
+    if (
+      (args.projectPath && !this.validatePath(args.projectPath)) ||
+      !this.validatePath(args.scenePath) ||
+      !this.validatePath(args.outputPath)
+    ) {
+      return this.createErrorResponse(
+        'Invalid path',
+        ['Provide valid paths without ".." or other potentially unsafe characters']
+      );
+    }
+
+    const projectPath = this.resolveProjectPath(args.projectPath);
+    if (!projectPath) {
+      return this.createErrorResponse(
+        'Project path is required',
+        [
+          'Provide a valid path to a Godot project directory',
+          'Ensure the Battlefield Portal SDK is installed and detectable',
+        ]
+      );
+    }
+
+    try {
+      // Check if the project directory exists and contains a project.godot file
+      const projectFile = join(projectPath, 'project.godot');
+      if (!existsSync(projectFile)) {
+        return this.createErrorResponse(
+          `Not a valid Godot project: ${projectPath}`,
+          [
+            'Ensure the path points to a directory containing a project.godot file',
+            'Use list_projects to find valid Godot projects',
+          ]
+        );
+      }
 
-    // Handle tool calls
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
-      this.logDebug(`Handling tool request: ${request.params.name}`);
-      switch (request.params.name) {
-        case 'launch_editor':
-          return await this.handleLaunchEditor(request.params.arguments);
-        case 'run_project':
-          return await this.handleRunProject(request.params.arguments);
-        case 'get_debug_output':
-          return await this.handleGetDebugOutput();
-        case 'stop_project':
-          return await this.handleStopProject();
-        case 'get_godot_version':
-          return await this.handleGetGodotVersion();
-        case 'list_projects':
-          return await this.handleListProjects(request.params.arguments);
-        case 'get_project_info':
-          return await this.handleGetProjectInfo(request.params.arguments);
-        case 'create_scene':
-          return await this.handleCreateScene(request.params.arguments);
-        case 'add_node':
-          return await this.handleAddNode(request.params.arguments);
-        case 'load_sprite':
-          return await this.handleLoadSprite(request.params.arguments);
-        case 'export_mesh_library':
-          return await this.handleExportMeshLibrary(request.params.arguments);
-        case 'save_scene':
-          return await this.handleSaveScene(request.params.arguments);
-        case 'get_uid':
-          return await this.handleGetUid(request.params.arguments);
-        case 'update_project_uids':
-          return await this.handleUpdateProjectUids(request.params.arguments);
-        case 'get_portal_sdk_info':
-          return await this.handleGetPortalSdkInfo();
-        case 'list_portal_levels':
-          return await this.handleListPortalLevels(request.params.arguments);
-        case 'export_portal_level':
-          return await this.handleExportPortalLevel(request.params.arguments);
-        case 'create_portal_project':
-          return await this.handleCreatePortalProject(request.params.arguments);
-        default:
-          throw new McpError(
-            ErrorCode.MethodNotFound,
-            `Unknown tool: ${request.params.name}`
-          );
+      // Check if the scene file exists
+      const scenePath = join(projectPath, args.scenePath);
+      if (!existsSync(scenePath)) {
+        return this.createErrorResponse(
+          `Scene file does not exist: ${args.scenePath}`,
+          [
+            'Ensure the scene path is correct',
+            'Use create_scene to create a new scene first',
+          ]
+        );
       }
-    });
+
+      // Prepare parameters for the operation (already in camelCase)
+      const params: any = {
+        scenePath: args.scenePath,
+        outputPath: args.outputPath,
+        dryRun: args.dryRun === true,
+      };
+
+      // Add optional parameters
+      if (args.meshItemNames && Array.isArray(args.meshItemNames)) {
+        params.meshItemNames = args.meshItemNames;
+      }
+
+      // Execute the operation as a job so it is queued and can time out
+      return await this.runAsJob('export_mesh_library', args, progressToken, async ({ signal }) => {
+        const { result } = await this.executeOperation('export_mesh_library', params, projectPath, signal);
+
+        if (result.status !== 'ok') {
+          return this.createOperationErrorResponse(
+            'Failed to export mesh library',
+            result,
+            [
+              'Check if the scene contains valid 3D meshes',
+              'Ensure the output path is valid',
+              'Verify the scene file is valid',
+            ]
+          );
+        }
+
+        return this.createOperationResponse(`MeshLibrary exported successfully to: ${args.outputPath}`, result);
+      });
+    } catch (error: any) {
+      return this.createErrorResponse(
+        `Failed to export mesh library: ${error?.message || 'Unknown error'}`,
+        [
+          'Ensure Godot is installed correctly',
+          'Check if the GODOT_PATH environment variable is set correctly',
+          'Verify the project path is accessible',
+        ]
+      );
+    }
   }
 
   /**
-   * Handle the launch_editor tool
-   * @param args Tool arguments
+   * Handle the save_scene tool
    */
-  private async handleLaunchEditor(args: any) {
+  private async handleSaveScene(args: any) {
     // Normalize parameters to camelCase
     args = this.normalizeParameters(args);
+    
+    if (!args.scenePath) {
+      return this.createErrorResponse(
+        'Missing required parameters',
+        ['Provide scenePath']
+      );
+    }
 
-    if (args.projectPath && !this.validatePath(args.projectPath)) {
+    if ((args.projectPath && !this.validatePath(args.projectPath)) || !this.validatePath(args.scenePath)) {
       return this.createErrorResponse(
-        'Invalid project path',
-        ['Provide a valid path without ".." or other potentially unsafe characters']
+        'Invalid path',
+        ['Provide valid paths without ".." or other potentially unsafe characters']
+      );
+    }
+
+    // If newPath is provided, validate it
+    if (args.newPath && !this.validatePath(args.newPath)) {
+      return this.createErrorResponse(
+        'Invalid new path',
+        ['Provide a valid new path without ".." or other potentially unsafe characters']
       );
     }
 
@@ -1459,20 +7708,6 @@ class GodotServer {
     }
 
     try {
-      // Ensure godotPath is set
-      if (!this.godotPath) {
-        await this.detectGodotPath();
-        if (!this.godotPath) {
-          return this.createErrorResponse(
-            'Could not find a valid Godot executable path',
-            [
-              'Ensure Godot is installed correctly',
-              'Set GODOT_PATH environment variable to specify the correct path',
-            ]
-          );
-        }
-      }
-
       // Check if the project directory exists and contains a project.godot file
       const projectFile = join(projectPath, 'project.godot');
       if (!existsSync(projectFile)) {
@@ -1485,27 +7720,49 @@ class GodotServer {
         );
       }
 
-      this.logDebug(`Launching Godot editor for project: ${projectPath}`);
-      const process = spawn(this.godotPath, ['-e', '--path', projectPath], {
-        stdio: 'pipe',
-      });
-
-      process.on('error', (err: Error) => {
-        console.error('Failed to start Godot editor:', err);
-      });
+      // Check if the scene file exists
+      const scenePath = join(projectPath, args.scenePath);
+      if (!existsSync(scenePath)) {
+        return this.createErrorResponse(
+          `Scene file does not exist: ${args.scenePath}`,
+          [
+            'Ensure the scene path is correct',
+            'Use create_scene to create a new scene first',
+          ]
+        );
+      }
 
-      return {
-        content: [
-          {
-            type: 'text',
-            text: `Godot editor launched successfully for project at ${projectPath}.`,
-          },
-        ],
+      // Prepare parameters for the operation (already in camelCase)
+      const params: any = {
+        scenePath: args.scenePath,
+        dryRun: args.dryRun === true,
       };
-    } catch (error: unknown) {
-      const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+
+      // Add optional parameters
+      if (args.newPath) {
+        params.newPath = args.newPath;
+      }
+
+      // Execute the operation
+      const { result } = await this.executeOperation('save_scene', params, projectPath);
+
+      if (result.status !== 'ok') {
+        return this.createOperationErrorResponse(
+          'Failed to save scene',
+          result,
+          [
+            'Check if the scene file is valid',
+            'Ensure you have write permissions to the output path',
+            'Verify the scene can be properly packed',
+          ]
+        );
+      }
+
+      const savePath = args.newPath || args.scenePath;
+      return this.createOperationResponse(`Scene saved successfully to: ${savePath}`, result);
+    } catch (error: any) {
       return this.createErrorResponse(
-        `Failed to launch Godot editor: ${errorMessage}`,
+        `Failed to save scene: ${error?.message || 'Unknown error'}`,
         [
           'Ensure Godot is installed correctly',
           'Check if the GODOT_PATH environment variable is set correctly',
@@ -1516,105 +7773,289 @@ class GodotServer {
   }
 
   /**
-   * Handle the run_project tool
-   * @param args Tool arguments
+   * Handle the edit_scene tool
    */
-  private async handleRunProject(args: any) {
+  private async handleEditScene(args: any) {
     // Normalize parameters to camelCase
     args = this.normalizeParameters(args);
 
-    if (args.projectPath && !this.validatePath(args.projectPath)) {
+    if (!Array.isArray(args.operations) || args.operations.length === 0) {
       return this.createErrorResponse(
-        'Invalid project path',
-        ['Provide a valid path without ".." or other potentially unsafe characters']
+        'Missing required parameters',
+        ['Provide a non-empty operations array']
       );
     }
 
-    const projectPath = this.resolveProjectPath(args.projectPath);
-    if (!projectPath) {
+    const invalidStep = args.operations.findIndex(
+      (step: any) => !step || typeof step !== 'object' || !EDIT_SCENE_STEP_TYPES.includes(step.op)
+    );
+    if (invalidStep !== -1) {
       return this.createErrorResponse(
-        'Project path is required',
+        `Invalid operation at index ${invalidStep}`,
+        [`Each operation needs an "op" field set to one of: ${EDIT_SCENE_STEP_TYPES.join(', ')}`]
+      );
+    }
+
+    const target = this.resolveSceneTarget(args);
+    if ('error' in target) {
+      return target.error;
+    }
+    const { projectPath } = target;
+
+    try {
+      const { result } = await this.executeOperation(
+        'edit_scene',
+        { scenePath: args.scenePath, operations: args.operations, dryRun: args.dryRun === true },
+        projectPath
+      );
+
+      if (result.status !== 'ok') {
+        return this.createOperationErrorResponse(
+          'Failed to edit scene',
+          result,
+          [
+            'Check the per-step report in data.steps to find the failing operation',
+            'Use "root/..." node paths relative to the scene root',
+            'No changes were saved; fix the failing step and retry the whole list',
+          ]
+        );
+      }
+
+      return this.createOperationResponse(
+        `Applied ${args.operations.length} operations to scene: ${args.scenePath}`,
+        result
+      );
+    } catch (error: any) {
+      return this.createErrorResponse(
+        `Failed to edit scene: ${error?.message || 'Unknown error'}`,
         [
-          'Provide a valid path to a Godot project directory',
-          'Ensure the Battlefield Portal SDK is installed and detectable',
+          'Ensure Godot is installed correctly',
+          'Check if the GODOT_PATH environment variable is set correctly',
+          'Verify the project path is accessible',
+        ]
+      );
+    }
+  }
+
+  /**
+   * Handle the get_scene_tree tool
+   */
+  private async handleGetSceneTree(args: any) {
+    // Normalize parameters to camelCase
+    args = this.normalizeParameters(args);
+
+    const target = this.resolveSceneTarget(args);
+    if ('error' in target) {
+      return target.error;
+    }
+    const { projectPath } = target;
+
+    try {
+      const params: OperationParams = {
+        scenePath: args.scenePath,
+        maxNodes: typeof args.maxNodes === 'number' && args.maxNodes > 0
+          ? Math.floor(args.maxNodes)
+          : DEFAULT_SCENE_TREE_MAX_NODES,
+        includeInstanceChildren: args.includeInstanceChildren === true,
+      };
+      if (args.rootPath) {
+        params.rootPath = args.rootPath;
+      }
+      if (typeof args.maxDepth === 'number' && args.maxDepth >= 0) {
+        params.maxDepth = Math.floor(args.maxDepth);
+      }
+      if (Array.isArray(args.nodeTypes) && args.nodeTypes.length > 0) {
+        params.nodeTypes = args.nodeTypes;
+      }
+      if (Array.isArray(args.properties)) {
+        params.properties = args.properties;
+      }
+
+      const { result } = await this.executeOperation('get_scene_tree', params, projectPath);
+
+      if (result.status !== 'ok') {
+        return this.createOperationErrorResponse(
+          'Failed to read scene tree',
+          result,
+          [
+            'Ensure the scene path is correct',
+            'Use "root/..." node paths for rootPath',
+          ]
+        );
+      }
+
+      const truncatedNote = result.data.truncated
+        ? ' (truncated; raise maxNodes or narrow rootPath/maxDepth/nodeTypes)'
+        : '';
+      return this.createOperationResponse(
+        `Read ${result.data.nodeCount ?? 0} nodes from scene: ${args.scenePath}${truncatedNote}`,
+        result
+      );
+    } catch (error: any) {
+      return this.createErrorResponse(
+        `Failed to read scene tree: ${error?.message || 'Unknown error'}`,
+        [
+          'Ensure Godot is installed correctly',
+          'Check if the GODOT_PATH environment variable is set correctly',
+          'Verify the project path is accessible',
+        ]
+      );
+    }
+  }
+
+  /**
+   * Handle the render_scene_preview tool
+   */
+  private async handleRenderScenePreview(args: any) {
+    // Normalize parameters to camelCase
+    args = this.normalizeParameters(args);
+
+    const target = this.resolveSceneTarget(args);
+    if ('error' in target) {
+      return target.error;
+    }
+    const { projectPath } = target;
+
+    if (args.outputPath && (!this.validatePath(args.outputPath) || !/\.png$/i.test(args.outputPath))) {
+      return this.createErrorResponse('Invalid outputPath', ['Provide a .png path inside the project without ".."']);
+    }
+
+    const sizes: Record<'width' | 'height', number> = { width: DEFAULT_PREVIEW_SIZE, height: DEFAULT_PREVIEW_SIZE };
+    for (const key of ['width', 'height'] as const) {
+      if (args[key] !== undefined) {
+        if (typeof args[key] !== 'number' || args[key] < 1 || args[key] > MAX_PREVIEW_SIZE) {
+          return this.createErrorResponse(`Invalid ${key}`, [`Provide a ${key} between 1 and ${MAX_PREVIEW_SIZE} pixels`]);
+        }
+        sizes[key] = Math.floor(args[key]);
+      }
+    }
+
+    const params: OperationParams = {
+      scenePath: args.scenePath,
+      width: sizes.width,
+      height: sizes.height,
+      addLighting: args.addLighting !== false,
+    };
+    for (const key of ['cameraPosition', 'lookAt'] as const) {
+      if (args[key] !== undefined) {
+        const vector = SpatialLevel.readVector(args[key]);
+        if (!vector) {
+          return this.createErrorResponse(`Invalid ${key}`, [`Provide ${key} as [x, y, z] or {"x": .., "y": .., "z": ..}`]);
+        }
+        params[key] = [vector.x, vector.y, vector.z];
+      }
+    }
+    if (typeof args.fov === 'number' && args.fov > 0 && args.fov < 180) {
+      params.fov = args.fov;
+    }
+    if (typeof args.orthographicSize === 'number' && args.orthographicSize > 0) {
+      params.orthographicSize = args.orthographicSize;
+    }
+
+    const launch = this.resolveRenderLaunch();
+    if ('error' in launch) {
+      return this.createErrorResponse(launch.error, [
+        'Install Xvfb (e.g. "apt install xvfb") so Godot can open an offscreen display',
+        'Or run the server in a desktop session where DISPLAY or WAYLAND_DISPLAY is set',
+      ]);
+    }
+
+    const outputFile = args.outputPath
+      ? this.toAbsolutePath(projectPath, args.outputPath)
+      : join(projectPath, PREVIEW_DIR, `${basename(args.scenePath).replace(/\.[^.]+$/, '')}.png`);
+    params.outputPath = outputFile;
+
+    try {
+      mkdirSync(dirname(outputFile), { recursive: true });
+      // Keep Godot from importing generated previews as project textures
+      const ignoreFile = join(projectPath, PREVIEW_DIR, '.gdignore');
+      if (!args.outputPath && !existsSync(ignoreFile)) {
+        writeFileSync(ignoreFile, '');
+      }
+
+      // Rendering needs a display and a real renderer, so it never goes through the headless worker
+      const { result } = await this.executeOperationOnce(
+        'render_scene_preview',
+        this.convertCamelToSnakeCase(params),
+        projectPath,
+        undefined,
+        launch.launch
+      );
+
+      if (result.status !== 'ok' || !existsSync(outputFile)) {
+        return this.createOperationErrorResponse('Failed to render scene preview', result, [
+          'Ensure the scene path is correct and the scene root is a Node3D',
+          'Open the project in the Godot editor once so its assets are imported',
+          process.platform === 'linux'
+            ? 'Check that Mesa (llvmpipe) OpenGL drivers are installed for software rendering'
+            : 'Check that a GPU driver with OpenGL 3.3 support is installed; Windows and macOS have no software renderer fallback',
+        ]);
+      }
+
+      const response = this.createOperationResponse(`Rendered preview of ${args.scenePath} to ${outputFile}`, result);
+      response.content.push({ type: 'image', data: readFileSync(outputFile).toString('base64'), mimeType: 'image/png' });
+      return response;
+    } catch (error: any) {
+      return this.createErrorResponse(
+        `Failed to render scene preview: ${error?.message || 'Unknown error'}`,
+        [
+          'Ensure Godot is installed correctly',
+          'Check if the GODOT_PATH environment variable is set correctly',
+          'Verify the project path is accessible',
         ]
       );
     }
+  }
+
+  /**
+   * Run a single-node scene operation (remove, reparent, rename, duplicate, set properties) and format its response
+   */
+  private async runNodeOperation(
+    args: any,
+    operation: string,
+    params: OperationParams,
+    describeSuccess: (result: OperationResult) => string
+  ) {
+    if (!args.nodePath) {
+      return this.createErrorResponse(
+        'Missing required parameters',
+        ['Provide scenePath and nodePath']
+      );
+    }
+    if (args.nodePath === 'root' && ['remove_node', 'reparent_node', 'duplicate_node'].includes(operation)) {
+      return this.createErrorResponse(
+        `The scene root cannot be used with ${operation}`,
+        ['Target a child node such as "root/Child"']
+      );
+    }
+
+    const target = this.resolveSceneTarget(args);
+    if ('error' in target) {
+      return target.error;
+    }
 
     try {
-      // Check if the project directory exists and contains a project.godot file
-      const projectFile = join(projectPath, 'project.godot');
-      if (!existsSync(projectFile)) {
-        return this.createErrorResponse(
-          `Not a valid Godot project: ${projectPath}`,
+      const { result } = await this.executeOperation(
+        operation,
+        { scenePath: args.scenePath, nodePath: args.nodePath, ...params, dryRun: args.dryRun === true },
+        target.projectPath
+      );
+
+      if (result.status !== 'ok') {
+        return this.createOperationErrorResponse(
+          `Failed to run ${operation}`,
+          result,
           [
-            'Ensure the path points to a directory containing a project.godot file',
-            'Use list_projects to find valid Godot projects',
+            'Use get_scene_tree to look up the current node paths',
+            'Use "root/..." node paths relative to the scene root',
           ]
         );
       }
 
-      // Kill any existing process
-      if (this.activeProcess) {
-        this.logDebug('Killing existing Godot process before starting a new one');
-        this.activeProcess.process.kill();
-      }
-
-      const cmdArgs = ['-d', '--path', projectPath];
-      if (args.scene && this.validatePath(args.scene)) {
-        this.logDebug(`Adding scene parameter: ${args.scene}`);
-        cmdArgs.push(args.scene);
-      }
-
-      this.logDebug(`Running Godot project: ${projectPath}`);
-      const process = spawn(this.godotPath!, cmdArgs, { stdio: 'pipe' });
-      const output: string[] = [];
-      const errors: string[] = [];
-
-      process.stdout?.on('data', (data: Buffer) => {
-        const lines = data.toString().split('\n');
-        output.push(...lines);
-        lines.forEach((line: string) => {
-          if (line.trim()) this.logDebug(`[Godot stdout] ${line}`);
-        });
-      });
-
-      process.stderr?.on('data', (data: Buffer) => {
-        const lines = data.toString().split('\n');
-        errors.push(...lines);
-        lines.forEach((line: string) => {
-          if (line.trim()) this.logDebug(`[Godot stderr] ${line}`);
-        });
-      });
-
-      process.on('exit', (code: number | null) => {
-        this.logDebug(`Godot process exited with code ${code}`);
-        if (this.activeProcess && this.activeProcess.process === process) {
-          this.activeProcess = null;
-        }
-      });
-
-      process.on('error', (err: Error) => {
-        console.error('Failed to start Godot process:', err);
-        if (this.activeProcess && this.activeProcess.process === process) {
-          this.activeProcess = null;
-        }
-      });
-
-      this.activeProcess = { process, output, errors };
-
-      return {
-        content: [
-          {
-            type: 'text',
-            text: `Godot project started in debug mode from ${projectPath}. Use get_debug_output to see output.`,
-          },
-        ],
-      };
-    } catch (error: unknown) {
-      const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+      return this.createOperationResponse(describeSuccess(result), result);
+    } catch (error: any) {
       return this.createErrorResponse(
-        `Failed to run Godot project: ${errorMessage}`,
+        `Failed to run ${operation}: ${error?.message || 'Unknown error'}`,
         [
           'Ensure Godot is installed correctly',
           'Check if the GODOT_PATH environment variable is set correctly',
@@ -1625,240 +8066,212 @@ class GodotServer {
   }
 
   /**
-   * Handle the get_debug_output tool
+   * Handle the remove_node tool
+   */
+  private async handleRemoveNode(args: any) {
+    // Normalize parameters to camelCase
+    args = this.normalizeParameters(args);
+    return this.runNodeOperation(args, 'remove_node', {}, () => `Removed node ${args.nodePath} from ${args.scenePath}`);
+  }
+
+  /**
+   * Handle the reparent_node tool
    */
-  private async handleGetDebugOutput() {
-    if (!this.activeProcess) {
+  private async handleReparentNode(args: any) {
+    // Normalize parameters to camelCase
+    args = this.normalizeParameters(args);
+
+    if (!args.newParentPath) {
       return this.createErrorResponse(
-        'No active Godot process.',
-        [
-          'Use run_project to start a Godot project first',
-          'Check if the Godot process crashed unexpectedly',
-        ]
+        'Missing required parameters',
+        ['Provide newParentPath']
       );
     }
 
-    return {
-      content: [
-        {
-          type: 'text',
-          text: JSON.stringify(
-            {
-              output: this.activeProcess.output,
-              errors: this.activeProcess.errors,
-            },
-            null,
-            2
-          ),
-        },
-      ],
-    };
+    return this.runNodeOperation(
+      args,
+      'reparent_node',
+      { newParentPath: args.newParentPath, keepGlobalTransform: args.keepGlobalTransform !== false },
+      (result) => `Moved node ${args.nodePath} to ${result.data.nodePath}`
+    );
   }
 
   /**
-   * Handle the stop_project tool
+   * Handle the rename_node tool
    */
-  private async handleStopProject() {
-    if (!this.activeProcess) {
+  private async handleRenameNode(args: any) {
+    // Normalize parameters to camelCase
+    args = this.normalizeParameters(args);
+
+    if (!args.newName) {
       return this.createErrorResponse(
-        'No active Godot process to stop.',
-        [
-          'Use run_project to start a Godot project first',
-          'The process may have already terminated',
-        ]
+        'Missing required parameters',
+        ['Provide newName']
       );
     }
 
-    this.logDebug('Stopping active Godot process');
-    this.activeProcess.process.kill();
-    const output = this.activeProcess.output;
-    const errors = this.activeProcess.errors;
-    this.activeProcess = null;
-
-    return {
-      content: [
-        {
-          type: 'text',
-          text: JSON.stringify(
-            {
-              message: 'Godot project stopped',
-              finalOutput: output,
-              finalErrors: errors,
-            },
-            null,
-            2
-          ),
-        },
-      ],
-    };
+    return this.runNodeOperation(
+      args,
+      'rename_node',
+      { newName: args.newName },
+      (result) => `Renamed node ${args.nodePath} to ${result.data.nodePath}`
+    );
   }
 
   /**
-   * Handle the get_godot_version tool
+   * Handle the duplicate_node tool
    */
-  private async handleGetGodotVersion() {
-    try {
-      // Ensure godotPath is set
-      if (!this.godotPath) {
-        await this.detectGodotPath();
-        if (!this.godotPath) {
-          return this.createErrorResponse(
-            'Could not find a valid Godot executable path',
-            [
-              'Ensure Godot is installed correctly',
-              'Set GODOT_PATH environment variable to specify the correct path',
-            ]
-          );
-        }
-      }
+  private async handleDuplicateNode(args: any) {
+    // Normalize parameters to camelCase
+    args = this.normalizeParameters(args);
 
-      this.logDebug('Getting Godot version');
-      const { stdout } = await execAsync(`"${this.godotPath}" --version`);
-      return {
-        content: [
-          {
-            type: 'text',
-            text: stdout.trim(),
-          },
-        ],
-      };
-    } catch (error: unknown) {
-      const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+    if (args.count !== undefined && (!Number.isInteger(args.count) || args.count < 1)) {
       return this.createErrorResponse(
-        `Failed to get Godot version: ${errorMessage}`,
-        [
-          'Ensure Godot is installed correctly',
-          'Check if the GODOT_PATH environment variable is set correctly',
-        ]
+        'Invalid count',
+        ['Provide count as a positive integer']
+      );
+    }
+    if (args.offset !== undefined && (!Array.isArray(args.offset) || ![2, 3].includes(args.offset.length))) {
+      return this.createErrorResponse(
+        'Invalid offset',
+        ['Provide offset as [x, y, z] for 3D nodes or [x, y] for 2D nodes']
       );
     }
+
+    const params: OperationParams = {};
+    for (const key of ['newName', 'count', 'offset', 'parentNodePath', 'keepGlobalTransform']) {
+      if (args[key] !== undefined) {
+        params[key] = args[key];
+      }
+    }
+
+    return this.runNodeOperation(
+      args,
+      'duplicate_node',
+      params,
+      (result) => `Created ${(result.data.nodePaths ?? []).length} copies of ${args.nodePath}`
+    );
   }
 
   /**
-   * Handle the list_projects tool
+   * Handle the set_node_properties tool
    */
-  private async handleListProjects(args: any) {
+  private async handleSetNodeProperties(args: any) {
     // Normalize parameters to camelCase
     args = this.normalizeParameters(args);
-    
-    if (!args.directory) {
+
+    if (!args.properties || typeof args.properties !== 'object' || Array.isArray(args.properties) ||
+        Object.keys(args.properties).length === 0) {
       return this.createErrorResponse(
-        'Directory is required',
-        ['Provide a valid directory path to search for Godot projects']
+        'Missing required parameters',
+        ['Provide properties as an object mapping property names to values']
       );
     }
 
-    if (!this.validatePath(args.directory)) {
+    return this.runNodeOperation(
+      args,
+      'set_node_properties',
+      { properties: args.properties },
+      (result) => `Set ${Object.keys(result.data.properties ?? {}).length} properties on ${result.data.nodePath}`
+    );
+  }
+
+  /**
+   * Handle the instance_scene tool
+   */
+  private async handleInstanceScene(args: any) {
+    // Normalize parameters to camelCase
+    args = this.normalizeParameters(args);
+
+    if (!args.instancePath) {
       return this.createErrorResponse(
-        'Invalid directory path',
-        ['Provide a valid path without ".." or other potentially unsafe characters']
+        'Missing required parameters',
+        ['Provide scenePath and instancePath']
       );
     }
 
-    try {
-      this.logDebug(`Listing Godot projects in directory: ${args.directory}`);
-      if (!existsSync(args.directory)) {
-        return this.createErrorResponse(
-          `Directory does not exist: ${args.directory}`,
-          ['Provide a valid directory path that exists on the system']
-        );
-      }
+    if (!this.validatePath(args.instancePath)) {
+      return this.createErrorResponse(
+        'Invalid instance path',
+        ['Provide a valid instance path without ".." or other potentially unsafe characters']
+      );
+    }
 
-      const recursive = args.recursive === true;
-      const projects = this.findGodotProjects(args.directory, recursive);
+    const target = this.resolveSceneTarget(args);
+    if ('error' in target) {
+      return target.error;
+    }
 
-      return {
-        content: [
-          {
-            type: 'text',
-            text: JSON.stringify(projects, null, 2),
-          },
-        ],
-      };
-    } catch (error: any) {
+    const instanceFile = join(target.projectPath, args.instancePath.replace(/^res:\/\//, ''));
+    if (!existsSync(instanceFile)) {
       return this.createErrorResponse(
-        `Failed to list projects: ${error?.message || 'Unknown error'}`,
+        `Scene to instance does not exist: ${args.instancePath}`,
         [
-          'Ensure the directory exists and is accessible',
-          'Check if you have permission to read the directory',
+          'Ensure the instance path is relative to the project or starts with res://',
+          'Portal prefabs live inside the generated GodotProject; use paths relative to it',
         ]
       );
     }
-  }
 
-  /**
-   * Get the structure of a Godot project asynchronously by counting files recursively
-   * @param projectPath Path to the Godot project
-   * @returns Promise resolving to an object with counts of scenes, scripts, assets, and other files
-   */
-  private getProjectStructureAsync(projectPath: string): Promise<any> {
-    return new Promise((resolve) => {
-      try {
-        const structure = {
-          scenes: 0,
-          scripts: 0,
-          assets: 0,
-          other: 0,
-        };
+    try {
+      const params: OperationParams = {
+        scenePath: args.scenePath,
+        instancePath: args.instancePath,
+        dryRun: args.dryRun === true,
+      };
+      for (const key of ['parentNodePath', 'nodeName', 'transform', 'properties']) {
+        if (args[key] !== undefined) {
+          params[key] = args[key];
+        }
+      }
 
-        const scanDirectory = (currentPath: string) => {
-          const entries = readdirSync(currentPath, { withFileTypes: true });
-          
-          for (const entry of entries) {
-            const entryPath = join(currentPath, entry.name);
-            
-            // Skip hidden files and directories
-            if (entry.name.startsWith('.')) {
-              continue;
-            }
-            
-            if (entry.isDirectory()) {
-              // Recursively scan subdirectories
-              scanDirectory(entryPath);
-            } else if (entry.isFile()) {
-              // Count file by extension
-              const ext = entry.name.split('.').pop()?.toLowerCase();
-              
-              if (ext === 'tscn') {
-                structure.scenes++;
-              } else if (ext === 'gd' || ext === 'gdscript' || ext === 'cs') {
-                structure.scripts++;
-              } else if (['png', 'jpg', 'jpeg', 'webp', 'svg', 'ttf', 'wav', 'mp3', 'ogg'].includes(ext || '')) {
-                structure.assets++;
-              } else {
-                structure.other++;
-              }
-            }
-          }
-        };
-        
-        // Start scanning from the project root
-        scanDirectory(projectPath);
-        resolve(structure);
-      } catch (error) {
-        this.logDebug(`Error getting project structure asynchronously: ${error}`);
-        resolve({ 
-          error: 'Failed to get project structure',
-          scenes: 0,
-          scripts: 0,
-          assets: 0,
-          other: 0
-        });
+      const { result } = await this.executeOperation('instance_scene', params, target.projectPath);
+
+      if (result.status !== 'ok') {
+        return this.createOperationErrorResponse(
+          'Failed to instance scene',
+          result,
+          [
+            'Use get_scene_tree to look up valid parent node paths',
+            'Ensure the instanced file is a PackedScene (.tscn/.scn)',
+          ]
+        );
       }
-    });
+
+      return this.createOperationResponse(
+        `Instanced ${args.instancePath} as ${result.data.nodePath} in ${args.scenePath}`,
+        result
+      );
+    } catch (error: any) {
+      return this.createErrorResponse(
+        `Failed to instance scene: ${error?.message || 'Unknown error'}`,
+        [
+          'Ensure Godot is installed correctly',
+          'Check if the GODOT_PATH environment variable is set correctly',
+          'Verify the project path is accessible',
+        ]
+      );
+    }
   }
 
   /**
-   * Handle the get_project_info tool
+   * Handle the get_uid tool
    */
-  private async handleGetProjectInfo(args: any) {
+  private async handleGetUid(args: any) {
     // Normalize parameters to camelCase
     args = this.normalizeParameters(args);
+    
+    if (!args.filePath) {
+      return this.createErrorResponse(
+        'Missing required parameters',
+        ['Provide filePath']
+      );
+    }
 
-    if (args.projectPath && !this.validatePath(args.projectPath)) {
+    if ((args.projectPath && !this.validatePath(args.projectPath)) || !this.validatePath(args.filePath)) {
       return this.createErrorResponse(
-        'Invalid project path',
-        ['Provide a valid path without ".." or other potentially unsafe characters']
+        'Invalid path',
+        ['Provide valid paths without ".." or other potentially unsafe characters']
       );
     }
 
@@ -1900,49 +8313,54 @@ class GodotServer {
         );
       }
 
-      this.logDebug(`Getting project info for: ${projectPath}`);
-
-      // Get Godot version
-      const execOptions = { timeout: 10000 }; // 10 second timeout
-      const { stdout } = await execAsync(`"${this.godotPath}" --version`, execOptions);
+      // Check if the file exists
+      const filePath = join(projectPath, args.filePath);
+      if (!existsSync(filePath)) {
+        return this.createErrorResponse(
+          `File does not exist: ${args.filePath}`,
+          ['Ensure the file path is correct']
+        );
+      }
 
-      // Get project structure using the recursive method
-      const projectStructure = await this.getProjectStructureAsync(projectPath);
+      // Get Godot version to check if UIDs are supported
+      const version = await this.getGodotVersion(this.godotPath);
 
-      // Extract project name from project.godot file
-      let projectName = basename(projectPath);
-      try {
-        const projectFileContent = readFileSync(projectFile, 'utf8');
-        const configNameMatch = projectFileContent.match(/config\/name="([^"]+)"/);
-        if (configNameMatch && configNameMatch[1]) {
-          projectName = configNameMatch[1];
-          this.logDebug(`Found project name in config: ${projectName}`);
-        }
-      } catch (error) {
-        this.logDebug(`Error reading project file: ${error}`);
-        // Continue with default project name if extraction fails
+      if (!this.isGodot44OrLater(version)) {
+        return this.createErrorResponse(
+          `UIDs are only supported in Godot 4.4 or later. Current version: ${version}`,
+          [
+            'Upgrade to Godot 4.4 or later to use UIDs',
+            'Use resource paths instead of UIDs for this version of Godot',
+          ]
+        );
       }
-  
-      return {
-        content: [
-          {
-            type: 'text',
-            text: JSON.stringify(
-              {
-                name: projectName,
-                path: projectPath,
-                godotVersion: stdout.trim(),
-                structure: projectStructure,
-              },
-              null,
-              2
-            ),
-          },
-        ],
+
+      // Prepare parameters for the operation (already in camelCase)
+      const params = {
+        filePath: args.filePath,
       };
+
+      // Execute the operation
+      const { result } = await this.executeOperation('get_uid', params, projectPath);
+
+      if (result.status !== 'ok') {
+        return this.createOperationErrorResponse(
+          'Failed to get UID',
+          result,
+          [
+            'Check if the file is a valid Godot resource',
+            'Ensure the file path is correct',
+          ]
+        );
+      }
+
+      return this.createOperationResponse(
+        result.data.exists ? `UID for ${args.filePath}: ${result.data.uid}` : `No UID found for ${args.filePath}`,
+        result
+      );
     } catch (error: any) {
       return this.createErrorResponse(
-        `Failed to get project info: ${error?.message || 'Unknown error'}`,
+        `Failed to get UID: ${error?.message || 'Unknown error'}`,
         [
           'Ensure Godot is installed correctly',
           'Check if the GODOT_PATH environment variable is set correctly',
@@ -1953,23 +8371,16 @@ class GodotServer {
   }
 
   /**
-   * Handle the create_scene tool
+   * Handle the update_project_uids tool
    */
-  private async handleCreateScene(args: any) {
+  private async handleUpdateProjectUids(args: any, progressToken?: string | number) {
     // Normalize parameters to camelCase
     args = this.normalizeParameters(args);
-    
-    if (!args.scenePath) {
-      return this.createErrorResponse(
-        'Scene path is required',
-        ['Provide a valid scene path relative to the project']
-      );
-    }
 
-    if ((args.projectPath && !this.validatePath(args.projectPath)) || !this.validatePath(args.scenePath)) {
+    if (args.projectPath && !this.validatePath(args.projectPath)) {
       return this.createErrorResponse(
-        'Invalid path',
-        ['Provide valid paths without ".." or other potentially unsafe characters']
+        'Invalid project path',
+        ['Provide a valid path without ".." or other potentially unsafe characters']
       );
     }
 
@@ -1985,6 +8396,20 @@ class GodotServer {
     }
 
     try {
+      // Ensure godotPath is set
+      if (!this.godotPath) {
+        await this.detectGodotPath();
+        if (!this.godotPath) {
+          return this.createErrorResponse(
+            'Could not find a valid Godot executable path',
+            [
+              'Ensure Godot is installed correctly',
+              'Set GODOT_PATH environment variable to specify the correct path',
+            ]
+          );
+        }
+      }
+
       // Check if the project directory exists and contains a project.godot file
       const projectFile = join(projectPath, 'project.godot');
       if (!existsSync(projectFile)) {
@@ -1997,176 +8422,625 @@ class GodotServer {
         );
       }
 
+      // Get Godot version to check if UIDs are supported
+      const version = await this.getGodotVersion(this.godotPath);
+
+      if (!this.isGodot44OrLater(version)) {
+        return this.createErrorResponse(
+          `UIDs are only supported in Godot 4.4 or later. Current version: ${version}`,
+          [
+            'Upgrade to Godot 4.4 or later to use UIDs',
+            'Use resource paths instead of UIDs for this version of Godot',
+          ]
+        );
+      }
+
       // Prepare parameters for the operation (already in camelCase)
       const params = {
-        scenePath: args.scenePath,
-        rootNodeType: args.rootNodeType || 'Node2D',
+        projectPath,
+        dryRun: args.dryRun === true,
+      };
+
+      // Resaving rewrites every text resource in the project, so they are all snapshotted once the job starts
+      const snapshotFiles = () =>
+        params.dryRun
+          ? []
+          : ['project.godot', ...this.listProjectFiles(projectPath, '.tscn'), ...this.listProjectFiles(projectPath, '.tres')];
+
+      // Execute the operation as a job so it is queued and can time out
+      return await this.runAsJob('update_project_uids', args, progressToken, ({ signal }) =>
+        this.withJobSnapshot('update_project_uids', projectPath, snapshotFiles, async () => {
+          const { result } = await this.executeOperation('resave_resources', params, projectPath, signal);
+
+          if (result.status !== 'ok') {
+            return this.createOperationErrorResponse(
+              'Failed to update project UIDs',
+              result,
+              [
+                'Check if the project is valid',
+                'Ensure you have write permissions to the project directory',
+              ]
+            );
+          }
+
+          return this.createOperationResponse('Project UIDs updated successfully.', result);
+        })
+      );
+    } catch (error: any) {
+      return this.createErrorResponse(
+        `Failed to update project UIDs: ${error?.message || 'Unknown error'}`,
+        [
+          'Ensure Godot is installed correctly',
+          'Check if the GODOT_PATH environment variable is set correctly',
+          'Verify the project path is accessible',
+        ]
+      );
+    }
+  }
+
+  /**
+   * Resolve the project and optional scene filter shared by the history tools
+   */
+  private resolveHistoryTarget(args: any): { projectPath: string; path?: string } | { error: any } {
+    const projectPath = this.resolveProjectPath(args.projectPath);
+    if (!projectPath || !existsSync(join(projectPath, 'project.godot'))) {
+      return {
+        error: this.createErrorResponse('Valid project path is required', [
+          'Provide a valid path to a Godot project',
+          'Ensure the Portal SDK has been detected correctly',
+        ]),
+      };
+    }
+    if (!args.scenePath) {
+      return { projectPath };
+    }
+    const path = this.validatePath(args.scenePath) ? this.projectRelativePath(projectPath, args.scenePath) : null;
+    if (!path) {
+      return {
+        error: this.createErrorResponse('Invalid scene path', ['Provide a path inside the project without ".."']),
+      };
+    }
+    return { projectPath, path };
+  }
+
+  /**
+   * Describe a history entry for tool output
+   */
+  private describeHistoryEntry(entry: HistoryEntry) {
+    return {
+      id: entry.id,
+      tool: entry.tool,
+      createdAt: entry.createdAt,
+      undone: entry.undone,
+      files: entry.files.map((file) => ({
+        path: file.path,
+        existed: file.hash !== null,
+        size: file.size,
+        ...(file.undone ? { undone: true } : {}),
+      })),
+    };
+  }
+
+  /**
+   * List the snapshots recorded for a project
+   */
+  private async handleListSceneHistory(args: any) {
+    args = this.normalizeParameters(args ?? {});
+    const target = this.resolveHistoryTarget(args);
+    if ('error' in target) {
+      return target.error;
+    }
+
+    const entries = this.getSceneHistory(target.projectPath).list(target.path);
+    const limit = Number(args.limit) > 0 ? Math.floor(Number(args.limit)) : 20;
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify(
+            {
+              projectPath: target.projectPath,
+              historyPath: SceneHistory.directory(target.projectPath),
+              total: entries.length,
+              entries: entries.slice(0, limit).map((entry) => this.describeHistoryEntry(entry)),
+            },
+            null,
+            2
+          ),
+        },
+      ],
+    };
+  }
+
+  /**
+   * Undo the most recent recorded change
+   */
+  private async handleUndoLastChange(args: any) {
+    args = this.normalizeParameters(args ?? {});
+    const target = this.resolveHistoryTarget(args);
+    if ('error' in target) {
+      return target.error;
+    }
+
+    const history = this.getSceneHistory(target.projectPath);
+    const entry = history.lastUndoable(target.path);
+    if (!entry) {
+      return this.createErrorResponse(
+        target.path ? `No change to ${target.path} left to undo` : 'No change left to undo',
+        ['Use list_scene_history to see the recorded snapshots', 'Use restore_scene_version to restore a specific entry']
+      );
+    }
+    return await this.restoreHistoryEntry(history, entry, 'undo_last_change', target.path);
+  }
+
+  /**
+   * Restore the files of a specific history entry
+   */
+  private async handleRestoreSceneVersion(args: any) {
+    args = this.normalizeParameters(args ?? {});
+    if (!args.versionId) {
+      return this.createErrorResponse('Missing required parameters', ['Provide versionId from list_scene_history']);
+    }
+    const target = this.resolveHistoryTarget(args);
+    if ('error' in target) {
+      return target.error;
+    }
+
+    const history = this.getSceneHistory(target.projectPath);
+    const entry = history.find(String(args.versionId));
+    if (!entry) {
+      return this.createErrorResponse(`History entry not found: ${args.versionId}`, [
+        'Use list_scene_history to see the recorded snapshots',
+        'Entries beyond the retention limit are deleted',
+      ]);
+    }
+    if (target.path && !entry.files.some((file) => file.path === target.path)) {
+      return this.createErrorResponse(`History entry ${entry.id} does not contain ${target.path}`, [
+        `It contains: ${entry.files.map((file) => file.path).slice(0, 10).join(', ')}`,
+      ]);
+    }
+    return await this.restoreHistoryEntry(history, entry, 'restore_scene_version', target.path);
+  }
+
+  /**
+   * Restore an entry and report what changed, including the backup taken of the state it replaced
+   */
+  private async restoreHistoryEntry(history: SceneHistory, entry: HistoryEntry, tool: string, path?: string) {
+    try {
+      const { backup, restored, deleted } = await history.restore(entry, tool, path);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(
+              {
+                message: `Restored ${restored.length + deleted.length} file(s) to their state before ${entry.tool} at ${entry.createdAt}`,
+                restoredFrom: entry.id,
+                restored,
+                deleted,
+                backupId: backup.id,
+              },
+              null,
+              2
+            ),
+          },
+        ],
       };
+    } catch (error) {
+      return this.createErrorResponse(
+        `Failed to restore history entry ${entry.id}: ${error instanceof Error ? error.message : String(error)}`,
+        ['Check the project files are writable', `Its snapshots live in ${SceneHistory.directory(history.projectPath)}`]
+      );
+    }
+  }
+
+  /**
+   * Provide details about detected Battlefield Portal SDK paths
+   */
+  private async handleGetPortalSdkInfo() {
+    this.detectPortalPaths();
+
+    const info = {
+      portalSdkPath: this.portalSdkPath,
+      portalSdkPathExists: this.portalSdkPath ? existsSync(this.portalSdkPath) : false,
+      portalProjectPath: this.portalProjectPath,
+      portalProjectPathExists: this.portalProjectPath
+        ? existsSync(join(this.portalProjectPath, 'project.godot'))
+        : false,
+      fbExportDataPath: this.fbExportDataPath,
+      fbExportDataPathExists: this.fbExportDataPath ? existsSync(this.fbExportDataPath) : false,
+      pythonCommand: this.pythonCommand,
+      allowedRoots: this.pathSandbox.enabled ? this.pathSandbox.roots : null,
+    };
 
-      // Execute the operation
-      const { stdout, stderr } = await this.executeOperation('create_scene', params, projectPath);
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify(info, null, 2),
+        },
+      ],
+    };
+  }
+
+  /**
+   * Set up or check the Python environment the gdconverter scripts run in
+   */
+  private async handleSetupPortalPython(args: any, progressToken?: string | number) {
+    args = this.normalizeParameters(args);
+    this.detectPortalPaths();
 
-      if (stderr && stderr.includes('Failed to')) {
+    for (const key of ['wheelDir', 'requirementsPath', 'venvPath']) {
+      if (args[key] && !this.validatePath(args[key])) {
         return this.createErrorResponse(
-          `Failed to create scene: ${stderr}`,
-          [
-            'Check if the root node type is valid',
-            'Ensure you have write permissions to the scene path',
-            'Verify the scene path is valid',
-          ]
+          `Invalid ${key}`,
+          ['Provide a path without ".." or other potentially unsafe characters']
         );
       }
+    }
 
-      return {
-        content: [
-          {
-            type: 'text',
-            text: `Scene created successfully at: ${args.scenePath}\n\nOutput: ${stdout}`,
-          },
-        ],
-      };
-    } catch (error: any) {
+    if (!this.portalSdkPath) {
       return this.createErrorResponse(
-        `Failed to create scene: ${error?.message || 'Unknown error'}`,
-        [
-          'Ensure Godot is installed correctly',
-          'Check if the GODOT_PATH environment variable is set correctly',
-          'Verify the project path is accessible',
-        ]
+        'Battlefield Portal SDK not found',
+        ['Set PORTAL_SDK_PATH to the SDK root', 'Provide portalSdkPath in the server configuration']
       );
     }
-  }
+    const sdkPath = this.portalSdkPath;
 
-  /**
-   * Handle the add_node tool
-   */
-  private async handleAddNode(args: any) {
-    // Normalize parameters to camelCase
-    args = this.normalizeParameters(args);
-    
-    if (!args.scenePath || !args.nodeType || !args.nodeName) {
+    const requirementsPath = args.requirementsPath
+      ? this.toAbsolutePath(sdkPath, args.requirementsPath)
+      : [join(sdkPath, 'SDK', 'requirements.txt'), join(sdkPath, 'requirements.txt')].find((candidate) =>
+          existsSync(candidate)
+        );
+    if (!requirementsPath || !existsSync(requirementsPath)) {
       return this.createErrorResponse(
-        'Missing required parameters',
-        ['Provide scenePath, nodeType, and nodeName']
+        'requirements.txt not found in the Portal SDK',
+        ['Verify the Portal SDK repository is complete', 'Provide requirementsPath explicitly']
       );
     }
 
-    if ((args.projectPath && !this.validatePath(args.projectPath)) || !this.validatePath(args.scenePath)) {
+    const wheelDir = args.wheelDir ? this.toAbsolutePath(sdkPath, args.wheelDir) : null;
+    if (wheelDir && !existsSync(wheelDir)) {
       return this.createErrorResponse(
-        'Invalid path',
-        ['Provide valid paths without ".." or other potentially unsafe characters']
+        `Wheel directory not found: ${wheelDir}`,
+        ['Download the packages first, e.g. pip download -r requirements.txt -d <dir>']
       );
     }
 
-    const projectPath = this.resolveProjectPath(args.projectPath);
-    if (!projectPath) {
+    const venvPath = args.venvPath ? this.toAbsolutePath(sdkPath, args.venvPath) : join(sdkPath, PORTAL_VENV_DIR);
+    if (args.recreate && !args.checkOnly && existsSync(venvPath) && !existsSync(join(venvPath, 'pyvenv.cfg'))) {
       return this.createErrorResponse(
-        'Project path is required',
+        `Refusing to delete ${venvPath}: it has no pyvenv.cfg, so it is not a virtual environment`,
+        ['Check venvPath points at the virtual environment directory', 'Pick an empty or new directory for venvPath']
+      );
+    }
+    if (!wheelDir && !args.checkOnly && args.allowNetwork !== true) {
+      return this.createErrorResponse(
+        'No wheelDir given, and installing from the package index is disabled',
         [
-          'Provide a valid path to a Godot project directory',
-          'Ensure the Battlefield Portal SDK is installed and detectable',
+          'Download the packages first, e.g. pip download -r requirements.txt -d <dir>, and pass that directory as wheelDir',
+          'Pass allowNetwork: true to install from the configured package index',
         ]
       );
     }
+    const venvPython = this.venvPythonPath(venvPath);
+    const gdconverterSrc = join(sdkPath, 'SDK', 'deps', 'gdconverter', 'src');
+    const requirements = this.parseRequirements(readFileSync(requirementsPath, 'utf8'));
 
-    try {
-      // Check if the project directory exists and contains a project.godot file
-      const projectFile = join(projectPath, 'project.godot');
-      if (!existsSync(projectFile)) {
+    if (args.checkOnly) {
+      try {
+        const python = existsSync(venvPython) ? venvPython : await this.ensurePythonCommand();
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(
+                await this.describePythonEnvironment(python, requirements, gdconverterSrc, {
+                  venvPath: normalize(venvPath),
+                  venvExists: existsSync(venvPython),
+                  requirementsPath: normalize(requirementsPath),
+                }),
+                null,
+                2
+              ),
+            },
+          ],
+        };
+      } catch (error) {
         return this.createErrorResponse(
-          `Not a valid Godot project: ${projectPath}`,
-          [
-            'Ensure the path points to a directory containing a project.godot file',
-            'Use list_projects to find valid Godot projects',
-          ]
+          `Failed to check the Python environment: ${error instanceof Error ? error.message : String(error)}`,
+          ['Set PYTHON_PATH or pythonPath to a working Python 3.9+ interpreter']
         );
       }
+    }
 
-      // Check if the scene file exists
-      const scenePath = join(projectPath, args.scenePath);
-      if (!existsSync(scenePath)) {
+    return await this.runAsJob('setup_portal_python', args, progressToken, async ({ job, signal }) => {
+      const step = async (message: string, command: string, commandArgs: string[]) => {
+        job.progress.message = message;
+        job.logs.push('stdout', `$ ${[command, ...commandArgs].join(' ')}`);
+        const { exitCode } = await this.runProcess(command, commandArgs, {
+          signal,
+          onSpawn: (child) => {
+            job.pid = child.pid ?? null;
+          },
+          onOutput: (stream, chunk) => {
+            job.logs.write(stream, chunk);
+          },
+        });
+        job.exitCode = exitCode;
+        return exitCode;
+      };
+
+      try {
+        if (args.recreate && existsSync(venvPath)) {
+          rmSync(venvPath, { recursive: true, force: true });
+        }
+        if (!existsSync(venvPython)) {
+          const basePython = args.basePython || (await this.ensurePythonCommand());
+          if ((await step('Creating virtual environment', basePython, ['-m', 'venv', venvPath])) !== 0) {
+            return this.createErrorResponse(
+              `Failed to create a virtual environment at ${venvPath}`,
+              [
+                'Use get_job_status to read the venv output',
+                'On Debian/Ubuntu install the python3-venv package',
+                'Pass basePython pointing to a full Python 3.9+ installation',
+              ]
+            );
+          }
+        }
+
+        const pipArgs = ['-m', 'pip', 'install', '--disable-pip-version-check', '-r', requirementsPath];
+        if (wheelDir) {
+          pipArgs.push('--no-index', '--find-links', wheelDir);
+        }
+        if ((await step('Installing requirements', venvPython, pipArgs)) !== 0) {
+          return this.createErrorResponse(
+            `pip install failed with exit code ${job.exitCode}`,
+            [
+              'Use get_job_status to read the pip output',
+              wheelDir
+                ? 'Make sure the wheel directory holds every requirement for this platform and Python version'
+                : 'Pass wheelDir to install from already-downloaded packages',
+            ]
+          );
+        }
+
+        job.progress.message = 'Verifying gdconverter';
+        const report = await this.describePythonEnvironment(venvPython, requirements, gdconverterSrc, {
+          venvPath: normalize(venvPath),
+          venvExists: true,
+          requirementsPath: normalize(requirementsPath),
+          wheelDir: wheelDir ? normalize(wheelDir) : null,
+        });
+        if (!report.ready) {
+          return this.createErrorResponse(
+            `The virtual environment is incomplete: ${report.gdconverterImport.error ?? `missing ${report.missing.join(', ')}`}`,
+            ['Use setup_portal_python with checkOnly to see the package state', 'Retry with recreate: true']
+          );
+        }
+
+        this.pythonCommand = venvPython;
+        this.logDebug(`Using Python command: ${venvPython}`);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify({ message: 'Portal Python environment ready', pythonCommand: venvPython, ...report }, null, 2),
+            },
+          ],
+        };
+      } catch (error) {
         return this.createErrorResponse(
-          `Scene file does not exist: ${args.scenePath}`,
-          [
-            'Ensure the scene path is correct',
-            'Use create_scene to create a new scene first',
-          ]
+          `Failed to set up the Python environment: ${error instanceof Error ? error.message : String(error)}`,
+          ['Set PYTHON_PATH or pythonPath to a working Python 3.9+ interpreter', 'Check the SDK directory is writable']
         );
       }
+    });
+  }
 
-      // Prepare parameters for the operation (already in camelCase)
-      const params: any = {
-        scenePath: args.scenePath,
-        nodeType: args.nodeType,
-        nodeName: args.nodeName,
+  /**
+   * Split requirements.txt into [distribution name, requirement line] pairs, skipping comments and pip options
+   */
+  private parseRequirements(text: string): Array<[string, string]> {
+    const requirements: Array<[string, string]> = [];
+    for (const rawLine of text.split(/\r?\n/)) {
+      const line = rawLine.replace(/(^|\s)#.*$/, '').trim();
+      const name = /^[A-Za-z0-9][A-Za-z0-9._-]*/.exec(line);
+      if (name && !line.startsWith('-')) {
+        requirements.push([name[0], line]);
+      }
+    }
+    return requirements;
+  }
+
+  /**
+   * Report which requirements an interpreter is missing and whether it can import gdconverter
+   */
+  private async describePythonEnvironment(
+    python: string,
+    requirements: Array<[string, string]>,
+    gdconverterSrc: string,
+    extra: Record<string, any>
+  ) {
+    const { stdout } = await execFileAsync(python, ['-c', PYTHON_REQUIREMENT_CHECK, JSON.stringify(requirements)]);
+    const packages: PythonRequirementStatus[] = JSON.parse(stdout);
+    const missing = packages.filter((entry) => !entry.satisfied).map((entry) => entry.requirement);
+
+    let gdconverterImport: { ok: boolean; error: string | null };
+    try {
+      await execFileAsync(python, ['-c', 'import sys; sys.path.insert(0, sys.argv[1]); import gdconverter', gdconverterSrc]);
+      gdconverterImport = { ok: true, error: null };
+    } catch (error: any) {
+      const stderr = String(error?.stderr ?? error?.message ?? error).trim();
+      gdconverterImport = { ok: false, error: stderr.split(/\r?\n/).pop() || 'import gdconverter failed' };
+    }
+
+    return {
+      python,
+      ...extra,
+      ready: missing.length === 0 && gdconverterImport.ok,
+      missing,
+      gdconverterImport,
+      packages,
+    };
+  }
+
+  /**
+   * Collect the Portal levels in FbExportData/levels with their level_info.json entry and generated scenes
+   * @param fbExportDataPath FbExportData directory containing a levels folder
+   * @param projectPath Optional Portal project used to locate each level's static scenes
+   * @returns Levels sorted by name
+   */
+  private collectPortalLevels(fbExportDataPath: string, projectPath: string | null): Array<Record<string, any>> {
+    const levelsDir = join(fbExportDataPath, 'levels');
+    const levelInfo = this.readJsonFile(join(fbExportDataPath, 'level_info.json')) ?? {};
+    const levels: Array<Record<string, any>> = [];
+
+    const entries = readdirSync(levelsDir, { withFileTypes: true });
+    for (const entry of entries) {
+      if (!entry.isFile() || !entry.name.endsWith('.spatial.json')) {
+        continue;
+      }
+
+      const baseName = entry.name.replace('.spatial.json', '');
+      const level: Record<string, any> = {
+        name: baseName,
+        spatialPath: normalize(join(levelsDir, entry.name)),
       };
 
-      // Add optional parameters
-      if (args.parentNodePath) {
-        params.parentNodePath = args.parentNodePath;
+      if (levelInfo && levelInfo[baseName]) {
+        level.info = levelInfo[baseName];
       }
 
-      if (args.properties) {
-        params.properties = args.properties;
+      if (projectPath) {
+        const staticDir = join(projectPath, 'static');
+        const assetsPath = join(staticDir, `${baseName}_Assets.tscn`);
+        const terrainPath = join(staticDir, `${baseName}_Terrain.tscn`);
+
+        if (existsSync(assetsPath)) {
+          level.assetsScene = normalize(assetsPath);
+        }
+        if (existsSync(terrainPath)) {
+          level.terrainScene = normalize(terrainPath);
+        }
+
+        const scriptDirs = this.findPortalScriptDirectories(baseName);
+        if (scriptDirs.length > 0) {
+          level.scriptDirectories = scriptDirs;
+        }
       }
 
-      // Execute the operation
-      const { stdout, stderr } = await this.executeOperation('add_node', params, projectPath);
+      levels.push(level);
+    }
+
+    levels.sort((a, b) => a.name.localeCompare(b.name));
+    return levels;
+  }
+
+  /**
+   * List available Battlefield Portal levels and metadata
+   */
+  private async handleListPortalLevels(args: any) {
+    args = this.normalizeParameters(args);
+
+    this.detectPortalPaths();
+
+    let fbExportDataPath: string | null = null;
+    if (typeof args.fbExportDataPath === 'string' && args.fbExportDataPath.trim()) {
+      fbExportDataPath = normalize(args.fbExportDataPath);
+    } else if (this.fbExportDataPath) {
+      fbExportDataPath = this.fbExportDataPath;
+    }
+
+    if (!fbExportDataPath || !existsSync(fbExportDataPath)) {
+      return this.createErrorResponse(
+        'FbExportData path not found',
+        [
+          'Install or extract the Battlefield Portal SDK assets',
+          'Provide fbExportDataPath pointing to SDK/deps/FbExportData',
+        ]
+      );
+    }
+
+    const levelsDir = join(fbExportDataPath, 'levels');
+    if (!existsSync(levelsDir)) {
+      return this.createErrorResponse(
+        'Levels directory missing inside FbExportData',
+        ['Verify the Battlefield Portal SDK installation is complete']
+      );
+    }
 
-      if (stderr && stderr.includes('Failed to')) {
+    let projectPath: string | null = null;
+    if (typeof args.projectPath === 'string' && args.projectPath.trim()) {
+      if (!this.validatePath(args.projectPath)) {
         return this.createErrorResponse(
-          `Failed to add node: ${stderr}`,
-          [
-            'Check if the node type is valid',
-            'Ensure the parent node path exists',
-            'Verify the scene file is valid',
-          ]
+          'Invalid project path',
+          ['Provide a valid path without ".." or other potentially unsafe characters']
         );
       }
+      projectPath = normalize(args.projectPath);
+    } else if (this.portalProjectPath) {
+      projectPath = this.portalProjectPath;
+    }
 
-      return {
-        content: [
-          {
-            type: 'text',
-            text: `Node '${args.nodeName}' of type '${args.nodeType}' added successfully to '${args.scenePath}'.\n\nOutput: ${stdout}`,
-          },
-        ],
-      };
-    } catch (error: any) {
+    if (projectPath && !existsSync(projectPath)) {
+      projectPath = null;
+    }
+
+    let levels: Array<Record<string, any>>;
+    try {
+      levels = this.collectPortalLevels(fbExportDataPath, projectPath);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
       return this.createErrorResponse(
-        `Failed to add node: ${error?.message || 'Unknown error'}`,
-        [
-          'Ensure Godot is installed correctly',
-          'Check if the GODOT_PATH environment variable is set correctly',
-          'Verify the project path is accessible',
-        ]
+        `Failed to enumerate Portal levels: ${message}`,
+        ['Verify the FbExportData directory is accessible']
       );
     }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify(
+            {
+              fbExportDataPath,
+              projectPath,
+              count: levels.length,
+              levels,
+            },
+            null,
+            2
+          ),
+        },
+      ],
+    };
   }
 
   /**
-   * Handle the load_sprite tool
+   * Export a Portal level to spatial JSON via the gdconverter tooling
    */
-  private async handleLoadSprite(args: any) {
-    // Normalize parameters to camelCase
+  private async handleExportPortalLevel(args: any, progressToken?: string | number) {
     args = this.normalizeParameters(args);
-    
-    if (!args.scenePath || !args.nodePath || !args.texturePath) {
+
+    if (!args.scenePath) {
+      return this.createErrorResponse(
+        'Scene path is required',
+        ['Provide the path to the scene (.tscn) file to export']
+      );
+    }
+
+    if (!this.validatePath(args.scenePath)) {
       return this.createErrorResponse(
-        'Missing required parameters',
-        ['Provide scenePath, nodePath, and texturePath']
+        'Invalid scene path',
+        ['Provide a scene path without ".." or other potentially unsafe characters']
       );
     }
 
-    if (
-      (args.projectPath && !this.validatePath(args.projectPath)) ||
-      !this.validatePath(args.scenePath) ||
-      !this.validatePath(args.nodePath) ||
-      !this.validatePath(args.texturePath)
-    ) {
+    if (args.outputDir && !this.validatePath(args.outputDir)) {
       return this.createErrorResponse(
-        'Invalid path',
-        ['Provide valid paths without ".." or other potentially unsafe characters']
+        'Invalid output directory',
+        ['Provide an output directory without ".." or other potentially unsafe characters']
       );
     }
 
@@ -2175,687 +9049,1044 @@ class GodotServer {
       return this.createErrorResponse(
         'Project path is required',
         [
-          'Provide a valid path to a Godot project directory',
-          'Ensure the Battlefield Portal SDK is installed and detectable',
+          'Provide a valid path to the Battlefield Portal Godot project',
+          'Ensure the Portal SDK has been detected correctly',
         ]
       );
     }
 
-    try {
-      // Check if the project directory exists and contains a project.godot file
-      const projectFile = join(projectPath, 'project.godot');
-      if (!existsSync(projectFile)) {
-        return this.createErrorResponse(
-          `Not a valid Godot project: ${projectPath}`,
-          [
-            'Ensure the path points to a directory containing a project.godot file',
-            'Use list_projects to find valid Godot projects',
-          ]
-        );
-      }
-
-      // Check if the scene file exists
-      const scenePath = join(projectPath, args.scenePath);
-      if (!existsSync(scenePath)) {
-        return this.createErrorResponse(
-          `Scene file does not exist: ${args.scenePath}`,
-          [
-            'Ensure the scene path is correct',
-            'Use create_scene to create a new scene first',
-          ]
-        );
-      }
-
-      // Check if the texture file exists
-      const texturePath = join(projectPath, args.texturePath);
-      if (!existsSync(texturePath)) {
-        return this.createErrorResponse(
-          `Texture file does not exist: ${args.texturePath}`,
-          [
-            'Ensure the texture path is correct',
-            'Upload or create the texture file first',
-          ]
-        );
-      }
-
-      // Prepare parameters for the operation (already in camelCase)
-      const params = {
-        scenePath: args.scenePath,
-        nodePath: args.nodePath,
-        texturePath: args.texturePath,
-      };
+    const fbExportDataPath =
+      typeof args.fbExportDataPath === 'string' && args.fbExportDataPath.trim()
+        ? normalize(args.fbExportDataPath)
+        : this.fbExportDataPath;
 
-      // Execute the operation
-      const { stdout, stderr } = await this.executeOperation('load_sprite', params, projectPath);
+    if (!fbExportDataPath || !existsSync(fbExportDataPath)) {
+      return this.createErrorResponse(
+        'FbExportData path not found',
+        [
+          'Install or extract the Battlefield Portal SDK assets',
+          'Provide fbExportDataPath pointing to SDK/deps/FbExportData',
+        ]
+      );
+    }
 
-      if (stderr && stderr.includes('Failed to')) {
-        return this.createErrorResponse(
-          `Failed to load sprite: ${stderr}`,
-          [
-            'Check if the node path is correct',
-            'Ensure the node is a Sprite2D, Sprite3D, or TextureRect',
-            'Verify the texture file is a valid image format',
-          ]
-        );
-      }
+    const converterScript = this.getGdConverterScriptPath('export_tscn.py');
+    if (!converterScript) {
+      return this.createErrorResponse(
+        'Could not locate export_tscn.py in the Battlefield Portal SDK',
+        [
+          'Verify the Portal SDK repository is available',
+          'Set PORTAL_SDK_PATH to the SDK root',
+        ]
+      );
+    }
 
-      return {
-        content: [
-          {
-            type: 'text',
-            text: `Sprite loaded successfully with texture: ${args.texturePath}\n\nOutput: ${stdout}`,
-          },
-        ],
-      };
-    } catch (error: any) {
+    const sceneFile = this.toAbsolutePath(projectPath, args.scenePath);
+    if (!existsSync(sceneFile)) {
       return this.createErrorResponse(
-        `Failed to load sprite: ${error?.message || 'Unknown error'}`,
+        `Scene file does not exist: ${sceneFile}`,
         [
-          'Ensure Godot is installed correctly',
-          'Check if the GODOT_PATH environment variable is set correctly',
-          'Verify the project path is accessible',
+          'Ensure the scene path is correct relative to the project',
+          'Open the scene in Godot to verify it exists',
         ]
       );
     }
+
+    let outputDir: string;
+    if (typeof args.outputDir === 'string' && args.outputDir.trim()) {
+      outputDir = this.toAbsolutePath(projectPath, args.outputDir);
+    } else {
+      outputDir = join(projectPath, 'portal_exports');
+    }
+
+    mkdirSync(outputDir, { recursive: true });
+
+    return await this.runAsJob('export_portal_level', args, progressToken, ({ job, signal }) =>
+      this.runPortalExport(job, signal, converterScript, sceneFile, fbExportDataPath, outputDir)
+    );
   }
 
   /**
-   * Handle the export_mesh_library tool
+   * Export every Portal scene matching a glob, several at a time
    */
-  private async handleExportMeshLibrary(args: any) {
-    // Normalize parameters to camelCase
+  private async handleExportAllPortalLevels(args: any, progressToken?: string | number) {
     args = this.normalizeParameters(args);
-    
-    if (!args.scenePath || !args.outputPath) {
+
+    if (args.outputDir && !this.validatePath(args.outputDir)) {
       return this.createErrorResponse(
-        'Missing required parameters',
-        ['Provide scenePath and outputPath']
+        'Invalid output directory',
+        ['Provide an output directory without ".." or other potentially unsafe characters']
       );
     }
 
-    if (
-      (args.projectPath && !this.validatePath(args.projectPath)) ||
-      !this.validatePath(args.scenePath) ||
-      !this.validatePath(args.outputPath)
-    ) {
+    const projectPath = this.resolveProjectPath(args.projectPath);
+    if (!projectPath || !existsSync(join(projectPath, 'project.godot'))) {
       return this.createErrorResponse(
-        'Invalid path',
-        ['Provide valid paths without ".." or other potentially unsafe characters']
+        'Valid project path is required',
+        [
+          'Provide a valid path to the Battlefield Portal Godot project',
+          'Ensure the Portal SDK has been detected correctly',
+        ]
       );
     }
 
-    const projectPath = this.resolveProjectPath(args.projectPath);
-    if (!projectPath) {
+    const fbExportDataPath = this.resolveFbExportDataPath(args.fbExportDataPath);
+    if (!fbExportDataPath || !existsSync(fbExportDataPath)) {
       return this.createErrorResponse(
-        'Project path is required',
+        'FbExportData path not found',
         [
-          'Provide a valid path to a Godot project directory',
-          'Ensure the Battlefield Portal SDK is installed and detectable',
+          'Install or extract the Battlefield Portal SDK assets',
+          'Provide fbExportDataPath pointing to SDK/deps/FbExportData',
         ]
       );
     }
 
-    try {
-      // Check if the project directory exists and contains a project.godot file
-      const projectFile = join(projectPath, 'project.godot');
-      if (!existsSync(projectFile)) {
-        return this.createErrorResponse(
-          `Not a valid Godot project: ${projectPath}`,
-          [
-            'Ensure the path points to a directory containing a project.godot file',
-            'Use list_projects to find valid Godot projects',
-          ]
+    const converterScript = this.getGdConverterScriptPath('export_tscn.py');
+    if (!converterScript) {
+      return this.createErrorResponse(
+        'Could not locate export_tscn.py in the Battlefield Portal SDK',
+        [
+          'Verify the Portal SDK repository is available',
+          'Set PORTAL_SDK_PATH to the SDK root',
+        ]
+      );
+    }
+
+    const glob = typeof args.glob === 'string' && args.glob.trim() ? args.glob.trim().replace(/^res:\/\//, '') : DEFAULT_BATCH_EXPORT_GLOB;
+    const include = this.globToRegExp(glob);
+    const excludes = (Array.isArray(args.exclude) ? args.exclude : []).map((pattern: unknown) =>
+      this.globToRegExp(String(pattern).replace(/^res:\/\//, ''))
+    );
+    const scenes = this.listProjectFiles(projectPath, '.tscn').filter(
+      (scene) => include.test(scene) && !excludes.some((exclude: RegExp) => exclude.test(scene))
+    );
+    if (scenes.length === 0) {
+      return this.createErrorResponse(
+        `No scenes match ${glob}`,
+        ['Pass a glob relative to the project, e.g. "levels/**/*.tscn"', 'Check the exclude patterns']
+      );
+    }
+
+    const outputDir =
+      typeof args.outputDir === 'string' && args.outputDir.trim()
+        ? this.toAbsolutePath(projectPath, args.outputDir)
+        : join(projectPath, 'portal_exports');
+    const concurrency = Math.min(
+      MAX_BATCH_EXPORT_CONCURRENCY,
+      Math.max(1, Math.floor(Number(args.concurrency) || DEFAULT_BATCH_EXPORT_CONCURRENCY))
+    );
+
+    return await this.runAsJob('export_all_portal_levels', args, progressToken, (context) =>
+      this.runBatchExport(context, converterScript, projectPath, fbExportDataPath, scenes, outputDir, concurrency)
+    );
+  }
+
+  /**
+   * Export scenes with at most `concurrency` export_tscn.py processes running, collecting one result row per scene
+   */
+  private async runBatchExport(
+    { job, signal, reportProgress }: JobContext,
+    converterScript: string,
+    projectPath: string,
+    fbExportDataPath: string,
+    scenes: string[],
+    outputDir: string,
+    concurrency: number
+  ): Promise<any> {
+    // Scenes sharing a file name would overwrite each other's export, so those keep their folder structure
+    const nameCounts = new Map<string, number>();
+    for (const scene of scenes) {
+      nameCounts.set(basename(scene), (nameCounts.get(basename(scene)) ?? 0) + 1);
+    }
+
+    const results: BatchExportResult[] = [];
+    job.progress.current = 0;
+    job.progress.total = scenes.length;
+    let next = 0;
+
+    const exportScene = async (scene: string): Promise<BatchExportResult> => {
+      const started = Date.now();
+      const sceneOutputDir = nameCounts.get(basename(scene))! > 1 ? join(outputDir, dirname(scene)) : outputDir;
+      try {
+        mkdirSync(sceneOutputDir, { recursive: true });
+        const { stdout, stderr, exitCode } = await this.runPythonScript(
+          converterScript,
+          [join(projectPath, scene), fbExportDataPath, sceneOutputDir],
+          {
+            signal,
+            onOutput: (stream, chunk) => {
+              for (const line of chunk.split(/\r?\n/).filter((text) => text.trim())) {
+                job.logs.push(stream, `[${scene}] ${line}`);
+              }
+            },
+          }
         );
+        const outputFile = exitCode === 0 ? this.exportedFileFromOutput(stdout) : null;
+        return {
+          scene,
+          status: exitCode === 0 ? 'exported' : 'failed',
+          exitCode,
+          outputFile,
+          sizeBytes: outputFile && existsSync(outputFile) ? statSync(outputFile).size : null,
+          durationMs: Date.now() - started,
+          error: exitCode === 0 ? null : stderr.trim().split(/\r?\n/).slice(-3).join('\n') || `Exit code ${exitCode}`,
+        };
+      } catch (error) {
+        return {
+          scene,
+          status: 'failed',
+          exitCode: null,
+          outputFile: null,
+          sizeBytes: null,
+          durationMs: Date.now() - started,
+          error: error instanceof Error ? error.message : String(error),
+        };
       }
+    };
 
-      // Check if the scene file exists
-      const scenePath = join(projectPath, args.scenePath);
-      if (!existsSync(scenePath)) {
-        return this.createErrorResponse(
-          `Scene file does not exist: ${args.scenePath}`,
-          [
-            'Ensure the scene path is correct',
-            'Use create_scene to create a new scene first',
-          ]
-        );
+    const runNext = async (): Promise<void> => {
+      while (next < scenes.length && !signal.aborted) {
+        const scene = scenes[next++];
+        job.progress.message = `Exporting ${scene}`;
+        results.push(await exportScene(scene));
+        job.progress.current = results.length;
+        reportProgress();
       }
+    };
+    await Promise.all(Array.from({ length: Math.min(concurrency, scenes.length) }, () => runNext()));
 
-      // Prepare parameters for the operation (already in camelCase)
-      const params: any = {
-        scenePath: args.scenePath,
-        outputPath: args.outputPath,
-      };
+    // Scenes never started because the job was stopped
+    for (const scene of scenes.slice(next)) {
+      results.push({ scene, status: 'skipped', exitCode: null, outputFile: null, sizeBytes: null, durationMs: 0, error: 'Job stopped' });
+    }
+    results.sort((a, b) => scenes.indexOf(a.scene) - scenes.indexOf(b.scene));
+
+    const exported = results.filter((result) => result.status === 'exported');
+    const failed = results.filter((result) => result.status === 'failed');
+    const table = [
+      '| Scene | Status | Output | Size (bytes) | Duration (ms) |',
+      '| --- | --- | --- | --- | --- |',
+      ...results.map(
+        (result) =>
+          `| ${result.scene} | ${result.status}${result.error ? `: ${result.error.split('\n')[0]}` : ''} | ${result.outputFile ?? ''} | ${result.sizeBytes ?? ''} | ${result.durationMs} |`
+      ),
+    ].join('\n');
 
-      // Add optional parameters
-      if (args.meshItemNames && Array.isArray(args.meshItemNames)) {
-        params.meshItemNames = args.meshItemNames;
-      }
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify(
+            {
+              summary: {
+                total: results.length,
+                exported: exported.length,
+                failed: failed.length,
+                skipped: results.length - exported.length - failed.length,
+                totalBytes: exported.reduce((total, result) => total + (result.sizeBytes ?? 0), 0),
+                concurrency,
+              },
+              outputDir: normalize(outputDir),
+              results,
+            },
+            null,
+            2
+          ),
+        },
+        {
+          type: 'text',
+          text: table,
+        },
+      ],
+    };
+  }
 
-      // Execute the operation
-      const { stdout, stderr } = await this.executeOperation('export_mesh_library', params, projectPath);
+  /**
+   * export_tscn.py prints the written .spatial.json path as its last line
+   */
+  private exportedFileFromOutput(stdout: string): string | null {
+    const lines = stdout.trim().split(/\r?\n/).filter((line) => line.trim().length > 0);
+    return lines.length > 0 ? normalize(lines[lines.length - 1].trim()) : null;
+  }
+
+  /**
+   * Run export_tscn.py for one scene and build the export_portal_level response
+   */
+  private async runPortalExport(
+    job: BackgroundJob,
+    signal: AbortSignal,
+    converterScript: string,
+    sceneFile: string,
+    fbExportDataPath: string,
+    outputDir: string
+  ): Promise<any> {
+    try {
+      const { stdout, stderr, exitCode } = await this.runPythonScript(
+        converterScript,
+        [sceneFile, fbExportDataPath, outputDir],
+        {
+          signal,
+          onSpawn: (child) => {
+            job.pid = child.pid ?? null;
+          },
+          onOutput: (stream, chunk) => {
+            job.logs.write(stream, chunk);
+          },
+        }
+      );
+      job.exitCode = exitCode;
 
-      if (stderr && stderr.includes('Failed to')) {
+      if (exitCode !== 0) {
         return this.createErrorResponse(
-          `Failed to export mesh library: ${stderr}`,
+          `Portal export script failed with exit code ${exitCode}`,
           [
-            'Check if the scene contains valid 3D meshes',
-            'Ensure the output path is valid',
-            'Verify the scene file is valid',
+            'Inspect the stdout/stderr output for details',
+            'Run validate_portal_scene to find problems in the scene',
+            'Verify the scene and FbExportData paths are correct',
           ]
         );
       }
 
+      const trimmedStdout = stdout.trim();
+      const trimmedStderr = stderr.trim();
+      const exportedFile = this.exportedFileFromOutput(stdout);
+
       return {
         content: [
           {
             type: 'text',
-            text: `MeshLibrary exported successfully to: ${args.outputPath}\n\nOutput: ${stdout}`,
+            text: JSON.stringify(
+              {
+                sceneFile: normalize(sceneFile),
+                fbExportDataPath,
+                outputDir: normalize(outputDir),
+                exportedFile,
+                stdout: trimmedStdout,
+                stderr: trimmedStderr,
+              },
+              null,
+              2
+            ),
           },
         ],
       };
-    } catch (error: any) {
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
       return this.createErrorResponse(
-        `Failed to export mesh library: ${error?.message || 'Unknown error'}`,
+        `Failed to export Portal level: ${message}`,
         [
-          'Ensure Godot is installed correctly',
-          'Check if the GODOT_PATH environment variable is set correctly',
-          'Verify the project path is accessible',
+          'Ensure Python 3 is installed and accessible',
+          'Verify the Battlefield Portal SDK gdconverter dependencies are installed',
         ]
       );
     }
   }
 
   /**
-   * Handle the save_scene tool
+   * Rebuild the Battlefield Portal Godot project from FbExportData assets
    */
-  private async handleSaveScene(args: any) {
-    // Normalize parameters to camelCase
+  private async handleCreatePortalProject(args: any, progressToken?: string | number) {
     args = this.normalizeParameters(args);
-    
-    if (!args.scenePath) {
+
+    this.detectPortalPaths();
+
+    const fbExportDataPath =
+      typeof args.fbExportDataPath === 'string' && args.fbExportDataPath.trim()
+        ? normalize(args.fbExportDataPath)
+        : this.fbExportDataPath;
+
+    if (!fbExportDataPath || !existsSync(fbExportDataPath)) {
       return this.createErrorResponse(
-        'Missing required parameters',
-        ['Provide scenePath']
+        'FbExportData path not found',
+        [
+          'Install or extract the Battlefield Portal SDK assets',
+          'Provide fbExportDataPath pointing to SDK/deps/FbExportData',
+        ]
       );
     }
 
-    if ((args.projectPath && !this.validatePath(args.projectPath)) || !this.validatePath(args.scenePath)) {
-      return this.createErrorResponse(
-        'Invalid path',
-        ['Provide valid paths without ".." or other potentially unsafe characters']
-      );
+    let outputDir: string;
+    if (typeof args.outputDir === 'string' && args.outputDir.trim()) {
+      outputDir = normalize(args.outputDir);
+    } else if (this.portalProjectPath) {
+      outputDir = this.portalProjectPath;
+    } else if (this.portalSdkPath) {
+      outputDir = normalize(join(this.portalSdkPath, 'GodotProject'));
+    } else {
+      outputDir = normalize(join(process.cwd(), 'PortalGodotProject'));
     }
 
-    // If newPath is provided, validate it
-    if (args.newPath && !this.validatePath(args.newPath)) {
-      return this.createErrorResponse(
-        'Invalid new path',
-        ['Provide a valid new path without ".." or other potentially unsafe characters']
-      );
+    if (args.dryRun !== true) {
+      mkdirSync(outputDir, { recursive: true });
     }
 
-    const projectPath = this.resolveProjectPath(args.projectPath);
-    if (!projectPath) {
+    const converterScript = this.getGdConverterScriptPath('create_godot.py');
+    if (!converterScript) {
       return this.createErrorResponse(
-        'Project path is required',
+        'Could not locate create_godot.py in the Battlefield Portal SDK',
         [
-          'Provide a valid path to a Godot project directory',
-          'Ensure the Battlefield Portal SDK is installed and detectable',
+          'Verify the Portal SDK repository is available',
+          'Set PORTAL_SDK_PATH to the SDK root',
         ]
       );
     }
 
+    let available: string[];
     try {
-      // Check if the project directory exists and contains a project.godot file
-      const projectFile = join(projectPath, 'project.godot');
-      if (!existsSync(projectFile)) {
-        return this.createErrorResponse(
-          `Not a valid Godot project: ${projectPath}`,
-          [
-            'Ensure the path points to a directory containing a project.godot file',
-            'Use list_projects to find valid Godot projects',
-          ]
-        );
-      }
+      available = this.collectPortalLevels(fbExportDataPath, null).map((level) => level.name);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      return this.createErrorResponse(
+        `Failed to enumerate Portal levels: ${message}`,
+        ['Verify the FbExportData directory contains a levels folder']
+      );
+    }
 
-      // Check if the scene file exists
-      const scenePath = join(projectPath, args.scenePath);
-      if (!existsSync(scenePath)) {
+    let levels: string[] | null = null;
+    if (Array.isArray(args.levels) && args.levels.length > 0) {
+      levels = args.levels.map((level: unknown) => String(level));
+      const unknown = levels!.filter((level) => !available.includes(level));
+      if (unknown.length > 0) {
         return this.createErrorResponse(
-          `Scene file does not exist: ${args.scenePath}`,
-          [
-            'Ensure the scene path is correct',
-            'Use create_scene to create a new scene first',
-          ]
+          `Unknown Portal levels: ${unknown.join(', ')}`,
+          ['Use list_portal_levels to see the available level names']
         );
       }
+    }
 
-      // Prepare parameters for the operation (already in camelCase)
-      const params: any = {
-        scenePath: args.scenePath,
-      };
+    const flags = args.overwriteLevels === true ? ['--overwrite-levels'] : [];
+    // Overwriting regenerates the level scenes, so the existing ones are snapshotted once the job starts
+    const snapshotFiles = () =>
+      args.overwriteLevels === true && args.dryRun !== true
+        ? [
+            'project.godot',
+            ...(levels ?? available).flatMap((level) => [`static/${level}_Assets.tscn`, `static/${level}_Terrain.tscn`]),
+          ].filter((file) => existsSync(join(outputDir, file)))
+        : [];
+    return await this.runAsJob(
+      'create_portal_project',
+      args,
+      progressToken,
+      (context) =>
+        this.withJobSnapshot('create_portal_project', outputDir, snapshotFiles, () =>
+          this.runCreatePortalProjectJob(context, converterScript, fbExportDataPath, outputDir, levels, available, flags, args.dryRun === true)
+        ),
+      true
+    );
+  }
 
-      // Add optional parameters
-      if (args.newPath) {
-        params.newPath = args.newPath;
+  /**
+   * Run create_godot.py for a create_portal_project job, against a staged FbExportData when only some levels are wanted
+   * @param allLevels Every level in FbExportData, used to track progress when no subset was chosen
+   * @param dryRun Generate into a temporary directory and only report how it differs from outputDir
+   */
+  private async runCreatePortalProjectJob(
+    { job, signal, reportProgress }: JobContext,
+    converterScript: string,
+    fbExportDataPath: string,
+    outputDir: string,
+    levels: string[] | null,
+    allLevels: string[],
+    flags: string[],
+    dryRun: boolean = false
+  ): Promise<any> {
+    let stagingDir: string | null = null;
+    const previewDir = dryRun ? join(tmpdir(), `bf6portal-dryrun-${process.pid}-${job.id}`) : null;
+    try {
+      let sourcePath = fbExportDataPath;
+      if (levels) {
+        stagingDir = this.stageFbExportLevels(fbExportDataPath, levels, job.id);
+        sourcePath = stagingDir;
+      }
+      if (previewDir) {
+        rmSync(previewDir, { recursive: true, force: true });
+        mkdirSync(previewDir, { recursive: true });
       }
 
-      // Execute the operation
-      const { stdout, stderr } = await this.executeOperation('save_scene', params, projectPath);
+      const tracker = new JobProgressTracker(job.progress, levels ?? allLevels);
+      const targetDir = previewDir ?? outputDir;
+      const { stdout, stderr, exitCode } = await this.runPythonScript(converterScript, [sourcePath, targetDir, ...flags], {
+        signal,
+        onSpawn: (child) => {
+          job.pid = child.pid ?? null;
+        },
+        onOutput: (stream, chunk) => {
+          job.logs.write(stream, chunk).forEach((entry: LogEntry) => tracker.feed(entry.text));
+          reportProgress();
+        },
+      });
+      job.exitCode = exitCode;
 
-      if (stderr && stderr.includes('Failed to')) {
+      if (exitCode !== 0) {
         return this.createErrorResponse(
-          `Failed to save scene: ${stderr}`,
+          `Portal project generation failed with exit code ${exitCode}`,
           [
-            'Check if the scene file is valid',
-            'Ensure you have write permissions to the output path',
-            'Verify the scene can be properly packed',
+            'Inspect the job output with get_job_status for details',
+            'Ensure Python dependencies from SDK/requirements.txt are installed',
           ]
         );
       }
 
-      const savePath = args.newPath || args.scenePath;
+      if (previewDir) {
+        return this.createDryRunResponse('create_portal_project', this.compareGeneratedFiles(previewDir, outputDir), {
+          outputDir: normalize(outputDir),
+          levels: levels ?? 'all',
+          note: flags.includes('--overwrite-levels')
+            ? undefined
+            : 'Generated into an empty directory, so existing level scenes create_godot.py keeps without --overwrite-levels are listed as overwritten',
+        });
+      }
+
+      this.portalProjectPath = normalize(outputDir);
+      // Scene paths and bounds in the asset index come from the scenes that were just regenerated
+      PortalAssetIndex.invalidate(outputDir);
+
       return {
         content: [
           {
             type: 'text',
-            text: `Scene saved successfully to: ${savePath}\n\nOutput: ${stdout}`,
+            text: JSON.stringify(
+              {
+                projectPath: this.portalProjectPath,
+                fbExportDataPath,
+                levels: levels ?? 'all',
+                stdout: stdout.trim(),
+                stderr: stderr.trim(),
+              },
+              null,
+              2
+            ),
           },
         ],
       };
-    } catch (error: any) {
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
       return this.createErrorResponse(
-        `Failed to save scene: ${error?.message || 'Unknown error'}`,
+        `Failed to regenerate the Portal project: ${message}`,
         [
-          'Ensure Godot is installed correctly',
-          'Check if the GODOT_PATH environment variable is set correctly',
-          'Verify the project path is accessible',
+          'Ensure Python 3 is installed and accessible',
+          'Verify the Battlefield Portal SDK dependencies are installed',
         ]
       );
+    } finally {
+      if (stagingDir) {
+        rmSync(stagingDir, { recursive: true, force: true });
+      }
+      if (previewDir) {
+        rmSync(previewDir, { recursive: true, force: true });
+      }
     }
   }
 
   /**
-   * Handle the get_uid tool
+   * List the files generated into a preview directory and whether each would create, overwrite or leave
+   * unchanged the matching file in the real output directory
    */
-  private async handleGetUid(args: any) {
-    // Normalize parameters to camelCase
-    args = this.normalizeParameters(args);
-    
-    if (!args.filePath) {
-      return this.createErrorResponse(
-        'Missing required parameters',
-        ['Provide filePath']
-      );
-    }
-
-    if ((args.projectPath && !this.validatePath(args.projectPath)) || !this.validatePath(args.filePath)) {
-      return this.createErrorResponse(
-        'Invalid path',
-        ['Provide valid paths without ".." or other potentially unsafe characters']
-      );
-    }
-
-    const projectPath = this.resolveProjectPath(args.projectPath);
-    if (!projectPath) {
-      return this.createErrorResponse(
-        'Project path is required',
-        [
-          'Provide a valid path to a Godot project directory',
-          'Ensure the Battlefield Portal SDK is installed and detectable',
-        ]
-      );
-    }
-
-    try {
-      // Ensure godotPath is set
-      if (!this.godotPath) {
-        await this.detectGodotPath();
-        if (!this.godotPath) {
-          return this.createErrorResponse(
-            'Could not find a valid Godot executable path',
-            [
-              'Ensure Godot is installed correctly',
-              'Set GODOT_PATH environment variable to specify the correct path',
-            ]
-          );
+  private compareGeneratedFiles(previewDir: string, outputDir: string): DryRunFile[] {
+    const files: DryRunFile[] = [];
+    const walk = (directory: string) => {
+      for (const entry of readdirSync(directory, { withFileTypes: true })) {
+        const previewPath = join(directory, entry.name);
+        if (entry.isDirectory()) {
+          walk(previewPath);
+          continue;
         }
+        const target = join(outputDir, relative(previewDir, previewPath));
+        const exists = existsSync(target);
+        const size = statSync(previewPath).size;
+        files.push({
+          path: normalize(target),
+          exists,
+          size,
+          unchanged: exists && statSync(target).size === size && readFileSync(target).equals(readFileSync(previewPath)),
+        });
       }
+    };
+    walk(previewDir);
+    return files.sort((a, b) => a.path.localeCompare(b.path));
+  }
 
-      // Check if the project directory exists and contains a project.godot file
-      const projectFile = join(projectPath, 'project.godot');
-      if (!existsSync(projectFile)) {
-        return this.createErrorResponse(
-          `Not a valid Godot project: ${projectPath}`,
-          [
-            'Ensure the path points to a directory containing a project.godot file',
-            'Use list_projects to find valid Godot projects',
-          ]
-        );
-      }
-
-      // Check if the file exists
-      const filePath = join(projectPath, args.filePath);
-      if (!existsSync(filePath)) {
-        return this.createErrorResponse(
-          `File does not exist: ${args.filePath}`,
-          ['Ensure the file path is correct']
-        );
-      }
-
-      // Get Godot version to check if UIDs are supported
-      const { stdout: versionOutput } = await execAsync(`"${this.godotPath}" --version`);
-      const version = versionOutput.trim();
+  /**
+   * Build a temporary FbExportData view whose levels folder only holds the chosen levels.
+   *
+   * Everything else is linked to the real FbExportData (junctions for directories, so no privileges are
+   * needed on Windows); files that cannot be linked are copied.
+   */
+  private stageFbExportLevels(fbExportDataPath: string, levels: string[], jobId: string): string {
+    const stagingDir = join(tmpdir(), `bf6portal-fbexport-${process.pid}-${jobId}`);
+    rmSync(stagingDir, { recursive: true, force: true });
+    mkdirSync(join(stagingDir, 'levels'), { recursive: true });
 
-      if (!this.isGodot44OrLater(version)) {
-        return this.createErrorResponse(
-          `UIDs are only supported in Godot 4.4 or later. Current version: ${version}`,
-          [
-            'Upgrade to Godot 4.4 or later to use UIDs',
-            'Use resource paths instead of UIDs for this version of Godot',
-          ]
-        );
+    const link = (source: string, target: string, isDirectory: boolean) => {
+      try {
+        symlinkSync(source, target, isDirectory ? 'junction' : 'file');
+      } catch (error) {
+        if (isDirectory) {
+          throw error;
+        }
+        copyFileSync(source, target);
       }
+    };
 
-      // Prepare parameters for the operation (already in camelCase)
-      const params = {
-        filePath: args.filePath,
-      };
-
-      // Execute the operation
-      const { stdout, stderr } = await this.executeOperation('get_uid', params, projectPath);
-
-      if (stderr && stderr.includes('Failed to')) {
-        return this.createErrorResponse(
-          `Failed to get UID: ${stderr}`,
-          [
-            'Check if the file is a valid Godot resource',
-            'Ensure the file path is correct',
-          ]
-        );
+    for (const entry of readdirSync(fbExportDataPath, { withFileTypes: true })) {
+      if (entry.name !== 'levels') {
+        link(join(fbExportDataPath, entry.name), join(stagingDir, entry.name), entry.isDirectory());
       }
+    }
+    // Keep only the chosen levels' own files; a prefix match would also pick up e.g. MP_X_Night for MP_X
+    const levelsDir = join(fbExportDataPath, 'levels');
+    const wanted = new Set(levels.flatMap((level) => PORTAL_LEVEL_FILE_SUFFIXES.map((suffix) => `${level}${suffix}`)));
+    for (const entry of readdirSync(levelsDir, { withFileTypes: true })) {
+      if (wanted.has(entry.name)) {
+        link(join(levelsDir, entry.name), join(stagingDir, 'levels', entry.name), entry.isDirectory());
+      }
+    }
+    return stagingDir;
+  }
+
+  /**
+   * Report the status, progress and output of background jobs
+   */
+  private async handleGetJobStatus(args: any) {
+    args = this.normalizeParameters(args ?? {});
 
+    if (!args.jobId) {
+      const jobs = this.jobManager.list().map((job) => this.jobManager.describe(job));
       return {
         content: [
           {
             type: 'text',
-            text: `UID for ${args.filePath}: ${stdout.trim()}`,
+            text: JSON.stringify(
+              {
+                count: jobs.length,
+                queued: jobs.filter((job) => job.status === 'queued').length,
+                running: jobs.filter((job) => job.status === 'running').length,
+                concurrency: this.jobManager.concurrency,
+                jobs,
+              },
+              null,
+              2
+            ),
           },
         ],
       };
-    } catch (error: any) {
+    }
+
+    const job = this.jobManager.get(args.jobId);
+    if (!job) {
       return this.createErrorResponse(
-        `Failed to get UID: ${error?.message || 'Unknown error'}`,
-        [
-          'Ensure Godot is installed correctly',
-          'Check if the GODOT_PATH environment variable is set correctly',
-          'Verify the project path is accessible',
-        ]
+        `No background job found with ID: ${args.jobId}`,
+        ['Call get_job_status without a jobId to list the known jobs', 'Finished jobs are pruned after a while']
       );
     }
+
+    const output = job.logs.read({ sinceCursor: args.sinceCursor, maxLines: args.maxLines });
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify(
+            {
+              ...this.jobManager.describe(job),
+              cursor: output.cursor,
+              hasMore: output.hasMore,
+              droppedLines: output.droppedLines,
+              lines: output.lines.map(({ seq, stream, text }) => ({ seq, stream, text })),
+            },
+            null,
+            2
+          ),
+        },
+      ],
+    };
   }
 
   /**
-   * Handle the update_project_uids tool
+   * Cancel a queued or running background job
    */
-  private async handleUpdateProjectUids(args: any) {
-    // Normalize parameters to camelCase
-    args = this.normalizeParameters(args);
+  private async handleCancelJob(args: any) {
+    args = this.normalizeParameters(args ?? {});
 
-    if (args.projectPath && !this.validatePath(args.projectPath)) {
+    const job = args.jobId ? this.jobManager.get(args.jobId) : undefined;
+    if (!job) {
       return this.createErrorResponse(
-        'Invalid project path',
-        ['Provide a valid path without ".." or other potentially unsafe characters']
+        args.jobId ? `No background job found with ID: ${args.jobId}` : 'Job ID is required',
+        ['Call get_job_status without a jobId to list the known jobs']
       );
     }
 
-    const projectPath = this.resolveProjectPath(args.projectPath);
-    if (!projectPath) {
+    this.logDebug(`Cancelling background job ${job.id}`);
+    if (!this.jobManager.cancel(job)) {
       return this.createErrorResponse(
-        'Project path is required',
-        [
-          'Provide a valid path to a Godot project directory',
-          'Ensure the Battlefield Portal SDK is installed and detectable',
-        ]
+        `Job ${job.id} already finished with status ${job.status}`,
+        ['Use get_job_status to inspect its result']
       );
     }
 
-    try {
-      // Ensure godotPath is set
-      if (!this.godotPath) {
-        await this.detectGodotPath();
-        if (!this.godotPath) {
-          return this.createErrorResponse(
-            'Could not find a valid Godot executable path',
-            [
-              'Ensure Godot is installed correctly',
-              'Set GODOT_PATH environment variable to specify the correct path',
-            ]
-          );
-        }
-      }
-
-      // Check if the project directory exists and contains a project.godot file
-      const projectFile = join(projectPath, 'project.godot');
-      if (!existsSync(projectFile)) {
-        return this.createErrorResponse(
-          `Not a valid Godot project: ${projectPath}`,
-          [
-            'Ensure the path points to a directory containing a project.godot file',
-            'Use list_projects to find valid Godot projects',
-          ]
-        );
-      }
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({ message: `Job ${job.id} cancelled`, ...this.jobManager.describe(job) }, null, 2),
+        },
+      ],
+    };
+  }
 
-      // Get Godot version to check if UIDs are supported
-      const { stdout: versionOutput } = await execAsync(`"${this.godotPath}" --version`);
-      const version = versionOutput.trim();
+  /**
+   * Resolve the FbExportData directory from an optional override or the detected SDK
+   */
+  private resolveFbExportDataPath(override?: unknown): string | null {
+    if (typeof override === 'string' && override.trim()) {
+      return normalize(override);
+    }
+    this.detectPortalPaths();
+    return this.fbExportDataPath;
+  }
 
-      if (!this.isGodot44OrLater(version)) {
-        return this.createErrorResponse(
-          `UIDs are only supported in Godot 4.4 or later. Current version: ${version}`,
-          [
-            'Upgrade to Godot 4.4 or later to use UIDs',
-            'Use resource paths instead of UIDs for this version of Godot',
-          ]
-        );
+  /**
+   * Resolve a spatial JSON file from a spatialPath or a levelName in FbExportData/levels
+   * @returns The absolute file path, or an error response to return to the caller
+   */
+  private resolveSpatialFile(
+    spatialPath: unknown,
+    levelName: unknown,
+    args: any
+  ): { path: string } | { error: any } {
+    if (typeof spatialPath === 'string' && spatialPath.trim()) {
+      if (!this.validatePath(spatialPath)) {
+        return {
+          error: this.createErrorResponse(
+            'Invalid spatial path',
+            ['Provide a path without ".." or other potentially unsafe characters']
+          ),
+        };
       }
+      const basePath = this.resolveProjectPath(args.projectPath) ?? process.cwd();
+      const filePath = this.toAbsolutePath(basePath, spatialPath);
+      if (!existsSync(filePath)) {
+        return {
+          error: this.createErrorResponse(
+            `Spatial file does not exist: ${filePath}`,
+            ['Provide an absolute path or one relative to the project', 'Use list_portal_levels to find level files']
+          ),
+        };
+      }
+      return { path: filePath };
+    }
 
-      // Prepare parameters for the operation (already in camelCase)
-      const params = {
-        projectPath,
-      };
-
-      // Execute the operation
-      const { stdout, stderr } = await this.executeOperation('resave_resources', params, projectPath);
-
-      if (stderr && stderr.includes('Failed to')) {
-        return this.createErrorResponse(
-          `Failed to update project UIDs: ${stderr}`,
-          [
-            'Check if the project is valid',
-            'Ensure you have write permissions to the project directory',
-          ]
-        );
+    if (typeof levelName === 'string' && levelName.trim()) {
+      const fbExportDataPath = this.resolveFbExportDataPath(args.fbExportDataPath);
+      if (!fbExportDataPath || !existsSync(fbExportDataPath)) {
+        return {
+          error: this.createErrorResponse(
+            'FbExportData path not found',
+            [
+              'Install or extract the Battlefield Portal SDK assets',
+              'Provide fbExportDataPath pointing to SDK/deps/FbExportData',
+            ]
+          ),
+        };
+      }
+      const filePath = join(fbExportDataPath, 'levels', `${basename(levelName.trim())}.spatial.json`);
+      if (!existsSync(filePath)) {
+        return {
+          error: this.createErrorResponse(
+            `Level not found: ${levelName}`,
+            ['Use list_portal_levels to see the available level names']
+          ),
+        };
       }
+      return { path: normalize(filePath) };
+    }
+
+    return {
+      error: this.createErrorResponse(
+        'Missing required parameters',
+        ['Provide spatialPath or levelName']
+      ),
+    };
+  }
 
+  /**
+   * Load a spatial level, returning an error response if it cannot be parsed
+   */
+  private loadSpatialLevel(filePath: string): { level: SpatialLevel } | { error: any } {
+    try {
+      return { level: SpatialLevel.load(filePath) };
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
       return {
-        content: [
-          {
-            type: 'text',
-            text: `Project UIDs updated successfully.\n\nOutput: ${stdout}`,
-          },
-        ],
+        error: this.createErrorResponse(
+          `Failed to parse spatial file ${filePath}: ${message}`,
+          ['Ensure the file is a valid .spatial.json export']
+        ),
       };
-    } catch (error: any) {
-      return this.createErrorResponse(
-        `Failed to update project UIDs: ${error?.message || 'Unknown error'}`,
-        [
-          'Ensure Godot is installed correctly',
-          'Check if the GODOT_PATH environment variable is set correctly',
-          'Verify the project path is accessible',
-        ]
-      );
     }
   }
 
   /**
-   * Provide details about detected Battlefield Portal SDK paths
+   * Compact JSON view of a spatial object
    */
-  private async handleGetPortalSdkInfo() {
-    this.detectPortalPaths();
+  private describeSpatialObject(object: SpatialObject, includeProperties: boolean): Record<string, unknown> {
+    const description: Record<string, unknown> = {
+      index: object.index,
+      id: object.id,
+      name: object.name,
+      type: object.type,
+      section: object.section,
+      position: object.position,
+    };
+    if (object.right || object.up || object.front) {
+      description.orientation = { right: object.right, up: object.up, front: object.front };
+    }
+    if (object.scale) {
+      description.scale = object.scale;
+    }
+    if (object.team !== null) {
+      description.team = object.team;
+    }
+    if (object.portalKind) {
+      description.portalKind = object.portalKind;
+    }
+    if (object.parentIndex !== null) {
+      description.parentIndex = object.parentIndex;
+    }
+    if (includeProperties && Object.keys(object.properties).length > 0) {
+      description.properties = object.properties;
+    }
+    return description;
+  }
 
-    const info = {
-      portalSdkPath: this.portalSdkPath,
-      portalSdkPathExists: this.portalSdkPath ? existsSync(this.portalSdkPath) : false,
-      portalProjectPath: this.portalProjectPath,
-      portalProjectPathExists: this.portalProjectPath
-        ? existsSync(join(this.portalProjectPath, 'project.godot'))
-        : false,
-      fbExportDataPath: this.fbExportDataPath,
-      fbExportDataPathExists: this.fbExportDataPath ? existsSync(this.fbExportDataPath) : false,
-      pythonCommand: this.pythonCommand,
+  /**
+   * Summarise a Portal .spatial.json level and page through its objects
+   */
+  private async handleReadSpatialLevel(args: any) {
+    args = this.normalizeParameters(args);
+
+    const file = this.resolveSpatialFile(args.spatialPath, args.levelName, args);
+    if ('error' in file) {
+      return file.error;
+    }
+    const loaded = this.loadSpatialLevel(file.path);
+    if ('error' in loaded) {
+      return loaded.error;
+    }
+    const level = loaded.level;
+
+    const countsByType = level.countsByType();
+    const portalObjects = level.portalObjects();
+    const portal: Record<string, unknown> = {};
+    for (const [kind, objects] of Object.entries(portalObjects)) {
+      portal[kind] = {
+        count: objects.length,
+        objects: objects.map((object) => this.describeSpatialObject(object, false)),
+      };
+    }
+
+    const summary: Record<string, unknown> = {
+      spatialPath: normalize(file.path),
+      sizeBytes: statSync(file.path).size,
+      objectCount: level.objects.length,
+      sections: level.countsBySection(),
+      boundingBox: level.boundingBox(),
+      assetCount: countsByType.length,
+      countsByType,
+      portal,
     };
 
+    if (args.includeObjects !== false) {
+      const typeFilter = typeof args.type === 'string' ? args.type.toLowerCase() : '';
+      const filtered = level.objects.filter(
+        (object) =>
+          (!typeFilter || object.type.toLowerCase().includes(typeFilter)) &&
+          (!args.portalKind || object.portalKind === args.portalKind)
+      );
+      const offset = Math.max(0, Math.floor(Number(args.offset) || 0));
+      const limit = Math.min(
+        MAX_SPATIAL_PAGE_SIZE,
+        Math.max(1, Math.floor(Number(args.limit) || DEFAULT_SPATIAL_PAGE_SIZE))
+      );
+      const page = filtered.slice(offset, offset + limit);
+      summary.objects = {
+        total: filtered.length,
+        offset,
+        limit,
+        nextOffset: offset + page.length < filtered.length ? offset + page.length : null,
+        items: page.map((object) => this.describeSpatialObject(object, true)),
+      };
+    }
+
     return {
       content: [
         {
           type: 'text',
-          text: JSON.stringify(info, null, 2),
+          text: JSON.stringify(summary, null, 2),
         },
       ],
     };
   }
 
   /**
-   * List available Battlefield Portal levels and metadata
+   * Compare two Portal .spatial.json files and summarise the changes
    */
-  private async handleListPortalLevels(args: any) {
+  private async handleDiffSpatialLevels(args: any) {
     args = this.normalizeParameters(args);
 
-    this.detectPortalPaths();
-
-    let fbExportDataPath: string | null = null;
-    if (typeof args.fbExportDataPath === 'string' && args.fbExportDataPath.trim()) {
-      fbExportDataPath = normalize(args.fbExportDataPath);
-    } else if (this.fbExportDataPath) {
-      fbExportDataPath = this.fbExportDataPath;
-    }
-
-    if (!fbExportDataPath || !existsSync(fbExportDataPath)) {
+    if (!args.beforePath || !args.afterPath) {
       return this.createErrorResponse(
-        'FbExportData path not found',
-        [
-          'Install or extract the Battlefield Portal SDK assets',
-          'Provide fbExportDataPath pointing to SDK/deps/FbExportData',
-        ]
+        'Missing required parameters',
+        ['Provide beforePath and afterPath']
       );
     }
 
-    const levelsDir = join(fbExportDataPath, 'levels');
-    if (!existsSync(levelsDir)) {
-      return this.createErrorResponse(
-        'Levels directory missing inside FbExportData',
-        ['Verify the Battlefield Portal SDK installation is complete']
-      );
+    const beforeFile = this.resolveSpatialFile(args.beforePath, undefined, args);
+    if ('error' in beforeFile) {
+      return beforeFile.error;
     }
-
-    let projectPath: string | null = null;
-    if (typeof args.projectPath === 'string' && args.projectPath.trim()) {
-      if (!this.validatePath(args.projectPath)) {
-        return this.createErrorResponse(
-          'Invalid project path',
-          ['Provide a valid path without ".." or other potentially unsafe characters']
-        );
-      }
-      projectPath = normalize(args.projectPath);
-    } else if (this.portalProjectPath) {
-      projectPath = this.portalProjectPath;
+    const afterFile = this.resolveSpatialFile(args.afterPath, undefined, args);
+    if ('error' in afterFile) {
+      return afterFile.error;
     }
-
-    if (projectPath && !existsSync(projectPath)) {
-      projectPath = null;
+    const beforeLevel = this.loadSpatialLevel(beforeFile.path);
+    if ('error' in beforeLevel) {
+      return beforeLevel.error;
+    }
+    const afterLevel = this.loadSpatialLevel(afterFile.path);
+    if ('error' in afterLevel) {
+      return afterLevel.error;
     }
 
-    const levelInfo = this.readJsonFile(join(fbExportDataPath, 'level_info.json')) ?? {};
-    const levels: Array<Record<string, any>> = [];
+    const tolerance = (value: unknown, fallback: number) =>
+      typeof value === 'number' && value >= 0 ? value : fallback;
+    const tolerances: SpatialDiffTolerances = {
+      position: tolerance(args.positionTolerance, DEFAULT_SPATIAL_DIFF_TOLERANCES.position),
+      rotationDegrees: tolerance(args.rotationTolerance, DEFAULT_SPATIAL_DIFF_TOLERANCES.rotationDegrees),
+      scale: tolerance(args.scaleTolerance, DEFAULT_SPATIAL_DIFF_TOLERANCES.scale),
+    };
+    const maxEntries = Math.max(1, Math.floor(Number(args.maxEntries) || DEFAULT_SPATIAL_DIFF_MAX_ENTRIES));
 
-    try {
-      const entries = readdirSync(levelsDir, { withFileTypes: true });
-      for (const entry of entries) {
-        if (!entry.isFile() || !entry.name.endsWith('.spatial.json')) {
-          continue;
-        }
+    const diff = SpatialLevel.diff(beforeLevel.level, afterLevel.level, tolerances);
+    const round = (value: number) => Math.round(value * 1000) / 1000;
+    const label = (object: SpatialObject) => (object.name === object.type ? object.name : `${object.name} (${object.type})`);
 
-        const baseName = entry.name.replace('.spatial.json', '');
-        const level: Record<string, any> = {
-          name: baseName,
-          spatialPath: normalize(join(levelsDir, entry.name)),
+    // Net change in object counts per asset type
+    const typeCounts = new Map<string, { before: number; after: number }>();
+    for (const { type, count } of beforeLevel.level.countsByType()) {
+      typeCounts.set(type, { before: count, after: 0 });
+    }
+    for (const { type, count } of afterLevel.level.countsByType()) {
+      typeCounts.set(type, { before: typeCounts.get(type)?.before ?? 0, after: count });
+    }
+    const countsByType = Array.from(typeCounts, ([type, counts]) => ({ type, ...counts, delta: counts.after - counts.before }))
+      .filter((entry) => entry.delta !== 0)
+      .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta) || a.type.localeCompare(b.type));
+
+    const changed = diff.changed.map((change) => {
+      const entry: Record<string, unknown> = {
+        key: change.key,
+        name: change.after.name,
+        type: change.after.type,
+      };
+      if (change.typeChanged) {
+        entry.typeChanged = { before: change.before.type, after: change.after.type };
+      }
+      if (change.moved) {
+        entry.moved = {
+          from: change.before.position,
+          to: change.after.position,
+          distance: round(change.moved.distance),
         };
+      }
+      if (change.rotatedDegrees !== null) {
+        entry.rotatedDegrees = round(change.rotatedDegrees);
+      }
+      if (change.rescaled) {
+        entry.rescaled = change.rescaled;
+      }
+      if (change.properties.length > 0) {
+        entry.properties = change.properties;
+      }
+      return entry;
+    });
 
-        if (levelInfo && levelInfo[baseName]) {
-          level.info = levelInfo[baseName];
-        }
-
-        if (projectPath) {
-          const staticDir = join(projectPath, 'static');
-          const assetsPath = join(staticDir, `${baseName}_Assets.tscn`);
-          const terrainPath = join(staticDir, `${baseName}_Terrain.tscn`);
-
-          if (existsSync(assetsPath)) {
-            level.assetsScene = normalize(assetsPath);
-          }
-          if (existsSync(terrainPath)) {
-            level.terrainScene = normalize(terrainPath);
-          }
-
-          const scriptDirs = this.findPortalScriptDirectories(baseName);
-          if (scriptDirs.length > 0) {
-            level.scriptDirectories = scriptDirs;
-          }
-        }
-
-        levels.push(level);
+    const highlights: string[] = [];
+    for (const object of diff.added) {
+      highlights.push(`Added ${label(object)}`);
+    }
+    for (const object of diff.removed) {
+      highlights.push(`Removed ${label(object)}`);
+    }
+    for (const change of diff.changed) {
+      const parts: string[] = [];
+      if (change.typeChanged) {
+        parts.push(`type ${change.before.type} -> ${change.after.type}`);
       }
-    } catch (error) {
-      const message = error instanceof Error ? error.message : String(error);
-      return this.createErrorResponse(
-        `Failed to enumerate Portal levels: ${message}`,
-        ['Verify the FbExportData directory is accessible']
-      );
+      if (change.moved) {
+        parts.push(`moved ${round(change.moved.distance)}m`);
+      }
+      if (change.rotatedDegrees !== null) {
+        parts.push(`rotated ${round(change.rotatedDegrees)}°`);
+      }
+      if (change.rescaled) {
+        parts.push('rescaled');
+      }
+      if (change.properties.length > 0) {
+        parts.push(`properties ${change.properties.map((property) => property.key).join(', ')}`);
+      }
+      highlights.push(`Changed ${label(change.after)}: ${parts.join('; ')}`);
     }
 
-    levels.sort((a, b) => a.name.localeCompare(b.name));
+    const limited = <T>(items: T[]) => ({
+      total: items.length,
+      truncated: items.length > maxEntries,
+      items: items.slice(0, maxEntries),
+    });
+
+    const report = {
+      before: normalize(beforeFile.path),
+      after: normalize(afterFile.path),
+      tolerances,
+      summary: {
+        beforeCount: beforeLevel.level.objects.length,
+        afterCount: afterLevel.level.objects.length,
+        added: diff.added.length,
+        removed: diff.removed.length,
+        changed: diff.changed.length,
+        moved: diff.changed.filter((change) => change.moved).length,
+        rotated: diff.changed.filter((change) => change.rotatedDegrees !== null).length,
+        rescaled: diff.changed.filter((change) => change.rescaled).length,
+        retyped: diff.changed.filter((change) => change.typeChanged).length,
+        propertiesChanged: diff.changed.filter((change) => change.properties.length > 0).length,
+        unchanged: diff.unchangedCount,
+      },
+      countsByType,
+      highlights: limited(highlights),
+      added: limited(diff.added.map((object) => this.describeSpatialObject(object, false))),
+      removed: limited(diff.removed.map((object) => this.describeSpatialObject(object, false))),
+      changed: limited(changed),
+    };
 
     return {
       content: [
         {
           type: 'text',
-          text: JSON.stringify(
-            {
-              fbExportDataPath,
-              projectPath,
-              count: levels.length,
-              levels,
-            },
-            null,
-            2
-          ),
+          text: JSON.stringify(report, null, 2),
         },
       ],
     };
   }
 
   /**
-   * Export a Portal level to spatial JSON via the gdconverter tooling
+   * Validate a Portal scene against the Portal export rules without running Godot
    */
-  private async handleExportPortalLevel(args: any) {
+  private async handleValidatePortalScene(args: any) {
     args = this.normalizeParameters(args);
 
     if (!args.scenePath) {
       return this.createErrorResponse(
         'Scene path is required',
-        ['Provide the path to the scene (.tscn) file to export']
+        ['Provide the path to the scene (.tscn) file to validate']
       );
     }
 
@@ -2866,13 +10097,6 @@ class GodotServer {
       );
     }
 
-    if (args.outputDir && !this.validatePath(args.outputDir)) {
-      return this.createErrorResponse(
-        'Invalid output directory',
-        ['Provide an output directory without ".." or other potentially unsafe characters']
-      );
-    }
-
     const projectPath = this.resolveProjectPath(args.projectPath);
     if (!projectPath) {
       return this.createErrorResponse(
@@ -2884,73 +10108,262 @@ class GodotServer {
       );
     }
 
-    const fbExportDataPath =
-      typeof args.fbExportDataPath === 'string' && args.fbExportDataPath.trim()
-        ? normalize(args.fbExportDataPath)
-        : this.fbExportDataPath;
-
-    if (!fbExportDataPath || !existsSync(fbExportDataPath)) {
+    const sceneFile = this.toAbsolutePath(projectPath, args.scenePath);
+    if (!existsSync(sceneFile)) {
       return this.createErrorResponse(
-        'FbExportData path not found',
-        [
-          'Install or extract the Battlefield Portal SDK assets',
-          'Provide fbExportDataPath pointing to SDK/deps/FbExportData',
-        ]
+        `Scene file does not exist: ${sceneFile}`,
+        ['Ensure the scene path is correct relative to the project']
       );
     }
 
-    const converterScript = this.getGdConverterScriptPath('export_tscn.py');
-    if (!converterScript) {
+    let playableArea: PortalValidationOptions['playableArea'] = null;
+    if (args.playableArea !== undefined) {
+      const min = SpatialLevel.readVector(args.playableArea?.min);
+      const max = SpatialLevel.readVector(args.playableArea?.max);
+      if (!min || !max) {
+        return this.createErrorResponse(
+          'Invalid playableArea',
+          ['Provide playableArea as {"min": [x, y, z], "max": [x, y, z]}']
+        );
+      }
+      playableArea = { min, max };
+    }
+
+    const typeBudgets: Record<string, number> = {};
+    if (args.typeBudgets && typeof args.typeBudgets === 'object') {
+      for (const [type, budget] of Object.entries(args.typeBudgets)) {
+        if (typeof budget === 'number') {
+          typeBudgets[type] = budget;
+        }
+      }
+    }
+
+    try {
+      const document = TscnDocument.load(sceneFile);
+      const fbExportDataPath = this.resolveFbExportDataPath(args.fbExportDataPath);
+      const catalog = fbExportDataPath ? PortalAssetCatalog.load(fbExportDataPath) : null;
+
+      const validator = new PortalSceneValidator(document, catalog, {
+        playableArea,
+        objectBudget: typeof args.objectBudget === 'number' ? args.objectBudget : DEFAULT_PORTAL_OBJECT_BUDGET,
+        typeBudgets,
+        requiredTeams: typeof args.requiredTeams === 'number' ? args.requiredTeams : 2,
+      });
+      const findings = validator.run();
+      const count = (severity: PortalFinding['severity']) =>
+        findings.filter((finding) => finding.severity === severity).length;
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(
+              {
+                sceneFile: normalize(sceneFile),
+                catalog: catalog ? { path: catalog.filePath, assetTypes: catalog.types.size } : null,
+                playableArea: validator.playableAreaSource,
+                objectCount: validator.objectCount,
+                valid: count('error') === 0,
+                summary: { errors: count('error'), warnings: count('warning'), info: count('info') },
+                findings,
+              },
+              null,
+              2
+            ),
+          },
+        ],
+      };
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
       return this.createErrorResponse(
-        'Could not locate export_tscn.py in the Battlefield Portal SDK',
+        `Failed to validate Portal scene: ${message}`,
         [
-          'Verify the Portal SDK repository is available',
-          'Set PORTAL_SDK_PATH to the SDK root',
+          'Ensure the scene is a text scene (.tscn)',
+          'Verify the FbExportData asset_types.json is valid JSON',
         ]
       );
     }
+  }
 
-    const sceneFile = this.toAbsolutePath(projectPath, args.scenePath);
-    if (!existsSync(sceneFile)) {
+  /**
+   * Import a Portal .spatial.json level as a Godot scene in the Portal project
+   */
+  private async handleImportSpatialLevel(args: any) {
+    args = this.normalizeParameters(args);
+
+    const projectPath = this.resolveProjectPath(args.projectPath);
+    if (!projectPath || !existsSync(join(projectPath, 'project.godot'))) {
       return this.createErrorResponse(
-        `Scene file does not exist: ${sceneFile}`,
+        'Valid project path is required',
         [
-          'Ensure the scene path is correct relative to the project',
-          'Open the scene in Godot to verify it exists',
+          'Provide a valid path to the Battlefield Portal Godot project',
+          'Run create_portal_project first so the asset scenes exist',
         ]
       );
     }
 
-    let outputDir: string;
-    if (typeof args.outputDir === 'string' && args.outputDir.trim()) {
-      outputDir = this.toAbsolutePath(projectPath, args.outputDir);
-    } else {
-      outputDir = join(projectPath, 'portal_exports');
+    const file = this.resolveSpatialFile(args.spatialPath, args.levelName, args);
+    if ('error' in file) {
+      return file.error;
+    }
+    const loaded = this.loadSpatialLevel(file.path);
+    if ('error' in loaded) {
+      return loaded.error;
     }
 
-    mkdirSync(outputDir, { recursive: true });
+    const levelBaseName = basename(file.path).replace(/(\.spatial)?\.json$/, '');
+    const scenePath: string =
+      typeof args.scenePath === 'string' && args.scenePath.trim() ? args.scenePath : `imported/${levelBaseName}.tscn`;
+    if (!this.validatePath(scenePath) || !scenePath.endsWith('.tscn')) {
+      return this.createErrorResponse(
+        'Invalid scene path',
+        ['Provide a .tscn path without ".." or other potentially unsafe characters']
+      );
+    }
+    const sceneFile = this.toAbsolutePath(projectPath, scenePath);
+    if (existsSync(sceneFile) && args.overwrite !== true) {
+      return this.createErrorResponse(
+        `Scene file already exists: ${sceneFile}`,
+        ['Choose a different scenePath', 'Pass overwrite: true to replace the existing scene']
+      );
+    }
 
     try {
-      const { stdout, stderr, exitCode } = await this.runPythonScript(converterScript, [
-        sceneFile,
-        fbExportDataPath,
-        outputDir,
-      ]);
+      const fbExportDataPath = this.resolveFbExportDataPath(args.fbExportDataPath);
+      const catalog = fbExportDataPath ? PortalAssetCatalog.load(fbExportDataPath) : null;
+      const sceneIndex = this.indexProjectScenes(projectPath, catalog);
 
-      if (exitCode !== 0) {
-        return this.createErrorResponse(
-          `Portal export script failed with exit code ${exitCode}`,
+      const builder = new SpatialSceneBuilder(loaded.level, sceneIndex, {
+        placeholders: args.placeholders === true,
+        sections: Array.isArray(args.sections) ? args.sections.map((section: unknown) => String(section)) : null,
+      });
+      const text = builder.build(levelBaseName);
+
+      const unmappedTypes: Record<string, number> = {};
+      for (const object of builder.unmapped) {
+        unmappedTypes[object.type] = (unmappedTypes[object.type] ?? 0) + 1;
+      }
+      const summary = {
+        spatialPath: normalize(file.path),
+        sceneFile: normalize(sceneFile),
+        objectCount: loaded.level.objects.length,
+        placed: builder.placedCount,
+        placeholders: builder.placeholderCount,
+        unmappedCount: builder.unmapped.length,
+        unmappedTypes,
+        unmapped: builder.unmapped.slice(0, MAX_UNMAPPED_SAMPLE),
+        ...(builder.unmapped.length > MAX_UNMAPPED_SAMPLE
+          ? { unmappedOmitted: builder.unmapped.length - MAX_UNMAPPED_SAMPLE }
+          : {}),
+        skippedProperties: [...builder.skippedProperties],
+      };
+
+      if (args.dryRun === true) {
+        const exists = existsSync(sceneFile);
+        return this.createDryRunResponse(
+          'import_spatial_level',
           [
-            'Inspect the stdout/stderr output for details',
-            'Verify the scene and FbExportData paths are correct',
-          ]
+            {
+              path: `res://${scenePath.replace(/^res:\/\//, '')}`,
+              exists,
+              size: Buffer.byteLength(text),
+              text,
+              ...(exists ? { current_text: readFileSync(sceneFile, 'utf-8') } : {}),
+            },
+          ],
+          summary
         );
       }
 
-      const trimmedStdout = stdout.trim();
-      const trimmedStderr = stderr.trim();
-      const lines = trimmedStdout.split(/\r?\n/).filter((line) => line.trim().length > 0);
-      const exportedFile = lines.length > 0 ? normalize(lines[lines.length - 1]) : null;
+      mkdirSync(dirname(sceneFile), { recursive: true });
+      writeFileSync(sceneFile, text, 'utf-8');
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(summary, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      return this.createErrorResponse(
+        `Failed to import spatial level: ${message}`,
+        ['Ensure the project directory is writable', 'Verify the FbExportData asset_types.json is valid JSON']
+      );
+    }
+  }
+
+  /**
+   * Load the cached Portal asset index, rebuilding it when FbExportData or the project changed or a rebuild is requested
+   * @returns The index and whether it was rebuilt, or an error response when the catalog is missing
+   */
+  private loadPortalAssetIndex(
+    projectPath: string,
+    fbExportDataPath: string,
+    rebuild: boolean
+  ): { index: PortalAssetIndex; rebuilt: boolean } | { error: any } {
+    const fingerprint = PortalAssetIndex.fingerprint(fbExportDataPath, this.listProjectFiles(projectPath, '.tscn'));
+    const cached = rebuild ? null : PortalAssetIndex.loadCached(projectPath, fingerprint);
+    if (cached) {
+      return { index: cached, rebuilt: false };
+    }
+    const catalog = PortalAssetCatalog.load(fbExportDataPath);
+    if (!catalog) {
+      return {
+        error: this.createErrorResponse(
+          `Asset catalog not found: ${PortalAssetCatalog.catalogPath(fbExportDataPath)}`,
+          ['Verify the Battlefield Portal SDK installation is complete']
+        ),
+      };
+    }
+    const index = PortalAssetIndex.build(fingerprint, catalog, projectPath, this.indexProjectScenes(projectPath, catalog));
+    index.save(projectPath);
+    return { index, rebuilt: true };
+  }
+
+  /**
+   * Search the Portal asset catalog through the cached asset index
+   */
+  private async handleSearchPortalAssets(args: any) {
+    args = this.normalizeParameters(args);
+
+    const projectPath = this.resolveProjectPath(args.projectPath);
+    if (!projectPath || !existsSync(join(projectPath, 'project.godot'))) {
+      return this.createErrorResponse(
+        'Valid project path is required',
+        [
+          'Provide a valid path to the Battlefield Portal Godot project',
+          'Run create_portal_project first so the asset scenes exist',
+        ]
+      );
+    }
+
+    const fbExportDataPath = this.resolveFbExportDataPath(args.fbExportDataPath);
+    if (!fbExportDataPath || !existsSync(fbExportDataPath)) {
+      return this.createErrorResponse(
+        'FbExportData path not found',
+        [
+          'Install or extract the Battlefield Portal SDK assets',
+          'Provide fbExportDataPath pointing to SDK/deps/FbExportData',
+        ]
+      );
+    }
+
+    try {
+      const loaded = this.loadPortalAssetIndex(projectPath, fbExportDataPath, args.rebuild === true);
+      if ('error' in loaded) {
+        return loaded.error;
+      }
+      const { index, rebuilt } = loaded;
+
+      const results = index.search({
+        query: typeof args.query === 'string' ? args.query : '',
+        category: typeof args.category === 'string' && args.category.trim() ? args.category.trim() : null,
+        level: typeof args.level === 'string' && args.level.trim() ? args.level.trim() : null,
+      });
+      const limit = Math.max(1, Math.floor(Number(args.limit) || DEFAULT_ASSET_SEARCH_LIMIT));
 
       return {
         content: [
@@ -2958,12 +10371,16 @@ class GodotServer {
             type: 'text',
             text: JSON.stringify(
               {
-                sceneFile: normalize(sceneFile),
-                fbExportDataPath,
-                outputDir: normalize(outputDir),
-                exportedFile,
-                stdout: trimmedStdout,
-                stderr: trimmedStderr,
+                index: {
+                  path: normalize(PortalAssetIndex.cachePath(projectPath)),
+                  builtAt: index.builtAt,
+                  rebuilt,
+                  assetCount: index.assets.length,
+                  withScenes: index.assets.filter((asset) => asset.scenePath).length,
+                },
+                categories: index.categories(),
+                total: results.length,
+                results: results.slice(0, limit),
               },
               null,
               2
@@ -2974,84 +10391,113 @@ class GodotServer {
     } catch (error) {
       const message = error instanceof Error ? error.message : String(error);
       return this.createErrorResponse(
-        `Failed to export Portal level: ${message}`,
+        `Failed to search Portal assets: ${message}`,
         [
-          'Ensure Python 3 is installed and accessible',
-          'Verify the Battlefield Portal SDK gdconverter dependencies are installed',
+          'Verify the FbExportData asset_types.json is valid JSON',
+          'Pass rebuild: true to regenerate the cached index',
         ]
       );
     }
   }
 
   /**
-   * Rebuild the Battlefield Portal Godot project from FbExportData assets
+   * Check the assets placed in a scene against the level restrictions of a target level
    */
-  private async handleCreatePortalProject(args: any) {
+  private async handleCheckLevelCompatibility(args: any) {
     args = this.normalizeParameters(args);
 
-    this.detectPortalPaths();
+    if (!args.scenePath || !args.levelName) {
+      return this.createErrorResponse(
+        'Missing required parameters',
+        ['Provide scenePath and levelName']
+      );
+    }
 
-    const fbExportDataPath =
-      typeof args.fbExportDataPath === 'string' && args.fbExportDataPath.trim()
-        ? normalize(args.fbExportDataPath)
-        : this.fbExportDataPath;
+    if (!this.validatePath(args.scenePath)) {
+      return this.createErrorResponse(
+        'Invalid scene path',
+        ['Provide a scene path without ".." or other potentially unsafe characters']
+      );
+    }
 
-    if (!fbExportDataPath || !existsSync(fbExportDataPath)) {
+    const projectPath = this.resolveProjectPath(args.projectPath);
+    if (!projectPath || !existsSync(join(projectPath, 'project.godot'))) {
       return this.createErrorResponse(
-        'FbExportData path not found',
+        'Valid project path is required',
         [
-          'Install or extract the Battlefield Portal SDK assets',
-          'Provide fbExportDataPath pointing to SDK/deps/FbExportData',
+          'Provide a valid path to the Battlefield Portal Godot project',
+          'Ensure the Portal SDK has been detected correctly',
         ]
       );
     }
 
-    let outputDir: string;
-    if (typeof args.outputDir === 'string' && args.outputDir.trim()) {
-      outputDir = normalize(args.outputDir);
-    } else if (this.portalProjectPath) {
-      outputDir = this.portalProjectPath;
-    } else if (this.portalSdkPath) {
-      outputDir = normalize(join(this.portalSdkPath, 'GodotProject'));
-    } else {
-      outputDir = normalize(join(process.cwd(), 'PortalGodotProject'));
+    const sceneFile = this.toAbsolutePath(projectPath, args.scenePath);
+    if (!existsSync(sceneFile)) {
+      return this.createErrorResponse(
+        `Scene file does not exist: ${sceneFile}`,
+        ['Ensure the scene path is correct relative to the project']
+      );
     }
 
-    mkdirSync(outputDir, { recursive: true });
-
-    const converterScript = this.getGdConverterScriptPath('create_godot.py');
-    if (!converterScript) {
+    const fbExportDataPath = this.resolveFbExportDataPath(args.fbExportDataPath);
+    if (!fbExportDataPath || !existsSync(join(fbExportDataPath, 'levels'))) {
       return this.createErrorResponse(
-        'Could not locate create_godot.py in the Battlefield Portal SDK',
+        'FbExportData path not found',
         [
-          'Verify the Portal SDK repository is available',
-          'Set PORTAL_SDK_PATH to the SDK root',
+          'Install or extract the Battlefield Portal SDK assets',
+          'Provide fbExportDataPath pointing to SDK/deps/FbExportData',
         ]
       );
     }
 
-    const scriptArgs = [fbExportDataPath, outputDir];
-    if (args.overwriteLevels === true) {
-      scriptArgs.push('--overwrite-levels');
-    }
-
     try {
-      const { stdout, stderr, exitCode } = await this.runPythonScript(converterScript, scriptArgs);
-
-      if (exitCode !== 0) {
+      const levels = this.collectPortalLevels(fbExportDataPath, projectPath);
+      const level = levels.find((candidate) => candidate.name.toLowerCase() === String(args.levelName).toLowerCase());
+      if (!level) {
         return this.createErrorResponse(
-          `Portal project generation failed with exit code ${exitCode}`,
-          [
-            'Inspect the stdout/stderr output for details',
-            'Ensure Python dependencies from SDK/requirements.txt are installed',
-          ]
+          `Level not found: ${args.levelName}`,
+          [`Available levels: ${levels.map((candidate) => candidate.name).join(', ') || 'none'}`]
         );
       }
 
-      const trimmedStdout = stdout.trim();
-      const trimmedStderr = stderr.trim();
+      const loaded = this.loadPortalAssetIndex(projectPath, fbExportDataPath, false);
+      if ('error' in loaded) {
+        return loaded.error;
+      }
+      const index = loaded.index;
+      const maxSubstitutes = Math.max(0, Math.floor(Number(args.maxSubstitutes ?? 3) || 0));
+
+      const document = TscnDocument.load(sceneFile);
+      const disallowed = new Map<string, { asset: PortalAssetEntry; nodePaths: string[] }>();
+      const unknownTypes = new Set<string>();
+      let objectCount = 0;
+      for (const node of document.placedObjects()) {
+        const type = document.assetType(node);
+        if (!type) {
+          continue;
+        }
+        objectCount++;
+        const asset = index.find(type);
+        if (!asset) {
+          unknownTypes.add(type);
+        } else if (!PortalAssetIndex.allowedOn(asset, level.name)) {
+          const entry = disallowed.get(type) ?? { asset, nodePaths: [] };
+          entry.nodePaths.push(node.path);
+          disallowed.set(type, entry);
+        }
+      }
 
-      this.portalProjectPath = normalize(outputDir);
+      const incompatible = [...disallowed.values()].map(({ asset, nodePaths }) => ({
+        type: asset.name,
+        category: asset.category,
+        allowedLevels: asset.allowedLevels,
+        count: nodePaths.length,
+        nodePaths,
+        substitutes: index.substitutes(asset, level.name, maxSubstitutes).map((substitute) => ({
+          type: substitute.name,
+          scenePath: substitute.scenePath,
+        })),
+      }));
 
       return {
         content: [
@@ -3059,10 +10505,13 @@ class GodotServer {
             type: 'text',
             text: JSON.stringify(
               {
-                projectPath: this.portalProjectPath,
-                fbExportDataPath,
-                stdout: trimmedStdout,
-                stderr: trimmedStderr,
+                sceneFile: normalize(sceneFile),
+                level: { name: level.name, info: level.info ?? null },
+                objectCount,
+                compatible: incompatible.length === 0,
+                incompatibleObjects: incompatible.reduce((total, entry) => total + entry.count, 0),
+                incompatible,
+                unknownTypes: [...unknownTypes].sort(),
               },
               null,
               2
@@ -3073,10 +10522,10 @@ class GodotServer {
     } catch (error) {
       const message = error instanceof Error ? error.message : String(error);
       return this.createErrorResponse(
-        `Failed to regenerate the Portal project: ${message}`,
+        `Failed to check level compatibility: ${message}`,
         [
-          'Ensure Python 3 is installed and accessible',
-          'Verify the Battlefield Portal SDK dependencies are installed',
+          'Ensure the scene is a text scene (.tscn)',
+          'Verify the FbExportData asset_types.json is valid JSON',
         ]
       );
     }
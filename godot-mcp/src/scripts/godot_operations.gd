@@ -4,6 +4,46 @@ extends SceneTree
 # Debug mode flag
 var debug_mode = false
 
+# Markers wrapping the JSON result envelope printed to stdout
+const RESULT_BEGIN_MARKER = "<<<MCP_RESULT_BEGIN>>>"
+const RESULT_END_MARKER = "<<<MCP_RESULT_END>>>"
+
+# Result envelope state for the operation currently being executed
+var result_data = {}
+var result_errors = []
+var result_warnings = []
+
+# Nodes created by the current operation, freed once it completes
+var tracked_nodes = []
+
+# When set by the "dry_run" parameter, save_resource reports what would be written instead of writing it
+var dry_run = false
+
+# Properties reported by get_scene_tree when the caller does not choose any
+const DEFAULT_TREE_PROPERTIES = ["position", "rotation_degrees", "scale", "visible"]
+
+# Persistent worker state, used when the operation is "worker"
+var worker_mode = false
+var worker_peer = null
+var worker_buffer = PackedByteArray()
+var worker_token = ""
+var worker_greeted = false
+
+# Frame rate cap for the worker's main loop, which otherwise polls its socket as fast as the CPU allows
+const WORKER_MAX_FPS = 30
+
+# Pending render_scene_preview capture, advanced frame by frame from _process
+var render_state = null
+
+# Most copies a single duplicate step may create
+const MAX_DUPLICATE_COUNT = 1000
+
+# Frames rendered before the preview image is read back, so materials and shaders have settled
+const RENDER_WARMUP_FRAMES = 5
+
+# Fraction of the scene bounds left empty on each side of a top-down preview
+const PREVIEW_MARGIN = 0.05
+
 func _init():
     var args = OS.get_cmdline_args()
     
@@ -13,8 +53,9 @@ func _init():
     # Find the script argument and determine the positions of operation and params
     var script_index = args.find("--script")
     if script_index == -1:
-        log_error("Could not find --script argument")
-        quit(1)
+        report_error("INVALID_ARGUMENTS", "Could not find --script argument")
+        finish("unknown")
+        return
     
     # The operation should be 2 positions after the script path (script_index + 1 is the script path itself)
     var operation_index = script_index + 2
@@ -23,8 +64,9 @@ func _init():
     
     if args.size() <= params_index:
         log_error("Usage: godot --headless --script godot_operations.gd <operation> <json_params>")
-        log_error("Not enough command-line arguments provided.")
-        quit(1)
+        report_error("INVALID_ARGUMENTS", "Not enough command-line arguments provided.")
+        finish("unknown")
+        return
     
     # Log all arguments for debugging
     log_debug("All arguments: " + str(args))
@@ -35,6 +77,15 @@ func _init():
     var operation = args[operation_index]
     var params_json = args[params_index]
     
+    # Large parameter payloads arrive as "@<path>" to a temporary JSON file
+    if params_json.begins_with("@"):
+        var params_path = params_json.substr(1)
+        if not FileAccess.file_exists(params_path):
+            report_error("INVALID_PARAMS", "Parameter file not found: " + params_path)
+            finish(operation)
+            return
+        params_json = FileAccess.get_file_as_string(params_path)
+    
     log_info("Operation: " + operation)
     log_debug("Params JSON: " + params_json)
     
@@ -46,16 +97,37 @@ func _init():
     if error == OK:
         params = json.get_data()
     else:
-        log_error("Failed to parse JSON parameters: " + params_json)
         log_error("JSON Error: " + json.get_error_message() + " at line " + str(json.get_error_line()))
-        quit(1)
+        report_error("INVALID_PARAMS", "Failed to parse JSON parameters: " + params_json)
+        finish(operation)
+        return
     
     if not params:
-        log_error("Failed to parse JSON parameters: " + params_json)
-        quit(1)
+        report_error("INVALID_PARAMS", "Failed to parse JSON parameters: " + params_json)
+        finish(operation)
+        return
+    
+    if operation == "worker":
+        start_worker(params)
+        return
+    
+    # Rendering needs the main loop to draw frames, so the result is emitted later from _process
+    if operation == "render_scene_preview":
+        begin_result()
+        if not start_render_preview(params):
+            finish(operation)
+        return
     
     log_info("Executing operation: " + operation)
     
+    run_operation(operation, params)
+    finish(operation)
+
+# Dispatch an operation, collecting its result into the envelope state
+func run_operation(operation, params):
+    begin_result()
+    dry_run = params.get("dry_run", false) == true
+    
     match operation:
         "create_scene":
             create_scene(params)
@@ -71,11 +143,162 @@ func _init():
             get_uid(params)
         "resave_resources":
             resave_resources(params)
+        "edit_scene":
+            edit_scene(params)
+        "get_scene_tree":
+            get_scene_tree(params)
+        "remove_node":
+            edit_single_node(params, "remove_node")
+        "reparent_node":
+            edit_single_node(params, "reparent")
+        "rename_node":
+            edit_single_node(params, "rename")
+        "duplicate_node":
+            edit_single_node(params, "duplicate")
+        "set_node_properties":
+            edit_single_node(params, "set_property")
+        "instance_scene":
+            edit_single_node(params, "instance_scene")
         _:
-            log_error("Unknown operation: " + operation)
-            quit(1)
+            report_error("UNKNOWN_OPERATION", "Unknown operation: " + operation)
+    
+    release_tracked_nodes()
+    return build_result(operation)
+
+# Connect back to the MCP server and serve operations until the connection closes
+func start_worker(params):
+    if not params.has("port") or not params.has("token"):
+        report_error("INVALID_PARAMS", "Worker port and token are required")
+        finish("worker")
+        return
+    
+    worker_peer = StreamPeerTCP.new()
+    var error = worker_peer.connect_to_host("127.0.0.1", int(params.port))
+    if error != OK:
+        report_error("WORKER_CONNECT_FAILED", "Failed to connect to the MCP server on port " + str(params.port) + ": " + str(error))
+        finish("worker")
+        return
+    
+    worker_token = str(params.token)
+    worker_mode = true
+    Engine.max_fps = WORKER_MAX_FPS
+    log_info("Worker connecting to the MCP server on port " + str(params.port))
+
+# Poll the worker connection or a pending preview capture; returning true ends the main loop
+func _process(_delta):
+    if render_state != null:
+        return process_render_preview()
+    if not worker_mode:
+        return false
+    
+    worker_peer.poll()
+    var status = worker_peer.get_status()
+    if status == StreamPeerTCP.STATUS_CONNECTING:
+        return false
+    if status != StreamPeerTCP.STATUS_CONNECTED:
+        log_info("Worker connection closed, shutting down")
+        return true
+    
+    # The server only accepts this connection as its worker once it has seen the token
+    if not worker_greeted:
+        worker_peer.put_data((worker_token + "\n").to_utf8_buffer())
+        worker_greeted = true
+    
+    var available = worker_peer.get_available_bytes()
+    if available > 0:
+        var chunk = worker_peer.get_data(available)
+        if chunk[0] == OK:
+            worker_buffer.append_array(chunk[1])
+    
+    var newline = worker_buffer.find(10)
+    while newline != -1:
+        var line = worker_buffer.slice(0, newline).get_string_from_utf8()
+        worker_buffer = worker_buffer.slice(newline + 1)
+        handle_worker_request(line)
+        newline = worker_buffer.find(10)
+    
+    return false
+
+# Execute a single newline-delimited JSON request and write the envelope back
+func handle_worker_request(line):
+    if line.strip_edges().is_empty():
+        return
+    
+    var json = JSON.new()
+    var envelope = null
+    var request_id = null
+    if json.parse(line) != OK or typeof(json.get_data()) != TYPE_DICTIONARY:
+        begin_result()
+        report_error("INVALID_PARAMS", "Failed to parse worker request: " + json.get_error_message())
+        envelope = build_result("unknown")
+    else:
+        var request = json.get_data()
+        request_id = request.get("id")
+        var operation = str(request.get("operation", ""))
+        var params = request.get("params", {})
+        log_info("Worker executing operation: " + operation)
+        if typeof(params) != TYPE_DICTIONARY:
+            begin_result()
+            report_error("INVALID_PARAMS", "Worker request params must be an object")
+            envelope = build_result(operation)
+        else:
+            envelope = run_operation(operation, params)
     
-    quit()
+    envelope["id"] = request_id
+    worker_peer.put_data((JSON.stringify(envelope) + "\n").to_utf8_buffer())
+
+# Free nodes instantiated by the current operation so a long-lived worker does not leak them
+func track_node(node):
+    if node:
+        tracked_nodes.append(node)
+    return node
+
+func release_tracked_nodes():
+    for node in tracked_nodes:
+        if is_instance_valid(node) and node.get_parent() == null:
+            node.free()
+    tracked_nodes = []
+
+# Load a scene from disk, bypassing stale cache entries left by earlier operations in the same process
+func load_scene(path):
+    return ResourceLoader.load(path, "", ResourceLoader.CACHE_MODE_REPLACE)
+
+# Print the result envelope and quit with a matching exit code
+func finish(operation):
+    var envelope = build_result(operation)
+    emit_result(envelope)
+    quit(0 if envelope.status == "ok" else 1)
+
+# Result envelope helpers
+func begin_result():
+    result_data = {}
+    result_errors = []
+    result_warnings = []
+
+func build_result(operation):
+    return {
+        "status": "ok" if result_errors.is_empty() else "error",
+        "operation": operation,
+        "data": result_data,
+        "errors": result_errors,
+        "warnings": result_warnings
+    }
+
+func emit_result(envelope):
+    print(RESULT_BEGIN_MARKER + JSON.stringify(envelope) + RESULT_END_MARKER)
+
+func set_result(key, value):
+    result_data[key] = value
+
+# Record a failure for the current operation; always returns false so callers can `return report_error(...)`
+func report_error(code, message):
+    log_error(message)
+    result_errors.append({"code": code, "message": message})
+    return false
+
+func report_warning(code, message):
+    printerr("[WARNING] " + message)
+    result_warnings.append({"code": code, "message": message})
 
 # Logging functions
 func log_debug(message):
@@ -172,6 +395,12 @@ func instantiate_class(name_of_class):
     
     return result
 
+# Format a node path relative to the scene root using the "root/..." convention of the MCP tools
+func format_node_path(scene_root, node):
+    if node == scene_root:
+        return "root"
+    return "root/" + str(scene_root.get_path_to(node))
+
 # Create a new scene with a specified root node type
 func create_scene(params):
     print("Creating scene: " + params.scene_path)
@@ -246,12 +475,12 @@ func create_scene(params):
         print("Root node type: " + root_node_type)
     
     # Create the root node
-    var scene_root = instantiate_class(root_node_type)
+    var scene_root = track_node(instantiate_class(root_node_type))
     if not scene_root:
-        printerr("Failed to instantiate node of type: " + root_node_type)
+        report_error("INSTANTIATE_FAILED", "Failed to instantiate node of type: " + root_node_type)
         printerr("Make sure the class exists and can be instantiated")
         printerr("Check if the class is registered in ClassDB or available as a script")
-        quit(1)
+        return
     
     scene_root.name = "root"
     if debug_mode:
@@ -300,7 +529,7 @@ func create_scene(params):
             print("Scene directory (relative to res://): " + scene_dir_relative)
         
         # Create the directory if needed
-        if not scene_dir_relative.is_empty():
+        if not scene_dir_relative.is_empty() and not dry_run:
             # First check if it exists
             var dir_exists = DirAccess.dir_exists_absolute(scene_dir_abs)
             if debug_mode:
@@ -324,9 +553,9 @@ func create_scene(params):
                         print("Make directory result (absolute): " + str(make_dir_error))
                     
                     if make_dir_error != OK:
-                        printerr("Failed to create directory using absolute path")
+                        report_error("DIRECTORY_CREATE_FAILED", "Failed to create directory using absolute path")
                         printerr("Error code: " + str(make_dir_error))
-                        quit(1)
+                        return
                 else:
                     # Create the directory using the DirAccess instance
                     if debug_mode:
@@ -336,9 +565,9 @@ func create_scene(params):
                         print("Make directory result: " + str(make_dir_error))
                     
                     if make_dir_error != OK:
-                        printerr("Failed to create directory: " + scene_dir_relative)
+                        report_error("DIRECTORY_CREATE_FAILED", "Failed to create directory: " + scene_dir_relative)
                         printerr("Error code: " + str(make_dir_error))
-                        quit(1)
+                        return
                 
                 # Verify the directory was created
                 dir_exists = DirAccess.dir_exists_absolute(scene_dir_abs)
@@ -346,20 +575,24 @@ func create_scene(params):
                     print("Directory exists check after creation: " + str(dir_exists))
                 
                 if not dir_exists:
-                    printerr("Directory reported as created but does not exist: " + scene_dir_abs)
+                    report_error("DIRECTORY_CREATE_FAILED", "Directory reported as created but does not exist: " + scene_dir_abs)
                     printerr("This may indicate a problem with path resolution or permissions")
-                    quit(1)
+                    return
             elif debug_mode:
                 print("Directory already exists: " + scene_dir_abs)
         
         # Save the scene
         if debug_mode:
             print("Saving scene to: " + full_scene_path)
-        var save_error = ResourceSaver.save(packed_scene, full_scene_path)
+        var save_error = save_resource(packed_scene, full_scene_path)
         if debug_mode:
             print("Save result: " + str(save_error) + " (OK=" + str(OK) + ")")
         
         if save_error == OK:
+            set_result("scenePath", full_scene_path)
+            set_result("rootNodeType", root_node_type)
+            if dry_run:
+                return
             # Only do extensive testing in debug mode
             if debug_mode:
                 # Wait a moment to ensure file system has time to complete the write
@@ -415,8 +648,8 @@ func create_scene(params):
                         printerr("This confirms there are permission or path issues with the scene directory.")
                     
                     # Return error since we couldn't create the scene file
-                    printerr("Failed to create scene: " + params.scene_path)
-                    quit(1)
+                    report_error("SAVE_FAILED", "Failed to create scene: " + params.scene_path)
+                    return
                 
                 # If we get here, at least one of our file checks passed
                 if file_check_abs or file_check_res or res_exists:
@@ -433,17 +666,17 @@ func create_scene(params):
                     
                     print("Scene created successfully at: " + params.scene_path)
                 else:
-                    printerr("All file existence checks failed despite successful save operation.")
+                    report_error("SAVE_FAILED", "All file existence checks failed despite successful save operation.")
                     printerr("This indicates a serious issue with file system access or path resolution.")
-                    quit(1)
+                    return
             else:
                 # In non-debug mode, just check if the file exists
                 var file_exists = FileAccess.file_exists(full_scene_path)
                 if file_exists:
                     print("Scene created successfully at: " + params.scene_path)
                 else:
-                    printerr("Failed to create scene: " + params.scene_path)
-                    quit(1)
+                    report_error("SAVE_FAILED", "Failed to create scene: " + params.scene_path)
+                    return
         else:
             # Handle specific error codes
             var error_message = "Failed to save scene. Error code: " + str(save_error)
@@ -457,12 +690,12 @@ func create_scene(params):
             elif save_error == ERR_FILE_NO_PERMISSION:
                 error_message += " (ERR_FILE_NO_PERMISSION - No permission to write the scene file)"
             
-            printerr(error_message)
-            quit(1)
+            report_error("SAVE_FAILED", error_message)
+            return
     else:
-        printerr("Failed to pack scene: " + str(result))
+        report_error("PACK_FAILED", "Failed to pack scene: " + str(result))
         printerr("Error code: " + str(result))
-        quit(1)
+        return
 
 # Add a node to an existing scene
 func add_node(params):
@@ -479,17 +712,17 @@ func add_node(params):
         print("Absolute scene path: " + absolute_scene_path)
     
     if not FileAccess.file_exists(absolute_scene_path):
-        printerr("Scene file does not exist at: " + absolute_scene_path)
-        quit(1)
+        report_error("SCENE_NOT_FOUND", "Scene file does not exist at: " + absolute_scene_path)
+        return
     
-    var scene = load(full_scene_path)
+    var scene = load_scene(full_scene_path)
     if not scene:
-        printerr("Failed to load scene: " + full_scene_path)
-        quit(1)
+        report_error("SCENE_LOAD_FAILED", "Failed to load scene: " + full_scene_path)
+        return
     
     if debug_mode:
         print("Scene loaded successfully")
-    var scene_root = scene.instantiate()
+    var scene_root = track_node(scene.instantiate())
     if debug_mode:
         print("Scene instantiated")
     
@@ -502,10 +735,10 @@ func add_node(params):
     
     var parent = scene_root
     if parent_path != "root":
-        parent = scene_root.get_node(parent_path.replace("root/", ""))
+        parent = scene_root.get_node_or_null(parent_path.replace("root/", ""))
         if not parent:
-            printerr("Parent node not found: " + parent_path)
-            quit(1)
+            report_error("NODE_NOT_FOUND", "Parent node not found: " + parent_path)
+            return
     if debug_mode:
         print("Parent node found: " + parent.name)
     
@@ -513,10 +746,10 @@ func add_node(params):
         print("Instantiating node of type: " + params.node_type)
     var new_node = instantiate_class(params.node_type)
     if not new_node:
-        printerr("Failed to instantiate node of type: " + params.node_type)
+        report_error("INSTANTIATE_FAILED", "Failed to instantiate node of type: " + params.node_type)
         printerr("Make sure the class exists and can be instantiated")
         printerr("Check if the class is registered in ClassDB or available as a script")
-        quit(1)
+        return
     new_node.name = params.node_name
     if debug_mode:
         print("New node created with name: " + new_node.name)
@@ -524,11 +757,13 @@ func add_node(params):
     if params.has("properties"):
         if debug_mode:
             print("Setting properties on node")
-        var properties = params.properties
-        for property in properties:
-            if debug_mode:
-                print("Setting property: " + property + " = " + str(properties[property]))
-            new_node.set(property, properties[property])
+        var property_errors = apply_properties(new_node, params.properties)
+        if not property_errors.is_empty():
+            new_node.free()
+            set_result("propertyErrors", property_errors)
+            for property_error in property_errors:
+                report_error(property_error.code, property_error.message)
+            return
     
     parent.add_child(new_node)
     new_node.owner = scene_root
@@ -543,23 +778,27 @@ func add_node(params):
     if result == OK:
         if debug_mode:
             print("Saving scene to: " + absolute_scene_path)
-        var save_error = ResourceSaver.save(packed_scene, absolute_scene_path)
+        var save_error = save_resource(packed_scene, absolute_scene_path)
         if debug_mode:
             print("Save result: " + str(save_error) + " (OK=" + str(OK) + ")")
         if save_error == OK:
+            set_result("scenePath", full_scene_path)
+            set_result("nodePath", format_node_path(scene_root, new_node))
+            set_result("nodeType", new_node.get_class())
+            set_result("nodeName", str(new_node.name))
             if debug_mode:
                 var file_check_after = FileAccess.file_exists(absolute_scene_path)
                 print("File exists check after save: " + str(file_check_after))
                 if file_check_after:
                     print("Node '" + params.node_name + "' of type '" + params.node_type + "' added successfully")
                 else:
-                    printerr("File reported as saved but does not exist at: " + absolute_scene_path)
+                    report_error("SAVE_FAILED", "File reported as saved but does not exist at: " + absolute_scene_path)
             else:
                 print("Node '" + params.node_name + "' of type '" + params.node_type + "' added successfully")
         else:
-            printerr("Failed to save scene: " + str(save_error))
+            report_error("SAVE_FAILED", "Failed to save scene: " + str(save_error))
     else:
-        printerr("Failed to pack scene: " + str(result))
+        report_error("PACK_FAILED", "Failed to pack scene: " + str(result))
 
 # Load a sprite into a Sprite2D node
 func load_sprite(params):
@@ -579,11 +818,11 @@ func load_sprite(params):
         print("Scene file exists check: " + str(file_check))
     
     if not file_check:
-        printerr("Scene file does not exist at: " + full_scene_path)
+        report_error("SCENE_NOT_FOUND", "Scene file does not exist at: " + full_scene_path)
         # Get the absolute path for reference
         var absolute_path = ProjectSettings.globalize_path(full_scene_path)
         printerr("Absolute file path that doesn't exist: " + absolute_path)
-        quit(1)
+        return
     
     # Ensure the texture path starts with res:// for Godot's resource system
     var full_texture_path = params.texture_path
@@ -594,16 +833,16 @@ func load_sprite(params):
         print("Full texture path (with res://): " + full_texture_path)
     
     # Load the scene
-    var scene = load(full_scene_path)
+    var scene = load_scene(full_scene_path)
     if not scene:
-        printerr("Failed to load scene: " + full_scene_path)
-        quit(1)
+        report_error("SCENE_LOAD_FAILED", "Failed to load scene: " + full_scene_path)
+        return
     
     if debug_mode:
         print("Scene loaded successfully")
     
     # Instance the scene
-    var scene_root = scene.instantiate()
+    var scene_root = track_node(scene.instantiate())
     if debug_mode:
         print("Scene instantiated")
     
@@ -624,28 +863,28 @@ func load_sprite(params):
         if debug_mode:
             print("Using root node as sprite node")
     else:
-        sprite_node = scene_root.get_node(node_path)
+        sprite_node = scene_root.get_node_or_null(node_path)
         if sprite_node and debug_mode:
             print("Found sprite node: " + sprite_node.name)
     
     if not sprite_node:
-        printerr("Node not found: " + params.node_path)
-        quit(1)
+        report_error("NODE_NOT_FOUND", "Node not found: " + params.node_path)
+        return
     
     # Check if the node is a Sprite2D or compatible type
     if debug_mode:
         print("Node class: " + sprite_node.get_class())
     if not (sprite_node is Sprite2D or sprite_node is Sprite3D or sprite_node is TextureRect):
-        printerr("Node is not a sprite-compatible type: " + sprite_node.get_class())
-        quit(1)
+        report_error("INVALID_NODE_TYPE", "Node is not a sprite-compatible type: " + sprite_node.get_class())
+        return
     
     # Load the texture
     if debug_mode:
         print("Loading texture from: " + full_texture_path)
     var texture = load(full_texture_path)
     if not texture:
-        printerr("Failed to load texture: " + full_texture_path)
-        quit(1)
+        report_error("TEXTURE_LOAD_FAILED", "Failed to load texture: " + full_texture_path)
+        return
     
     if debug_mode:
         print("Texture loaded successfully")
@@ -669,11 +908,14 @@ func load_sprite(params):
     if result == OK:
         if debug_mode:
             print("Saving scene to: " + full_scene_path)
-        var error = ResourceSaver.save(packed_scene, full_scene_path)
+        var error = save_resource(packed_scene, full_scene_path)
         if debug_mode:
             print("Save result: " + str(error) + " (OK=" + str(OK) + ")")
         
         if error == OK:
+            set_result("scenePath", full_scene_path)
+            set_result("nodePath", params.node_path)
+            set_result("texturePath", full_texture_path)
             # Verify the file was actually updated
             if debug_mode:
                 var file_check_after = FileAccess.file_exists(full_scene_path)
@@ -685,13 +927,13 @@ func load_sprite(params):
                     var absolute_path = ProjectSettings.globalize_path(full_scene_path)
                     print("Absolute file path: " + absolute_path)
                 else:
-                    printerr("File reported as saved but does not exist at: " + full_scene_path)
+                    report_error("SAVE_FAILED", "File reported as saved but does not exist at: " + full_scene_path)
             else:
                 print("Sprite loaded successfully with texture: " + full_texture_path)
         else:
-            printerr("Failed to save scene: " + str(error))
+            report_error("SAVE_FAILED", "Failed to save scene: " + str(error))
     else:
-        printerr("Failed to pack scene: " + str(result))
+        report_error("PACK_FAILED", "Failed to pack scene: " + str(result))
 
 # Export a scene as a MeshLibrary resource
 func export_mesh_library(params):
@@ -719,25 +961,25 @@ func export_mesh_library(params):
         print("Scene file exists check: " + str(file_check))
     
     if not file_check:
-        printerr("Scene file does not exist at: " + full_scene_path)
+        report_error("SCENE_NOT_FOUND", "Scene file does not exist at: " + full_scene_path)
         # Get the absolute path for reference
         var absolute_path = ProjectSettings.globalize_path(full_scene_path)
         printerr("Absolute file path that doesn't exist: " + absolute_path)
-        quit(1)
+        return
     
     # Load the scene
     if debug_mode:
         print("Loading scene from: " + full_scene_path)
-    var scene = load(full_scene_path)
+    var scene = load_scene(full_scene_path)
     if not scene:
-        printerr("Failed to load scene: " + full_scene_path)
-        quit(1)
+        report_error("SCENE_LOAD_FAILED", "Failed to load scene: " + full_scene_path)
+        return
     
     if debug_mode:
         print("Scene loaded successfully")
     
     # Instance the scene
-    var scene_root = scene.instantiate()
+    var scene_root = track_node(scene.instantiate())
     if debug_mode:
         print("Scene instantiated")
     
@@ -828,33 +1070,35 @@ func export_mesh_library(params):
     # Create directory if it doesn't exist
     var dir = DirAccess.open("res://")
     if dir == null:
-        printerr("Failed to open res:// directory")
+        report_error("DIRECTORY_CREATE_FAILED", "Failed to open res:// directory")
         printerr("DirAccess error: " + str(DirAccess.get_open_error()))
-        quit(1)
+        return
         
     var output_dir = full_output_path.get_base_dir()
     if debug_mode:
         print("Output directory: " + output_dir)
     
-    if output_dir != "res://" and not dir.dir_exists(output_dir.substr(6)):  # Remove "res://" prefix
+    if output_dir != "res://" and not dry_run and not dir.dir_exists(output_dir.substr(6)):  # Remove "res://" prefix
         if debug_mode:
             print("Creating directory: " + output_dir)
         var error = dir.make_dir_recursive(output_dir.substr(6))  # Remove "res://" prefix
         if error != OK:
-            printerr("Failed to create directory: " + output_dir + ", error: " + str(error))
-            quit(1)
+            report_error("DIRECTORY_CREATE_FAILED", "Failed to create directory: " + output_dir + ", error: " + str(error))
+            return
     
     # Save the mesh library
     if item_id > 0:
         if debug_mode:
             print("Saving MeshLibrary to: " + full_output_path)
-        var error = ResourceSaver.save(mesh_library, full_output_path)
+        var error = save_resource(mesh_library, full_output_path)
         if debug_mode:
             print("Save result: " + str(error) + " (OK=" + str(OK) + ")")
         
         if error == OK:
+            set_result("outputPath", full_output_path)
+            set_result("itemCount", item_id)
             # Verify the file was actually created
-            if debug_mode:
+            if debug_mode and not dry_run:
                 var file_check_after = FileAccess.file_exists(full_output_path)
                 print("File exists check after save: " + str(file_check_after))
                 
@@ -864,13 +1108,13 @@ func export_mesh_library(params):
                     var absolute_path = ProjectSettings.globalize_path(full_output_path)
                     print("Absolute file path: " + absolute_path)
                 else:
-                    printerr("File reported as saved but does not exist at: " + full_output_path)
+                    report_error("SAVE_FAILED", "File reported as saved but does not exist at: " + full_output_path)
             else:
                 print("MeshLibrary exported successfully with " + str(item_id) + " items to: " + full_output_path)
         else:
-            printerr("Failed to save MeshLibrary: " + str(error))
+            report_error("SAVE_FAILED", "Failed to save MeshLibrary: " + str(error))
     else:
-        printerr("No valid meshes found in the scene")
+        report_error("NO_MESHES", "No valid meshes found in the scene")
 
 # Find files with a specific extension recursively
 func find_files(path, extension):
@@ -894,8 +1138,8 @@ func find_files(path, extension):
 # Get UID for a specific file
 func get_uid(params):
     if not params.has("file_path"):
-        printerr("File path is required")
-        quit(1)
+        report_error("INVALID_PARAMS", "File path is required")
+        return
     
     # Ensure the file path starts with res:// for Godot's resource system
     var file_path = params.file_path
@@ -917,9 +1161,9 @@ func get_uid(params):
         print("File exists check: " + str(file_check))
     
     if not file_check:
-        printerr("File does not exist at: " + file_path)
+        report_error("FILE_NOT_FOUND", "File does not exist at: " + file_path)
         printerr("Absolute file path that doesn't exist: " + absolute_path)
-        quit(1)
+        return
     
     # Check if the UID file exists
     var uid_path = file_path + ".uid"
@@ -949,6 +1193,7 @@ func get_uid(params):
         if debug_mode:
             print("UID result: " + JSON.stringify(result))
         print(JSON.stringify(result))
+        result_data = result
     else:
         if debug_mode:
             print("UID file does not exist or could not be opened")
@@ -963,6 +1208,7 @@ func get_uid(params):
         if debug_mode:
             print("UID result: " + JSON.stringify(result))
         print(JSON.stringify(result))
+        result_data = result
 
 # Resave all resources to update UID references
 func resave_resources(params):
@@ -1001,12 +1247,17 @@ func resave_resources(params):
             print("Scene file exists check: " + str(file_check))
         
         if not file_check:
-            printerr("Scene file does not exist at: " + scene_path)
+            report_warning("FILE_NOT_FOUND", "Scene file does not exist at: " + scene_path)
             error_count += 1
             continue
         
+        if dry_run:
+            add_dry_run_file(scene_path)
+            success_count += 1
+            continue
+        
         # Load the scene
-        var scene = load(scene_path)
+        var scene = load_scene(scene_path)
         if scene:
             if debug_mode:
                 print("Scene loaded successfully, saving...")
@@ -1027,10 +1278,10 @@ func resave_resources(params):
                         printerr("File reported as saved but does not exist at: " + scene_path)
             else:
                 error_count += 1
-                printerr("Failed to save: " + scene_path + ", error: " + str(error))
+                report_warning("SAVE_FAILED", "Failed to save: " + scene_path + ", error: " + str(error))
         else:
             error_count += 1
-            printerr("Failed to load: " + scene_path)
+            report_warning("SCENE_LOAD_FAILED", "Failed to load: " + scene_path)
     
     # Get all .gd and .shader files
     if debug_mode:
@@ -1053,7 +1304,10 @@ func resave_resources(params):
             print("UID file exists check: " + str(uid_check))
         
         var f = FileAccess.open(uid_path, FileAccess.READ)
-        if not f:
+        if not f and dry_run:
+            missing_uids += 1
+            add_dry_run_file(uid_path)
+        elif not f:
             missing_uids += 1
             if debug_mode:
                 print("Missing UID file for: " + script_path + ", generating...")
@@ -1077,9 +1331,9 @@ func resave_resources(params):
                         if not uid_check_after:
                             printerr("UID file reported as generated but does not exist at: " + uid_path)
                 else:
-                    printerr("Failed to generate UID for: " + script_path + ", error: " + str(error))
+                    report_warning("SAVE_FAILED", "Failed to generate UID for: " + script_path + ", error: " + str(error))
             else:
-                printerr("Failed to load resource: " + script_path)
+                report_warning("RESOURCE_LOAD_FAILED", "Failed to load resource: " + script_path)
         elif debug_mode:
             print("UID file already exists for: " + script_path)
     
@@ -1091,6 +1345,11 @@ func resave_resources(params):
         print("- Scripts/shaders missing UIDs: " + str(missing_uids))
         print("- UIDs successfully generated: " + str(generated_uids))
     print("Resave operation complete")
+    set_result("scenesProcessed", scenes.size())
+    set_result("scenesSaved", success_count)
+    set_result("sceneErrors", error_count)
+    set_result("scriptsMissingUids", missing_uids)
+    set_result("uidsGenerated", generated_uids)
 
 # Save changes to a scene file
 func save_scene(params):
@@ -1110,23 +1369,23 @@ func save_scene(params):
         print("Scene file exists check: " + str(file_check))
     
     if not file_check:
-        printerr("Scene file does not exist at: " + full_scene_path)
+        report_error("SCENE_NOT_FOUND", "Scene file does not exist at: " + full_scene_path)
         # Get the absolute path for reference
         var absolute_path = ProjectSettings.globalize_path(full_scene_path)
         printerr("Absolute file path that doesn't exist: " + absolute_path)
-        quit(1)
+        return
     
     # Load the scene
-    var scene = load(full_scene_path)
+    var scene = load_scene(full_scene_path)
     if not scene:
-        printerr("Failed to load scene: " + full_scene_path)
-        quit(1)
+        report_error("SCENE_LOAD_FAILED", "Failed to load scene: " + full_scene_path)
+        return
     
     if debug_mode:
         print("Scene loaded successfully")
     
     # Instance the scene
-    var scene_root = scene.instantiate()
+    var scene_root = track_node(scene.instantiate())
     if debug_mode:
         print("Scene instantiated")
     
@@ -1139,12 +1398,12 @@ func save_scene(params):
         print("Save path: " + save_path)
     
     # Create directory if it doesn't exist
-    if params.has("new_path"):
+    if params.has("new_path") and not dry_run:
         var dir = DirAccess.open("res://")
         if dir == null:
-            printerr("Failed to open res:// directory")
+            report_error("DIRECTORY_CREATE_FAILED", "Failed to open res:// directory")
             printerr("DirAccess error: " + str(DirAccess.get_open_error()))
-            quit(1)
+            return
             
         var scene_dir = save_path.get_base_dir()
         if debug_mode:
@@ -1155,8 +1414,8 @@ func save_scene(params):
                 print("Creating directory: " + scene_dir)
             var error = dir.make_dir_recursive(scene_dir.substr(6))  # Remove "res://" prefix
             if error != OK:
-                printerr("Failed to create directory: " + scene_dir + ", error: " + str(error))
-                quit(1)
+                report_error("DIRECTORY_CREATE_FAILED", "Failed to create directory: " + scene_dir + ", error: " + str(error))
+                return
     
     # Create a packed scene
     var packed_scene = PackedScene.new()
@@ -1167,13 +1426,14 @@ func save_scene(params):
     if result == OK:
         if debug_mode:
             print("Saving scene to: " + save_path)
-        var error = ResourceSaver.save(packed_scene, save_path)
+        var error = save_resource(packed_scene, save_path)
         if debug_mode:
             print("Save result: " + str(error) + " (OK=" + str(OK) + ")")
         
         if error == OK:
+            set_result("scenePath", save_path)
             # Verify the file was actually created/updated
-            if debug_mode:
+            if debug_mode and not dry_run:
                 var file_check_after = FileAccess.file_exists(save_path)
                 print("File exists check after save: " + str(file_check_after))
                 
@@ -1183,10 +1443,1105 @@ func save_scene(params):
                     var absolute_path = ProjectSettings.globalize_path(save_path)
                     print("Absolute file path: " + absolute_path)
                 else:
-                    printerr("File reported as saved but does not exist at: " + save_path)
+                    report_error("SAVE_FAILED", "File reported as saved but does not exist at: " + save_path)
             else:
                 print("Scene saved successfully to: " + save_path)
         else:
-            printerr("Failed to save scene: " + str(error))
+            report_error("SAVE_FAILED", "Failed to save scene: " + str(error))
+    else:
+        report_error("PACK_FAILED", "Failed to pack scene: " + str(result))
+
+# Resolve a node from a "root"-relative path such as "root", "root/Player" or "Player/Camera"
+func find_scene_node(scene_root, node_path):
+    var path = str(node_path)
+    if path == "" or path == "root" or path == ".":
+        return scene_root
+    if path.begins_with("root/"):
+        path = path.substr(5)
+    return scene_root.get_node_or_null(path)
+
+# Check whether an object exposes a property with the given name
+func has_property(object, property_name):
+    return find_property_info(object, property_name) != null
+
+# Compute a node's transform relative to the scene root without adding it to the SceneTree
+func get_scene_transform(node):
+    if node is Node3D:
+        var xform = node.transform
+        var parent = node.get_parent()
+        while parent is Node3D:
+            xform = parent.transform * xform
+            parent = parent.get_parent()
+        return xform
+    if node is Node2D:
+        var xform_2d = node.transform
+        var parent_2d = node.get_parent()
+        while parent_2d is Node2D:
+            xform_2d = parent_2d.transform * xform_2d
+            parent_2d = parent_2d.get_parent()
+        return xform_2d
+    return null
+
+# Pack a scene root and write it to disk, reporting PACK_FAILED/SAVE_FAILED on failure
+func pack_and_save(scene_root, save_path):
+    var packed_scene = PackedScene.new()
+    var result = packed_scene.pack(scene_root)
+    if debug_mode:
+        print("Pack result: " + str(result) + " (OK=" + str(OK) + ")")
+    if result != OK:
+        return report_error("PACK_FAILED", "Failed to pack scene: " + str(result))
+    
+    var error = save_resource(packed_scene, save_path)
+    if debug_mode:
+        print("Save result: " + str(error) + " (OK=" + str(OK) + ")")
+    if error != OK:
+        return report_error("SAVE_FAILED", "Failed to save scene: " + str(error))
+    return true
+
+# Save a resource, or in dry-run mode render it to a temporary file and record the text it would have written
+func save_resource(resource, path):
+    if not dry_run:
+        return ResourceSaver.save(resource, path)
+    
+    var preview_path = "user://mcp_dry_run_%d.%s" % [Time.get_ticks_usec(), path.get_extension()]
+    var error = ResourceSaver.save(resource, preview_path)
+    if error != OK:
+        return error
+    
+    var content = FileAccess.get_file_as_bytes(preview_path)
+    var entry = {"size": content.size()}
+    # Only scenes are diffed; .tres files such as mesh libraries can be megabytes of text
+    if path.get_extension() == "tscn":
+        entry["text"] = content.get_string_from_utf8()
+        if FileAccess.file_exists(path):
+            entry["current_text"] = FileAccess.get_file_as_string(path)
+    elif FileAccess.file_exists(path):
+        entry["unchanged"] = FileAccess.get_file_as_bytes(path) == content
+    DirAccess.remove_absolute(ProjectSettings.globalize_path(preview_path))
+    add_dry_run_file(path, entry)
+    return OK
+
+# Record a file the current operation would create or overwrite
+func add_dry_run_file(path, entry = {}):
+    entry["path"] = ProjectSettings.localize_path(path)
+    entry["exists"] = FileAccess.file_exists(path)
+    if not result_data.has("dry_run_files"):
+        result_data["dry_run_files"] = []
+    result_data["dry_run_files"].append(entry)
+
+# Apply an ordered list of edits to a scene in memory and save it only if every step succeeds
+func edit_scene(params):
+    print("Editing scene: " + params.scene_path)
+    
+    var full_scene_path = params.scene_path
+    if not full_scene_path.begins_with("res://"):
+        full_scene_path = "res://" + full_scene_path
+    
+    if not FileAccess.file_exists(full_scene_path):
+        report_error("SCENE_NOT_FOUND", "Scene file does not exist at: " + full_scene_path)
+        return
+    
+    if not params.has("operations") or typeof(params.operations) != TYPE_ARRAY or params.operations.is_empty():
+        report_error("INVALID_PARAMS", "operations must be a non-empty array")
+        return
+    
+    var scene = load_scene(full_scene_path)
+    if not scene:
+        report_error("SCENE_LOAD_FAILED", "Failed to load scene: " + full_scene_path)
+        return
+    
+    var scene_root = track_node(scene.instantiate())
+    if debug_mode:
+        print("Scene instantiated, applying " + str(params.operations.size()) + " operations")
+    
+    var steps = []
+    var failed_step = null
+    for index in range(params.operations.size()):
+        var step = params.operations[index]
+        var op_name = str(step.get("op", "")) if typeof(step) == TYPE_DICTIONARY else ""
+        
+        # Once a step fails the remaining ones are reported but never applied
+        if failed_step != null:
+            steps.append({"index": index, "op": op_name, "status": "skipped"})
+            continue
+        
+        var step_result = apply_edit_step(scene_root, step, full_scene_path)
+        step_result["index"] = index
+        step_result["op"] = op_name
+        steps.append(step_result)
+        if step_result.status != "ok":
+            failed_step = step_result
+    
+    set_result("scenePath", full_scene_path)
+    set_result("steps", steps)
+    
+    if failed_step != null:
+        set_result("saved", false)
+        report_error(failed_step.code, "Step " + str(failed_step.index) + " (" + failed_step.op + ") failed: " + failed_step.message + ". The scene was not modified.")
+        return
+    
+    if not pack_and_save(scene_root, full_scene_path):
+        set_result("saved", false)
+        return
+    
+    set_result("saved", true)
+    print("Scene edited successfully: " + str(steps.size()) + " operations applied to " + full_scene_path)
+
+# Apply a single edit_scene step, returning a step report dictionary
+func apply_edit_step(scene_root, step, scene_path):
+    if typeof(step) != TYPE_DICTIONARY:
+        return step_error("INVALID_PARAMS", "Each operation must be an object")
+    
+    match str(step.get("op", "")):
+        "add_node":
+            return edit_add_node(scene_root, step)
+        "remove_node":
+            return edit_remove_node(scene_root, step)
+        "set_property":
+            return edit_set_property(scene_root, step)
+        "reparent":
+            return edit_reparent(scene_root, step)
+        "rename":
+            return edit_rename(scene_root, step)
+        "instance_scene":
+            return edit_instance_scene(scene_root, step, scene_path)
+        "duplicate":
+            return edit_duplicate(scene_root, step)
+        _:
+            return step_error("UNKNOWN_OPERATION", "Unknown edit operation: " + str(step.get("op", "")))
+
+# Step report helpers
+func step_ok(data = {}):
+    var report = {"status": "ok"}
+    report.merge(data)
+    return report
+
+func step_error(code, message):
+    log_error(message)
+    return {"status": "error", "code": code, "message": message}
+
+# Step error carrying every property that failed to coerce
+func property_step_error(property_errors):
+    var report = step_error(property_errors[0].code, format_property_errors(property_errors))
+    report["propertyErrors"] = property_errors
+    return report
+
+func edit_add_node(scene_root, step):
+    if not step.has("node_type") or not step.has("node_name"):
+        return step_error("INVALID_PARAMS", "add_node requires node_type and node_name")
+    
+    var parent_path = step.get("parent_node_path", "root")
+    var parent = find_scene_node(scene_root, parent_path)
+    if not parent:
+        return step_error("NODE_NOT_FOUND", "Parent node not found: " + str(parent_path))
+    if parent.has_node(NodePath(str(step.node_name))):
+        return step_error("NAME_CONFLICT", "Parent " + str(parent_path) + " already has a child named " + str(step.node_name))
+    
+    var new_node = instantiate_class(str(step.node_type))
+    if not new_node:
+        return step_error("INSTANTIATE_FAILED", "Failed to instantiate node of type: " + str(step.node_type))
+    new_node.name = str(step.node_name)
+    
+    if step.has("properties"):
+        var property_errors = apply_properties(new_node, step.properties)
+        if not property_errors.is_empty():
+            new_node.free()
+            return property_step_error(property_errors)
+    
+    parent.add_child(new_node)
+    new_node.owner = scene_root
+    return step_ok({"nodePath": format_node_path(scene_root, new_node), "nodeType": new_node.get_class()})
+
+func edit_remove_node(scene_root, step):
+    if not step.has("node_path"):
+        return step_error("INVALID_PARAMS", "remove_node requires node_path")
+    
+    var node = find_scene_node(scene_root, step.node_path)
+    if not node:
+        return step_error("NODE_NOT_FOUND", "Node not found: " + str(step.node_path))
+    if node == scene_root:
+        return step_error("INVALID_PARAMS", "The scene root cannot be removed")
+    
+    var removed_path = format_node_path(scene_root, node)
+    node.get_parent().remove_child(node)
+    node.free()
+    return step_ok({"nodePath": removed_path})
+
+func edit_set_property(scene_root, step):
+    if not step.has("node_path"):
+        return step_error("INVALID_PARAMS", "set_property requires node_path")
+    
+    var node = find_scene_node(scene_root, step.node_path)
+    if not node:
+        return step_error("NODE_NOT_FOUND", "Node not found: " + str(step.node_path))
+    
+    var properties = {}
+    if step.has("properties") and typeof(step.properties) == TYPE_DICTIONARY:
+        properties = step.properties
+    elif step.has("property"):
+        properties[str(step.property)] = step.get("value")
+    else:
+        return step_error("INVALID_PARAMS", "set_property requires property and value, or a properties object")
+    
+    var property_errors = apply_properties(node, properties)
+    if not property_errors.is_empty():
+        return property_step_error(property_errors)
+    
+    var applied = {}
+    for property in properties:
+        applied[str(property)] = serialize_value(node.get(str(property)))
+    return step_ok({"nodePath": format_node_path(scene_root, node), "properties": applied})
+
+func edit_reparent(scene_root, step):
+    if not step.has("node_path") or not step.has("new_parent_path"):
+        return step_error("INVALID_PARAMS", "reparent requires node_path and new_parent_path")
+    
+    var node = find_scene_node(scene_root, step.node_path)
+    if not node:
+        return step_error("NODE_NOT_FOUND", "Node not found: " + str(step.node_path))
+    if node == scene_root:
+        return step_error("INVALID_PARAMS", "The scene root cannot be reparented")
+    
+    var new_parent = find_scene_node(scene_root, step.new_parent_path)
+    if not new_parent:
+        return step_error("NODE_NOT_FOUND", "New parent node not found: " + str(step.new_parent_path))
+    if new_parent == node or node.is_ancestor_of(new_parent):
+        return step_error("INVALID_PARAMS", "Cannot reparent a node under itself or one of its descendants")
+    if new_parent != node.get_parent() and new_parent.has_node(NodePath(str(node.name))):
+        return step_error("NAME_CONFLICT", "New parent already has a child named " + str(node.name))
+    
+    # Preserve the node's placement in the scene unless the caller asks to keep the local transform
+    var keep_global_transform = step.get("keep_global_transform", true)
+    var scene_transform = get_scene_transform(node) if keep_global_transform else null
+    
+    node.get_parent().remove_child(node)
+    new_parent.add_child(node)
+    
+    if scene_transform != null:
+        var parent_transform = get_scene_transform(new_parent)
+        if parent_transform != null and typeof(parent_transform) == typeof(scene_transform):
+            node.transform = parent_transform.affine_inverse() * scene_transform
+        else:
+            node.transform = scene_transform
+    
+    set_owner_recursive(node, scene_root)
+    return step_ok({"nodePath": format_node_path(scene_root, node)})
+
+func edit_rename(scene_root, step):
+    if not step.has("node_path") or not step.has("new_name"):
+        return step_error("INVALID_PARAMS", "rename requires node_path and new_name")
+    
+    var node = find_scene_node(scene_root, step.node_path)
+    if not node:
+        return step_error("NODE_NOT_FOUND", "Node not found: " + str(step.node_path))
+    
+    var new_name = str(step.new_name)
+    if new_name.is_empty() or new_name.validate_node_name() != new_name:
+        return step_error("INVALID_NAME", "Invalid node name: " + new_name)
+    var parent = node.get_parent()
+    if parent and str(node.name) != new_name and parent.has_node(NodePath(new_name)):
+        return step_error("NAME_CONFLICT", "A sibling named " + new_name + " already exists")
+    
+    node.name = new_name
+    return step_ok({"nodePath": format_node_path(scene_root, node)})
+
+func edit_instance_scene(scene_root, step, scene_path):
+    if not step.has("instance_path"):
+        return step_error("INVALID_PARAMS", "instance_scene requires instance_path")
+    
+    var instance_path = str(step.instance_path)
+    if not instance_path.begins_with("res://"):
+        instance_path = "res://" + instance_path
+    if instance_path == scene_path:
+        return step_error("INVALID_PARAMS", "A scene cannot instance itself")
+    
+    var parent_path = step.get("parent_node_path", "root")
+    var parent = find_scene_node(scene_root, parent_path)
+    if not parent:
+        return step_error("NODE_NOT_FOUND", "Parent node not found: " + str(parent_path))
+    
+    if not ResourceLoader.exists(instance_path):
+        return step_error("SCENE_NOT_FOUND", "Scene to instance does not exist: " + instance_path)
+    var packed = load(instance_path)
+    if not (packed is PackedScene):
+        return step_error("SCENE_LOAD_FAILED", "Resource is not a PackedScene: " + instance_path)
+    
+    # GEN_EDIT_STATE_INSTANCE keeps the link to the source scene so only the instance root is saved
+    var instance = packed.instantiate(PackedScene.GEN_EDIT_STATE_INSTANCE)
+    if not instance:
+        return step_error("INSTANTIATE_FAILED", "Failed to instance scene: " + instance_path)
+    
+    # An explicit name must be free; the default name from the source scene is numbered when taken
+    var node_name = str(instance.name)
+    if step.has("node_name"):
+        node_name = str(step.node_name)
+        if node_name.is_empty() or node_name.validate_node_name() != node_name:
+            instance.free()
+            return step_error("INVALID_NAME", "Invalid node name: " + node_name)
+        if parent.has_node(NodePath(node_name)):
+            instance.free()
+            return step_error("NAME_CONFLICT", "Parent " + str(parent_path) + " already has a child named " + node_name)
+    else:
+        node_name = unique_child_name(parent, node_name)
+    instance.name = node_name
+    
+    # Overrides on the instance root are stored in the parent scene, the instanced nodes stay linked
+    var properties = {}
+    if step.has("properties"):
+        if typeof(step.properties) != TYPE_DICTIONARY:
+            instance.free()
+            return step_error("INVALID_PARAMS", "properties must be an object")
+        properties = step.properties.duplicate()
+    if step.has("transform"):
+        if not (instance is Node3D or instance is Node2D):
+            instance.free()
+            return step_error("INVALID_NODE_TYPE", "transform requires a Node3D or Node2D scene root, got " + instance.get_class())
+        properties["transform"] = step.transform
+    if not properties.is_empty():
+        var property_errors = apply_properties(instance, properties)
+        if not property_errors.is_empty():
+            instance.free()
+            return property_step_error(property_errors)
+    
+    parent.add_child(instance)
+    instance.owner = scene_root
+    return step_ok({
+        "nodePath": format_node_path(scene_root, instance),
+        "nodeType": instance.get_class(),
+        "instancePath": instance_path
+    })
+
+func edit_duplicate(scene_root, step):
+    if not step.has("node_path"):
+        return step_error("INVALID_PARAMS", "duplicate requires node_path")
+    
+    var node = find_scene_node(scene_root, step.node_path)
+    if not node:
+        return step_error("NODE_NOT_FOUND", "Node not found: " + str(step.node_path))
+    if node == scene_root:
+        return step_error("INVALID_PARAMS", "The scene root cannot be duplicated")
+    
+    var parent = node.get_parent()
+    if step.has("parent_node_path"):
+        parent = find_scene_node(scene_root, step.parent_node_path)
+        if not parent:
+            return step_error("NODE_NOT_FOUND", "Parent node not found: " + str(step.parent_node_path))
+        # Each copy would contain the earlier ones, growing the subtree exponentially
+        if parent == node or node.is_ancestor_of(parent):
+            return step_error("INVALID_PARAMS", "Cannot duplicate a node under itself or one of its descendants")
+    
+    var count = int(step.get("count", 1))
+    if count < 1 or count > MAX_DUPLICATE_COUNT:
+        return step_error("INVALID_PARAMS", "count must be between 1 and %d" % MAX_DUPLICATE_COUNT)
+    
+    var offset = null
+    if step.has("offset"):
+        offset = parse_offset(step.offset, node)
+        if offset == null:
+            return step_error("INVALID_PARAMS", "offset must be [x, y, z] for 3D nodes or [x, y] for 2D nodes")
+    
+    var base_name = str(step.get("new_name", node.name))
+    if base_name.is_empty() or base_name.validate_node_name() != base_name:
+        return step_error("INVALID_NAME", "Invalid node name: " + base_name)
+    
+    # Under a different parent, copies keep the original's placement in the scene, as reparent does
+    var moved = parent != node.get_parent() and step.get("keep_global_transform", true)
+    var source_parent_transform = get_scene_transform(node.get_parent())
+    var target_parent_transform = get_scene_transform(parent)
+    
+    var node_paths = []
+    for index in range(count):
+        var copy = node.duplicate()
+        if not copy:
+            return step_error("DUPLICATE_FAILED", "Failed to duplicate node: " + str(step.node_path))
+        copy.name = unique_child_name(parent, base_name)
+        if offset != null:
+            copy.position = node.position + offset * (index + 1)
+        if moved and (copy is Node3D or copy is Node2D):
+            var scene_transform = copy.transform
+            if source_parent_transform != null and typeof(source_parent_transform) == typeof(scene_transform):
+                scene_transform = source_parent_transform * scene_transform
+            if target_parent_transform != null and typeof(target_parent_transform) == typeof(scene_transform):
+                scene_transform = target_parent_transform.affine_inverse() * scene_transform
+            copy.transform = scene_transform
+        parent.add_child(copy)
+        set_owner_recursive(copy, scene_root)
+        node_paths.append(format_node_path(scene_root, copy))
+    
+    return step_ok({"nodePath": node_paths[0], "nodePaths": node_paths})
+
+# Convert a JSON offset ([x, y, z] or {"x": .., "y": .., "z": ..}) into a vector matching the node's dimension
+func parse_offset(value, node):
+    var components = []
+    if typeof(value) == TYPE_ARRAY:
+        components = value
+    elif typeof(value) == TYPE_DICTIONARY:
+        for axis in ["x", "y", "z"]:
+            if value.has(axis):
+                components.append(value[axis])
+    for component in components:
+        if typeof(component) != TYPE_INT and typeof(component) != TYPE_FLOAT:
+            return null
+    
+    if node is Node3D and components.size() == 3:
+        return Vector3(components[0], components[1], components[2])
+    if node is Node2D and components.size() == 2:
+        return Vector2(components[0], components[1])
+    return null
+
+# Pick a child name that is free under parent, numbering from 2 when the base name is taken
+func unique_child_name(parent, base_name):
+    if not parent.has_node(NodePath(base_name)):
+        return base_name
+    var stem = base_name
+    while not stem.is_empty() and stem[stem.length() - 1].is_valid_int():
+        stem = stem.substr(0, stem.length() - 1)
+    if stem.is_empty():
+        stem = base_name
+    var suffix = 2
+    while parent.has_node(NodePath(stem + str(suffix))):
+        suffix += 1
+    return stem + str(suffix)
+
+# Run a single edit step as its own operation, e.g. remove_node or duplicate_node
+func edit_single_node(params, step_op):
+    var step = params.duplicate()
+    step.erase("scene_path")
+    step["op"] = step_op
+    edit_scene({"scene_path": params.scene_path, "operations": [step]})
+    
+    var steps = result_data.get("steps", [])
+    if not steps.is_empty():
+        for key in steps[0]:
+            if not (key in ["index", "op", "status"]):
+                set_result(key, steps[0][key])
+
+# Give a node and its non-instanced descendants the scene root as owner so they are packed
+func set_owner_recursive(node, scene_root):
+    node.owner = scene_root
+    if not node.scene_file_path.is_empty():
+        return
+    for child in node.get_children():
+        set_owner_recursive(child, scene_root)
+
+# Convert a Variant into a JSON-safe value, tagging math types as {"type": "Vector3", ...}
+func serialize_value(value):
+    match typeof(value):
+        TYPE_NIL, TYPE_BOOL, TYPE_INT, TYPE_FLOAT, TYPE_STRING:
+            return value
+        TYPE_STRING_NAME, TYPE_NODE_PATH:
+            return str(value)
+        TYPE_VECTOR2, TYPE_VECTOR2I:
+            return {"type": type_string(typeof(value)), "x": value.x, "y": value.y}
+        TYPE_VECTOR3, TYPE_VECTOR3I:
+            return {"type": type_string(typeof(value)), "x": value.x, "y": value.y, "z": value.z}
+        TYPE_VECTOR4, TYPE_VECTOR4I, TYPE_QUATERNION:
+            return {"type": type_string(typeof(value)), "x": value.x, "y": value.y, "z": value.z, "w": value.w}
+        TYPE_COLOR:
+            return {"type": "Color", "r": value.r, "g": value.g, "b": value.b, "a": value.a}
+        TYPE_BASIS:
+            return {"type": "Basis", "x": serialize_value(value.x), "y": serialize_value(value.y), "z": serialize_value(value.z)}
+        TYPE_TRANSFORM3D:
+            return {"type": "Transform3D", "basis": serialize_value(value.basis), "origin": serialize_value(value.origin)}
+        TYPE_TRANSFORM2D:
+            return {"type": "Transform2D", "x": serialize_value(value.x), "y": serialize_value(value.y), "origin": serialize_value(value.origin)}
+        TYPE_OBJECT:
+            if value is Resource:
+                if value.resource_path.is_empty():
+                    return {"type": value.get_class()}
+                return value.resource_path
+            return null
+        TYPE_ARRAY:
+            var items = []
+            for item in value:
+                items.append(serialize_value(item))
+            return items
+        TYPE_DICTIONARY:
+            var entries = {}
+            for key in value:
+                entries[str(key)] = serialize_value(value[key])
+            return entries
+        _:
+            return str(value)
+
+# Check a node against a list of class names or script paths
+func node_matches_types(node, node_types):
+    if node_types.is_empty():
+        return true
+    var script = node.get_script()
+    for node_type in node_types:
+        if node.is_class(str(node_type)):
+            return true
+        if script and script.resource_path == str(node_type):
+            return true
+    return false
+
+# Read the node hierarchy of a scene without modifying it
+func get_scene_tree(params):
+    print("Reading scene tree: " + params.scene_path)
+    
+    var full_scene_path = params.scene_path
+    if not full_scene_path.begins_with("res://"):
+        full_scene_path = "res://" + full_scene_path
+    
+    if not FileAccess.file_exists(full_scene_path):
+        report_error("SCENE_NOT_FOUND", "Scene file does not exist at: " + full_scene_path)
+        return
+    
+    var scene = load_scene(full_scene_path)
+    if not scene:
+        report_error("SCENE_LOAD_FAILED", "Failed to load scene: " + full_scene_path)
+        return
+    
+    var scene_root = track_node(scene.instantiate())
+    
+    var root_path = params.get("root_path", "root")
+    var start_node = find_scene_node(scene_root, root_path)
+    if not start_node:
+        report_error("NODE_NOT_FOUND", "Node not found: " + str(root_path))
+        return
+    
+    var options = {
+        "max_depth": int(params.get("max_depth", -1)),
+        "max_nodes": int(params.get("max_nodes", 0)),
+        "node_types": params.get("node_types", []),
+        "properties": params.get("properties", DEFAULT_TREE_PROPERTIES),
+        "include_instance_children": bool(params.get("include_instance_children", false))
+    }
+    var state = {"nodes": [], "visited": 0, "truncated": false}
+    collect_scene_tree(scene_root, start_node, 0, options, state)
+    
+    set_result("scenePath", full_scene_path)
+    set_result("rootPath", format_node_path(scene_root, start_node))
+    set_result("nodes", state.nodes)
+    set_result("nodeCount", state.nodes.size())
+    set_result("visitedCount", state.visited)
+    set_result("truncated", state.truncated)
+
+# Depth-first walk that appends matching nodes to state.nodes in scene order
+func collect_scene_tree(scene_root, node, depth, options, state):
+    if options.max_nodes > 0 and state.nodes.size() >= options.max_nodes:
+        state.truncated = true
+        return
+    state.visited += 1
+    
+    var is_instance = node != scene_root and not node.scene_file_path.is_empty()
+    if node_matches_types(node, options.node_types):
+        state.nodes.append(describe_tree_node(scene_root, node, depth, is_instance, options.properties))
+    
+    if options.max_depth >= 0 and depth >= options.max_depth:
+        return
+    # Children of an instanced scene belong to that scene's own file, so they are skipped by default
+    if is_instance and not options.include_instance_children:
+        return
+    
+    for child in node.get_children():
+        collect_scene_tree(scene_root, child, depth + 1, options, state)
+
+func describe_tree_node(scene_root, node, depth, is_instance, property_names):
+    var entry = {
+        "path": format_node_path(scene_root, node),
+        "name": str(node.name),
+        "type": node.get_class(),
+        "depth": depth,
+        "childCount": node.get_child_count()
+    }
+    if node != scene_root:
+        entry["parent"] = format_node_path(scene_root, node.get_parent())
+    
+    var script = node.get_script()
+    if script:
+        entry["script"] = script.resource_path
+    
+    var groups = []
+    for group in node.get_groups():
+        if not str(group).begins_with("_"):
+            groups.append(str(group))
+    if not groups.is_empty():
+        entry["groups"] = groups
+    
+    if is_instance:
+        entry["instance"] = node.scene_file_path
+    elif node.owner and node.owner != scene_root:
+        entry["instanceOwner"] = format_node_path(scene_root, node.owner)
+    
+    var properties = {}
+    for property_name in property_names:
+        if has_property(node, str(property_name)):
+            properties[str(property_name)] = serialize_value(node.get(str(property_name)))
+    if not properties.is_empty():
+        entry["properties"] = properties
+    
+    return entry
+
+# Look up the property_list entry (name, type, hint, hint_string) for a property, or null when it does not exist
+func find_property_info(object, property_name):
+    for property in object.get_property_list():
+        if property.name == property_name:
+            return property
+    return null
+
+# Coerce and set several properties on a node; nothing is set unless every value converts.
+# Returns a list of {property, code, message} errors, empty on success.
+func apply_properties(node, properties):
+    var errors = []
+    var coerced_values = {}
+    if typeof(properties) != TYPE_DICTIONARY:
+        errors.append({"property": "", "code": "INVALID_PARAMS", "message": "properties must be an object"})
+        return errors
+    
+    for property in properties:
+        var info = find_property_info(node, str(property))
+        if info == null:
+            errors.append({"property": str(property), "code": "UNKNOWN_PROPERTY", "message": node.get_class() + " has no property: " + str(property)})
+            continue
+        var coerced = coerce_property_value(info, properties[property])
+        if not coerced.ok:
+            errors.append({"property": str(property), "code": "PROPERTY_COERCION_FAILED", "message": str(property) + ": " + coerced.error})
+            continue
+        coerced_values[str(property)] = coerced.value
+    
+    if not errors.is_empty():
+        return errors
+    
+    for property in coerced_values:
+        if debug_mode:
+            print("Setting property: " + property + " = " + str(coerced_values[property]))
+        node.set(property, coerced_values[property])
+    return errors
+
+# Join property errors into one message for step and operation reports
+func format_property_errors(errors):
+    var messages = []
+    for error in errors:
+        messages.append(error.message)
+    return "; ".join(messages)
+
+# Coercion result helpers
+func coerced(value):
+    return {"ok": true, "value": value}
+
+func coercion_error(message):
+    return {"ok": false, "error": message}
+
+# Convert a JSON value into the Variant type declared by a property_list entry
+func coerce_property_value(info, value):
+    var target_type = info.type
+    
+    # Tagged values such as {"type": "Vector3", "x": 1, "y": 2, "z": 3} are decoded first
+    if typeof(value) == TYPE_DICTIONARY and value.has("type") and target_type != TYPE_DICTIONARY:
+        var decoded = decode_tagged_value(value)
+        if not decoded.ok:
+            return decoded
+        value = decoded.value
+    
+    if target_type == TYPE_NIL or typeof(value) == target_type:
+        return coerced(value)
+    
+    match target_type:
+        TYPE_BOOL:
+            return coercion_error("expected a boolean")
+        TYPE_INT:
+            if typeof(value) == TYPE_FLOAT and value == floor(value):
+                return coerced(int(value))
+            if typeof(value) == TYPE_STRING and info.hint == PROPERTY_HINT_ENUM:
+                return coerce_enum_name(info.hint_string, value)
+            return coercion_error("expected an integer")
+        TYPE_FLOAT:
+            if typeof(value) == TYPE_INT:
+                return coerced(float(value))
+            return coercion_error("expected a number")
+        TYPE_STRING:
+            if typeof(value) == TYPE_STRING_NAME or typeof(value) == TYPE_NODE_PATH:
+                return coerced(str(value))
+            return coercion_error("expected a string")
+        TYPE_STRING_NAME:
+            if typeof(value) == TYPE_STRING:
+                return coerced(StringName(value))
+            return coercion_error("expected a string")
+        TYPE_NODE_PATH:
+            if typeof(value) == TYPE_STRING:
+                return coerced(NodePath(value))
+            return coercion_error("expected a node path string")
+        TYPE_VECTOR2, TYPE_VECTOR2I, TYPE_VECTOR3, TYPE_VECTOR3I, TYPE_VECTOR4, TYPE_VECTOR4I, TYPE_QUATERNION:
+            return coerce_vector(target_type, value)
+        TYPE_COLOR:
+            return coerce_color(value)
+        TYPE_BASIS:
+            var basis_numbers = read_numbers(value, 9)
+            if basis_numbers == null:
+                return coercion_error("expected 9 numbers (x, y and z axes) or a tagged Basis")
+            return coerced(Basis(
+                Vector3(basis_numbers[0], basis_numbers[1], basis_numbers[2]),
+                Vector3(basis_numbers[3], basis_numbers[4], basis_numbers[5]),
+                Vector3(basis_numbers[6], basis_numbers[7], basis_numbers[8])))
+        TYPE_TRANSFORM3D:
+            var xform_numbers = read_numbers(value, 12)
+            if xform_numbers == null:
+                return coercion_error("expected 12 numbers (x, y, z axes then origin) or a tagged Transform3D")
+            return coerced(Transform3D(
+                Vector3(xform_numbers[0], xform_numbers[1], xform_numbers[2]),
+                Vector3(xform_numbers[3], xform_numbers[4], xform_numbers[5]),
+                Vector3(xform_numbers[6], xform_numbers[7], xform_numbers[8]),
+                Vector3(xform_numbers[9], xform_numbers[10], xform_numbers[11])))
+        TYPE_TRANSFORM2D:
+            var xform_2d_numbers = read_numbers(value, 6)
+            if xform_2d_numbers == null:
+                return coercion_error("expected 6 numbers (x, y axes then origin) or a tagged Transform2D")
+            return coerced(Transform2D(
+                Vector2(xform_2d_numbers[0], xform_2d_numbers[1]),
+                Vector2(xform_2d_numbers[2], xform_2d_numbers[3]),
+                Vector2(xform_2d_numbers[4], xform_2d_numbers[5])))
+        TYPE_OBJECT:
+            return coerce_resource(info, value)
+        TYPE_PACKED_FLOAT32_ARRAY, TYPE_PACKED_FLOAT64_ARRAY, TYPE_PACKED_INT32_ARRAY, TYPE_PACKED_INT64_ARRAY, TYPE_PACKED_STRING_ARRAY:
+            if typeof(value) != TYPE_ARRAY:
+                return coercion_error("expected an array")
+            return coerced(type_convert(value, target_type))
+        TYPE_PACKED_VECTOR2_ARRAY, TYPE_PACKED_VECTOR3_ARRAY, TYPE_PACKED_COLOR_ARRAY:
+            return coerce_packed_array(target_type, value)
+        TYPE_ARRAY:
+            return coercion_error("expected an array")
+        TYPE_DICTIONARY:
+            return coercion_error("expected an object")
+    
+    return coercion_error("cannot convert " + type_string(typeof(value)) + " to " + type_string(target_type))
+
+# Decode the tagged JSON format produced by serialize_value
+func decode_tagged_value(value):
+    var tag = str(value.type)
+    match tag:
+        "Vector2", "Vector2i", "Vector3", "Vector3i", "Vector4", "Vector4i", "Quaternion":
+            var axes = {"Vector2": ["x", "y"], "Vector2i": ["x", "y"], "Vector3": ["x", "y", "z"], "Vector3i": ["x", "y", "z"]}.get(tag, ["x", "y", "z", "w"])
+            var components = []
+            for axis in axes:
+                components.append(value.get(axis))
+            var types = {"Vector2": TYPE_VECTOR2, "Vector2i": TYPE_VECTOR2I, "Vector3": TYPE_VECTOR3, "Vector3i": TYPE_VECTOR3I, "Vector4": TYPE_VECTOR4, "Vector4i": TYPE_VECTOR4I, "Quaternion": TYPE_QUATERNION}
+            return coerce_vector(types[tag], components)
+        "Color":
+            var channels = [value.get("r"), value.get("g"), value.get("b"), value.get("a", 1.0)]
+            return coerce_color(channels)
+        "Basis":
+            var basis_axes = []
+            for axis in ["x", "y", "z"]:
+                var decoded_axis = decode_axis(value.get(axis), TYPE_VECTOR3)
+                if not decoded_axis.ok:
+                    return coercion_error("Basis." + axis + " " + decoded_axis.error)
+                basis_axes.append(decoded_axis.value)
+            return coerced(Basis(basis_axes[0], basis_axes[1], basis_axes[2]))
+        "Transform3D":
+            return decode_transform_3d(value)
+        "Transform2D":
+            var xform_axes = []
+            for axis in ["x", "y", "origin"]:
+                var decoded_axis = decode_axis(value.get(axis), TYPE_VECTOR2)
+                if not decoded_axis.ok:
+                    return coercion_error("Transform2D." + axis + " " + decoded_axis.error)
+                xform_axes.append(decoded_axis.value)
+            return coerced(Transform2D(xform_axes[0], xform_axes[1], xform_axes[2]))
+        "NodePath":
+            return coerced(NodePath(str(value.get("path", ""))))
+        "Resource":
+            if typeof(value.get("path")) != TYPE_STRING:
+                return coercion_error("tagged Resource needs a path")
+            return load_resource_value(value.path)
+    return coercion_error("unknown tagged type: " + tag)
+
+# Decode a nested axis given either as a tagged value or a plain [x, y(, z)] array
+func decode_axis(value, vector_type):
+    if typeof(value) == TYPE_DICTIONARY:
+        if value.has("type"):
+            return decode_tagged_value(value)
+        var components = [value.get("x"), value.get("y")]
+        if vector_type == TYPE_VECTOR3:
+            components.append(value.get("z"))
+        return coerce_vector(vector_type, components)
+    return coerce_vector(vector_type, value)
+
+# Transform3D accepts {"basis", "origin"} or the friendlier {"position", "rotation_degrees", "scale"}
+func decode_transform_3d(value):
+    var basis = Basis()
+    var origin = Vector3()
+    if value.has("position") or value.has("rotation_degrees") or value.has("scale"):
+        var rotation = Vector3()
+        var scale = Vector3.ONE
+        for key in ["position", "rotation_degrees", "scale"]:
+            if not value.has(key):
+                continue
+            var decoded_part = decode_axis(value[key], TYPE_VECTOR3)
+            if not decoded_part.ok:
+                return coercion_error("Transform3D." + key + " " + decoded_part.error)
+            match key:
+                "position":
+                    origin = decoded_part.value
+                "rotation_degrees":
+                    rotation = decoded_part.value
+                "scale":
+                    scale = decoded_part.value
+        basis = Basis.from_euler(Vector3(deg_to_rad(rotation.x), deg_to_rad(rotation.y), deg_to_rad(rotation.z))).scaled(scale)
+        return coerced(Transform3D(basis, origin))
+    
+    if value.has("basis"):
+        var basis_value = value.basis
+        if typeof(basis_value) == TYPE_DICTIONARY and not basis_value.has("type"):
+            basis_value = basis_value.duplicate()
+            basis_value["type"] = "Basis"
+        var decoded_basis = decode_tagged_value(basis_value) if typeof(basis_value) == TYPE_DICTIONARY else coerce_property_value({"type": TYPE_BASIS, "hint": PROPERTY_HINT_NONE, "hint_string": ""}, basis_value)
+        if not decoded_basis.ok:
+            return coercion_error("Transform3D.basis " + decoded_basis.error)
+        basis = decoded_basis.value
+    if value.has("origin"):
+        var decoded_origin = decode_axis(value.origin, TYPE_VECTOR3)
+        if not decoded_origin.ok:
+            return coercion_error("Transform3D.origin " + decoded_origin.error)
+        origin = decoded_origin.value
+    return coerced(Transform3D(basis, origin))
+
+# Read exactly `count` numbers from a JSON array, or null if the shape does not match
+func read_numbers(value, count):
+    if typeof(value) != TYPE_ARRAY or value.size() != count:
+        return null
+    for component in value:
+        if typeof(component) != TYPE_INT and typeof(component) != TYPE_FLOAT:
+            return null
+    return value
+
+func coerce_vector(target_type, value):
+    var sizes = {TYPE_VECTOR2: 2, TYPE_VECTOR2I: 2, TYPE_VECTOR3: 3, TYPE_VECTOR3I: 3, TYPE_VECTOR4: 4, TYPE_VECTOR4I: 4, TYPE_QUATERNION: 4}
+    var size = sizes[target_type]
+    var numbers = read_numbers(value, size)
+    if numbers == null:
+        return coercion_error("expected " + str(size) + " numbers or a tagged " + type_string(target_type))
+    match target_type:
+        TYPE_VECTOR2:
+            return coerced(Vector2(numbers[0], numbers[1]))
+        TYPE_VECTOR2I:
+            return coerced(Vector2i(int(numbers[0]), int(numbers[1])))
+        TYPE_VECTOR3:
+            return coerced(Vector3(numbers[0], numbers[1], numbers[2]))
+        TYPE_VECTOR3I:
+            return coerced(Vector3i(int(numbers[0]), int(numbers[1]), int(numbers[2])))
+        TYPE_VECTOR4:
+            return coerced(Vector4(numbers[0], numbers[1], numbers[2], numbers[3]))
+        TYPE_VECTOR4I:
+            return coerced(Vector4i(int(numbers[0]), int(numbers[1]), int(numbers[2]), int(numbers[3])))
+    return coerced(Quaternion(numbers[0], numbers[1], numbers[2], numbers[3]))
+
+# Colors accept [r, g, b(, a)] in 0..1, "#rrggbb(aa)" hex strings and named colors such as "red"
+func coerce_color(value):
+    if typeof(value) == TYPE_STRING:
+        if Color.html_is_valid(value):
+            return coerced(Color.html(value))
+        var sentinel = Color(-1, -1, -1, -1)
+        var named = Color.from_string(value, sentinel)
+        if named == sentinel:
+            return coercion_error("invalid color string: " + value)
+        return coerced(named)
+    if typeof(value) == TYPE_ARRAY and value.size() == 3:
+        value = value + [1.0]
+    var channels = read_numbers(value, 4)
+    if channels == null:
+        return coercion_error("expected [r, g, b(, a)], a hex string or a tagged Color")
+    return coerced(Color(channels[0], channels[1], channels[2], channels[3]))
+
+# Resource properties accept "res://" paths (or null to clear them); the loaded type must match the property hint
+func coerce_resource(info, value):
+    if value == null:
+        return coerced(null)
+    if typeof(value) == TYPE_OBJECT:
+        return coerced(value)
+    if typeof(value) != TYPE_STRING:
+        return coercion_error("expected a res:// resource path")
+    
+    var loaded = load_resource_value(value)
+    if not loaded.ok:
+        return loaded
+    if info.hint == PROPERTY_HINT_RESOURCE_TYPE and not str(info.hint_string).is_empty():
+        for allowed_class in str(info.hint_string).split(","):
+            if loaded.value.is_class(allowed_class.strip_edges()):
+                return loaded
+        return coercion_error(value + " is a " + loaded.value.get_class() + ", expected " + info.hint_string)
+    return loaded
+
+func load_resource_value(path):
+    var resource_path = path if path.begins_with("res://") or path.begins_with("uid://") else "res://" + path
+    if not ResourceLoader.exists(resource_path):
+        return coercion_error("resource does not exist: " + resource_path)
+    var resource = load(resource_path)
+    if not resource:
+        return coercion_error("failed to load resource: " + resource_path)
+    return coerced(resource)
+
+# Enum properties accept the option name as listed in the property hint ("Name" or "Name:3")
+func coerce_enum_name(hint_string, value):
+    var options = hint_string.split(",")
+    for index in range(options.size()):
+        var parts = options[index].split(":")
+        if parts[0].strip_edges().to_lower() == value.strip_edges().to_lower():
+            return coerced(int(parts[1]) if parts.size() > 1 else index)
+    return coercion_error("unknown option " + value + ", expected one of: " + hint_string)
+
+func coerce_packed_array(target_type, value):
+    if typeof(value) != TYPE_ARRAY:
+        return coercion_error("expected an array")
+    var element_type = {TYPE_PACKED_VECTOR2_ARRAY: TYPE_VECTOR2, TYPE_PACKED_VECTOR3_ARRAY: TYPE_VECTOR3, TYPE_PACKED_COLOR_ARRAY: TYPE_COLOR}[target_type]
+    var element_info = {"type": element_type, "hint": PROPERTY_HINT_NONE, "hint_string": ""}
+    var elements = []
+    for index in range(value.size()):
+        var element = coerce_property_value(element_info, value[index])
+        if not element.ok:
+            return coercion_error("element " + str(index) + " " + element.error)
+        elements.append(element.value)
+    return coerced(type_convert(elements, target_type))
+
+# Put a scene and a camera into an offscreen viewport; process_render_preview saves the image once frames have rendered
+func start_render_preview(params):
+    if not params.has("scene_path") or not params.has("output_path"):
+        return report_error("INVALID_PARAMS", "scene_path and output_path are required")
+    
+    var full_scene_path = params.scene_path
+    if not full_scene_path.begins_with("res://"):
+        full_scene_path = "res://" + full_scene_path
+    print("Rendering scene preview: " + full_scene_path)
+    
+    if DisplayServer.get_name() == "headless":
+        return report_error("RENDER_UNAVAILABLE", "Godot is running headless and has no renderer to draw the scene with")
+    
+    if not FileAccess.file_exists(full_scene_path):
+        return report_error("SCENE_NOT_FOUND", "Scene file does not exist at: " + full_scene_path)
+    
+    var scene = load_scene(full_scene_path)
+    if not scene:
+        return report_error("SCENE_LOAD_FAILED", "Failed to load scene: " + full_scene_path)
+    
+    var size = Vector2i(int(params.get("width", 1024)), int(params.get("height", 1024)))
+    if size.x <= 0 or size.y <= 0:
+        return report_error("INVALID_PARAMS", "width and height must be positive")
+    
+    var viewport = SubViewport.new()
+    viewport.size = size
+    viewport.own_world_3d = true
+    viewport.render_target_update_mode = SubViewport.UPDATE_ALWAYS
+    var scene_root = scene.instantiate()
+    viewport.add_child(scene_root)
+    
+    if scene_root is Node3D:
+        if not setup_preview_camera(viewport, scene_root, params):
+            viewport.free()
+            return false
+        if params.get("add_lighting", true) == true:
+            add_preview_lighting(viewport, scene_root)
     else:
-        printerr("Failed to pack scene: " + str(result))
+        report_warning("NOT_3D_SCENE", "Scene root is not a Node3D; rendered with its own 2D view and camera options ignored")
+    
+    root.add_child(viewport)
+    render_state = {"viewport": viewport, "frames_left": RENDER_WARMUP_FRAMES, "output_path": str(params.output_path)}
+    
+    set_result("scenePath", full_scene_path)
+    set_result("outputPath", str(params.output_path))
+    set_result("width", size.x)
+    set_result("height", size.y)
+    return true
+
+# Frame the scene with a top-down orthographic camera, or a perspective camera at camera_position looking at look_at
+func setup_preview_camera(viewport, scene_root, params):
+    var bounds = null
+    var geometry_count = 0
+    for node in scene_root.find_children("*", "GeometryInstance3D", true, false):
+        if not node.visible:
+            continue
+        var box = get_scene_transform(node) * node.get_aabb()
+        bounds = box if bounds == null else bounds.merge(box)
+        geometry_count += 1
+    if bounds == null:
+        report_warning("NO_GEOMETRY", "Scene has no visible geometry; framing a 10 m area around the origin")
+        bounds = AABB(Vector3(-5, -5, -5), Vector3(10, 10, 10))
+    
+    var target = bounds.get_center()
+    if params.has("look_at"):
+        var look_at = read_numbers(params.look_at, 3)
+        if look_at == null:
+            return report_error("INVALID_PARAMS", "look_at must be [x, y, z]")
+        target = Vector3(look_at[0], look_at[1], look_at[2])
+    
+    var camera = Camera3D.new()
+    var camera_result = {}
+    if params.has("camera_position"):
+        var numbers = read_numbers(params.camera_position, 3)
+        if numbers == null:
+            return report_error("INVALID_PARAMS", "camera_position must be [x, y, z]")
+        var position = Vector3(numbers[0], numbers[1], numbers[2])
+        if position.is_equal_approx(target):
+            return report_error("INVALID_PARAMS", "camera_position and look_at must be different points")
+        # looking_at cannot use an up vector parallel to the view direction
+        var up = Vector3.UP
+        if absf((target - position).normalized().dot(up)) > 0.999:
+            up = Vector3.FORWARD
+        camera.transform = Transform3D(Basis(), position).looking_at(target, up)
+        camera.fov = float(params.get("fov", 60.0))
+        camera.far = maxf(position.distance_to(bounds.get_center()) + bounds.size.length(), 100.0)
+        camera_result = {"projection": "perspective", "position": serialize_value(position), "lookAt": serialize_value(target), "fov": camera.fov}
+    else:
+        # Straight down with -Z at the top of the image; size is the visible height, which covers the Z extent
+        var aspect = float(viewport.size.x) / viewport.size.y
+        var ortho_size = float(params.get("orthographic_size", 0.0))
+        if ortho_size <= 0.0:
+            ortho_size = maxf(maxf(bounds.size.z, bounds.size.x / aspect) * (1.0 + PREVIEW_MARGIN * 2.0), 1.0)
+        var position = Vector3(target.x, bounds.end.y + 10.0, target.z)
+        camera.projection = Camera3D.PROJECTION_ORTHOGONAL
+        camera.size = ortho_size
+        camera.transform = Transform3D(Basis(), position).looking_at(Vector3(target.x, bounds.position.y, target.z), Vector3.FORWARD)
+        camera.far = bounds.size.y + 20.0
+        camera_result = {"projection": "orthographic", "position": serialize_value(position), "lookAt": serialize_value(Vector3(target.x, bounds.position.y, target.z)), "size": ortho_size}
+    
+    camera.current = true
+    viewport.add_child(camera)
+    set_result("camera", camera_result)
+    set_result("bounds", {"position": serialize_value(bounds.position), "size": serialize_value(bounds.size)})
+    set_result("geometryCount", geometry_count)
+    return true
+
+# Light scenes that were built without their own sun or sky, so meshes do not render black
+func add_preview_lighting(viewport, scene_root):
+    var light = DirectionalLight3D.new()
+    light.rotation_degrees = Vector3(-60, 30, 0)
+    viewport.add_child(light)
+    
+    if scene_root.find_children("*", "WorldEnvironment", true, false).is_empty():
+        var environment = Environment.new()
+        environment.background_mode = Environment.BG_COLOR
+        environment.background_color = Color(0.18, 0.2, 0.23)
+        environment.ambient_light_source = Environment.AMBIENT_SOURCE_COLOR
+        environment.ambient_light_color = Color.WHITE
+        environment.ambient_light_energy = 0.4
+        var world_environment = WorldEnvironment.new()
+        world_environment.environment = environment
+        viewport.add_child(world_environment)
+
+# Count down the warm-up frames, then save the viewport image and finish
+func process_render_preview():
+    render_state.frames_left -= 1
+    if render_state.frames_left > 0:
+        return false
+    
+    var viewport = render_state.viewport
+    var output_path = render_state.output_path
+    render_state = null
+    
+    var image = viewport.get_texture().get_image()
+    if image == null or image.is_empty():
+        report_error("RENDER_FAILED", "The viewport produced no image; check that the rendering driver started")
+    else:
+        var error = image.save_png(output_path)
+        if error != OK:
+            report_error("SAVE_FAILED", "Failed to save preview to " + output_path + ": " + error_string(error))
+    
+    # Report the renderer actually used, when this Godot version exposes it
+    if RenderingServer.has_method("get_current_rendering_driver_name"):
+        set_result("renderingDriver", RenderingServer.call("get_current_rendering_driver_name"))
+    if RenderingServer.has_method("get_current_rendering_method"):
+        set_result("renderingMethod", RenderingServer.call("get_current_rendering_method"))
+    
+    viewport.queue_free()
+    finish("render_scene_preview")
+    return false